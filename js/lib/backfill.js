@@ -0,0 +1,114 @@
+const fs = require('fs');
+const { writeJsonState } = require('./files');
+const { logWithTimestamp } = require('./log');
+const { DEFAULT_TIMEZONE, formatDate, parseDateSafe } = require('./dates');
+
+/**
+ * Resumable chunked backfill
+ *
+ * A long date range is split into chunks (e.g. one day each). Each chunk is
+ * harvested with its own date range into its own subdirectory of the harvest
+ * directory, so one failure only costs that chunk. Progress goes to a
+ * checkpoint file after every chunk; the next run with the same range, time
+ * zone and chunk size skips the chunks already done and retries the rest.
+ * Chunk bounds are wall times in the time zone of --from/--to.
+ *
+ * Checkpoint:
+ *   { checkpointVersion, from, to, timezone, chunkSeconds, updatedAt,
+ *     chunks: [{ index, from, to, dir, status, harvestDir, attempts, files, error, finishedAt }] }
+ * status is one of pending, done, failed.
+ */
+
+const CHECKPOINT_VERSION = 1;
+const MAX_CHUNKS = 1000;
+
+// "YYYY-MM-DDTHH:mm:ss" -> "YYYYMMDDTHHmmss" for directory names
+function compact(date) {
+  return date.replace(/[-:]/g, '');
+}
+
+// Chunks covering [from, to]; each ends one second before the next begins,
+// since the Harvester's date range includes both ends
+function splitRange(fromMs, toMs, chunkMs, timezone) {
+  const chunks = [];
+  for (let start = fromMs; start < toMs; start += chunkMs) {
+    const from = formatDate(start, timezone);
+    const to = formatDate(Math.min(start + chunkMs - 1000, toMs), timezone);
+    chunks.push({ index: chunks.length + 1, from, to, dir: `${compact(from)}_${compact(to)}`, status: 'pending' });
+  }
+  return chunks;
+}
+
+function readCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(checkpoint.chunks) ? checkpoint : null;
+  } catch (error) {
+    logWithTimestamp(`WARNING: Ignoring unreadable backfill checkpoint ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+// Chunks for fromDate..toDate (capped at `now`), with the status of every
+// chunk the checkpoint already holds for the same range and chunk size.
+// A chunk only counts as done if its bounds are unchanged; the last chunk
+// of an earlier run that ended at "now" is harvested again in full.
+function planBackfill({ fromDate, toDate, timezone = DEFAULT_TIMEZONE, chunkMs, now, checkpoint }) {
+  const from = parseDateSafe(fromDate, timezone).getTime();
+  const to = Math.min(parseDateSafe(toDate, timezone).getTime(), now);
+  if (!(to > from)) {
+    throw new Error(`Nothing to backfill: ${fromDate} is not before ${formatDate(to, timezone)}`);
+  }
+  if ((to - from) / chunkMs > MAX_CHUNKS) {
+    throw new Error(`Backfill would need more than ${MAX_CHUNKS} chunks; use a larger chunk size`);
+  }
+
+  const plan = {
+    from: fromDate, to: toDate, timezone, chunkSeconds: chunkMs / 1000, resumed: false,
+    chunks: splitRange(from, to, chunkMs, timezone)
+  };
+  const matches = checkpoint &&
+    checkpoint.from === fromDate && checkpoint.to === toDate && checkpoint.chunkSeconds === plan.chunkSeconds &&
+    (checkpoint.timezone || DEFAULT_TIMEZONE) === timezone;
+  if (checkpoint && !matches) {
+    logWithTimestamp(`Backfill checkpoint is for ${checkpoint.from} to ${checkpoint.to} ` +
+      `in ${checkpoint.chunkSeconds}s chunks, starting a new backfill`);
+  }
+  if (matches) {
+    plan.resumed = true;
+    plan.chunks.forEach(chunk => {
+      const previous = checkpoint.chunks.find(c => c.from === chunk.from && c.to === chunk.to);
+      if (previous) {
+        Object.assign(chunk, previous, { index: chunk.index, status: previous.status === 'done' ? 'done' : 'pending' });
+      }
+    });
+  }
+  return plan;
+}
+
+function summarizeChunks(chunks) {
+  const summary = { total: chunks.length, done: 0, failed: 0, pending: 0 };
+  chunks.forEach(chunk => { summary[chunk.status]++; });
+  return summary;
+}
+
+// Written after every chunk; never throws
+function writeCheckpoint(file, plan) {
+  writeJsonState(file, {
+    checkpointVersion: CHECKPOINT_VERSION,
+    from: plan.from,
+    to: plan.to,
+    timezone: plan.timezone,
+    chunkSeconds: plan.chunkSeconds,
+    updatedAt: new Date().toISOString(),
+    chunks: plan.chunks
+  }, 'backfill checkpoint');
+}
+
+module.exports = {
+  planBackfill,
+  readCheckpoint,
+  summarizeChunks,
+  writeCheckpoint
+};
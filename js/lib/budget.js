@@ -0,0 +1,100 @@
+const { listFiles } = require('./manifest');
+
+/**
+ * Harvest budget
+ *
+ * Caps a run at --max-bytes of data in the harvest directory and/or
+ * --max-duration of wall time from the start of the run. The budget is
+ * asked twice per attempt:
+ *
+ *   refuseStart()   - before a mode is tried; refuses when the budget is
+ *                     already used up, when the mode's time limit does not
+ *                     fit in the time left, or when the data volume projected
+ *                     for the mode (see estimateVolume in manifest.js) would
+ *                     not fit in the bytes left
+ *   checkProgress() - while a harvest runs; stops it once the budget is
+ *                     exceeded or the bytes written so far, scaled up by the
+ *                     reported percentage, are projected to exceed it
+ *
+ * Both return a reason (string) or null. Sizes are bytes, times ms.
+ */
+
+// Below this the percentage is too coarse to project from
+const MIN_PROJECTION_PERCENT = 5;
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MiB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GiB`;
+}
+
+class HarvestBudget {
+  constructor({ maxBytes = null, maxDurationMs = null, harvestDir, exclude = [], startedAt = Date.now() }) {
+    this.maxBytes = maxBytes;
+    this.maxDurationMs = maxDurationMs;
+    this.harvestDir = harvestDir;
+    this.exclude = exclude;
+    this.startedAt = startedAt;
+  }
+
+  get enabled() {
+    return this.maxBytes !== null || this.maxDurationMs !== null;
+  }
+
+  usedBytes() {
+    return listFiles(this.harvestDir, this.exclude).reduce((sum, file) => sum + file.size, 0);
+  }
+
+  elapsed() {
+    return Date.now() - this.startedAt;
+  }
+
+  refuseStart({ timeLimitMs = null, projectedBytes = null } = {}) {
+    if (this.maxDurationMs !== null) {
+      const left = this.maxDurationMs - this.elapsed();
+      if (left <= 0) {
+        return `time budget of ${Math.round(this.maxDurationMs / 1000)}s used up`;
+      }
+      if (timeLimitMs !== null && timeLimitMs > left) {
+        return `time limit ${Math.round(timeLimitMs / 1000)}s exceeds the ${Math.round(left / 1000)}s left`;
+      }
+    }
+    if (this.maxBytes !== null) {
+      const used = this.usedBytes();
+      if (used >= this.maxBytes) {
+        return `data budget of ${formatBytes(this.maxBytes)} used up (${formatBytes(used)})`;
+      }
+      if (projectedBytes !== null && used + projectedBytes > this.maxBytes) {
+        return `projected ${formatBytes(projectedBytes)} exceeds the ${formatBytes(this.maxBytes - used)} left`;
+      }
+    }
+    return null;
+  }
+
+  // `startBytes` is usedBytes() when the attempt started, so the projection
+  // only scales what this attempt wrote
+  checkProgress({ percentage = null } = {}, startBytes = 0) {
+    if (this.maxDurationMs !== null && this.elapsed() > this.maxDurationMs) {
+      return `time budget of ${Math.round(this.maxDurationMs / 1000)}s exceeded`;
+    }
+    if (this.maxBytes === null) return null;
+
+    const used = this.usedBytes();
+    if (used > this.maxBytes) {
+      return `data budget of ${formatBytes(this.maxBytes)} exceeded (${formatBytes(used)})`;
+    }
+    if (percentage !== null && percentage >= MIN_PROJECTION_PERCENT && percentage < 100) {
+      const projected = Math.round(startBytes + (used - startBytes) * 100 / percentage);
+      if (projected > this.maxBytes) {
+        return `projected ${formatBytes(projected)} at ${percentage}% exceeds the data budget of ${formatBytes(this.maxBytes)}`;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  HarvestBudget,
+  formatBytes
+};
@@ -0,0 +1,193 @@
+const path = require('path');
+const { readRecordHeaders } = require('./mseed');
+
+/**
+ * Harvested time coverage
+ *
+ * Scans the miniSEED record headers of the harvested files and summarizes,
+ * per NET.STA.LOC.CHA, the first and last sample time, sample rate, record
+ * count, and the gaps and overlaps between records. The summary is then
+ * compared with the window the run asked for, so a harvest that "succeeds"
+ * with partial data is flagged in the run report:
+ *
+ *   late-start      - channel starts after the window start
+ *   early-end       - channel ends before the window end
+ *   gaps            - channel has gaps inside its span
+ *   overlaps        - channel has overlapping records
+ *   missing-channel - channel seen by the previous run is absent
+ *   no-data         - no miniSEED records in the harvested files
+ *
+ * Times are UTC epoch milliseconds internally and ISO strings in the output.
+ */
+
+const MAX_LISTED = 50; // Gaps/overlaps listed per channel; the rest are only counted
+
+function iso(ms) {
+  return new Date(Math.round(ms)).toISOString();
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 120) return `${seconds}s`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)}min`;
+  if (seconds < 172800) return `${(seconds / 3600).toFixed(1)}h`;
+  return `${(seconds / 86400).toFixed(1)}d`;
+}
+
+function channelId(record) {
+  return [record.network, record.station, record.location, record.channel].join('.');
+}
+
+// Read the record headers of `files` (paths relative to harvestDir). Files
+// that are not miniSEED are listed in `skipped`.
+function scanFiles(harvestDir, files) {
+  const byChannel = new Map();
+  const skipped = [];
+  let parsedFiles = 0;
+
+  files.forEach(file => {
+    let result;
+    try {
+      result = readRecordHeaders(path.join(harvestDir, file));
+    } catch (error) {
+      skipped.push({ path: file, reason: error.message });
+      return;
+    }
+    parsedFiles++;
+    if (result.error) skipped.push({ path: file, reason: result.error, partial: true });
+    result.records.forEach(record => {
+      const id = channelId(record);
+      if (!byChannel.has(id)) byChannel.set(id, { records: [], files: new Set() });
+      byChannel.get(id).records.push(record);
+      byChannel.get(id).files.add(file);
+    });
+  });
+
+  return { byChannel, skipped, parsedFiles };
+}
+
+// Walk the records of one channel in time order and collect gaps and
+// overlaps. Records are contiguous when the next one starts within half a
+// sample period of where the previous one left off (libmseed's default).
+function summarizeChannel(id, records, files) {
+  records.sort((a, b) => a.start - b.start);
+  const rates = records.map(record => record.sampleRate).filter(rate => rate > 0);
+  const sampleRate = rates.length ? rates[0] : 0;
+  const period = sampleRate > 0 ? 1000 / sampleRate : 0;
+  const tolerance = period / 2;
+
+  const gaps = [];
+  const overlaps = [];
+  let end = records[0].end;
+  let gapTotal = 0;
+  records.slice(1).forEach(record => {
+    if (period === 0) return;
+    const expected = end + period;
+    const delta = record.start - expected;
+    if (delta > tolerance) {
+      gaps.push({ from: iso(end), to: iso(record.start), duration: record.start - end });
+      gapTotal += record.start - end;
+    } else if (delta < -tolerance) {
+      overlaps.push({ from: iso(record.start), to: iso(Math.min(end, record.end)), duration: end - record.start });
+    }
+    end = Math.max(end, record.end);
+  });
+
+  const [network, station, location, channel] = id.split('.');
+  return {
+    id,
+    network,
+    station,
+    location,
+    channel,
+    start: iso(records[0].start),
+    end: iso(end),
+    sampleRate,
+    records: records.length,
+    samples: records.reduce((sum, record) => sum + record.samples, 0),
+    longestRecord: records.reduce((longest, record) => Math.max(longest, record.end - record.start + period), 0),
+    gapCount: gaps.length,
+    gapTotal,
+    gaps: gaps.slice(0, MAX_LISTED),
+    overlapCount: overlaps.length,
+    overlaps: overlaps.slice(0, MAX_LISTED),
+    files: Array.from(files).sort()
+  };
+}
+
+// Compare each channel with the expected window:
+//   window.from         - start for every channel (ms or null)
+//   window.previousEnd  - per-channel end of the previous run (ISO), for since last
+//   window.to           - end for every channel (ms or null)
+// Channel ends are allowed to fall short by `toleranceMs` plus one record,
+// since the newest record may still be filling on the logger.
+function checkWindow(channels, window, toleranceMs) {
+  const warnings = [];
+  const warn = (channel, type, message) => warnings.push({ channel, type, message });
+  const previousEnd = window.previousEnd || {};
+
+  channels.forEach(ch => {
+    const start = Date.parse(ch.start);
+    const end = Date.parse(ch.end);
+    const expectedFrom = previousEnd[ch.id] ? Date.parse(previousEnd[ch.id]) : window.from;
+
+    if (expectedFrom !== null && expectedFrom !== undefined && start - expectedFrom > toleranceMs + ch.longestRecord) {
+      warn(ch.id, 'late-start', `${ch.id} starts ${formatDuration(start - expectedFrom)} after ${iso(expectedFrom)}`);
+    }
+    if (window.to !== null && window.to !== undefined && window.to - end > toleranceMs + ch.longestRecord) {
+      warn(ch.id, 'early-end', `${ch.id} ends ${formatDuration(window.to - end)} before ${iso(window.to)}`);
+    }
+    if (ch.gapCount > 0) {
+      warn(ch.id, 'gaps', `${ch.id} has ${ch.gapCount} gap(s) totalling ${formatDuration(ch.gapTotal)}`);
+    }
+    if (ch.overlapCount > 0) {
+      warn(ch.id, 'overlaps', `${ch.id} has ${ch.overlapCount} overlapping record(s)`);
+    }
+  });
+
+  const present = new Set(channels.map(ch => ch.id));
+  Object.keys(previousEnd).filter(id => !present.has(id)).forEach(id => {
+    warn(id, 'missing-channel', `${id} was harvested by the previous run but is missing now`);
+  });
+  return warnings;
+}
+
+// Full coverage summary of the harvested files against `window`
+function analyzeCoverage(harvestDir, files, { window = {}, toleranceMs = 0 } = {}) {
+  const { byChannel, skipped, parsedFiles } = scanFiles(harvestDir, files);
+  const channels = Array.from(byChannel.keys()).sort()
+    .map(id => summarizeChannel(id, byChannel.get(id).records, byChannel.get(id).files));
+
+  const warnings = checkWindow(channels, window, toleranceMs);
+  if (channels.length === 0 && files.length > 0) {
+    warnings.push({ channel: null, type: 'no-data', message: `None of the ${files.length} harvested files holds miniSEED records` });
+  }
+
+  return {
+    window: {
+      source: window.source || null,
+      from: window.from !== null && window.from !== undefined ? iso(window.from) : null,
+      to: window.to !== null && window.to !== undefined ? iso(window.to) : null,
+      previousEnd: window.previousEnd || null
+    },
+    toleranceMs,
+    parsedFiles,
+    skippedFiles: skipped,
+    channels,
+    warnings
+  };
+}
+
+// One line per channel for the log
+function describeCoverage(coverage) {
+  if (coverage.channels.length === 0) return ['no miniSEED records found'];
+  return coverage.channels.map(ch =>
+    `${ch.id} ${ch.start} -> ${ch.end} @ ${ch.sampleRate} Hz, ${ch.records} records, ` +
+    `${ch.gapCount} gaps, ${ch.overlapCount} overlaps`
+  );
+}
+
+module.exports = {
+  analyzeCoverage,
+  describeCoverage
+};
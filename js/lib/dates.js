@@ -0,0 +1,260 @@
+/**
+ * Dates and time zones
+ *
+ * --from and --to are wall times in --timezone: UTC (the default), a fixed
+ * offset such as +13:00, or an IANA name such as Pacific/Auckland. The
+ * Harvester reads its date inputs as wall times in its own zone, in the
+ * format of the input. The profile's optional `dates` block describes both:
+ *
+ *   { format, displayFormat, timeFormat, timezone }
+ *
+ * format is what is typed into a text date input (default
+ * YYYY-MM-DDTHH:mm:ss), displayFormat what the datepicker shows once it has
+ * parsed it (default: format), timeFormat the same for separate time inputs
+ * (default HH:mm:ss) and timezone the Harvester's zone (default "local", the
+ * zone of the page). Native date, datetime-local and time inputs always use
+ * their own formats. A date format without hours needs time inputs next to
+ * it; without them only whole days can be entered.
+ *
+ * planDateEntry() works out the values to enter, readDateEntry() turns what
+ * the page shows afterwards back into --timezone and fails if it is not the
+ * range asked for. Format tokens: YYYY, MM, M, DD, D, HH, H, mm, ss.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_FORMAT = 'YYYY-MM-DDTHH:mm:ss';
+const DEFAULT_TIME_FORMAT = 'HH:mm:ss';
+const NATIVE_FORMATS = { 'date': 'YYYY-MM-DD', 'datetime-local': 'YYYY-MM-DDTHH:mm:ss', 'time': 'HH:mm:ss' };
+
+const OFFSET_PATTERN = /^([+-])(\d{2}):?(\d{2})$/;
+const TOKEN_PATTERN = /YYYY|MM|M|DD|D|HH|H|mm|ss/g;
+const TOKENS = {
+  YYYY: { field: 'year', pattern: '(\\d{4})', width: 4 },
+  MM: { field: 'month', pattern: '(\\d{2})', width: 2 },
+  M: { field: 'month', pattern: '(\\d{1,2})', width: 1 },
+  DD: { field: 'day', pattern: '(\\d{2})', width: 2 },
+  D: { field: 'day', pattern: '(\\d{1,2})', width: 1 },
+  HH: { field: 'hour', pattern: '(\\d{2})', width: 2 },
+  H: { field: 'hour', pattern: '(\\d{1,2})', width: 1 },
+  mm: { field: 'minute', pattern: '(\\d{2})', width: 2 },
+  ss: { field: 'second', pattern: '(\\d{2})', width: 2 }
+};
+const TIME_FIELDS = ['hour', 'minute', 'second'];
+const LAST = { hour: 23, minute: 59, second: 59 };
+
+const formatters = new Map();
+
+// "UTC", "+13:00", "+1300", "Pacific/Auckland", "local" -> canonical name,
+// or null if the zone is unknown. "local" is the zone of this process.
+function normalizeTimezone(text) {
+  const zone = String(text === undefined || text === null ? '' : text).trim();
+  if (/^(utc|gmt|z)$/i.test(zone)) return 'UTC';
+  const offset = zone.match(OFFSET_PATTERN);
+  if (offset) {
+    return Number(offset[2]) <= 14 && Number(offset[3]) < 60 ? `${offset[1]}${offset[2]}:${offset[3]}` : null;
+  }
+  if (zone.toLowerCase() === 'local') return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (!zone) return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: zone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatter(zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  return formatters.get(zone);
+}
+
+// Minutes `zone` is ahead of UTC at the instant `ms`
+function zoneOffset(ms, zone) {
+  if (zone === 'UTC') return 0;
+  const offset = zone.match(OFFSET_PATTERN);
+  if (offset) return (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3]));
+  const parts = {};
+  formatter(zone).formatToParts(new Date(ms)).forEach(part => { parts[part.type] = Number(part.value); });
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return Math.round((wall - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+// The instant `ms` as { year, month, day, hour, minute, second } in `zone`
+function wallTime(ms, zone) {
+  const d = new Date(ms + zoneOffset(ms, zone) * 60000);
+  return {
+    year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+    hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds()
+  };
+}
+
+// The instant of a wall time in `zone`. A wall time skipped by a daylight
+// saving change is taken with the offset from before the change.
+function zonedTime(fields, zone) {
+  const wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  const guess = wall - zoneOffset(wall, zone) * 60000;
+  return wall - zoneOffset(guess, zone) * 60000;
+}
+
+function formatFields(fields, format) {
+  return format.replace(TOKEN_PATTERN, token =>
+    String(fields[TOKENS[token].field]).padStart(TOKENS[token].width, '0'));
+}
+
+// Read `text` written in `format`; fields the format does not hold are null.
+// Seconds at the end may be missing, as browsers leave ":00" off native
+// inputs. Returns null if the text does not fit or is no real date.
+function parseFields(text, format) {
+  const fields = { year: null, month: null, day: null, hour: null, minute: null, second: null };
+  const order = [];
+  let pattern = '';
+  let last = 0;
+  format.replace(TOKEN_PATTERN, (token, index) => {
+    pattern += format.slice(last, index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + TOKENS[token].pattern;
+    order.push(TOKENS[token].field);
+    last = index + token.length;
+    return token;
+  });
+  pattern += format.slice(last).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (order[order.length - 1] === 'second' && pattern.endsWith(':(\\d{2})')) {
+    pattern = `${pattern.slice(0, -':(\\d{2})'.length)}(?::(\\d{2}))?`;
+  }
+
+  const match = String(text).trim().match(new RegExp(`^${pattern}$`));
+  if (!match) return null;
+  order.forEach((field, i) => { fields[field] = match[i + 1] === undefined ? 0 : Number(match[i + 1]); });
+  return validFields(fields) ? fields : null;
+}
+
+function validFields(fields) {
+  if (fields.year !== null) {
+    const d = new Date(Date.UTC(fields.year, fields.month - 1, fields.day));
+    if (d.getUTCMonth() !== fields.month - 1 || d.getUTCDate() !== fields.day) return false;
+  }
+  return !(fields.hour > 23 || fields.minute > 59 || fields.second > 59);
+}
+
+// Time fields a format left out: the start of the period for a from date,
+// its end for a to date (the Harvester includes both ends)
+function completeFields(fields, end) {
+  const complete = Object.assign({}, fields);
+  TIME_FIELDS.forEach(field => {
+    if (complete[field] === null) complete[field] = end ? LAST[field] : 0;
+  });
+  return complete;
+}
+
+function hasTime(format) {
+  return /H/.test(format);
+}
+
+// "YYYY-MM-DDTHH:mm:ss" or "YYYY-MM-DD HH:mm[:ss]" (or a date alone) as a
+// wall time in `timezone`; an explicit Z or offset wins. Null if unreadable.
+function parseDateSafe(s, timezone = DEFAULT_TIMEZONE) {
+  const match = String(s).trim()
+    .match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!match) return null;
+  const fields = {
+    year: Number(match[1]), month: Number(match[2]), day: Number(match[3]),
+    hour: Number(match[4] || 0), minute: Number(match[5] || 0), second: Number(match[6] || 0)
+  };
+  const zone = match[7] ? normalizeTimezone(match[7]) : normalizeTimezone(timezone);
+  if (!zone || !validFields(fields)) return null;
+  return new Date(zonedTime(fields, zone));
+}
+
+// Format as "YYYY-MM-DDTHH:mm:ss" in the same time zone parseDateSafe reads
+function formatDate(ms, timezone = DEFAULT_TIMEZONE) {
+  return formatFields(wallTime(ms, normalizeTimezone(timezone)), DEFAULT_FORMAT);
+}
+
+// Values to enter for fromDate..toDate (wall times in `timezone`).
+// `page` describes the inputs found: { zone, fromType, toType, timeType }
+// (zone is the page's own, the rest input types; timeType is null without
+// separate time inputs). `dates` is the profile's dates block.
+// Throws if the inputs cannot hold the range exactly.
+function planDateEntry({ fromDate, toDate, timezone = DEFAULT_TIMEZONE, dates = {}, page }) {
+  const zone = dates.timezone && dates.timezone !== 'local' ? normalizeTimezone(dates.timezone) : page.zone;
+  if (!normalizeTimezone(zone)) throw new Error(`Unknown Harvester time zone "${zone}"`);
+
+  const entryFormat = type => NATIVE_FORMATS[type] || dates.format || DEFAULT_FORMAT;
+  const displayFormat = type => NATIVE_FORMATS[type] || dates.displayFormat || dates.format || DEFAULT_FORMAT;
+  const timeFormat = NATIVE_FORMATS[page.timeType] || dates.timeFormat || DEFAULT_TIME_FORMAT;
+
+  const side = (label, text, type, end) => {
+    const requested = parseDateSafe(text, timezone);
+    if (!requested) throw new Error(`Invalid ${label} date "${text}"`);
+    const format = entryFormat(type);
+    const useTime = !hasTime(format) && !!page.timeType;
+    const wall = wallTime(requested.getTime(), zone);
+    // What the input keeps of the wall time, read back as the Harvester would
+    const held = completeFields(parseFields(formatFields(wall, format), format), end);
+    if (useTime) TIME_FIELDS.forEach(field => { held[field] = wall[field]; });
+    if (zonedTime(held, zone) !== requested.getTime()) {
+      throw new Error(`${label} ${formatFields(wall, DEFAULT_FORMAT)} (${zone}) cannot be entered as ` +
+        `"${format}"${hasTime(format) ? '' : ' without time inputs'}`);
+    }
+    return {
+      requested: requested.getTime(),
+      value: formatFields(wall, format),
+      display: formatFields(wall, displayFormat(type)),
+      displayFormat: displayFormat(type),
+      time: useTime ? formatFields(wall, timeFormat) : null,
+      timeFormat: useTime ? timeFormat : null,
+      end
+    };
+  };
+
+  return {
+    timezone: normalizeTimezone(timezone),
+    zone,
+    from: side('From', fromDate, page.fromType, false),
+    to: side('To', toDate, page.toType, true)
+  };
+}
+
+// Check what the page shows after entry against the plan. `values` is
+// { from, to, fromTime, toTime, invalid } as read from the inputs. Returns
+// { from, to } as the Harvester parsed them, in the plan's time zone; throws
+// if the Harvester rejected a value or read it as another time.
+function readDateEntry(plan, values) {
+  if (values.invalid) {
+    throw new Error(`Harvester rejected the dates: From="${values.from}", To="${values.to}"`);
+  }
+  const read = (label, entry, value, time) => {
+    const fields = parseFields(value, entry.displayFormat);
+    const timeFields = entry.timeFormat ? parseFields(time, entry.timeFormat) : null;
+    if (!fields || (entry.timeFormat && !timeFields)) {
+      const shown = entry.timeFormat ? `"${value}" "${time}"` : `"${value}"`;
+      throw new Error(`Harvester shows ${label} as ${shown}, not a date in "${entry.displayFormat}"`);
+    }
+    if (timeFields) TIME_FIELDS.forEach(field => { fields[field] = timeFields[field]; });
+    const parsed = zonedTime(completeFields(fields, entry.end), plan.zone);
+    if (parsed !== entry.requested) {
+      throw new Error(`Harvester read ${label} as ${formatDate(parsed, plan.timezone)}, ` +
+        `not ${formatDate(entry.requested, plan.timezone)} (${plan.timezone})`);
+    }
+    return formatDate(parsed, plan.timezone);
+  };
+  return {
+    from: read('From', plan.from, values.from, values.fromTime),
+    to: read('To', plan.to, values.to, values.toTime)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  formatDate,
+  formatFields,
+  normalizeTimezone,
+  parseDateSafe,
+  parseFields,
+  planDateEntry,
+  readDateEntry,
+  wallTime,
+  zonedTime
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonState } = require('./files');
+const { logWithTimestamp } = require('./log');
+
+/**
+ * Several loggers on one Harvester
+ *
+ * A Harvester with more than one logger attached lists them (the profile's
+ * deviceItem elements, see listDevices() in page_helpers.js) and harvests the
+ * one selected. Each logger is then harvested in turn into
+ * <harvestDir>/<serial> with its own report, manifest, state of health,
+ * watermark, checkpoint and manifest history, so one logger's data never
+ * counts for another's and a failing logger does not hold the others back.
+ * With one logger or none listed, the run is the same as before.
+ *
+ * The outcome for every logger is kept in a device state file (in STATE_DIR,
+ * so it survives EXECUTE=clear):
+ *
+ *   { devicesVersion, updatedAt,
+ *     devices: { <serial>: { lastRunAt, lastResult, lastExitCode, lastMessage,
+ *                            lastSuccessAt, consecutiveFailures, harvestDir } } }
+ */
+
+const DEVICES_VERSION = 1;
+
+// Serial as a file or directory name: anything but letters, digits, dots,
+// dashes and underscores becomes "_"
+function deviceName(serial) {
+  const name = String(serial).trim().replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^\.+/, '');
+  return name || 'device';
+}
+
+// The logger's own copy of a state file:
+// pegasus_watermark.json -> pegasus_watermark_PEG-0042.json
+function deviceFile(file, serial) {
+  if (!file) return file;
+  const ext = path.extname(file);
+  return path.join(path.dirname(file), `${path.basename(file, ext)}_${deviceName(serial)}${ext}`);
+}
+
+// Listed loggers with a serial, each serial once, in the order shown
+function uniqueDevices(devices) {
+  const seen = new Set();
+  return devices.filter(device => {
+    if (!device.serial || seen.has(device.serial)) return false;
+    seen.add(device.serial);
+    return true;
+  });
+}
+
+// The stored state, or an empty one if there is none yet. A damaged file is
+// reported and treated as missing.
+function readDeviceState(file) {
+  const empty = { devices: {} };
+  if (!file || !fs.existsSync(file)) return empty;
+  try {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!state.devices || typeof state.devices !== 'object') {
+      throw new Error('no "devices" object');
+    }
+    return state;
+  } catch (error) {
+    logWithTimestamp(`WARNING: Ignoring unreadable device state ${file}: ${error.message}`);
+    return empty;
+  }
+}
+
+// Enter one logger's outcome ({ status, exitCode, message, harvestDir }) into
+// `state`. Only a failed harvest counts as a failure; a logger skipped or
+// interrupted keeps its count. Returns the logger's new entry.
+function recordDevice(state, serial, outcome, time = new Date().toISOString()) {
+  const previous = state.devices[serial] || { lastSuccessAt: null, consecutiveFailures: 0 };
+  const entry = {
+    lastRunAt: time,
+    lastResult: outcome.status,
+    lastExitCode: outcome.exitCode,
+    lastMessage: outcome.message || null,
+    lastSuccessAt: outcome.status === 'success' ? time : previous.lastSuccessAt,
+    consecutiveFailures: outcome.status === 'success' ? 0
+      : previous.consecutiveFailures + (outcome.status === 'failed' ? 1 : 0),
+    harvestDir: outcome.harvestDir ? path.resolve(outcome.harvestDir) : null
+  };
+  state.devices[serial] = entry;
+  return entry;
+}
+
+// Returns false (after logging) if it could not be written
+function writeDeviceState(file, state) {
+  const content = { devicesVersion: DEVICES_VERSION, updatedAt: new Date().toISOString(), devices: state.devices };
+  return writeJsonState(file, content, 'device state');
+}
+
+module.exports = {
+  deviceFile,
+  deviceName,
+  readDeviceState,
+  recordDevice,
+  uniqueDevices,
+  writeDeviceState
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const { logWithTimestamp } = require('./log');
+
+/**
+ * Atomic file writes shared by the state, report and output files
+ *
+ * The content goes to `<file>.tmp` first and is renamed over the file, so a
+ * reader (or a run after a power cut) sees the old file or the new one,
+ * never half of one. The directory is created if needed.
+ */
+
+// Write `content` to `file` atomically; throws if it could not be written
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, content);
+  fs.renameSync(tmpFile, file);
+}
+
+// `value` as indented JSON, atomically; throws if it could not be written
+function writeJsonAtomic(file, value) {
+  writeFileAtomic(file, JSON.stringify(value, null, 2) + '\n');
+}
+
+// writeJsonAtomic() for state files a run can do without: returns false,
+// after logging a warning naming `what`, if it could not be written
+function writeJsonState(file, value, what) {
+  try {
+    writeJsonAtomic(file, value);
+    return true;
+  } catch (error) {
+    logWithTimestamp(`WARNING: Could not write ${what} ${file}: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonAtomic,
+  writeJsonState
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { logWithTimestamp } = require('./log');
+
+/**
+ * Failure forensics
+ *
+ * On every failed step try (and on fatal errors) a capture folder is written
+ * under <harvestDir>/forensics/ with a PNG screenshot, the serialized DOM, the
+ * recent in-page console messages and the text of every visible dialog. The
+ * folder travels with the harvest archive, so UI drift can be diagnosed
+ * remotely. Total size is capped; once the cap is reached further artifacts
+ * are skipped and listed as such in forensics/index.json.
+ */
+
+const FORENSICS_DIR = 'forensics';
+const CONSOLE_BUFFER_SIZE = 200;
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+class ForensicsCollector {
+  constructor({ harvestDir, maxBytes }) {
+    this.dir = harvestDir ? path.join(harvestDir, FORENSICS_DIR) : null;
+    this.maxBytes = maxBytes;
+    this.usedBytes = 0;
+    this.page = null;
+    this.context = 'run';
+    this.consoleMessages = [];
+    this.captures = [];
+  }
+
+  // Buffer console output, page errors and native dialogs from now on
+  attach(page) {
+    this.page = page;
+    const remember = (type, text) => {
+      this.consoleMessages.push({ time: new Date().toISOString(), type, text });
+      if (this.consoleMessages.length > CONSOLE_BUFFER_SIZE) this.consoleMessages.shift();
+    };
+    page.on('console', msg => remember(msg.type(), msg.text()));
+    page.on('pageerror', error => remember('pageerror', error.message));
+    page.on('dialog', dialog => remember(`dialog:${dialog.type()}`, dialog.message()));
+  }
+
+  // Label prefixed to capture folder names, e.g. the current attempt and mode
+  setContext(label) {
+    this.context = label;
+  }
+
+  // Write `data` if it fits in the remaining budget; returns false if skipped
+  writeArtifact(captureDir, name, data, capture) {
+    const size = Buffer.byteLength(data);
+    if (this.usedBytes + size > this.maxBytes) {
+      capture.skipped.push({ name, size });
+      return false;
+    }
+    fs.mkdirSync(captureDir, { recursive: true });
+    fs.writeFileSync(path.join(captureDir, name), data);
+    this.usedBytes += size;
+    capture.artifacts.push({ name, size });
+    return true;
+  }
+
+  // Capture the page state after a failure. Never throws.
+  async capture(label, error) {
+    if (!this.dir || !this.page) return null;
+
+    const name = `${String(this.captures.length + 1).padStart(3, '0')}_${slug(this.context)}_${slug(label)}`;
+    const captureDir = path.join(this.dir, name);
+    const capture = {
+      name,
+      time: new Date().toISOString(),
+      context: this.context,
+      label,
+      error: error ? error.message : null,
+      artifacts: [],
+      skipped: []
+    };
+    this.captures.push(capture);
+
+    const collectors = [
+      ['dialogs.json', async () => JSON.stringify(await this.visibleDialogs(), null, 2)],
+      ['console.json', async () => JSON.stringify(this.consoleMessages, null, 2)],
+      ['dom.html', () => this.page.content()],
+      ['screenshot.png', () => this.page.screenshot({ type: 'png', fullPage: true })]
+    ];
+
+    for (const [artifact, collect] of collectors) {
+      try {
+        this.writeArtifact(captureDir, artifact, await collect(), capture);
+      } catch (collectError) {
+        capture.skipped.push({ name: artifact, error: collectError.message });
+      }
+    }
+
+    this.writeIndex();
+    const saved = capture.artifacts.map(a => a.name).join(', ') || 'nothing (size cap reached)';
+    logWithTimestamp(`Forensics captured to ${path.join(FORENSICS_DIR, name)}: ${saved}`);
+    return capture;
+  }
+
+  // Title and text of each open dialog; works before the helpers are installed
+  visibleDialogs() {
+    return this.page.evaluate(() => {
+      const h = window.__pegasusHarvest;
+      if (h && h.visibleDialogs) return h.visibleDialogs();
+      return Array.from(document.querySelectorAll('[role="dialog"], [role="alertdialog"]')).map(dialog => ({
+        role: dialog.getAttribute('role'),
+        title: '',
+        text: (dialog.textContent || '').replace(/\s+/g, ' ').trim()
+      }));
+    });
+  }
+
+  writeIndex() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(path.join(this.dir, 'index.json'), JSON.stringify(this.summary(), null, 2) + '\n');
+    } catch (error) {
+      logWithTimestamp(`WARNING: Could not write forensics index: ${error.message}`);
+    }
+  }
+
+  summary() {
+    return {
+      directory: FORENSICS_DIR,
+      maxBytes: this.maxBytes,
+      usedBytes: this.usedBytes,
+      captures: this.captures
+    };
+  }
+}
+
+module.exports = {
+  FORENSICS_DIR,
+  ForensicsCollector
+};
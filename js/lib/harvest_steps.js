@@ -0,0 +1,633 @@
+const { StepAbortedError, StepError, sleep, waitFor } = require('./step_runner');
+const { logWithTimestamp } = require('./log');
+const { HarvestWatcher, diffStatus } = require('./harvest_watcher');
+const { formatDuration } = require('./throughput');
+const { describeSummary, parseSummary } = require('./harvest_summary');
+const { DEFAULT_TIMEZONE, planDateEntry, readDateEntry } = require('./dates');
+
+/**
+ * Harvest sequence as named Node-side steps
+ *
+ * Every step waits for a page condition instead of sleeping a fixed time, has
+ * its own timeout and logs its outcome through StepRunner. DOM lookups go
+ * through the window.__pegasusHarvest helpers (see page_helpers.js).
+ */
+
+// Raised by the monitor step when the caller's shouldStop() asks to end a
+// running harvest, e.g. because it would exceed the data budget. The
+// harvest is cancelled and not retried.
+class HarvestStoppedError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'HarvestStoppedError';
+  }
+}
+
+const CANCEL_STRATEGIES = [
+  { name: 'harvest-button', label: 'Harvest/Cancel button (Strategy 1)' },
+  { name: 'cancel', label: 'Explicit cancel button (Strategy 2)' },
+  { name: 'stop', label: 'Stop/Abort button (Strategy 3)' }
+];
+
+// ---- Steps ----
+
+async function checkUi(page, step) {
+  const dismissed = await page.evaluate(() => {
+    const h = window.__pegasusHarvest;
+    const dialog = h.findErrorDialog();
+    if (!dialog) return null;
+    const text = h.textOf(dialog);
+    h.clickIfEnabled(dialog.querySelector('button'));
+    return text;
+  });
+  if (dismissed !== null) {
+    logWithTimestamp(`Dismissed error dialog: "${dismissed}"`);
+    await waitFor(page, 'error dialog to close',
+      () => !window.__pegasusHarvest.findErrorDialog(), step.remaining());
+  }
+
+  await waitFor(page, 'loading indicators to clear',
+    () => !window.__pegasusHarvest.isLoading(), step.remaining());
+  await waitFor(page, 'Start harvesting button',
+    () => !!window.__pegasusHarvest.findStartButton(), step.remaining());
+}
+
+// Select the logger to harvest from the Harvester's device list; nothing is
+// clicked when it is selected already
+async function selectDevice(page, serial, step) {
+  await waitFor(page, `logger ${serial} in the device list`,
+    serial => !!window.__pegasusHarvest.findDevice(serial), step.remaining(), serial);
+
+  const clicked = await page.evaluate(serial => {
+    const h = window.__pegasusHarvest;
+    const item = h.findDevice(serial);
+    if (h.isDeviceSelected(item)) return false;
+    item.click();
+    return true;
+  }, serial);
+  await waitFor(page, `logger ${serial} to be selected`, serial => {
+    const h = window.__pegasusHarvest;
+    const item = h.findDevice(serial);
+    return !!item && h.isDeviceSelected(item);
+  }, step.remaining(), serial);
+  if (clicked) logWithTimestamp(`Logger ${serial} selected`);
+}
+
+async function selectMode(page, mode, step) {
+  await waitFor(page, `enabled '${mode}' mode button`, mode => {
+    const btn = window.__pegasusHarvest.findModeButton(mode);
+    return !!btn && !btn.disabled;
+  }, step.remaining(), mode);
+
+  await page.evaluate(mode => {
+    const h = window.__pegasusHarvest;
+    h.clickIfEnabled(h.findModeButton(mode));
+  }, mode);
+  logWithTimestamp(`'${mode}' mode button clicked`);
+}
+
+// Enter fromDate..toDate (wall times in dateEntry.timezone) in the format
+// and time zone the date inputs take (see dates.js), then read back what the
+// Harvester made of them. Resolves with { from, to } as parsed by the UI, in
+// dateEntry.timezone; throws if the UI rejected the dates or read another range.
+async function setDates(page, fromDate, toDate, step, dateEntry = { timezone: DEFAULT_TIMEZONE, dates: {} }) {
+  await waitFor(page, 'date input fields',
+    () => !!window.__pegasusHarvest.findDateInputs(), step.remaining());
+
+  const plan = planDateEntry({
+    fromDate,
+    toDate,
+    timezone: dateEntry.timezone,
+    dates: dateEntry.dates,
+    page: await page.evaluate(() => window.__pegasusHarvest.dateInputState())
+  });
+  await page.evaluate(plan => {
+    const h = window.__pegasusHarvest;
+    const [fromInput, toInput] = h.findDateInputs();
+    h.setInputValue(fromInput, plan.from.value);
+    h.setInputValue(toInput, plan.to.value);
+    if (plan.from.time !== null) {
+      const [fromTime, toTime] = h.findTimeInputs();
+      h.setInputValue(fromTime, plan.from.time);
+      h.setInputValue(toTime, plan.to.time);
+    }
+  }, plan);
+  const entered = entry => entry.time !== null ? `${entry.value} ${entry.time}` : entry.value;
+  const converted = entered(plan.from) !== fromDate || entered(plan.to) !== toDate || plan.zone !== plan.timezone;
+  logWithTimestamp(`Date range set: ${entered(plan.from)} to ${entered(plan.to)} (${plan.zone})` +
+    (converted ? `, for ${fromDate} to ${toDate} (${plan.timezone})` : ''));
+
+  // The datepicker shows its own reading of the value once it has parsed it
+  try {
+    await waitFor(page, 'date inputs to show the entered dates', plan => {
+      const state = window.__pegasusHarvest.dateInputState();
+      return !!state && state.from === plan.from.display && state.to === plan.to.display &&
+        (plan.from.time === null || (state.fromTime === plan.from.time && state.toTime === plan.to.time));
+    }, Math.min(step.remaining(), 2000), plan);
+  } catch (error) {
+    // Read back below; the values may still be the same dates written differently
+  }
+  const values = await page.evaluate(() => window.__pegasusHarvest.dateInputState());
+  if (!values) throw new Error('date inputs disappeared after entry');
+  const dates = readDateEntry(plan, values);
+  logWithTimestamp(`Date range read back: ${dates.from} to ${dates.to} (${plan.timezone})`);
+  return dates;
+}
+
+async function openConfig(page, step) {
+  await waitFor(page, 'Archive Configuration button',
+    () => !!window.__pegasusHarvest.findConfigButton(), step.remaining());
+
+  await page.evaluate(() => {
+    const h = window.__pegasusHarvest;
+    h.findConfigButton().click();
+  });
+
+  await waitFor(page, 'Archive Configuration dialog',
+    () => !!window.__pegasusHarvest.findOutputDirInput(), step.remaining());
+}
+
+async function setOutputDir(page, harvestDir, step) {
+  const found = await page.evaluate(harvestDir => {
+    const h = window.__pegasusHarvest;
+    const input = h.findOutputDirInput();
+    if (!input) return false;
+    h.setInputValue(input, harvestDir);
+    return true;
+  }, harvestDir);
+  if (!found) {
+    throw new Error('Could not find Output Directory input field in dialog');
+  }
+
+  try {
+    await waitFor(page, 'output directory to hold the requested value', harvestDir => {
+      const input = window.__pegasusHarvest.findOutputDirInput();
+      return !!input && input.value === harvestDir;
+    }, step.remaining(), harvestDir);
+  } catch (error) {
+    const actual = await page.evaluate(() => {
+      const input = window.__pegasusHarvest.findOutputDirInput();
+      return input ? input.value : null;
+    });
+    throw new Error(`Output directory verification failed: expected "${harvestDir}", got "${actual}"`);
+  }
+  logWithTimestamp(`Set Output Directory: ${harvestDir}`);
+}
+
+async function saveConfig(page, step) {
+  await waitFor(page, 'enabled Save button', () => {
+    const btn = window.__pegasusHarvest.findSaveButton();
+    return !!btn && !btn.disabled;
+  }, step.remaining());
+
+  await page.evaluate(() => {
+    const h = window.__pegasusHarvest;
+    h.clickIfEnabled(h.findSaveButton());
+  });
+
+  await waitFor(page, 'Archive Configuration dialog to close',
+    () => !window.__pegasusHarvest.findOutputDirInput(), step.remaining());
+}
+
+async function startHarvest(page, step) {
+  await waitFor(page, 'enabled Start harvesting button', () => {
+    const btn = window.__pegasusHarvest.findStartButton();
+    return !!btn && !btn.disabled;
+  }, step.remaining());
+
+  await page.evaluate(() => {
+    const h = window.__pegasusHarvest;
+    h.clickIfEnabled(h.findStartButton());
+  });
+  logWithTimestamp("'Start Harvesting' button clicked");
+
+  let status;
+  try {
+    status = await waitFor(page, 'the harvest to start', () => {
+      const current = window.__pegasusHarvest.harvestStatus();
+      const started = current.summary || current.error !== null || current.percentage !== null || current.busy;
+      return started ? current : false;
+    }, step.remaining());
+  } catch (error) {
+    // Some harvests show nothing at first; the monitor's grace period decides
+    logWithTimestamp('No harvest start indication yet, handing over to the monitor');
+    return;
+  }
+
+  if (status.error !== null) {
+    throw new Error(`Harvester reported an error: "${status.error}"`);
+  }
+}
+
+// Wait for the Harvest Summary dialog, deciding on the events of a
+// HarvestWatcher (see harvest_watcher.js) and the growth of the output
+// directory (see throughput.js). The harvest counts as frozen when neither
+// the percentage nor the output has changed for progressCheckInterval *
+// maxNoProgressChecks ms, and as stopped when it goes idle without a Harvest
+// Summary or shows no progress, output or activity after the grace period.
+// Hooks (all optional):
+//   watcher      - attached HarvestWatcher; without one the status is polled
+//   throughput   - ThroughputMonitor of the output directory
+//   onEvent      - receives every event
+//   onProgress   - receives every new percentage reading, with its ETA
+//   onThroughput - receives every throughput sample, with the ETA
+//   shouldStop   - asked after every event and every progressCheckInterval;
+//                  ends the harvest when it returns a reason
+async function monitorHarvest(page, timings, step, hooks = {}) {
+  const { throughput, onEvent, onProgress, onThroughput, shouldStop } = hooks;
+  const watcher = hooks.watcher || new HarvestWatcher(page, { pollInterval: timings.progressCheckInterval });
+  const freezeAfter = timings.progressCheckInterval * timings.maxNoProgressChecks;
+  const startTime = Date.now();
+
+  const status = await watcher.start();
+  const session = watcher.session;
+  if (throughput) throughput.start(startTime);
+  logWithTimestamp(watcher.mode === 'observer'
+    ? 'Watching harvest progress through page events...'
+    : `Polling harvest progress every ${timings.progressCheckInterval}ms...`);
+
+  let percentage = null;
+  let active = status.active;
+  let idleSince = null; // Time the Harvester went idle, if it did while monitored
+  let lastChange = startTime; // Time the percentage or the output last changed
+  let freezeDeadline = startTime + freezeAfter;
+  let stuckWarnings = 0;
+
+  // Returns true once the harvest is complete
+  const handle = event => {
+    if (onEvent) onEvent(event);
+    if (event.type === 'summary') {
+      logWithTimestamp('Harvest completion dialog detected (Harvest Summary)');
+      return true;
+    }
+    if (event.type === 'error') {
+      throw new Error(`Harvester reported an error: "${event.text}"`);
+    }
+    if (event.type === 'progress') {
+      percentage = event.percentage;
+      lastChange = event.time;
+      freezeDeadline = Date.now() + freezeAfter;
+      stuckWarnings = 0;
+      const eta = throughput ? throughput.eta(percentage) : null;
+      logWithTimestamp(`Progress update: ${percentage}% (source: ${event.source})` +
+        (eta !== null ? `, ETA ${formatDuration(eta)}` : ''));
+      if (onProgress) onProgress({ percentage, source: event.source, time: event.time, eta });
+    } else if (event.type === 'activity') {
+      active = event.active;
+      idleSince = !event.active && !event.busy ? event.time : null;
+      logWithTimestamp(`Harvester ${active ? 'active' : 'idle'} (busy: ${event.busy})`);
+    } else if (event.type === 'dialog') {
+      logWithTimestamp(`Dialog ${event.open ? 'opened' : 'closed'}: "${event.title}"`);
+    }
+    return false;
+  };
+
+  try {
+    // The status at the start counts as a first set of events
+    const initial = diffStatus({ summary: false, error: null, percentage: null, active, busy: status.busy, dialogs: [] },
+      status, watcher.mode);
+    if (initial.some(handle)) return;
+
+    for (;;) {
+      if (step.cancelled) throw new Error('Monitoring cancelled');
+      const now = Date.now();
+      if (now - startTime >= timings.maxHarvestWait) throw new Error('Monitoring timeout');
+
+      const sample = throughput ? throughput.sample(now) : null;
+      if (sample) {
+        if (onThroughput) onThroughput(Object.assign({ eta: throughput.eta(percentage) }, sample));
+        if (sample.changed) {
+          logWithTimestamp(`Output: ${throughput.describe(sample)}`);
+          lastChange = now;
+          freezeDeadline = now + freezeAfter;
+          stuckWarnings = 0;
+        }
+      }
+      const writing = !!throughput && throughput.grown;
+
+      if (now >= freezeDeadline && (percentage !== null || writing)) {
+        const unchanged = `no change in progress${throughput ? ' or output' : ''} for ${Math.round((now - lastChange) / 1000)}s`;
+        if (active && stuckWarnings < 2) {
+          stuckWarnings++;
+          freezeDeadline = now + freezeAfter;
+          logWithTimestamp(`Harvest looks stuck (${unchanged}) but is active, continuing... (warning ${stuckWarnings}/2)`);
+        } else {
+          throw new Error(`${percentage !== null ? `Progress frozen at ${percentage}%` : 'Output stalled'} (${unchanged})`);
+        }
+      }
+      // The summary may render just after the idle state, so give it an interval
+      if (idleSince !== null && now - idleSince >= timings.progressCheckInterval) {
+        throw new Error(`Harvester went idle${percentage !== null ? ` at ${percentage}%` : ''} without a Harvest Summary`);
+      }
+      if (percentage === null && !writing && now - startTime >= timings.minNoActivityMillis && !active) {
+        throw new Error('Harvest stopped - no activity indicators');
+      }
+
+      const stopReason = shouldStop ? shouldStop({ percentage }) : null;
+      if (stopReason) {
+        throw new HarvestStoppedError(stopReason);
+      }
+
+      const wakeAt = Math.min(
+        startTime + timings.maxHarvestWait,
+        now + timings.progressCheckInterval,
+        percentage !== null || writing ? freezeDeadline : startTime + timings.minNoActivityMillis,
+        idleSince !== null ? idleSince + timings.progressCheckInterval : Infinity
+      );
+      const event = await watcher.next(Math.max(0, wakeAt - now));
+      if (event && handle(event)) return;
+    }
+  } finally {
+    await watcher.stop(session);
+  }
+}
+
+// Read the Harvest Summary, then close it; resolves with its text lines
+async function closeSummary(page, step) {
+  const content = await page.evaluate(() => window.__pegasusHarvest.summaryContent());
+  const buttons = await page.evaluate(() => {
+    const h = window.__pegasusHarvest;
+    const dialog = h.findHarvestSummaryDialog();
+    if (!dialog) return null;
+    return h.buttons(dialog).map(b =>
+      `text="${h.textOf(b)}", aria="${b.getAttribute('aria-label')}", tooltip="${b.getAttribute('mattooltip')}"`
+    );
+  });
+  if (buttons === null) {
+    throw new Error('Harvest Summary dialog disappeared before it could be closed');
+  }
+  logWithTimestamp('Buttons in Harvest Summary dialog:');
+  buttons.forEach((description, i) => logWithTimestamp(`#${i}: ${description}`));
+
+  const clicked = await page.evaluate(() => {
+    const h = window.__pegasusHarvest;
+    return h.clickIfEnabled(h.findCloseButton(h.findHarvestSummaryDialog()));
+  });
+  if (!clicked) {
+    throw new Error('Could not locate an enabled Close button in Harvest Summary dialog');
+  }
+
+  await waitFor(page, 'Harvest Summary dialog to close',
+    () => !window.__pegasusHarvest.findHarvestSummaryDialog(), step.remaining());
+  return content;
+}
+
+// ---- Cancellation ----
+
+async function attemptCancel(page, timings) {
+  logWithTimestamp('Attempting to cancel harvest with multiple strategies...');
+
+  try {
+    const status = await page.evaluate(() => window.__pegasusHarvest.harvestStatus());
+    if (!status.busy && !status.active) {
+      logWithTimestamp('No harvest in progress, nothing to cancel');
+      return true;
+    }
+
+    for (const strategy of CANCEL_STRATEGIES) {
+      const clicked = await page.evaluate(name => {
+        const h = window.__pegasusHarvest;
+        return h.clickIfEnabled(h.findCancelControl(name));
+      }, strategy.name);
+      if (!clicked) continue;
+
+      logWithTimestamp(`${strategy.label} clicked`);
+      try {
+        await waitFor(page, 'the harvest to return to idle',
+          () => !window.__pegasusHarvest.harvestStatus().busy, timings.cancelWait);
+        logWithTimestamp('Cancellation confirmed, harvester is idle');
+        return true;
+      } catch (error) {
+        logWithTimestamp(`Harvester still busy after ${strategy.label}`);
+      }
+    }
+  } catch (error) {
+    logWithTimestamp(`Cancel failed: ${error.message}`);
+    return false;
+  }
+
+  logWithTimestamp('No cancel mechanism found or all strategies failed');
+  return false;
+}
+
+// ---- Readiness check (dry run) ----
+
+// Every check walks the real UI up to, but not including, the Start
+// harvesting click. The configuration dialog is closed with Cancel so the
+// Harvester's saved settings stay untouched. `needs` names checks that must
+// have passed first; otherwise the check is skipped.
+const READINESS_CHECKS = [
+  {
+    name: 'ui ready',
+    run: (page, options, step) => checkUi(page, step).then(() => 'no loading indicators, start button present')
+  },
+  {
+    name: 'mode buttons',
+    needs: ['ui ready'],
+    run: async page => {
+      const states = await page.evaluate(() => ['all', 'since last', 'date range'].map(mode => {
+        const btn = window.__pegasusHarvest.findModeButton(mode);
+        return { mode, state: !btn ? 'missing' : (btn.disabled ? 'disabled' : 'ok') };
+      }));
+      const bad = states.filter(entry => entry.state !== 'ok');
+      if (bad.length > 0) {
+        throw new Error(bad.map(entry => `'${entry.mode}' ${entry.state}`).join(', '));
+      }
+      return 'all, since last, date range found and enabled';
+    }
+  },
+  {
+    name: 'date inputs',
+    needs: ['mode buttons'],
+    run: async (page, options, step) => {
+      await selectMode(page, 'date range', step);
+      const values = await setDates(page, options.fromDate, options.toDate, step, options.dateEntry);
+      return `From="${values.from}", To="${values.to}" read back`;
+    }
+  },
+  {
+    name: 'select mode',
+    needs: ['mode buttons'],
+    run: (page, options, step) => selectMode(page, options.mode, step).then(() => `'${options.mode}' selected`)
+  },
+  {
+    name: 'open config',
+    needs: ['ui ready'],
+    run: (page, options, step) => openConfig(page, step).then(() => 'dialog opened, output input found')
+  },
+  {
+    name: 'output dir',
+    needs: ['open config'],
+    run: async (page, options, step) => {
+      await setOutputDir(page, options.harvestDir, step);
+      return `read back "${options.harvestDir}"`;
+    }
+  },
+  {
+    name: 'save button',
+    needs: ['open config'],
+    run: async (page, options, step) => {
+      await waitFor(page, 'enabled Save button', () => {
+        const btn = window.__pegasusHarvest.findSaveButton();
+        return !!btn && !btn.disabled;
+      }, step.remaining());
+      return 'found and enabled (not clicked)';
+    }
+  },
+  {
+    name: 'close config',
+    needs: ['open config'],
+    run: async (page, options, step) => {
+      const clicked = await page.evaluate(() => {
+        const h = window.__pegasusHarvest;
+        return h.clickIfEnabled(h.findDialogCancelButton());
+      });
+      if (!clicked) throw new Error('no enabled Cancel button in the dialog');
+      await waitFor(page, 'Archive Configuration dialog to close',
+        () => !window.__pegasusHarvest.findOutputDirInput(), step.remaining());
+      return 'closed with Cancel, settings unchanged';
+    }
+  },
+  {
+    name: 'start button',
+    needs: ['ui ready'],
+    run: async (page, options, step) => {
+      await waitFor(page, 'enabled Start harvesting button', () => {
+        const btn = window.__pegasusHarvest.findStartButton();
+        return !!btn && !btn.disabled;
+      }, step.remaining());
+      return 'found and enabled (not clicked)';
+    }
+  }
+];
+
+// Run every readiness check once; resolves with one row per check:
+// { check, status: 'PASS' | 'FAIL' | 'SKIP', detail }
+async function runReadinessCheck(page, runner, options) {
+  const { timings } = options;
+  const rows = [];
+  const passed = new Set();
+
+  for (const check of READINESS_CHECKS) {
+    const missing = (check.needs || []).filter(name => !passed.has(name));
+    if (missing.length > 0) {
+      rows.push({ check: check.name, status: 'SKIP', detail: `needs ${missing.join(', ')}` });
+      continue;
+    }
+    try {
+      const detail = await runner.run(check.name, step => check.run(page, options, step),
+        { timeout: timings.stepTimeout });
+      passed.add(check.name);
+      rows.push({ check: check.name, status: 'PASS', detail });
+    } catch (error) {
+      rows.push({ check: check.name, status: 'FAIL', detail: error.message });
+    }
+  }
+
+  return rows;
+}
+
+// Plain-text table of readiness rows for the console
+function formatReadinessTable(rows) {
+  const width = Math.max(...rows.map(row => row.check.length), 'CHECK'.length) + 2;
+  const lines = [`${'CHECK'.padEnd(width)}RESULT  DETAIL`]
+    .concat(rows.map(row => `${row.check.padEnd(width)}${row.status.padEnd(8)}${row.detail}`));
+  return lines.join('\n');
+}
+
+// Loggers the Harvester lists (see listDevices() in page_helpers.js)
+function listDevices(page) {
+  return page.evaluate(() => window.__pegasusHarvest.listDevices());
+}
+
+// ---- Sequence ----
+
+// Run every step once for one mode, selecting options.device first when
+// several loggers are harvested; throws StepError naming the failed step.
+// The dates read back from the UI are stored on `attempt` as soon as known,
+// the parsed Harvest Summary at the end.
+async function runHarvestSequence(page, runner, options, attempt) {
+  const { mode, harvestDir, fromDate, toDate, dateEntry, timings } = options;
+  const { watcher, throughput, onEvent, onProgress, onThroughput, shouldStop } = options;
+  const ui = { timeout: timings.stepTimeout, retries: timings.stepRetries, retryDelay: timings.retryDelay };
+
+  await runner.run('check ui', step => checkUi(page, step), ui);
+  if (options.device) {
+    await runner.run('select device', step => selectDevice(page, options.device, step), ui);
+  }
+  await runner.run('select mode', step => selectMode(page, mode, step), ui);
+  if (mode === 'date range') {
+    attempt.requestedDates = await runner.run('set dates', step => setDates(page, fromDate, toDate, step, dateEntry), ui);
+  }
+  await runner.run('open config', step => openConfig(page, step), ui);
+  await runner.run('set output dir', step => setOutputDir(page, harvestDir, step), ui);
+  await runner.run('save config', step => saveConfig(page, step), ui);
+  // Not retried: a second click could start a second harvest
+  await runner.run('start harvest', step => startHarvest(page, step), { timeout: timings.stepTimeout });
+  await runner.run('monitor', step => monitorHarvest(page, timings, step,
+    { watcher, throughput, onEvent, onProgress, onThroughput, shouldStop }),
+    { timeout: timings.maxHarvestWait + 5000 });
+  const content = await runner.run('close summary', step => closeSummary(page, step), ui);
+  attempt.summary = parseSummary(content);
+  if (attempt.summary) logWithTimestamp(`Harvest Summary: ${describeSummary(attempt.summary)}`);
+}
+
+// Run the sequence for one mode, retrying the whole sequence after a failure.
+// requestedDates is null for modes where the Harvester picks the range itself;
+// summary is the parsed Harvest Summary (see harvest_summary.js).
+// A harvest stopped through shouldStop, or by aborting the runner, is
+// cancelled and returned with `stopped` set, without further retries.
+async function automateHarvest(page, runner, options) {
+  const { mode, timings } = options;
+  const attempt = { requestedDates: null, summary: null };
+  let lastError = null;
+
+  for (let tryNum = 1; tryNum <= timings.sequenceRetries; tryNum++) {
+    if (tryNum > 1) {
+      logWithTimestamp(`Retry attempt ${tryNum - 1} of ${timings.sequenceRetries - 1} for mode: ${mode}`);
+      await sleep(timings.retryDelay);
+    }
+
+    try {
+      await runHarvestSequence(page, runner, options, attempt);
+      return {
+        success: true,
+        requestedDates: attempt.requestedDates,
+        summary: attempt.summary,
+        message: `Harvest sequence completed with mode: ${mode} (attempt ${tryNum})`
+      };
+    } catch (error) {
+      lastError = error instanceof StepError ? error : new StepError('unknown', error.message, error);
+      logWithTimestamp(`Attempt ${tryNum} failed with mode '${mode}' at step '${lastError.step}': ${lastError.message}`);
+      await attemptCancel(page, timings);
+      if (lastError.cause instanceof HarvestStoppedError || lastError.cause instanceof StepAbortedError) {
+        return {
+          success: false,
+          stopped: true,
+          requestedDates: attempt.requestedDates,
+          failedStep: lastError.step,
+          error: `Harvest stopped: ${lastError.message}`
+        };
+      }
+    }
+  }
+
+  return {
+    success: false,
+    requestedDates: attempt.requestedDates,
+    failedStep: lastError.step,
+    error: `Failed to complete harvest with mode '${mode}' after ${timings.sequenceRetries} attempts ` +
+      `(last failure at step '${lastError.step}': ${lastError.message})`
+  };
+}
+
+module.exports = {
+  HarvestStoppedError,
+  attemptCancel,
+  automateHarvest,
+  formatReadinessTable,
+  listDevices,
+  monitorHarvest,
+  runReadinessCheck,
+  selectDevice
+};
@@ -0,0 +1,177 @@
+const { splitLine } = require('./text');
+
+/**
+ * Harvest Summary parsing
+ *
+ * Before the Harvest Summary dialog is closed its text is read as lines
+ * (summaryContent() in page_helpers.js), e.g. "Files written: 3",
+ * "Records: 1,204", "Channels: HHZ, HHN", "Time span: <start> to <end>",
+ * "Warning: ...". parseSummary() turns them into:
+ *
+ *   { title, files, records, channels, stations, channelIds, stationIds,
+ *     from, to, warnings: { count, messages }, errors: { count, messages }, lines }
+ *
+ * Counts are null when the dialog does not show them; channels and stations
+ * listed by name are counted, with the names in channelIds/stationIds. Lines
+ * that fit nothing stay in `lines` with all the others.
+ *
+ * Only labelled fields ("Errors: 2", "Error: <message>") and lines that
+ * count errors or report a failure ("Completed with 2 errors", "Status:
+ * Failed") are errors; "Completed without errors" and "0 errors" are not.
+ * Warnings are read the same way.
+ *
+ * judgeSummary() then overrules a completed harvest: errors in the summary
+ * fail the attempt and zero records make it a no-data attempt, whatever
+ * files the directory holds.
+ */
+
+const COUNT_FIELDS = [
+  { key: 'files', pattern: /\bfiles?\b/i },
+  { key: 'records', pattern: /\brecords?\b/i },
+  { key: 'channels', pattern: /\bchannels?\b/i, ids: 'channelIds' },
+  { key: 'stations', pattern: /\bstations?\b/i, ids: 'stationIds' }
+];
+const DATE_PATTERN = /\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?Z?)?/g;
+
+// Patterns for lines about errors or warnings (`words`, a regex alternation):
+// any mention, a negation or zero count ("without errors", "0 errors") and
+// a count ("2 errors")
+function messagePatterns(words) {
+  return {
+    any: new RegExp(`\\b(?:${words})\\b`, 'i'),
+    none: new RegExp(`\\b(?:no|without|zero|0)\\s+(?:${words})\\b`, 'i'),
+    counted: new RegExp(`\\b(\\d[\\d,]*)\\s+(?:${words})\\b`, 'i')
+  };
+}
+
+const ERRORS = messagePatterns('errors?|fail(?:ed|ures?)?');
+const WARNINGS = messagePatterns('warn(?:ings?)?');
+
+// "1,204", "1.204", "1 204" or "1'204" -> 1204; null unless the text is only
+// a whole count. Separators must group digits in threes, so "12.5" is null
+function parseCount(text) {
+  const trimmed = text.trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed);
+  return /^\d{1,3}([,.' ])\d{3}(?:\1\d{3})*$/.test(trimmed) ? Number(trimmed.replace(/\D/g, '')) : null;
+}
+
+// A line that mentions errors (or warnings, `patterns`) into `target`
+// ({ count, messages }). On a labelled field "Errors: 2" sets the count,
+// "Errors: none" means zero and "Error: <text>" is a message. Elsewhere
+// "No errors", "without errors" and "0 errors" mean zero, "Completed with
+// 2 errors" sets the count and any other line ("Status: Failed") is a message
+function addMessage(target, patterns, line, label, value) {
+  let count = null;
+  if (label !== line.trim() && patterns.any.test(label)) {
+    count = /^(none|no|n\/a|-)$/i.test(value) ? 0 : (value ? parseCount(value) : null);
+  } else if (patterns.none.test(line)) {
+    return;
+  } else {
+    const counted = line.match(patterns.counted);
+    if (counted) count = parseCount(counted[1]);
+  }
+
+  if (count !== null) {
+    target.count = Math.max(target.count, count);
+  } else {
+    target.messages.push(line);
+    target.count = Math.max(target.count, target.messages.length);
+  }
+}
+
+// `content` is { title, lines } from the page, or null if the dialog was gone
+function parseSummary(content) {
+  if (!content) return null;
+  const summary = {
+    title: content.title || null,
+    files: null,
+    records: null,
+    channels: null,
+    stations: null,
+    channelIds: null,
+    stationIds: null,
+    from: null,
+    to: null,
+    warnings: { count: 0, messages: [] },
+    errors: { count: 0, messages: [] },
+    lines: content.lines
+  };
+
+  content.lines.forEach(line => {
+    const { label, value } = splitLine(line);
+
+    if (ERRORS.any.test(line)) {
+      addMessage(summary.errors, ERRORS, line, label, value);
+      return;
+    }
+    if (WARNINGS.any.test(line)) {
+      addMessage(summary.warnings, WARNINGS, line, label, value);
+      return;
+    }
+
+    const dates = line.match(DATE_PATTERN) || [];
+    if (dates.length >= 2) {
+      summary.from = dates[0];
+      summary.to = dates[dates.length - 1];
+      return;
+    }
+    if (dates.length === 1) {
+      if (/\b(start|begin|first|from)\b/i.test(label)) summary.from = dates[0];
+      else if (/\b(end|last|until|to)\b/i.test(label)) summary.to = dates[0];
+      return;
+    }
+
+    const field = COUNT_FIELDS.find(f => f.pattern.test(label));
+    if (!field) return;
+    const count = value ? parseCount(value) : null;
+    const inline = value ? null : line.match(/\b(\d[\d,]*)\b/); // "3 files written"
+    if (count !== null) {
+      summary[field.key] = count;
+    } else if (value && field.ids) {
+      summary[field.ids] = value.split(/[,;\s]+/).filter(Boolean);
+      summary[field.key] = summary[field.ids].length;
+    } else if (inline) {
+      summary[field.key] = parseCount(inline[1]);
+    }
+  });
+
+  return summary;
+}
+
+// { result: 'FAILED' | 'NO_DATA', reason } if the summary overrules a
+// completed harvest, otherwise null
+function judgeSummary(summary) {
+  if (!summary) return null;
+  if (summary.errors.count > 0) {
+    const detail = summary.errors.messages.length > 0 ? `: ${summary.errors.messages.join('; ')}` : '';
+    return { result: 'FAILED', reason: `Harvest Summary reports ${summary.errors.count} error(s)${detail}` };
+  }
+  if (summary.records === 0) {
+    return { result: 'NO_DATA', reason: 'Harvest Summary reports zero records' };
+  }
+  if (summary.records === null && summary.files === 0) {
+    return { result: 'NO_DATA', reason: 'Harvest Summary reports zero files' };
+  }
+  return null;
+}
+
+// One line for the log
+function describeSummary(summary) {
+  const count = (value, name) => (value !== null ? `${value} ${name}` : null);
+  const parts = [
+    count(summary.files, 'files'),
+    count(summary.records, 'records'),
+    count(summary.channels, 'channels'),
+    count(summary.stations, 'stations'),
+    summary.from || summary.to ? `${summary.from || '?'} to ${summary.to || '?'}` : null,
+    `${summary.warnings.count} warnings`,
+    `${summary.errors.count} errors`
+  ];
+  return parts.filter(Boolean).join(', ');
+}
+
+module.exports = {
+  describeSummary,
+  judgeSummary,
+  parseSummary
+};
@@ -0,0 +1,163 @@
+const { logWithTimestamp } = require('./log');
+
+/**
+ * Event-driven harvest monitoring
+ *
+ * A MutationObserver in the page (watch() in page_helpers.js) sends every
+ * change of the harvest status to Node through a function exposed with
+ * page.exposeFunction, so completion, error dialogs and stalls are seen when
+ * they happen instead of at the next poll. Consecutive statuses are turned
+ * into events, each with the `time` (ms) of the transition and `via`:
+ *
+ *   progress  { percentage, source }   the percentage changed
+ *   activity  { active, busy }         the harvest started or went idle
+ *   dialog    { title, open }          a dialog opened or closed
+ *   summary   {}                       the Harvest Summary dialog appeared
+ *   error     { text }                 an error dialog appeared
+ *
+ * Where no function can be exposed (or the page helpers predate watch()),
+ * the watcher polls harvestStatus() every pollInterval instead and reports
+ * the differences as the same events, with `via` set to 'poll'.
+ */
+
+// Events for the difference between two harvestStatus() snapshots
+function diffStatus(previous, current, via) {
+  const time = current.time || Date.now();
+  const event = (type, fields) => Object.assign({ time, type, via }, fields);
+  const events = [];
+
+  const before = previous.dialogs || [];
+  const after = current.dialogs || [];
+  after.filter(title => !before.includes(title))
+    .forEach(title => events.push(event('dialog', { title, open: true })));
+  before.filter(title => !after.includes(title))
+    .forEach(title => events.push(event('dialog', { title, open: false })));
+
+  if (current.active !== previous.active || current.busy !== previous.busy) {
+    events.push(event('activity', { active: current.active, busy: current.busy }));
+  }
+  if (current.percentage !== null && current.percentage !== previous.percentage) {
+    events.push(event('progress', { percentage: current.percentage, source: current.source }));
+  }
+  if (current.error !== null && current.error !== previous.error) {
+    events.push(event('error', { text: current.error }));
+  }
+  if (current.summary && !previous.summary) {
+    events.push(event('summary', {}));
+  }
+  return events;
+}
+
+class HarvestWatcher {
+  constructor(page, { pollInterval = 5000 } = {}) {
+    this.page = page;
+    this.pollInterval = pollInterval;
+    // A fresh name per run: a binding left on a long-lived Harvester page by
+    // an earlier run cannot be taken over
+    this.binding = `__pegasusHarvestEvent_${process.pid}_${Date.now().toString(36)}`;
+    this.exposed = false;
+    this.mode = null; // 'observer' or 'poll' while started
+    this.session = 0; // Counts start() calls
+    this.status = null;
+    this.queue = [];
+    this.waiter = null;
+    this.pollTimer = null;
+  }
+
+  // Expose the binding once per page; without it start() falls back to polling
+  async attach() {
+    try {
+      await this.page.exposeFunction(this.binding, status => this.receive(status, 'observer'));
+      this.exposed = true;
+    } catch (error) {
+      logWithTimestamp(`WARNING: Cannot receive page events (${error.message}), progress will be polled`);
+    }
+  }
+
+  // Start watching; resolves with the current status. A monitor step that
+  // times out keeps running until its next wake-up, so it passes its
+  // `session` to stop() and cannot end the watching of the next step.
+  async start() {
+    await this.stop();
+    this.session++;
+    this.queue = [];
+    if (this.exposed) {
+      try {
+        this.status = await this.page.evaluate(binding => window.__pegasusHarvest.watch(binding), this.binding);
+        this.mode = 'observer';
+        return this.status;
+      } catch (error) {
+        logWithTimestamp(`WARNING: Page observer not available (${error.message}), progress will be polled`);
+      }
+    }
+    this.status = await this.poll();
+    this.mode = 'poll';
+    this.schedulePoll();
+    return this.status;
+  }
+
+  // Stop watching; never throws
+  async stop(session) {
+    if (session !== undefined && session !== this.session) return;
+    const wasObserving = this.mode === 'observer';
+    this.mode = null;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    if (this.waiter) this.waiter(null);
+    if (wasObserving) {
+      try {
+        await this.page.evaluate(() => window.__pegasusHarvest.unwatch());
+      } catch (error) {
+        // Page gone or reloaded, the observer went with it
+      }
+    }
+  }
+
+  async poll() {
+    const status = await this.page.evaluate(() => window.__pegasusHarvest.harvestStatus());
+    return Object.assign({ time: Date.now() }, status);
+  }
+
+  schedulePoll() {
+    this.pollTimer = setTimeout(() => {
+      this.poll()
+        .then(status => this.receive(status, 'poll'))
+        .catch(error => logWithTimestamp(`Progress polling error: ${error.message}`))
+        .then(() => {
+          if (this.mode === 'poll') this.schedulePoll();
+        });
+    }, this.pollInterval);
+  }
+
+  receive(status, via) {
+    if (this.mode === null || this.status === null) return;
+    const events = diffStatus(this.status, status, via);
+    this.status = status;
+    events.forEach(event => {
+      if (this.waiter) {
+        this.waiter(event);
+      } else {
+        this.queue.push(event);
+      }
+    });
+  }
+
+  // Next event, or null if none arrives within `timeout` ms
+  next(timeout) {
+    if (this.queue.length > 0) return Promise.resolve(this.queue.shift());
+    return new Promise(resolve => {
+      const timer = setTimeout(() => done(null), timeout);
+      const done = event => {
+        clearTimeout(timer);
+        this.waiter = null;
+        resolve(event);
+      };
+      this.waiter = done;
+    });
+  }
+}
+
+module.exports = {
+  HarvestWatcher,
+  diffStatus
+};
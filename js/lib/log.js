@@ -0,0 +1,7 @@
+// Timestamped console logging shared by the harvest scripts and their modules
+function logWithTimestamp(message) {
+  const timestamp = new Date().toISOString();
+  console.log(`${timestamp} - ${message}`);
+}
+
+module.exports = { logWithTimestamp };
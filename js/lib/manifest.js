@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logWithTimestamp } = require('./log');
+
+/**
+ * Checksummed harvest manifest
+ *
+ * Lists every file below the harvest directory with size, SHA-256 and mtime,
+ * and classifies each file against the manifests of previous runs:
+ *
+ *   new        - content and path not seen before
+ *   duplicate  - identical content already collected by an earlier run
+ *   grown      - path seen before with a smaller size (earlier copy was partial)
+ *   shrunk     - path seen before with a larger size (this copy may be truncated)
+ *   changed    - path seen before with the same size but different content
+ *
+ * A harvest counts as successful only if it brought new or grown files.
+ * Previous manifests come from a history directory (kept in STATE_DIR so it
+ * survives EXECUTE=clear) or, without one, from sibling harvest directories.
+ * Only manifests of successful runs are compared against. The per-channel
+ * time span found in the data is kept in `coverage`, so the next run can
+ * tell where its since-last window should start.
+ */
+
+const MANIFEST_FILE = 'harvest_manifest.json';
+const MANIFEST_VERSION = 1;
+const HISTORY_KEEP = 90; // Manifests kept in the history directory
+const NEW_DATA_STATUSES = ['new', 'grown'];
+
+// Every regular file below the directory, relative path and size, sorted by path.
+// Entries in `exclude` (files or whole directories) are left out, as a path
+// relative to the directory or as a name at any depth, so the run artifacts
+// in the per-logger subdirectories (see devices.js) are left out too.
+function listFiles(directory, exclude = []) {
+  const files = [];
+  const walk = relDir => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(directory, relDir), { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    for (const entry of entries) {
+      const relPath = relDir ? path.join(relDir, entry.name) : entry.name;
+      if (exclude.includes(relPath) || exclude.includes(entry.name)) continue;
+      if (entry.isDirectory()) {
+        walk(relPath);
+      } else if (entry.isFile()) {
+        const stats = fs.statSync(path.join(directory, relPath));
+        files.push({ path: relPath, size: stats.size, modified: stats.mtime.toISOString() });
+      }
+    }
+  };
+  walk('');
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function readManifest(file) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(manifest.files) ? manifest : null;
+  } catch (error) {
+    logWithTimestamp(`WARNING: Ignoring unreadable manifest ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+// Manifests of earlier successful runs, oldest first; never the current run
+function loadPreviousManifests(harvestDir, historyDir) {
+  const current = path.resolve(harvestDir);
+  let files;
+  if (historyDir) {
+    files = fs.existsSync(historyDir)
+      ? fs.readdirSync(historyDir).filter(name => name.endsWith('.json')).map(name => path.join(historyDir, name))
+      : [];
+  } else {
+    const parent = path.dirname(current);
+    files = fs.readdirSync(parent, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(parent, entry.name, MANIFEST_FILE))
+      .filter(file => fs.existsSync(file));
+  }
+
+  return files
+    .map(readManifest)
+    .filter(manifest => manifest && manifest.runStatus === 'success')
+    .filter(manifest => path.resolve(manifest.harvestDir || '') !== current)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+// Latest end time per channel over the previous successful runs, from the
+// `coverage` section their manifests carry (see coverage.js)
+function previousCoverageEnd(harvestDir, historyDir) {
+  const ends = {};
+  loadPreviousManifests(harvestDir, historyDir).forEach(manifest => {
+    Object.keys(manifest.coverage || {}).forEach(id => {
+      const end = manifest.coverage[id].end;
+      if (!ends[id] || end > ends[id]) ends[id] = end;
+    });
+  });
+  return ends;
+}
+
+// Data rate and earliest data seen, from previous successful runs whose
+// manifests carry coverage; used to project how much a harvest will bring.
+// bytesPerSecond is null when no previous run can tell.
+function estimateVolume(harvestDir, historyDir) {
+  let bytes = 0;
+  let seconds = 0;
+  let earliestStart = null;
+  loadPreviousManifests(harvestDir, historyDir).forEach(manifest => {
+    const spans = Object.values(manifest.coverage || {});
+    if (spans.length === 0) return;
+    const start = spans.reduce((min, span) => (span.start < min ? span.start : min), spans[0].start);
+    const end = spans.reduce((max, span) => (span.end > max ? span.end : max), spans[0].end);
+    const span = (Date.parse(end) - Date.parse(start)) / 1000;
+    if (span > 0 && manifest.summary) {
+      bytes += manifest.summary.totalBytes;
+      seconds += span;
+    }
+    if (!earliestStart || start < earliestStart) earliestStart = start;
+  });
+  return { bytesPerSecond: seconds > 0 ? bytes / seconds : null, earliestStart };
+}
+
+// Classify one file against the lookups built from previous manifests
+function classify(file, byHash, byPath) {
+  const sameContent = byHash.get(file.sha256);
+  if (sameContent) {
+    return { status: 'duplicate', previous: sameContent };
+  }
+  const samePath = byPath.get(file.path);
+  if (!samePath) {
+    return { status: 'new', previous: null };
+  }
+  if (file.size > samePath.size) return { status: 'grown', previous: samePath };
+  if (file.size < samePath.size) return { status: 'shrunk', previous: samePath };
+  return { status: 'changed', previous: samePath };
+}
+
+// Build the manifest for harvestDir; `exclude` lists paths (files or whole
+// directories) that are not harvest data, e.g. the run report
+async function buildManifest(harvestDir, { exclude = [], historyDir = null } = {}) {
+  const previous = loadPreviousManifests(harvestDir, historyDir);
+  const byHash = new Map();
+  const byPath = new Map();
+  previous.forEach(manifest => manifest.files.forEach(file => {
+    const ref = { run: path.basename(manifest.harvestDir || ''), path: file.path, size: file.size };
+    byHash.set(file.sha256, ref);
+    byPath.set(file.path, ref); // later runs overwrite earlier ones
+  }));
+
+  const files = [];
+  for (const file of listFiles(harvestDir, exclude.concat([MANIFEST_FILE]))) {
+    const sha256 = await sha256File(path.join(harvestDir, file.path));
+    const entry = { path: file.path, size: file.size, sha256, mtime: file.modified };
+    files.push(Object.assign(entry, classify(entry, byHash, byPath)));
+  }
+
+  const counts = { new: 0, grown: 0, shrunk: 0, changed: 0, duplicate: 0 };
+  files.forEach(file => { counts[file.status]++; });
+
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    harvestDir: path.resolve(harvestDir),
+    createdAt: new Date().toISOString(),
+    runStatus: null,
+    coverage: null,
+    comparedRuns: previous.length,
+    summary: Object.assign({
+      files: files.length,
+      totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+      newData: files.filter(file => NEW_DATA_STATUSES.includes(file.status)).length
+    }, counts),
+    files
+  };
+}
+
+function describeManifest(manifest) {
+  const s = manifest.summary;
+  return `${s.files} files (${s.new} new, ${s.grown} grown, ${s.shrunk} shrunk, ` +
+    `${s.changed} changed, ${s.duplicate} duplicate) compared with ${manifest.comparedRuns} previous runs`;
+}
+
+// Write the manifest into the harvest directory. Manifests of successful runs
+// are also copied into the history directory as <historyName>.json (default:
+// the harvest directory's name), pruning the oldest copies. Never throws.
+function writeManifest(manifest, { historyDir = null, historyName = null, runStatus }) {
+  try {
+    manifest.runStatus = runStatus;
+    const target = path.join(manifest.harvestDir, MANIFEST_FILE);
+    fs.writeFileSync(target, JSON.stringify(manifest, null, 2) + '\n');
+    logWithTimestamp(`Manifest written to ${target}`);
+
+    if (historyDir && runStatus === 'success') {
+      fs.mkdirSync(historyDir, { recursive: true });
+      fs.copyFileSync(target, path.join(historyDir, `${historyName || path.basename(manifest.harvestDir)}.json`));
+      const kept = fs.readdirSync(historyDir).filter(name => name.endsWith('.json')).sort();
+      kept.slice(0, Math.max(kept.length - HISTORY_KEEP, 0))
+        .forEach(name => fs.unlinkSync(path.join(historyDir, name)));
+    }
+  } catch (error) {
+    logWithTimestamp(`WARNING: Could not write manifest: ${error.message}`);
+  }
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  NEW_DATA_STATUSES,
+  buildManifest,
+  describeManifest,
+  estimateVolume,
+  listFiles,
+  previousCoverageEnd,
+  writeManifest
+};
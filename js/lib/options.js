@@ -0,0 +1,340 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_TIMEZONE, normalizeTimezone, parseDateSafe } = require('./dates');
+
+/**
+ * Command-line options for pegasus_harvest.js
+ *
+ * Each option can come from, in order of precedence: a named flag, the legacy
+ * positional arguments, an environment variable, a KEY=value config file in
+ * the config/config.defaults format (--config, repeatable, later files win),
+ * or its default. parseOptions() never exits; it returns every problem found
+ * so the caller can report them all at once.
+ */
+
+const HARVEST_MODES = ['all', 'since last', 'date range'];
+// Fallback chain as it was hardcoded before: the configured mode twice, then
+// date range, then everything
+const DEFAULT_FALLBACK = 'initial:2, date range:1, all:1';
+
+const OPTIONS = [
+  { flag: 'out', key: 'harvestDir', env: 'HARVEST_DIR', arg: '<dir>',
+    description: 'Directory the Harvester writes the data into (required)' },
+  { flag: 'mode', key: 'mode', env: 'HARVEST_MODE', arg: '<mode>', default: 'since last',
+    description: `Initial harvest mode: ${HARVEST_MODES.join(' | ')}` },
+  { flag: 'from', key: 'fromDate', env: 'FROM_DATE', arg: '<date>', default: '2026-01-04T00:00:00',
+    description: 'Start of the date range, YYYY-MM-DDTHH:MM:SS' },
+  { flag: 'to', key: 'toDate', env: 'TO_DATE', arg: '<date>', default: '2050-01-01T23:59:59',
+    description: 'End of the date range, YYYY-MM-DDTHH:MM:SS' },
+  { flag: 'timezone', key: 'timezone', env: 'HARVEST_TIMEZONE', arg: '<zone>', default: DEFAULT_TIMEZONE,
+    description: 'Time zone of --from/--to: UTC, an offset such as +13:00, or a name such as Pacific/Auckland' },
+  { flag: 'cdp-url', key: 'cdpUrl', env: 'PEGASUS_CDP_URL', arg: '<url>', default: 'http://localhost:9222',
+    description: 'DevTools endpoint of the running Harvester' },
+  { flag: 'pegasus-bin', key: 'pegasusBin', env: 'PEGASUS_BIN', arg: '<file>',
+    description: 'Launch this Harvester binary on a free DevTools port and shut it down afterwards' },
+  { flag: 'startup-timeout', key: 'startupTimeout', env: 'PEGASUS_STARTUP_TIMEOUT', arg: '<seconds>', default: '60',
+    number: true, description: 'Limit for a launched Harvester to load its page' },
+  { flag: 'lock', key: 'lockFile', env: 'PEGASUS_LOCK_FILE', arg: '<file>',
+    default: path.join(os.tmpdir(), 'pegasus_harvest.lock'),
+    description: 'Session lock, so two runs never drive the same Harvester' },
+  { flag: 'timeout', key: 'timeout', env: 'PEGASUS_TIMEOUT', arg: '<seconds>', number: true,
+    description: 'Limit for one harvest attempt (default: 180)' },
+  { flag: 'profile', key: 'profile', env: 'PEGASUS_UI_PROFILE', arg: '<name>',
+    description: 'Force a selector profile from js/profiles/ instead of detecting it' },
+  { flag: 'manifest-history', key: 'manifestHistory', env: 'PEGASUS_MANIFEST_HISTORY', arg: '<dir>',
+    description: 'Keep manifests of successful runs here to detect duplicates (default: sibling harvest dirs)' },
+  { flag: 'watermark', key: 'watermarkFile', env: 'PEGASUS_WATERMARK_FILE', arg: '<file>',
+    description: 'Keep the end of the verified data here and harvest a date range from it instead of Since Last' },
+  { flag: 'overlap', key: 'overlap', env: 'HARVEST_OVERLAP', arg: '<seconds>', default: '3600', number: true,
+    description: 'Start the watermark range this long before the watermark' },
+  { flag: 'chunk', key: 'chunk', env: 'HARVEST_CHUNK', arg: '<duration>',
+    description: 'Backfill a date range in chunks of this length (e.g. 1d, 6h), each into its own subdirectory' },
+  { flag: 'checkpoint', key: 'checkpointFile', env: 'PEGASUS_BACKFILL_CHECKPOINT', arg: '<file>',
+    description: 'Backfill progress, resumed by the next run (default: backfill_checkpoint.json next to --out)' },
+  { flag: 'device-state', key: 'deviceStateFile', env: 'PEGASUS_DEVICE_STATE', arg: '<file>',
+    description: 'Outcome per logger when several are connected (default: pegasus_devices.json next to --out)' },
+  { flag: 'fallback', key: 'fallback', env: 'HARVEST_FALLBACK', arg: '<policy>', default: DEFAULT_FALLBACK,
+    description: 'Modes to try in order, as mode[:tries[:time limit]]; "initial" is --mode' },
+  { flag: 'max-bytes', key: 'maxBytes', env: 'HARVEST_MAX_BYTES', arg: '<size>',
+    description: 'Data budget for the run (e.g. 500M); stops or skips attempts projected to exceed it' },
+  { flag: 'max-duration', key: 'maxDuration', env: 'HARVEST_MAX_DURATION', arg: '<duration>',
+    description: 'Time budget for all attempts of the run (e.g. 30m)' },
+  { flag: 'soh-min-voltage', key: 'sohMinVoltage', env: 'SOH_MIN_VOLTAGE', arg: '<volts>', default: '11.5', number: true,
+    description: 'Flag the instrument battery below this voltage (0 = off)' },
+  { flag: 'soh-max-storage', key: 'sohMaxStorage', env: 'SOH_MAX_STORAGE', arg: '<percent>', default: '90', number: true,
+    description: 'Flag the instrument storage at or above this percentage used (0 = off)' },
+  { flag: 'soh-max-clock-offset', key: 'sohMaxClockOffset', env: 'SOH_MAX_CLOCK_OFFSET', arg: '<ms>', number: true,
+    description: 'Flag an instrument clock offset larger than this (default: off)' },
+  { flag: 'dry-run', key: 'dryRun', env: 'PEGASUS_DRY_RUN', boolean: true,
+    description: 'Check every step up to Start harvesting without clicking it, print a readiness table' }
+];
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+
+// Legacy form: <dir> <execute> <waitTime> <afterWait> <mode> <from> <to>.
+// execute, waitTime and afterWait were never used and are ignored.
+const LEGACY_POSITIONS = ['harvestDir', null, null, null, 'mode', 'fromDate', 'toDate'];
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+const MIN_CHUNK_MS = 60000;
+
+// "90", "90s", "15m", "6h", "1d" -> milliseconds; null if unreadable
+function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+  if (!match) return null;
+  return Math.round(Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()]);
+}
+
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+
+// "4096", "500K", "200M", "1.5G" (optionally with a trailing B) -> bytes; null if unreadable
+function parseSize(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i);
+  if (!match) return null;
+  return Math.round(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+// "initial:2, date range:1:5m, all" -> [{ mode, tries, timeLimit }]; mode
+// "initial" stands for the configured mode, timeLimit is ms or null (use
+// --timeout). Problems are pushed to `errors`.
+function parsePolicy(text, errors = []) {
+  const entries = String(text).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [mode, tries = '1', limit] = part.split(':').map(field => field.trim());
+    const entry = { mode, tries: Number(tries), timeLimit: limit ? parseDuration(limit) : null };
+    if (mode !== 'initial' && !HARVEST_MODES.includes(mode)) {
+      errors.push(`Invalid fallback mode "${mode}" (expected: initial | ${HARVEST_MODES.join(' | ')})`);
+    }
+    if (!Number.isInteger(entry.tries) || entry.tries < 1) {
+      errors.push(`Invalid fallback tries "${tries}" for ${mode} (expected a whole number, 1 or more)`);
+    }
+    if (limit && !(entry.timeLimit >= 10000)) {
+      errors.push(`Invalid fallback time limit "${limit}" for ${mode} (expected a duration of at least 10s)`);
+    }
+    return entry;
+  });
+  if (entries.length === 0) errors.push('Fallback policy lists no modes');
+  return entries;
+}
+
+// Read KEY=value lines as written in config/config.defaults; quotes are
+// stripped, comments and blank lines skipped
+function readConfigFile(file) {
+  const values = {};
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+    if (!match) return;
+    let value = match[2].trim();
+    const quoted = value.match(/^"([^"]*)"|^'([^']*)'/);
+    if (quoted) {
+      value = quoted[1] !== undefined ? quoted[1] : quoted[2];
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  });
+  return values;
+}
+
+function usage() {
+  const lines = OPTIONS.map(option => {
+    const flag = option.boolean ? `  --${option.flag}` : `  --${option.flag} ${option.arg}`;
+    const fallback = option.default ? ` (default: ${option.default})` : '';
+    return `${flag.padEnd(30)}${option.description}${fallback} [env ${option.env}]`;
+  });
+  return [
+    'Usage: node pegasus_harvest.js --out <dir> [options]',
+    '',
+    'Options:',
+    ...lines,
+    `${'  --config <file>'.padEnd(30)}Read the keys above (e.g. HARVEST_MODE=...) from a config/config.defaults-style file; repeatable`,
+    `${'  --help'.padEnd(30)}Show this help`,
+    '',
+    'Legacy form (deprecated): node pegasus_harvest.js <dir> <execute> <waitTime> <afterWait> <mode> <from> <to>'
+  ].join('\n');
+}
+
+// Split argv into named flag values, positional arguments and config files
+function readArgv(argv, errors) {
+  const flags = {};
+  const positional = [];
+  const configFiles = [];
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq === -1 ? undefined : eq);
+    if (name === 'help') {
+      help = true;
+      continue;
+    }
+
+    const option = OPTIONS.find(candidate => candidate.flag === name);
+    let value = eq === -1 ? undefined : arg.slice(eq + 1);
+    if (value === undefined && option && option.boolean) {
+      value = 'true';
+    } else if (value === undefined) {
+      if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        value = argv[++i];
+      } else {
+        errors.push(`--${name} needs a value`);
+        continue;
+      }
+    }
+
+    if (name === 'config') {
+      configFiles.push(value);
+    } else if (option) {
+      flags[name] = value;
+    } else {
+      errors.push(`Unknown option --${name}`);
+    }
+  }
+
+  return { flags, positional, configFiles, help };
+}
+
+function validate(options, rawNumbers, errors, warnings) {
+  if (!options.harvestDir) {
+    errors.push('Harvest directory not specified (--out)');
+  } else if (!fs.existsSync(path.dirname(path.resolve(options.harvestDir)))) {
+    errors.push(`Parent directory of harvest path does not exist: ${path.dirname(options.harvestDir)}`);
+  }
+
+  if (!HARVEST_MODES.includes(options.mode)) {
+    errors.push(`Invalid mode "${options.mode}" (expected: ${HARVEST_MODES.join(' | ')})`);
+  }
+
+  const timezone = normalizeTimezone(options.timezone);
+  if (!timezone) {
+    errors.push(`Invalid time zone "${options.timezone}" (expected UTC, an offset such as +13:00 or a name such as Pacific/Auckland)`);
+  } else {
+    options.timezone = timezone;
+  }
+  const from = parseDateSafe(options.fromDate, timezone || DEFAULT_TIMEZONE);
+  const to = parseDateSafe(options.toDate, timezone || DEFAULT_TIMEZONE);
+  if (!from) errors.push(`Invalid from date "${options.fromDate}" (expected YYYY-MM-DDTHH:MM:SS)`);
+  if (!to) errors.push(`Invalid to date "${options.toDate}" (expected YYYY-MM-DDTHH:MM:SS)`);
+  if (from && to && from >= to) {
+    errors.push(`From date ${options.fromDate} must be before to date ${options.toDate}`);
+  } else if (to && to > new Date() && options.mode === 'date range') {
+    warnings.push('To date is in the future');
+  }
+
+  if (!/^https?:\/\/[^\s/]+/.test(options.cdpUrl)) {
+    errors.push(`Invalid DevTools URL "${options.cdpUrl}" (expected http://host:port)`);
+  }
+
+  if (options.pegasusBin !== null && !fs.existsSync(options.pegasusBin)) {
+    errors.push(`Pegasus binary not found: ${options.pegasusBin}`);
+  }
+  if (!(options.startupTimeout > 0)) {
+    errors.push(`Invalid startup timeout "${rawNumbers.startupTimeout}" (expected a positive number of seconds)`);
+  }
+
+  if (options.timeout !== null && !(options.timeout > 0)) {
+    errors.push(`Invalid timeout "${rawNumbers.timeout}" (expected a positive number of seconds)`);
+  }
+  if (options.chunk !== null) {
+    const chunkMs = parseDuration(options.chunk);
+    if (chunkMs === null || chunkMs < MIN_CHUNK_MS) {
+      errors.push(`Invalid chunk "${options.chunk}" (expected a duration of at least 1m, e.g. 6h or 1d)`);
+    } else if (options.mode !== 'date range') {
+      warnings.push(`--chunk only applies to mode "date range", ignored for "${options.mode}"`);
+    }
+  }
+  parsePolicy(options.fallback, errors);
+  if (options.maxBytes !== null && !(parseSize(options.maxBytes) > 0)) {
+    errors.push(`Invalid max bytes "${options.maxBytes}" (expected a size such as 500M)`);
+  }
+  if (options.maxDuration !== null && !(parseDuration(options.maxDuration) > 0)) {
+    errors.push(`Invalid max duration "${options.maxDuration}" (expected a duration such as 30m)`);
+  }
+  if (!(options.sohMinVoltage >= 0)) {
+    errors.push(`Invalid SOH minimum voltage "${rawNumbers.sohMinVoltage}" (expected volts, 0 or more)`);
+  }
+  if (!(options.sohMaxStorage >= 0 && options.sohMaxStorage <= 100)) {
+    errors.push(`Invalid SOH maximum storage "${rawNumbers.sohMaxStorage}" (expected a percentage, 0 to 100)`);
+  }
+  if (options.sohMaxClockOffset !== null && !(options.sohMaxClockOffset > 0)) {
+    errors.push(`Invalid SOH maximum clock offset "${rawNumbers.sohMaxClockOffset}" (expected a positive number of milliseconds)`);
+  }
+  if (!(options.overlap >= 0)) {
+    errors.push(`Invalid overlap "${rawNumbers.overlap}" (expected a number of seconds, 0 or more)`);
+  }
+}
+
+// Returns { options, errors, warnings, help, legacy }
+function parseOptions(argv, env = process.env) {
+  const errors = [];
+  const warnings = [];
+  const { flags, positional, configFiles, help } = readArgv(argv, errors);
+
+  const legacy = positional.length > 0 && Object.keys(flags).length === 0;
+  const legacyValues = {};
+  if (legacy) {
+    if (positional.length > LEGACY_POSITIONS.length) {
+      errors.push(`Too many positional arguments (${positional.length}, at most ${LEGACY_POSITIONS.length})`);
+    }
+    positional.forEach((value, i) => {
+      if (LEGACY_POSITIONS[i] && value !== '') legacyValues[LEGACY_POSITIONS[i]] = value;
+    });
+    warnings.push('Positional arguments are deprecated, use --out/--mode/--from/--to (see --help)');
+  } else if (positional.length > 0) {
+    errors.push(`Unexpected argument(s) next to named options: ${positional.join(' ')}`);
+  }
+
+  const fileValues = {};
+  configFiles.forEach(file => {
+    try {
+      Object.assign(fileValues, readConfigFile(file));
+    } catch (error) {
+      errors.push(`Cannot read config file ${file}: ${error.message}`);
+    }
+  });
+
+  const options = {};
+  const sources = {};
+  OPTIONS.forEach(option => {
+    const candidates = [
+      ['flag', flags[option.flag]],
+      ['positional', legacyValues[option.key]],
+      ['env', env[option.env]],
+      ['config', fileValues[option.env]]
+    ];
+    const found = candidates.find(([, value]) => value !== undefined && value !== '');
+    options[option.key] = found ? found[1] : (option.default !== undefined ? option.default : null);
+    sources[option.key] = found ? found[0] : 'default';
+  });
+
+  const rawNumbers = {};
+  OPTIONS.filter(option => option.number).forEach(option => {
+    rawNumbers[option.key] = options[option.key];
+    options[option.key] = options[option.key] === null ? null : Number(options[option.key]);
+  });
+  OPTIONS.filter(option => option.boolean).forEach(option => {
+    options[option.key] = TRUE_VALUES.includes(String(options[option.key]).toLowerCase());
+  });
+  options.configFiles = configFiles;
+  options.sources = sources;
+
+  if (!help) validate(options, rawNumbers, errors, warnings);
+
+  return { options, errors, warnings, help, legacy };
+}
+
+module.exports = {
+  HARVEST_MODES,
+  parseDuration,
+  parsePolicy,
+  parseSize,
+  parseOptions,
+  readConfigFile,
+  usage
+};
@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+
+// DOM helpers installed into the Harvester page as window.__pegasusHarvest.
+// definePegasusHelpers() is serialized by Puppeteer and runs in the browser,
+// so it must not reference anything outside its own body. Selectors and UI
+// text come from the active selector profile (see profiles.js).
+//
+// The Harvester page can stay open between runs, so helpers may already be
+// there: from another profile or an older version of this file. They are
+// only kept when both match (`version` is a hash of this function), which
+// also keeps a watch() that is running when the helpers are installed again.
+function definePegasusHelpers(profile, version) {
+  const installed = window.__pegasusHarvest;
+  if (installed && installed.version === version && installed.profileName === profile.name) return;
+  if (installed && typeof installed.unwatch === 'function') installed.unwatch();
+
+  const selectors = profile.selectors;
+  const text = profile.text;
+
+  function textOf(element) {
+    return ((element && element.textContent) || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function buttons(root) {
+    return Array.from((root || document).querySelectorAll('button'));
+  }
+
+  function tooltipOf(element) {
+    return (element.getAttribute('mattooltip') || '').toLowerCase();
+  }
+
+  function findModeButton(mode) {
+    const selector = {
+      'all': selectors.allBtn,
+      'since last': selectors.sinceLastBtn,
+      'date range': selectors.dateRangeBtn
+    }[mode];
+    return selector ? document.querySelector(selector) : null;
+  }
+
+  function findDateInputs() {
+    const strategies = [
+      () => {
+        const from = document.querySelector(selectors.fromDateInput);
+        const to = document.querySelector(selectors.toDateInput);
+        return from && to ? [from, to] : null;
+      },
+      () => {
+        const from = document.querySelector('input[placeholder*="from" i], input[placeholder*="start" i]');
+        const to = document.querySelector('input[placeholder*="to" i], input[placeholder*="end" i]');
+        return from && to ? [from, to] : null;
+      },
+      () => {
+        const dateInputs = Array.from(document.querySelectorAll('input[type="date"], input[type="datetime-local"]'));
+        return dateInputs.length >= 2 ? [dateInputs[0], dateInputs[1]] : null;
+      },
+      () => {
+        const matInputs = Array.from(document.querySelectorAll('mat-datepicker-input, input[matdatepicker]'));
+        return matInputs.length >= 2 ? [matInputs[0], matInputs[1]] : null;
+      }
+    ];
+
+    for (const strategy of strategies) {
+      try {
+        const result = strategy();
+        if (result) return result;
+      } catch (e) {
+        // try the next strategy
+      }
+    }
+    return null;
+  }
+
+  // Separate time inputs next to date-only pickers: the profile's
+  // fromTimeInput and toTimeInput, or the first two time inputs
+  function findTimeInputs() {
+    const from = selectors.fromTimeInput ? document.querySelector(selectors.fromTimeInput) : null;
+    const to = selectors.toTimeInput ? document.querySelector(selectors.toTimeInput) : null;
+    if (from && to) return [from, to];
+    const timeInputs = Array.from(document.querySelectorAll('input[type="time"]'));
+    return timeInputs.length >= 2 ? [timeInputs[0], timeInputs[1]] : null;
+  }
+
+  // The date (and time) inputs as the page holds them: types, values, the
+  // page's time zone and whether the UI marked a value invalid (aria-invalid,
+  // or Angular's ng-invalid once it failed to parse)
+  function dateInputState() {
+    const dates = findDateInputs();
+    if (!dates) return null;
+    const times = findTimeInputs();
+    const all = dates.concat(times || []);
+    return {
+      zone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      fromType: dates[0].type,
+      toType: dates[1].type,
+      timeType: times ? times[0].type : null,
+      from: dates[0].value,
+      to: dates[1].value,
+      fromTime: times ? times[0].value : null,
+      toTime: times ? times[1].value : null,
+      invalid: all.some(input => input.getAttribute('aria-invalid') === 'true' || input.classList.contains('ng-invalid'))
+    };
+  }
+
+  function setInputValue(input, value) {
+    input.focus();
+    input.value = '';
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    input.dispatchEvent(new Event('blur', { bubbles: true }));
+  }
+
+  function findConfigButton() {
+    return buttons().find(btn =>
+      textOf(btn).toLowerCase().includes(text.configButton) ||
+      tooltipOf(btn).includes(text.configButton)
+    ) || null;
+  }
+
+  function findDialogs() {
+    return Array.from(document.querySelectorAll(selectors.dialog));
+  }
+
+  function findHarvestSummaryDialog() {
+    for (const dialog of findDialogs()) {
+      const titleEl = dialog.querySelector(selectors.dialogTitle);
+      const title = (textOf(titleEl) || textOf(dialog)).toLowerCase();
+      if (title.includes(text.summaryTitle)) {
+        return dialog;
+      }
+    }
+    return null;
+  }
+
+  // Text below `root` as lines: one per table row or dt/dd pair
+  // ("label: value") and one per element with text of its own. Buttons,
+  // scripts and the elements `skip` returns true for are left out.
+  function textLines(root, skip) {
+    const lines = [];
+    const pair = (label, value) => [label.replace(/:$/, ''), value].filter(Boolean).join(': ');
+    const visit = element => {
+      if (skip(element) || ['BUTTON', 'DD', 'SCRIPT', 'STYLE'].includes(element.tagName)) return;
+      if (element.tagName === 'TR') {
+        const cells = Array.from(element.children).map(textOf).filter(Boolean);
+        if (cells.length > 0) lines.push(pair(cells[0], cells.slice(1).join(' ')));
+        return;
+      }
+      if (element.tagName === 'DT') {
+        const dd = element.nextElementSibling;
+        lines.push(pair(textOf(element), dd && dd.tagName === 'DD' ? textOf(dd) : ''));
+        return;
+      }
+      const ownText = Array.from(element.childNodes)
+        .some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      if (ownText) {
+        lines.push(textOf(element));
+        return;
+      }
+      Array.from(element.children).forEach(visit);
+    };
+    Array.from(root.children).forEach(visit);
+    return lines.filter(Boolean);
+  }
+
+  // Text of the Harvest Summary dialog as lines for harvest_summary.js,
+  // without its title
+  function summaryContent() {
+    const dialog = findHarvestSummaryDialog();
+    if (!dialog) return null;
+    const titleEl = dialog.querySelector(selectors.dialogTitle);
+    return { title: textOf(titleEl), lines: textLines(dialog, element => element === titleEl) };
+  }
+
+  // Text of the device status area as lines for soh.js: the profile's
+  // sohPanel elements, or the whole page without its dialogs
+  function sohContent() {
+    const panels = selectors.sohPanel ? Array.from(document.querySelectorAll(selectors.sohPanel)) : [];
+    const dialogs = findDialogs();
+    const roots = panels.length > 0 ? panels : [document.body];
+    return {
+      panel: panels.length > 0,
+      lines: roots.reduce((lines, root) => lines.concat(textLines(root, element => dialogs.includes(element))), [])
+    };
+  }
+
+  // Logger entries the Harvester lists, from the profile's optional
+  // deviceItem selector
+  function deviceItems() {
+    return selectors.deviceItem ? Array.from(document.querySelectorAll(selectors.deviceItem)) : [];
+  }
+
+  // Serial of a logger entry: its data-serial attribute, the text of its
+  // deviceSerial element or all of its text
+  function deviceSerial(item) {
+    const serialEl = selectors.deviceSerial ? item.querySelector(selectors.deviceSerial) : null;
+    return item.getAttribute('data-serial') || textOf(serialEl) || textOf(item);
+  }
+
+  function isDeviceSelected(item) {
+    return !!selectors.deviceSelected && item.matches(selectors.deviceSelected);
+  }
+
+  // Loggers for devices.js as { serial, label, selected }, in the order shown
+  function listDevices() {
+    return deviceItems().map(item => ({ serial: deviceSerial(item), label: textOf(item), selected: isDeviceSelected(item) }));
+  }
+
+  function findDevice(serial) {
+    return deviceItems().find(item => deviceSerial(item) === serial) || null;
+  }
+
+  // Title and text of every open dialog, for failure forensics
+  function visibleDialogs() {
+    const dialogs = findDialogs();
+    const errorDialog = findErrorDialog();
+    if (errorDialog && !dialogs.includes(errorDialog)) dialogs.push(errorDialog);
+    return dialogs.map(dialog => ({
+      role: dialog.getAttribute('role'),
+      title: textOf(dialog.querySelector(selectors.dialogTitle)),
+      text: textOf(dialog)
+    }));
+  }
+
+  function findOutputDirInput() {
+    const dialog = findDialogs().find(dlg => dlg !== findHarvestSummaryDialog());
+    return dialog ? dialog.querySelector(selectors.outputDirInput) : null;
+  }
+
+  function findButtonByText(label) {
+    return buttons().find(btn => textOf(btn).toLowerCase() === label.toLowerCase()) || null;
+  }
+
+  function findSaveButton() {
+    return findButtonByText(text.saveButton);
+  }
+
+  // Cancel button of the open (non-summary) dialog, used to close it unsaved
+  function findDialogCancelButton() {
+    const dialog = findDialogs().find(dlg => dlg !== findHarvestSummaryDialog());
+    return dialog
+      ? buttons(dialog).find(btn => textOf(btn).toLowerCase() === text.cancelButton) || null
+      : null;
+  }
+
+  function findStartButton() {
+    return document.querySelector(selectors.startHarvestBtn) ||
+      buttons().find(btn => tooltipOf(btn).includes(text.startTooltip)) ||
+      null;
+  }
+
+  function findCancelButton() {
+    return document.querySelector(selectors.cancelBtn);
+  }
+
+  function findErrorDialog() {
+    return document.querySelector(selectors.errorDialog);
+  }
+
+  function isLoading() {
+    return document.querySelectorAll(selectors.loading).length > 0;
+  }
+
+  function isHarvestProgress(element) {
+    const parent = element.closest(selectors.progressContext);
+    const textContent = ((element.parentElement && element.parentElement.textContent) || '').toLowerCase();
+
+    const hasHarvestContext = text.progressKeywords.some(keyword => textContent.includes(keyword));
+    const hasExcludeContext = text.progressExcludeKeywords.some(keyword => textContent.includes(keyword));
+
+    return (parent !== null || hasHarvestContext) && !hasExcludeContext;
+  }
+
+  function detectProgress() {
+    const progressBars = document.querySelectorAll(selectors.progressBar);
+    for (const bar of progressBars) {
+      const percentText = bar.textContent.match(/(\d+)%/);
+      if (percentText && isHarvestProgress(bar)) {
+        return { percentage: parseInt(percentText[1], 10), source: 'progress-bar' };
+      }
+    }
+
+    const element = Array.from(document.querySelectorAll('*')).find(el => {
+      if (!el.textContent) return false;
+      return /(\d+)%/.test(el.textContent) && isHarvestProgress(el);
+    });
+    if (element) {
+      const match = element.textContent.match(/(\d+)%/);
+      return { percentage: parseInt(match[1], 10), source: 'text-content' };
+    }
+
+    return { percentage: null, source: 'none' };
+  }
+
+  // At least two independent indicators must agree that a harvest is running
+  function isHarvestActive() {
+    const startBtn = findStartButton();
+    const indicators = [
+      !!findCancelButton(),
+      document.querySelectorAll('mat-progress-bar:not([value="0"])').length > 0,
+      !!document.querySelector(selectors.activeIndicator),
+      !startBtn || startBtn.disabled
+    ];
+    return indicators.filter(Boolean).length >= 2;
+  }
+
+  // Snapshot used by the Node-side monitor; must stay JSON-serializable.
+  // `progress` replaces the full-page detectProgress() scan when the caller
+  // already knows the percentage.
+  function harvestStatus(progress) {
+    const startBtn = findStartButton();
+    const errorDialog = findErrorDialog();
+    const current = progress || detectProgress();
+    return {
+      summary: !!findHarvestSummaryDialog(),
+      error: errorDialog ? textOf(errorDialog) : null,
+      percentage: current.percentage,
+      source: current.source,
+      active: isHarvestActive(),
+      busy: !!findCancelButton() || !!(startBtn && startBtn.disabled),
+      dialogs: findDialogs().map(dialog =>
+        textOf(dialog.querySelector(selectors.dialogTitle)) || textOf(dialog).slice(0, 80))
+    };
+  }
+
+  // Innermost elements under `root` whose text holds a percentage
+  function percentElements(root, found) {
+    if (!/\d+%/.test(root.textContent || '')) return found;
+    const before = found.length;
+    Array.from(root.children).forEach(child => percentElements(child, found));
+    if (found.length === before) found.push(root);
+    return found;
+  }
+
+  // Harvest percentage among the nodes touched by `records`, or null. A
+  // changed number is often split from its "%" sign, so each node is widened
+  // to the nearest of its first few ancestors that holds a percentage.
+  function progressIn(records) {
+    for (const bar of document.querySelectorAll(selectors.progressBar)) {
+      const percentText = bar.textContent.match(/(\d+)%/);
+      if (percentText && isHarvestProgress(bar)) {
+        return { percentage: parseInt(percentText[1], 10), source: 'progress-bar' };
+      }
+    }
+
+    const roots = new Set();
+    records.forEach(record => {
+      let element = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+      for (let depth = 0; element && element !== document.body && depth < 4; depth++) {
+        if (/\d+%/.test(element.textContent || '')) {
+          roots.add(element);
+          return;
+        }
+        element = element.parentElement;
+      }
+    });
+    for (const root of roots) {
+      if (!root.isConnected) continue;
+      const element = percentElements(root, []).find(isHarvestProgress);
+      if (element) {
+        return { percentage: parseInt(element.textContent.match(/(\d+)%/)[1], 10), source: 'text-content' };
+      }
+    }
+    return null;
+  }
+
+  let observer = null;
+
+  // Report every change of harvestStatus() to Node by calling the function
+  // exposed as `bindingName` (see harvest_watcher.js) with the new status
+  // and the time of the change. Only the nodes a mutation touched are
+  // searched for the percentage; the last one found is kept until a new one
+  // appears. Returns the current status; a second call replaces the observer.
+  function watch(bindingName) {
+    unwatch();
+    let status = harvestStatus();
+    let sent = JSON.stringify(status);
+    observer = new MutationObserver(records => {
+      const next = harvestStatus(progressIn(records) || { percentage: status.percentage, source: status.source });
+      const serialized = JSON.stringify(next);
+      if (serialized === sent) return;
+      status = next;
+      sent = serialized;
+      try {
+        Promise.resolve(window[bindingName](Object.assign({ time: Date.now() }, next))).catch(() => {});
+      } catch (e) {
+        // The binding is gone (e.g. Node disconnected); nothing to report to
+      }
+    });
+    observer.observe(document, {
+      subtree: true,
+      childList: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['disabled', 'value', 'role', 'aria-valuenow']
+    });
+    return Object.assign({ time: Date.now() }, status);
+  }
+
+  function unwatch() {
+    if (observer) observer.disconnect();
+    observer = null;
+  }
+
+  function findCloseButton(dialog) {
+    return buttons(dialog).find(btn => textOf(btn).toLowerCase() === text.closeButton) ||
+      buttons(dialog).find(btn => {
+        const aria = (btn.getAttribute('aria-label') || '').toLowerCase();
+        return aria === text.closeButton || tooltipOf(btn) === text.closeButton;
+      }) ||
+      null;
+  }
+
+  // Cancel strategies, tried in order by attemptCancel()
+  function findCancelControl(strategy) {
+    if (strategy === 'harvest-button') {
+      return findStartButton() || buttons().find(btn => {
+        const label = textOf(btn).toLowerCase();
+        return label.includes(text.startTooltip) && label.includes('harvest');
+      });
+    }
+    if (strategy === 'cancel') {
+      return findCancelButton() || buttons().find(btn => textOf(btn).toLowerCase().includes(text.cancelButton));
+    }
+    if (strategy === 'stop') {
+      return buttons().find(btn => {
+        const label = textOf(btn).toLowerCase();
+        return text.stopButtons.some(word => label.includes(word));
+      });
+    }
+    return null;
+  }
+
+  function clickIfEnabled(element) {
+    if (!element || element.disabled) return false;
+    element.click();
+    return true;
+  }
+
+  window.__pegasusHarvest = {
+    version,
+    profileName: profile.name,
+    textOf,
+    buttons,
+    findModeButton,
+    findDateInputs,
+    findTimeInputs,
+    dateInputState,
+    setInputValue,
+    findConfigButton,
+    findHarvestSummaryDialog,
+    summaryContent,
+    sohContent,
+    listDevices,
+    findDevice,
+    isDeviceSelected,
+    visibleDialogs,
+    findOutputDirInput,
+    findSaveButton,
+    findDialogCancelButton,
+    findStartButton,
+    findErrorDialog,
+    isLoading,
+    detectProgress,
+    isHarvestActive,
+    harvestStatus,
+    watch,
+    unwatch,
+    findCloseButton,
+    findCancelControl,
+    clickIfEnabled
+  };
+}
+
+const HELPERS_VERSION = crypto.createHash('sha1').update(definePegasusHelpers.toString()).digest('hex').slice(0, 12);
+
+// Install the helpers now and on every future document load of the page
+async function installPageHelpers(page, profile) {
+  await page.evaluateOnNewDocument(definePegasusHelpers, profile, HELPERS_VERSION);
+  await page.evaluate(definePegasusHelpers, profile, HELPERS_VERSION);
+}
+
+module.exports = { installPageHelpers };
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { writeJsonAtomic } = require('./files');
+const { logWithTimestamp } = require('./log');
+
+/**
+ * Pegasus Harvester process lifecycle
+ *
+ * With --pegasus-bin, pegasus_harvest.js starts the Harvester itself instead
+ * of connecting to one started by lib/harvest.sh:
+ *
+ *   1. take the session lock (a JSON file with our PID); a lock whose owner
+ *      is gone is stale and taken over, and a Harvester it left running is
+ *      shut down first. The lock file survives reboots, so the owner is
+ *      known by its boot ID and process start time too, not just a PID that
+ *      another process may have after a power cut
+ *   2. launch the binary with a DevTools port: the --cdp-url port if it is
+ *      free, otherwise any free port (nothing else is killed)
+ *   3. poll /json/version, then /json/list until the app page has loaded
+ *   4. on exit shut it down: Browser.close over DevTools, then SIGTERM, then
+ *      SIGKILL to its process group, waiting shutdownGrace between steps
+ *
+ * The lock is also taken when connecting to a running Harvester, so two runs
+ * never drive the same session.
+ *
+ * Lock file: { pid, bootId, pidStartTicks, startedAt, harvestDir, pegasusPid,
+ *              pegasusBin, port }
+ */
+
+const POLL_INTERVAL = 250;
+const HTTP_TIMEOUT = 2000;
+const OUTPUT_LINES = 20; // Last lines of Harvester output kept for startup errors
+
+// Another live run holds the session lock
+class LockHeldError extends Error {
+  constructor(file, holder) {
+    super(`Pegasus session is locked by PID ${holder.pid} since ${holder.startedAt} (${file})`);
+    this.name = 'LockHeldError';
+    this.holder = holder;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Signal 0 only checks the PID; EPERM means it exists under another user
+function isAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Whether `pid` still runs `bin` (as the program or, for a wrapper script,
+// as its first argument), so a reused PID is never killed. Where /proc is
+// not available the PID alone has to do.
+function runsBinary(pid, bin) {
+  try {
+    return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').slice(0, 2).includes(bin);
+  } catch (error) {
+    return !fs.existsSync('/proc') && isAlive(pid);
+  }
+}
+
+function readProc(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Who `pid` is beyond its number: the boot it runs in and its start time
+// (clock ticks after boot, field 22 of /proc/<pid>/stat). Nulls where /proc
+// is not available.
+function processIdentity(pid) {
+  const bootId = readProc('/proc/sys/kernel/random/boot_id');
+  const stat = readProc(`/proc/${pid}/stat`);
+  // The command name in field 2 may hold spaces and parentheses
+  const fields = stat ? stat.slice(stat.lastIndexOf(')') + 2).split(' ') : [];
+  return {
+    bootId: bootId ? bootId.trim() : null,
+    pidStartTicks: fields.length > 19 ? Number(fields[19]) : null
+  };
+}
+
+// Whether the run in a lock file still holds it: its PID is alive and, where
+// the lock recorded them, in the same boot and started at the same time.
+// Otherwise the PID belongs to another process now.
+function holderAlive(holder) {
+  if (!isAlive(holder.pid)) return false;
+  const current = processIdentity(holder.pid);
+  if (holder.bootId && current.bootId && holder.bootId !== current.bootId) return false;
+  if (holder.pidStartTicks && current.pidStartTicks && holder.pidStartTicks !== current.pidStartTicks) return false;
+  return true;
+}
+
+function readLock(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// `preferred` if nothing listens on it, otherwise a port the OS picks
+function findFreePort(preferred) {
+  const tryPort = port => new Promise(resolve => {
+    const server = net.createServer();
+    server.once('error', () => resolve(null));
+    server.listen(port, '127.0.0.1', () => {
+      const { port: bound } = server.address();
+      server.close(() => resolve(bound));
+    });
+  });
+  return tryPort(preferred || 0).then(port => (port !== null ? port : tryPort(0)));
+}
+
+// GET a DevTools JSON endpoint; resolves null on any failure
+function getJson(url) {
+  return new Promise(resolve => {
+    const req = http.get(url, { timeout: HTTP_TIMEOUT }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        try {
+          resolve(res.statusCode === 200 ? JSON.parse(body) : null);
+        } catch (error) {
+          resolve(null);
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy());
+    req.on('error', () => resolve(null));
+  });
+}
+
+// The Harvester's own page, once it has navigated away from the blank start page
+function appPage(targets) {
+  return (targets || []).find(target =>
+    target.type === 'page' && target.url && target.url !== 'about:blank' && !target.url.startsWith('devtools://'));
+}
+
+class PegasusProcess {
+  constructor({ bin = null, port = 9222, lockFile, harvestDir = null, startupTimeout = 60000, shutdownGrace = 5000, args = [] }) {
+    this.bin = bin;
+    this.preferredPort = port;
+    this.lockFile = lockFile;
+    this.harvestDir = harvestDir;
+    this.startupTimeout = startupTimeout;
+    this.shutdownGrace = shutdownGrace;
+    this.args = args;
+    this.child = null;
+    this.port = null;
+    this.output = [];
+    this.locked = false;
+    this.info = null; // Summary for the run report
+  }
+
+  get cdpUrl() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  // Create the lock file, taking over a stale one. Throws LockHeldError if
+  // another live run holds it. The lock is written to a file of our own
+  // first and then linked (no lock yet) or renamed (stale lock) into place,
+  // so it is never seen half written and never missing during a takeover.
+  async lock() {
+    fs.mkdirSync(path.dirname(this.lockFile), { recursive: true });
+    const state = this.lockState();
+    const tmp = `${this.lockFile}.${process.pid}.tmp`;
+    fs.rmSync(tmp, { force: true });
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + '\n', { flag: 'wx' });
+    try {
+      try {
+        fs.linkSync(tmp, this.lockFile);
+        this.locked = true;
+        logWithTimestamp(`Session lock taken: ${this.lockFile}`);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const holder = readLock(this.lockFile);
+      if (holder && holder.pid !== process.pid && holderAlive(holder)) {
+        throw new LockHeldError(this.lockFile, holder);
+      }
+      logWithTimestamp(`WARNING: Taking over stale session lock ${this.lockFile}` +
+        (holder ? ` (PID ${holder.pid} is gone)` : ' (unreadable)'));
+      if (holder && holder.pegasusPid && holder.pegasusBin && runsBinary(holder.pegasusPid, holder.pegasusBin)) {
+        logWithTimestamp(`WARNING: Shutting down Pegasus PID ${holder.pegasusPid} left running by the stale lock`);
+        await this.terminate(holder.pegasusPid, null);
+      }
+
+      // Another run taking over the same stale lock renames its own file in
+      // place too; the last rename wins, the other run finds its lock gone
+      fs.renameSync(tmp, this.lockFile);
+      const taken = readLock(this.lockFile);
+      if (!taken || taken.pid !== state.pid || taken.startedAt !== state.startedAt) {
+        throw new LockHeldError(this.lockFile, taken || { pid: '?', startedAt: '?' });
+      }
+      this.locked = true;
+      logWithTimestamp(`Session lock taken: ${this.lockFile}`);
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+  }
+
+  lockState() {
+    return Object.assign({ pid: process.pid }, processIdentity(process.pid), {
+      startedAt: new Date().toISOString(),
+      harvestDir: this.harvestDir ? path.resolve(this.harvestDir) : null,
+      pegasusPid: this.child ? this.child.pid : null,
+      pegasusBin: this.bin,
+      port: this.port
+    });
+  }
+
+  // Remove the lock if it is still ours; never throws
+  unlock() {
+    if (!this.locked) return;
+    try {
+      const holder = readLock(this.lockFile);
+      if (holder && holder.pid === process.pid) fs.rmSync(this.lockFile, { force: true });
+      this.locked = false;
+    } catch (error) {
+      logWithTimestamp(`WARNING: Could not remove session lock ${this.lockFile}: ${error.message}`);
+    }
+  }
+
+  // Launch the binary and wait until its DevTools endpoint serves the app page
+  async start() {
+    this.port = await findFreePort(this.preferredPort);
+    if (this.preferredPort && this.port !== this.preferredPort) {
+      logWithTimestamp(`DevTools port ${this.preferredPort} is in use, using ${this.port}`);
+    }
+    const args = [`--remote-debugging-port=${this.port}`, '--remote-allow-origins=*'].concat(this.args);
+    logWithTimestamp(`Launching Pegasus Harvester: ${this.bin} ${args.join(' ')}`);
+
+    const startedAt = Date.now();
+    this.child = spawn(this.bin, args, { detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    const remember = chunk => {
+      this.output.push(...String(chunk).split('\n').filter(Boolean));
+      this.output.splice(0, Math.max(0, this.output.length - OUTPUT_LINES));
+    };
+    this.child.stdout.on('data', remember);
+    this.child.stderr.on('data', remember);
+    const closed = new Promise(resolve => this.child.once('close', resolve));
+    const launchError = new Promise(resolve => this.child.once('error', resolve));
+    this.info = { bin: this.bin, pid: this.child.pid || null, port: this.port, startedAt: new Date(startedAt).toISOString(),
+      readyAfter: null };
+
+    if (this.locked) {
+      // Atomically: a half-written lock would read as stale
+      writeJsonAtomic(this.lockFile, Object.assign(readLock(this.lockFile) || {}, {
+        pegasusPid: this.child.pid || null, pegasusBin: this.bin, port: this.port
+      }));
+    }
+
+    const error = await Promise.race([this.waitUntilReady(startedAt), launchError]);
+    if (error) {
+      // Let the output of a crashed Harvester drain first
+      await Promise.race([closed, sleep(1000)]);
+      const output = this.output.length ? `\n${this.output.join('\n')}` : '';
+      throw new Error(`Pegasus Harvester did not start: ${error.message}${output}`);
+    }
+    this.info.readyAfter = Date.now() - startedAt;
+    logWithTimestamp(`Pegasus Harvester ready on port ${this.port} after ${this.info.readyAfter}ms (PID ${this.child.pid})`);
+  }
+
+  // Resolves null once the app page is listed, or an Error on timeout or exit
+  async waitUntilReady(startedAt) {
+    let version = null;
+    while (Date.now() - startedAt < this.startupTimeout) {
+      if (this.child.exitCode !== null || this.child.signalCode !== null) {
+        return new Error(`exited with ${this.child.exitCode !== null ? `code ${this.child.exitCode}` : this.child.signalCode}`);
+      }
+      if (!version) {
+        version = await getJson(`${this.cdpUrl}/json/version`);
+        if (version) logWithTimestamp(`DevTools endpoint up: ${version.Browser || 'unknown browser'}`);
+      }
+      if (version && appPage(await getJson(`${this.cdpUrl}/json/list`))) return null;
+      await sleep(POLL_INTERVAL);
+    }
+    return new Error(version
+      ? `no app page loaded within ${this.startupTimeout}ms`
+      : `DevTools endpoint on port ${this.port} not ready within ${this.startupTimeout}ms`);
+  }
+
+  // Shut down the Harvester we launched (if any) and release the lock.
+  // `browser` is the puppeteer connection, used for a clean Browser.close.
+  async stop(browser) {
+    if (this.child && this.child.exitCode === null && this.child.signalCode === null) {
+      await this.terminate(this.child.pid, browser, this.child);
+    }
+    this.unlock();
+  }
+
+  // Last resort when there is no time left for stop(): SIGKILL the Harvester
+  // we launched and release the lock, synchronously
+  kill() {
+    if (this.child && this.child.exitCode === null && this.child.signalCode === null) {
+      try {
+        process.kill(-this.child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already gone
+      }
+    }
+    this.unlock();
+  }
+
+  // Escalate until `pid` is gone; returns the step that ended it
+  async terminate(pid, browser, child) {
+    const gone = () => (child ? child.exitCode !== null || child.signalCode !== null : !isAlive(pid));
+    const waitGone = async () => {
+      const deadline = Date.now() + this.shutdownGrace;
+      while (Date.now() < deadline) {
+        if (gone()) return true;
+        await sleep(100);
+      }
+      return gone();
+    };
+    const signal = name => {
+      try {
+        process.kill(-pid, name); // Whole process group: renderer and helper processes too
+      } catch (error) {
+        try {
+          process.kill(pid, name);
+        } catch (inner) {
+          // Already gone
+        }
+      }
+    };
+
+    if (browser) {
+      try {
+        await Promise.race([browser.close(), sleep(this.shutdownGrace)]);
+        if (await waitGone()) {
+          logWithTimestamp('Pegasus Harvester closed');
+          return 'closed';
+        }
+      } catch (error) {
+        logWithTimestamp(`Browser.close failed: ${error.message}`);
+      }
+    }
+    signal('SIGTERM');
+    if (await waitGone()) {
+      logWithTimestamp(`Pegasus Harvester (PID ${pid}) terminated`);
+      return 'terminated';
+    }
+    logWithTimestamp(`WARNING: Pegasus Harvester (PID ${pid}) ignored SIGTERM, killing it`);
+    signal('SIGKILL');
+    await waitGone();
+    return 'killed';
+  }
+}
+
+module.exports = {
+  LockHeldError,
+  PegasusProcess,
+  findFreePort,
+  isAlive,
+  processIdentity
+};
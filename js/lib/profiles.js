@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeTimezone } = require('./dates');
+
+/**
+ * Selector profiles for Pegasus Harvester releases
+ *
+ * Each js/profiles/*.json file holds the selectors and UI text matchers for
+ * one Harvester release, plus a `match` block (regular expressions tested
+ * against the page title and the detected UI version). The first profile, in
+ * file name order, whose patterns both match is used.
+ */
+
+const PROFILE_DIR = path.join(__dirname, '..', 'profiles');
+
+const REQUIRED_SELECTORS = [
+  'allBtn', 'sinceLastBtn', 'dateRangeBtn', 'fromDateInput', 'toDateInput',
+  'startHarvestBtn', 'cancelBtn', 'dialog', 'dialogTitle', 'outputDirInput',
+  'errorDialog', 'loading', 'progressBar', 'progressContext', 'activeIndicator'
+];
+// Optional: sohPanel, the device status area read by soh.js (without it the
+// whole page is read); deviceItem, deviceSerial and deviceSelected, the list
+// of connected loggers, the serial within an entry and a selected entry (see
+// devices.js; without deviceItem only the logger shown is harvested);
+// fromTimeInput and toTimeInput, time inputs next to date-only pickers
+// (without them the first two time inputs on the page are used).
+// The optional `dates` block gives the date formats and time zone of the
+// Harvester's date inputs, see dates.js.
+const REQUIRED_TEXT = [
+  'configButton', 'saveButton', 'startTooltip', 'summaryTitle', 'closeButton',
+  'cancelButton', 'stopButtons', 'progressKeywords', 'progressExcludeKeywords'
+];
+
+// Raised when the running UI matches no profile
+class UnsupportedUiError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedUiError';
+  }
+}
+
+function validateProfile(profile, file) {
+  const problems = [];
+  if (!profile.name) problems.push('missing "name"');
+  if (!profile.match || typeof profile.match.title !== 'string' || typeof profile.match.version !== 'string') {
+    problems.push('"match" needs "title" and "version" patterns');
+  }
+  REQUIRED_SELECTORS
+    .filter(key => !profile.selectors || !profile.selectors[key])
+    .forEach(key => problems.push(`missing selectors.${key}`));
+  REQUIRED_TEXT
+    .filter(key => !profile.text || !profile.text[key])
+    .forEach(key => problems.push(`missing text.${key}`));
+
+  const dates = profile.dates || {};
+  ['format', 'displayFormat'].filter(key => dates[key] !== undefined).forEach(key => {
+    if (typeof dates[key] !== 'string' || !/YYYY/.test(dates[key]) || !/M/.test(dates[key]) || !/D/.test(dates[key])) {
+      problems.push(`dates.${key} needs YYYY, M and D`);
+    }
+  });
+  if (dates.timeFormat !== undefined && (typeof dates.timeFormat !== 'string' || !/H/.test(dates.timeFormat))) {
+    problems.push('dates.timeFormat needs H');
+  }
+  if (dates.timezone !== undefined && dates.timezone !== 'local' && !normalizeTimezone(dates.timezone)) {
+    problems.push(`unknown dates.timezone "${dates.timezone}"`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid selector profile ${file}: ${problems.join(', ')}`);
+  }
+}
+
+// Load and validate every profile in the directory, in file name order
+function loadProfiles(dir = PROFILE_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const filePath = path.join(dir, file);
+      let profile;
+      try {
+        profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot read selector profile ${file}: ${error.message}`);
+      }
+      validateProfile(profile, file);
+      return profile;
+    });
+}
+
+// Read the window title and any version number the UI displays
+async function detectUiVersion(page) {
+  return page.evaluate(() => {
+    const versionPattern = /\bv?(\d+\.\d+(?:\.\d+)*)\b/i;
+    const sources = [document.title].concat(
+      Array.from(document.querySelectorAll('.app-version, .version, [class*="version"], mat-toolbar'))
+        .map(el => el.textContent || '')
+    );
+    const match = sources.map(text => text.match(versionPattern)).find(Boolean);
+    return {
+      title: document.title || '',
+      version: match ? match[1] : ''
+    };
+  });
+}
+
+// Pick the profile for the detected UI, or the one forced by name
+function selectProfile(profiles, ui, forcedName) {
+  if (forcedName) {
+    const forced = profiles.find(profile => profile.name === forcedName);
+    if (!forced) {
+      throw new UnsupportedUiError(
+        `Selector profile "${forcedName}" not found (available: ${profiles.map(p => p.name).join(', ')})`
+      );
+    }
+    return forced;
+  }
+
+  const profile = profiles.find(candidate =>
+    new RegExp(candidate.match.title, 'i').test(ui.title) &&
+    new RegExp(candidate.match.version, 'i').test(ui.version)
+  );
+  if (!profile) {
+    throw new UnsupportedUiError(
+      `Unsupported UI version: title "${ui.title}", version "${ui.version || 'none shown'}" ` +
+      `matches no selector profile (available: ${profiles.map(p => p.name).join(', ')}). ` +
+      'Add a profile to js/profiles/ or force one with PEGASUS_UI_PROFILE.'
+    );
+  }
+  return profile;
+}
+
+module.exports = {
+  PROFILE_DIR,
+  UnsupportedUiError,
+  detectUiVersion,
+  loadProfiles,
+  selectProfile
+};
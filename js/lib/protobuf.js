@@ -0,0 +1,183 @@
+/**
+ * Minimal protobuf wire format
+ *
+ * Enough of the protobuf encoding to talk to the Starlink dish API (see
+ * starlink_grpc.js) without a protobuf library or generated code. Messages
+ * are decoded against a schema that maps field numbers to names and types:
+ *
+ *   { 1: { name: 'id', type: 'string' },
+ *     2: { name: 'deviceState', type: 'message', schema: { ... } },
+ *     1001: { name: 'popPingDropRate', type: 'float', repeated: true } }
+ *
+ * Types: double, float, int32, int64, uint32, uint64, bool, enum (with
+ * `values`, a number -> name map), string, bytes and message. Fields not in
+ * the schema are skipped, so a newer dish firmware with more fields still
+ * decodes. Repeated scalars may be packed or not. Names follow the protobuf
+ * JSON mapping (lowerCamelCase), 64-bit integers become Numbers.
+ */
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH = 2;
+const WIRE_FIXED32 = 5;
+
+// Types whose repeated values may come packed into one length-delimited field
+const PACKABLE = ['double', 'float', 'int32', 'int64', 'uint32', 'uint64', 'bool', 'enum'];
+
+function encodeVarint(value) {
+  let n = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  do {
+    let byte = Number(n & 0x7fn);
+    n >>= 7n;
+    if (n > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (n > 0n);
+  return Buffer.from(bytes);
+}
+
+// Returns { value (BigInt), offset }; throws on a truncated varint
+function readVarint(buffer, offset) {
+  let value = 0n;
+  let shift = 0n;
+  for (let i = offset; i < buffer.length && shift < 70n; i++) {
+    value |= BigInt(buffer[i] & 0x7f) << shift;
+    if ((buffer[i] & 0x80) === 0) return { value, offset: i + 1 };
+    shift += 7n;
+  }
+  throw new Error(`Truncated varint at byte ${offset}`);
+}
+
+// One field: tag, then the payload (a Buffer for length-delimited fields,
+// a number or BigInt for varints)
+function encodeField(number, wireType, payload) {
+  const tag = encodeVarint((number << 3) | wireType);
+  if (wireType === WIRE_VARINT) return Buffer.concat([tag, encodeVarint(payload)]);
+  if (wireType === WIRE_LENGTH) return Buffer.concat([tag, encodeVarint(payload.length), payload]);
+  return Buffer.concat([tag, payload]);
+}
+
+// Raw fields in order: [{ number, wireType, value }], value a BigInt for
+// varints and a Buffer otherwise
+function readFields(buffer) {
+  const fields = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const tag = readVarint(buffer, offset);
+    offset = tag.offset;
+    const number = Number(tag.value >> 3n);
+    const wireType = Number(tag.value & 7n);
+    let value;
+    if (wireType === WIRE_VARINT) {
+      ({ value, offset } = readVarint(buffer, offset));
+    } else if (wireType === WIRE_FIXED64 || wireType === WIRE_FIXED32) {
+      const size = wireType === WIRE_FIXED64 ? 8 : 4;
+      if (offset + size > buffer.length) throw new Error(`Truncated field ${number}`);
+      value = buffer.subarray(offset, offset + size);
+      offset += size;
+    } else if (wireType === WIRE_LENGTH) {
+      const length = readVarint(buffer, offset);
+      offset = length.offset;
+      const end = offset + Number(length.value);
+      if (end > buffer.length) throw new Error(`Truncated field ${number}`);
+      value = buffer.subarray(offset, end);
+      offset = end;
+    } else {
+      throw new Error(`Unsupported wire type ${wireType} in field ${number}`);
+    }
+    fields.push({ number, wireType, value });
+  }
+  return fields;
+}
+
+// Shortest decimal that reads back as the same 32-bit float, so 0.0025
+// stays 0.0025 rather than 0.0024999999441206455
+function shortFloat(value) {
+  if (!Number.isFinite(value)) return value;
+  for (let precision = 1; precision < 9; precision++) {
+    const short = Number(value.toPrecision(precision));
+    if (Math.fround(short) === value) return short;
+  }
+  return value;
+}
+
+// A decoded scalar, or null if the wire type does not fit the type
+function scalar(type, wireType, value, spec) {
+  if (type !== 'double' && type !== 'float' && wireType !== WIRE_VARINT) return null;
+  switch (type) {
+    case 'double': return wireType === WIRE_FIXED64 ? value.readDoubleLE(0) : null;
+    case 'float': return wireType === WIRE_FIXED32 ? shortFloat(value.readFloatLE(0)) : null;
+    case 'int32': return Number(BigInt.asIntN(32, value));
+    case 'int64': return Number(BigInt.asIntN(64, value));
+    case 'uint32': return Number(BigInt.asUintN(32, value));
+    case 'uint64': return Number(BigInt.asUintN(64, value));
+    case 'bool': return value !== 0n;
+    case 'enum': {
+      const number = Number(BigInt.asIntN(32, value));
+      return spec.values && spec.values[number] !== undefined ? spec.values[number] : number;
+    }
+    default: return null;
+  }
+}
+
+// Values packed into one length-delimited field
+function unpack(spec, buffer) {
+  const values = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    if (spec.type === 'float' || spec.type === 'double') {
+      const size = spec.type === 'float' ? 4 : 8;
+      values.push(scalar(spec.type, size === 4 ? WIRE_FIXED32 : WIRE_FIXED64, buffer.subarray(offset, offset + size)));
+      offset += size;
+    } else {
+      const varint = readVarint(buffer, offset);
+      values.push(scalar(spec.type, WIRE_VARINT, varint.value, spec));
+      offset = varint.offset;
+    }
+  }
+  return values;
+}
+
+// Decode `buffer` into a plain object by `schema`. Repeated fields default
+// to [], others are left out when not sent.
+function decodeMessage(buffer, schema) {
+  const message = {};
+  Object.values(schema).filter(spec => spec.repeated).forEach(spec => { message[spec.name] = []; });
+
+  readFields(buffer).forEach(({ number, wireType, value }) => {
+    const spec = schema[number];
+    if (!spec) return;
+    let decoded;
+    if (spec.type === 'message') {
+      decoded = wireType === WIRE_LENGTH ? decodeMessage(value, spec.schema) : null;
+    } else if (spec.type === 'string') {
+      decoded = wireType === WIRE_LENGTH ? value.toString('utf8') : null;
+    } else if (spec.type === 'bytes') {
+      decoded = wireType === WIRE_LENGTH ? value.toString('base64') : null;
+    } else if (spec.repeated && wireType === WIRE_LENGTH && PACKABLE.includes(spec.type)) {
+      message[spec.name].push(...unpack(spec, value));
+      return;
+    } else {
+      decoded = scalar(spec.type, wireType, value, spec);
+    }
+    if (decoded === null) throw new Error(`Field ${number} (${spec.name}) has wire type ${wireType}, not ${spec.type}`);
+    if (spec.repeated) {
+      message[spec.name].push(decoded);
+    } else {
+      message[spec.name] = decoded;
+    }
+  });
+  return message;
+}
+
+module.exports = {
+  WIRE_FIXED32,
+  WIRE_FIXED64,
+  WIRE_LENGTH,
+  WIRE_VARINT,
+  decodeMessage,
+  encodeField,
+  encodeVarint,
+  readFields,
+  readVarint
+};
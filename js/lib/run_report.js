@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./files');
+const { logWithTimestamp } = require('./log');
+const { FORENSICS_DIR } = require('./forensics');
+const { MANIFEST_FILE, listFiles } = require('./manifest');
+const { SOH_FILE } = require('./soh');
+
+/**
+ * Machine-readable harvest run report
+ *
+ * Collects the run configuration, every attempt with its step durations and
+ * requested dates, the progress, event and throughput timelines and the final
+ * outcome, and writes them with a listing of the harvested files to
+ * <harvestDir>/harvest_report.json.
+ * The report, the manifest, the state-of-health snapshot and the forensics
+ * folder are not part of the file listing, nor are those of the loggers'
+ * subdirectories when several loggers were harvested.
+ * The shell side reads counts and sizes from this file instead of re-deriving
+ * them with find/du.
+ */
+
+const REPORT_FILE = 'harvest_report.json';
+const REPORT_VERSION = 1;
+
+class RunReport {
+  constructor(config) {
+    this.startedAt = new Date();
+    this.config = config;
+    this.ui = null;
+    this.attempts = [];
+    this.progress = [];
+    this.events = [];
+    this.throughput = [];
+    this.currentAttempt = null;
+    this.forensics = null;
+    this.readiness = null;
+    this.manifest = null;
+    this.coverage = null;
+    this.watermark = null;
+    this.backfill = null;
+    this.decisions = [];
+    this.pegasus = null;
+    this.soh = null;
+    this.devices = null;
+  }
+
+  setUi(ui, profileName) {
+    this.ui = { title: ui.title, version: ui.version || null, profile: profileName || null };
+  }
+
+  startAttempt(mode, attemptNum) {
+    this.currentAttempt = { attempt: attemptNum, mode, startedAt: new Date().toISOString() };
+  }
+
+  // One progress sample from the monitor step of the current attempt
+  recordProgress(sample) {
+    const attempt = this.currentAttempt || {};
+    this.progress.push({
+      time: new Date(sample.time || Date.now()).toISOString(),
+      attempt: attempt.attempt || null,
+      mode: attempt.mode || null,
+      percentage: sample.percentage,
+      source: sample.source,
+      eta: sample.eta !== undefined ? sample.eta : null
+    });
+  }
+
+  // One harvest state transition seen by the monitor step (see
+  // harvest_watcher.js), with the time it happened in the page
+  recordEvent(event) {
+    const attempt = this.currentAttempt || {};
+    this.events.push(Object.assign({}, event, {
+      time: new Date(event.time).toISOString(),
+      attempt: attempt.attempt || null,
+      mode: attempt.mode || null
+    }));
+  }
+
+  // One sample of the output directory taken by the monitor step (see
+  // throughput.js)
+  recordThroughput(sample) {
+    const attempt = this.currentAttempt || {};
+    this.throughput.push({
+      time: new Date(sample.time).toISOString(),
+      attempt: attempt.attempt || null,
+      mode: attempt.mode || null,
+      bytes: sample.bytes,
+      files: sample.files,
+      rate: sample.rate,
+      eta: sample.eta
+    });
+  }
+
+  setForensics(summary) {
+    this.forensics = summary;
+  }
+
+  // Counts from the checksummed manifest (see manifest.js)
+  setManifest(summary) {
+    this.manifest = summary;
+  }
+
+  // Per-channel time span and window warnings (see coverage.js)
+  setCoverage(coverage) {
+    this.coverage = coverage;
+  }
+
+  // Watermark used for this run and whether it advanced (see watermark.js)
+  setWatermark(watermark) {
+    this.watermark = watermark;
+  }
+
+  // Chunk plan and status of a --chunk backfill (see backfill.js); kept by
+  // reference, so the report always shows the latest chunk states
+  setBackfill(backfill) {
+    this.backfill = backfill;
+  }
+
+  // One step of the fallback policy or budget: action is try, skip, stop or
+  // escalate
+  addDecision(decision) {
+    this.decisions.push(Object.assign({ time: new Date().toISOString() }, decision));
+  }
+
+  // Harvester launched with --pegasus-bin: binary, PID, DevTools port and
+  // startup time (see pegasus_process.js)
+  setPegasus(info) {
+    this.pegasus = info;
+  }
+
+  // Instrument state-of-health snapshot with its threshold flags (see soh.js)
+  setSoh(snapshot) {
+    this.soh = snapshot;
+  }
+
+  // Outcome per logger when several were harvested, each with a report of
+  // its own in its subdirectory (see devices.js)
+  setDevices(devices) {
+    this.devices = devices;
+  }
+
+  // Rows of a --dry-run readiness check
+  setReadiness(rows) {
+    this.readiness = rows;
+  }
+
+  // details: { result, duration, chunk, requestedDates, summary, failedStep, error, steps }
+  finishAttempt(details) {
+    this.attempts.push(Object.assign({}, this.currentAttempt, {
+      result: details.result,
+      duration: details.duration,
+      chunk: details.chunk || null,
+      requestedDates: details.requestedDates || null,
+      summary: details.summary || null,
+      failedStep: details.failedStep || null,
+      error: details.error || null,
+      steps: details.steps || []
+    }));
+    this.currentAttempt = null;
+  }
+
+  build(outcome) {
+    const finishedAt = new Date();
+    const harvestDir = this.config.harvestDir;
+    const files = harvestDir ? listFiles(harvestDir, [REPORT_FILE, FORENSICS_DIR, MANIFEST_FILE, SOH_FILE]) : [];
+    // An attempt still open at exit time was cut short by an error
+    const attempts = this.currentAttempt
+      ? this.attempts.concat([Object.assign({}, this.currentAttempt, { result: 'INCOMPLETE' })])
+      : this.attempts;
+    return {
+      reportVersion: REPORT_VERSION,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      duration: finishedAt - this.startedAt,
+      config: this.config,
+      ui: this.ui,
+      pegasus: this.pegasus,
+      soh: this.soh,
+      devices: this.devices,
+      outcome,
+      attempts,
+      decisions: this.decisions,
+      progress: this.progress,
+      events: this.events,
+      throughput: this.throughput,
+      forensics: this.forensics,
+      readiness: this.readiness,
+      manifest: this.manifest,
+      coverage: this.coverage,
+      watermark: this.watermark,
+      backfill: this.backfill,
+      files: {
+        count: files.length,
+        totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+        list: files
+      }
+    };
+  }
+
+  // Write the report into the harvest directory; never throws, the exit path
+  // must not fail because of the report. Only the harvest directory itself is
+  // created, never a missing parent.
+  write(outcome) {
+    const harvestDir = this.config.harvestDir;
+    if (!harvestDir || !fs.existsSync(path.dirname(path.resolve(harvestDir)))) return null;
+
+    try {
+      fs.mkdirSync(harvestDir, { recursive: true });
+      const reportPath = path.join(harvestDir, REPORT_FILE);
+      writeJsonAtomic(reportPath, this.build(outcome));
+      logWithTimestamp(`Run report written to ${reportPath}`);
+      return reportPath;
+    } catch (error) {
+      logWithTimestamp(`WARNING: Could not write run report: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  REPORT_FILE,
+  RunReport
+};
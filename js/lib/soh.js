@@ -0,0 +1,235 @@
+const { writeJsonState } = require('./files');
+const { splitLine } = require('./text');
+
+/**
+ * Instrument state of health
+ *
+ * The Harvester shows the connected logger's device and status information
+ * next to the harvest controls. After connecting, its text is read as lines
+ * (sohContent() in page_helpers.js: the profile's sohPanel, or the whole page
+ * without dialogs) and parseSoh() picks out:
+ *
+ *   { serial, firmware, batteryVoltage, temperature,
+ *     gps: { locked, latitude, longitude },
+ *     storage: { usedBytes, freeBytes, totalBytes, usedPercent },
+ *     clockOffsetMs, lines }
+ *
+ * Values the page does not show stay null; `lines` keeps only the lines a
+ * value was read from. checkSoh() flags values beyond the thresholds, and the
+ * snapshot with its flags is written to <harvestDir>/soh.json on every run
+ * that gets as far as the Harvester page.
+ */
+
+const SOH_FILE = 'soh.json';
+const SOH_VERSION = 1;
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024, tb: 1024 * 1024 * 1024 * 1024 };
+const NUMBER = '([-+]?\\d+(?:\\.\\d+)?)';
+
+// Fields in the order they are tried, by the label of the line; the first
+// match wins, so "GPS position" is a position and not a lock state
+const FIELDS = [
+  { key: 'serial', label: /\bserial\b|\bs\/n\b/i },
+  { key: 'firmware', label: /\bfirmware\b|\bfw\b/i },
+  { key: 'latitude', label: /^lat(itude)?\b/i },
+  { key: 'longitude', label: /^(lon(gitude)?|lng)\b/i },
+  { key: 'position', label: /\b(position|location|coordinates)\b/i },
+  { key: 'gps', label: /\bgps\b/i },
+  { key: 'battery', label: /\b(battery|supply|voltage|vin)\b/i },
+  { key: 'temperature', label: /\btemp(erature)?\b/i },
+  { key: 'storage', label: /\b(storage|disk|card|flash|memory|space)\b/i },
+  { key: 'clock', label: /\b(offset|drift)\b|\b(clock|time) error\b/i }
+];
+
+// "12.4 V" -> 12.4, "12400 mV" -> 12.4; a percentage is a charge level, not a voltage
+function parseVoltage(text) {
+  const match = text.match(new RegExp(`${NUMBER}\\s*(mV|V)?\\b`, 'i'));
+  if (!match || (!match[2] && /%/.test(text))) return null;
+  const volts = Number(match[1]) / (match[2] && match[2].toLowerCase() === 'mv' ? 1000 : 1);
+  return Math.round(volts * 1000) / 1000;
+}
+
+// "21.5 °C" -> 21.5, "70.7 °F" -> 21.5 (°C)
+function parseTemperature(text) {
+  const match = text.match(new RegExp(`${NUMBER}\\s*°?\\s*([CF])?\\b`, 'i'));
+  if (!match) return null;
+  const value = Number(match[1]);
+  const celsius = match[2] && match[2].toUpperCase() === 'F' ? (value - 32) * 5 / 9 : value;
+  return Math.round(celsius * 10) / 10;
+}
+
+// "-77.8463", "77.8463° S" -> -77.8463
+function parseCoordinate(text) {
+  const match = text.match(new RegExp(`${NUMBER}\\s*°?\\s*([NSEW])?`, 'i'));
+  if (!match) return null;
+  const value = Number(match[1]);
+  return match[2] && /[SW]/i.test(match[2]) ? -Math.abs(value) : value;
+}
+
+// "no fix", "lost", "searching" -> false; "locked", "3D fix", "OK" -> true
+function parseLock(text) {
+  if (/\b(no|not|lost|unlocked|none|searching|off|invalid)\b/i.test(text)) return false;
+  if (/\b(lock(ed)?|fix(ed)?|[23]d|yes|ok|valid|good)\b/i.test(text)) return true;
+  return null;
+}
+
+// Every "12.3 GB" in `text`, in bytes
+function parseSizes(text) {
+  const sizes = [];
+  const pattern = /(\d+(?:\.\d+)?)\s*([KMGT]?)i?B\b/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    sizes.push(Math.round(Number(match[1]) * SIZE_UNITS[`${match[2]}b`.toLowerCase()]));
+  }
+  return sizes;
+}
+
+// "+0.25 s", "-120 ms", "40 µs" -> milliseconds
+function parseOffset(text) {
+  const match = text.match(new RegExp(`${NUMBER}\\s*(ms|µs|us|s|sec|seconds?)?\\b`, 'i'));
+  if (!match) return null;
+  const unit = (match[2] || 's').toLowerCase();
+  const factor = unit === 'ms' ? 1 : (unit === 'µs' || unit === 'us' ? 0.001 : 1000);
+  return Math.round(Number(match[1]) * factor * 1000) / 1000;
+}
+
+// "Storage used: 12.3 GB", "Storage: 12.3 GB of 64 GB", "Card: 19% used",
+// "Free space: 51.7 GB" into `storage`
+function addStorage(storage, label, value) {
+  const text = `${label} ${value}`;
+  const sizes = parseSizes(value);
+  const percent = value.match(/(\d+(?:\.\d+)?)\s*%/);
+  const free = /\b(free|available|remaining|left)\b/i.test(text);
+
+  if (sizes.length >= 2 && /\bof\b|\//.test(value)) {
+    storage[free ? 'freeBytes' : 'usedBytes'] = sizes[0];
+    storage.totalBytes = sizes[1];
+  } else if (sizes.length === 1) {
+    const key = free ? 'freeBytes' : (/\b(total|capacity|size)\b/i.test(text) ? 'totalBytes' : 'usedBytes');
+    storage[key] = sizes[0];
+  }
+  if (percent) {
+    storage.usedPercent = free ? 100 - Number(percent[1]) : Number(percent[1]);
+  }
+}
+
+// Fill in what follows from the values shown
+function completeStorage(storage) {
+  const { usedBytes, freeBytes, totalBytes } = storage;
+  if (totalBytes === null && usedBytes !== null && freeBytes !== null) storage.totalBytes = usedBytes + freeBytes;
+  if (storage.totalBytes !== null && usedBytes === null && freeBytes !== null) storage.usedBytes = storage.totalBytes - freeBytes;
+  if (storage.totalBytes !== null && freeBytes === null && storage.usedBytes !== null) storage.freeBytes = storage.totalBytes - storage.usedBytes;
+  if (storage.usedPercent === null && storage.totalBytes > 0 && storage.usedBytes !== null) {
+    storage.usedPercent = Math.round(storage.usedBytes / storage.totalBytes * 1000) / 10;
+  }
+}
+
+// `content` is { panel, lines } from the page, or null if it could not be read
+function parseSoh(content) {
+  const soh = {
+    serial: null,
+    firmware: null,
+    batteryVoltage: null,
+    temperature: null,
+    gps: { locked: null, latitude: null, longitude: null },
+    storage: { usedBytes: null, freeBytes: null, totalBytes: null, usedPercent: null },
+    clockOffsetMs: null,
+    lines: []
+  };
+  if (!content) return soh;
+
+  const lines = content.lines;
+  for (let i = 0; i < lines.length; i++) {
+    let { label, value } = splitLine(lines[i]);
+    const field = FIELDS.find(candidate => candidate.label.test(label));
+    if (!field) continue;
+    // A label in an element of its own, with the value in the next one
+    if (!value && i + 1 < lines.length && !/[:=]/.test(lines[i + 1])) {
+      value = lines[++i];
+    }
+    if (!value) continue;
+
+    const before = JSON.stringify(soh);
+    switch (field.key) {
+      case 'serial': soh.serial = value; break;
+      case 'firmware': soh.firmware = value; break;
+      case 'latitude': soh.gps.latitude = parseCoordinate(value); break;
+      case 'longitude': soh.gps.longitude = parseCoordinate(value); break;
+      case 'position': {
+        const coordinates = value.match(/[-+]?\d+(?:\.\d+)?\s*°?\s*[NSEW]?/gi) || [];
+        if (coordinates.length >= 2) {
+          soh.gps.latitude = parseCoordinate(coordinates[0]);
+          soh.gps.longitude = parseCoordinate(coordinates[1]);
+        }
+        break;
+      }
+      case 'gps': soh.gps.locked = parseLock(value); break;
+      case 'battery': soh.batteryVoltage = parseVoltage(value); break;
+      case 'temperature': soh.temperature = parseTemperature(value); break;
+      case 'storage': addStorage(soh.storage, label, value); break;
+      case 'clock': soh.clockOffsetMs = parseOffset(value); break;
+    }
+    if (JSON.stringify(soh) !== before) soh.lines.push(`${label}: ${value}`);
+  }
+  completeStorage(soh.storage);
+  return soh;
+}
+
+// Flags for the values beyond `thresholds` ({ minVoltage, maxStoragePercent,
+// maxClockOffsetMs }, null = not checked); a lost GPS lock is always flagged.
+// Values the page did not show are not flagged.
+function checkSoh(soh, thresholds) {
+  const flags = [];
+  const flag = (check, value, limit, message) => flags.push({ check, value, limit, message });
+
+  if (thresholds.minVoltage !== null && soh.batteryVoltage !== null && soh.batteryVoltage < thresholds.minVoltage) {
+    flag('voltage', soh.batteryVoltage, thresholds.minVoltage,
+      `Battery voltage ${soh.batteryVoltage} V is below ${thresholds.minVoltage} V`);
+  }
+  if (soh.gps.locked === false) {
+    flag('gps', false, true, 'GPS lock lost');
+  }
+  if (thresholds.maxStoragePercent !== null && soh.storage.usedPercent !== null &&
+      soh.storage.usedPercent >= thresholds.maxStoragePercent) {
+    flag('storage', soh.storage.usedPercent, thresholds.maxStoragePercent,
+      `Storage ${soh.storage.usedPercent}% full (limit ${thresholds.maxStoragePercent}%)`);
+  }
+  if (thresholds.maxClockOffsetMs !== null && soh.clockOffsetMs !== null &&
+      Math.abs(soh.clockOffsetMs) > thresholds.maxClockOffsetMs) {
+    flag('clock', soh.clockOffsetMs, thresholds.maxClockOffsetMs,
+      `Clock offset ${soh.clockOffsetMs} ms exceeds ${thresholds.maxClockOffsetMs} ms`);
+  }
+  return flags;
+}
+
+// One line for the log
+function describeSoh(soh) {
+  const gb = bytes => `${(bytes / SIZE_UNITS.gb).toFixed(1)} GB`;
+  const { gps, storage } = soh;
+  const position = gps.latitude !== null && gps.longitude !== null ? ` (${gps.latitude}, ${gps.longitude})` : '';
+  const parts = [
+    soh.serial !== null ? `serial ${soh.serial}` : null,
+    soh.firmware !== null ? `firmware ${soh.firmware}` : null,
+    soh.batteryVoltage !== null ? `${soh.batteryVoltage} V` : null,
+    soh.temperature !== null ? `${soh.temperature} °C` : null,
+    gps.locked !== null || position ? `GPS ${gps.locked === null ? 'lock unknown' : (gps.locked ? 'locked' : 'not locked')}${position}` : null,
+    storage.usedPercent !== null ? `storage ${storage.usedPercent}% used` +
+      (storage.freeBytes !== null ? ` (${gb(storage.freeBytes)} free)` : '') : null,
+    soh.clockOffsetMs !== null ? `clock offset ${soh.clockOffsetMs} ms` : null
+  ];
+  const shown = parts.filter(Boolean);
+  return shown.length > 0 ? shown.join(', ') : 'nothing shown';
+}
+
+// Returns false (after logging) if it could not be written
+function writeSoh(file, snapshot) {
+  return writeJsonState(file, Object.assign({ sohVersion: SOH_VERSION }, snapshot), 'state of health');
+}
+
+module.exports = {
+  SOH_FILE,
+  checkSoh,
+  describeSoh,
+  parseSoh,
+  writeSoh
+};
@@ -0,0 +1,400 @@
+const http = require('http');
+const http2 = require('http2');
+const { WIRE_LENGTH, decodeMessage, encodeField } = require('./protobuf');
+
+/**
+ * Starlink dish API client
+ *
+ * The dish answers gRPC on 192.168.100.1:9200 (HTTP/2 without TLS) and
+ * gRPC-web on port 9201 (HTTP/1.1). Both carry one method,
+ * SpaceX.API.Device.Device/Handle: a Request with one of get_status,
+ * get_history or get_device_info set, answered by a Response holding the
+ * matching result. Messages are decoded by protobuf.js against the subset of
+ * the dish's device.proto below; fields the schema does not list are
+ * skipped. Names are the protobuf JSON names the dish's web page shows.
+ *
+ *   const client = new StarlinkClient({ transport: 'grpc-web' });
+ *   const status = await client.getStatus();
+ *   client.close();
+ *
+ * fetchDish() reads status, device info and history from the first
+ * transport that answers its status; device info and history are extras that
+ * older firmware may not have. Failures are StarlinkApiError with a `kind`:
+ * connection, timeout, http, grpc or decode.
+ */
+
+const DISH_HOST = '192.168.100.1';
+const DEFAULT_PORTS = { 'grpc': 9200, 'grpc-web': 9201 };
+const TRANSPORTS = Object.keys(DEFAULT_PORTS);
+const DEFAULT_TIMEOUT = 5000;
+const HANDLE_PATH = '/SpaceX.API.Device.Device/Handle';
+
+const DEVICE_INFO = {
+  1: { name: 'id', type: 'string' },
+  2: { name: 'hardwareVersion', type: 'string' },
+  3: { name: 'softwareVersion', type: 'string' },
+  4: { name: 'countryCode', type: 'string' },
+  5: { name: 'utcOffsetS', type: 'int32' },
+  10: { name: 'bootcount', type: 'int32' }
+};
+
+const DEVICE_STATE = {
+  1: { name: 'uptimeS', type: 'uint64' }
+};
+
+const ALERTS = {
+  1: { name: 'motorsStuck', type: 'bool' },
+  2: { name: 'thermalShutdown', type: 'bool' },
+  3: { name: 'thermalThrottle', type: 'bool' },
+  4: { name: 'unexpectedLocation', type: 'bool' },
+  5: { name: 'mastNotNearVertical', type: 'bool' },
+  6: { name: 'slowEthernetSpeeds', type: 'bool' },
+  7: { name: 'roaming', type: 'bool' },
+  8: { name: 'installPending', type: 'bool' },
+  9: { name: 'isHeating', type: 'bool' },
+  10: { name: 'powerSupplyThermalThrottle', type: 'bool' }
+};
+
+const OBSTRUCTION_STATS = {
+  1: { name: 'fractionObstructed', type: 'float' },
+  4: { name: 'validS', type: 'float' },
+  5: { name: 'currentlyObstructed', type: 'bool' },
+  6: { name: 'avgProlongedObstructionDurationS', type: 'float' },
+  7: { name: 'avgProlongedObstructionIntervalS', type: 'float' }
+};
+
+const GPS_STATS = {
+  1: { name: 'gpsValid', type: 'bool' },
+  2: { name: 'gpsSats', type: 'uint32' },
+  3: { name: 'noSatellitesAfterTtff', type: 'bool' },
+  4: { name: 'inhibitGps', type: 'bool' }
+};
+
+const OUTAGE = {
+  1: {
+    name: 'cause', type: 'enum',
+    values: ['UNKNOWN', 'BOOTING', 'STOWED', 'THERMAL_SHUTDOWN', 'NO_SCHEDULE', 'NO_SATS', 'OBSTRUCTED', 'NO_DOWNLINK', 'NO_PINGS']
+  },
+  2: { name: 'startTimestampNs', type: 'int64' },
+  3: { name: 'durationNs', type: 'uint64' },
+  4: { name: 'didSwitch', type: 'bool' }
+};
+
+const DISH_STATUS = {
+  1: { name: 'deviceInfo', type: 'message', schema: DEVICE_INFO },
+  2: { name: 'deviceState', type: 'message', schema: DEVICE_STATE },
+  1002: { name: 'secondsToFirstNonemptySlot', type: 'float' },
+  1003: { name: 'popPingDropRate', type: 'float' },
+  1004: { name: 'obstructionStats', type: 'message', schema: OBSTRUCTION_STATS },
+  1005: { name: 'alerts', type: 'message', schema: ALERTS },
+  1007: { name: 'downlinkThroughputBps', type: 'float' },
+  1008: { name: 'uplinkThroughputBps', type: 'float' },
+  1009: { name: 'popPingLatencyMs', type: 'float' },
+  1010: { name: 'stowRequested', type: 'bool' },
+  1011: { name: 'boresightAzimuthDeg', type: 'float' },
+  1012: { name: 'boresightElevationDeg', type: 'float' },
+  1014: { name: 'outage', type: 'message', schema: OUTAGE },
+  1015: { name: 'gpsStats', type: 'message', schema: GPS_STATS },
+  1016: { name: 'ethSpeedMbps', type: 'int32' },
+  1018: { name: 'isSnrAboveNoiseFloor', type: 'bool' },
+  1022: { name: 'isSnrPersistentlyLow', type: 'bool' }
+};
+
+// Ring buffers of one sample per second; `current` counts every sample
+// taken, so the oldest sample is at index current % length once full
+const DISH_HISTORY = {
+  1: { name: 'current', type: 'uint64' },
+  1001: { name: 'popPingDropRate', type: 'float', repeated: true },
+  1002: { name: 'popPingLatencyMs', type: 'float', repeated: true },
+  1003: { name: 'downlinkThroughputBps', type: 'float', repeated: true },
+  1004: { name: 'uplinkThroughputBps', type: 'float', repeated: true },
+  1007: { name: 'obstructed', type: 'bool', repeated: true },
+  1009: { name: 'outages', type: 'message', schema: OUTAGE, repeated: true },
+  1010: { name: 'powerIn', type: 'float', repeated: true }
+};
+
+const RESPONSE = {
+  1: { name: 'id', type: 'uint64' },
+  2: { name: 'status', type: 'message', schema: { 1: { name: 'code', type: 'int32' }, 2: { name: 'message', type: 'string' } } },
+  3: { name: 'apiVersion', type: 'uint64' },
+  1004: { name: 'getDeviceInfo', type: 'message', schema: { 1: { name: 'deviceInfo', type: 'message', schema: DEVICE_INFO } } },
+  2004: { name: 'dishGetStatus', type: 'message', schema: DISH_STATUS },
+  2006: { name: 'dishGetHistory', type: 'message', schema: DISH_HISTORY }
+};
+
+// Request oneof field and the Response field that answers it
+const METHODS = {
+  get_status: { field: 1004, response: 'dishGetStatus' },
+  get_history: { field: 1007, response: 'dishGetHistory' },
+  get_device_info: { field: 1008, response: 'getDeviceInfo' }
+};
+
+// Raised for every failed call; `kind` is connection, timeout, http, grpc or
+// decode, `grpcStatus` the gRPC status code for kind grpc
+class StarlinkApiError extends Error {
+  constructor(kind, message, grpcStatus = null) {
+    super(message);
+    this.name = 'StarlinkApiError';
+    this.kind = kind;
+    this.grpcStatus = grpcStatus;
+  }
+}
+
+// A Request with only the method's (empty) oneof message set
+function encodeRequest(method) {
+  return encodeField(METHODS[method].field, WIRE_LENGTH, Buffer.alloc(0));
+}
+
+// Length-prefixed message as gRPC and gRPC-web send it
+function frame(message, flags = 0) {
+  const header = Buffer.alloc(5);
+  header[0] = flags;
+  header.writeUInt32BE(message.length, 1);
+  return Buffer.concat([header, message]);
+}
+
+// [{ flags, payload }]; flag 0x80 marks a gRPC-web trailer frame
+function parseFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (offset + 5 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset + 1);
+    if (offset + 5 + length > buffer.length) break;
+    frames.push({ flags: buffer[offset], payload: buffer.subarray(offset + 5, offset + 5 + length) });
+    offset += 5 + length;
+  }
+  if (offset !== buffer.length) throw new StarlinkApiError('decode', 'Truncated gRPC frame');
+  return frames;
+}
+
+// "grpc-status: 0\r\ngrpc-message: \r\n" -> { 'grpc-status': '0', ... }
+function parseTrailerFrame(payload) {
+  const trailers = {};
+  payload.toString('utf8').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^([^:]+):\s*(.*)$/);
+    if (match) trailers[match[1].trim().toLowerCase()] = match[2].trim();
+  });
+  return trailers;
+}
+
+function checkGrpcStatus(trailers) {
+  const status = trailers['grpc-status'];
+  if (status === undefined) throw new StarlinkApiError('grpc', 'Response without grpc-status');
+  if (Number(status) !== 0) {
+    const message = decodeURIComponent(trailers['grpc-message'] || '');
+    throw new StarlinkApiError('grpc', `gRPC status ${status}${message ? `: ${message}` : ''}`, Number(status));
+  }
+}
+
+// http2 wraps the socket error in a cancelled-stream error; report the cause
+function connectionError(error) {
+  const cause = error.cause || error;
+  return new StarlinkApiError('connection', cause.message);
+}
+
+class StarlinkClient {
+  constructor({ host = DISH_HOST, port = null, transport = 'grpc', timeout = DEFAULT_TIMEOUT } = {}) {
+    if (!TRANSPORTS.includes(transport)) throw new Error(`Unknown transport "${transport}"`);
+    this.host = host;
+    this.transport = transport;
+    this.port = port || DEFAULT_PORTS[transport];
+    this.timeout = timeout;
+    this.session = null;
+  }
+
+  getStatus() {
+    return this.call('get_status');
+  }
+
+  getHistory() {
+    return this.call('get_history');
+  }
+
+  // The DeviceInfo message itself, not its GetDeviceInfoResponse wrapper
+  async getDeviceInfo() {
+    const response = await this.call('get_device_info');
+    return response.deviceInfo || {};
+  }
+
+  // Send one method's Request and decode the Response field answering it
+  async call(method) {
+    if (!METHODS[method]) throw new Error(`Unknown method "${method}"`);
+    const body = frame(encodeRequest(method));
+    const { frames, trailers } = this.transport === 'grpc' ? await this.postGrpc(body) : await this.postGrpcWeb(body);
+    checkGrpcStatus(trailers);
+
+    const data = frames.find(f => (f.flags & 0x80) === 0);
+    if (!data) throw new StarlinkApiError('decode', `Empty response to ${method}`);
+    let response;
+    try {
+      response = decodeMessage(data.payload, RESPONSE);
+    } catch (error) {
+      throw new StarlinkApiError('decode', `Cannot decode response to ${method}: ${error.message}`);
+    }
+    const result = response[METHODS[method].response];
+    if (!result) {
+      const status = response.status && response.status.message ? ` (${response.status.message})` : '';
+      throw new StarlinkApiError('decode', `Response to ${method} holds no ${METHODS[method].response}${status}`);
+    }
+    return result;
+  }
+
+  // gRPC over HTTP/2; one session is kept for the client's calls
+  postGrpc(body) {
+    return new Promise((resolve, reject) => {
+      if (!this.session || this.session.destroyed || this.session.closed) {
+        this.session = http2.connect(`http://${this.host}:${this.port}`);
+        this.session.on('error', () => {}); // Reported through the stream below
+      }
+      const session = this.session;
+      const chunks = [];
+      let headers = {};
+      let done = false;
+      const finish = (error, result) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        if (error) reject(error); else resolve(result);
+      };
+      const timer = setTimeout(() => {
+        finish(new StarlinkApiError('timeout', `No answer from ${this.host}:${this.port} within ${this.timeout}ms`));
+        session.destroy();
+      }, this.timeout);
+
+      const stream = session.request({
+        ':method': 'POST',
+        ':path': HANDLE_PATH,
+        'content-type': 'application/grpc',
+        'te': 'trailers'
+      });
+      stream.on('response', responseHeaders => { headers = responseHeaders; });
+      stream.on('trailers', trailers => { headers = Object.assign({}, headers, trailers); });
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('error', error => finish(connectionError(error)));
+      session.once('error', error => finish(connectionError(error)));
+      stream.on('end', () => {
+        if (Number(headers[':status']) !== 200) {
+          finish(new StarlinkApiError('http', `HTTP status ${headers[':status']} from ${this.host}:${this.port}`));
+          return;
+        }
+        try {
+          finish(null, { frames: parseFrames(Buffer.concat(chunks)), trailers: headers });
+        } catch (error) {
+          finish(error);
+        }
+      });
+      stream.end(body);
+    });
+  }
+
+  // gRPC-web over HTTP/1.1; the trailers come as the last frame of the body
+  postGrpcWeb(body) {
+    return new Promise((resolve, reject) => {
+      let done = false;
+      const finish = (error, result) => {
+        if (done) return;
+        done = true;
+        if (error) reject(error); else resolve(result);
+      };
+      const req = http.request({
+        host: this.host,
+        port: this.port,
+        method: 'POST',
+        path: HANDLE_PATH,
+        agent: false,
+        timeout: this.timeout,
+        headers: {
+          'content-type': 'application/grpc-web+proto',
+          'accept': 'application/grpc-web+proto',
+          'x-grpc-web': '1',
+          'content-length': body.length
+        }
+      }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            finish(new StarlinkApiError('http', `HTTP status ${res.statusCode} from ${this.host}:${this.port}`));
+            return;
+          }
+          try {
+            const frames = parseFrames(Buffer.concat(chunks));
+            const trailers = Object.assign({}, res.headers);
+            frames.filter(f => f.flags & 0x80).forEach(f => Object.assign(trailers, parseTrailerFrame(f.payload)));
+            finish(null, { frames, trailers });
+          } catch (error) {
+            finish(error);
+          }
+        });
+        res.on('error', error => finish(connectionError(error)));
+      });
+      req.on('timeout', () => {
+        finish(new StarlinkApiError('timeout', `No answer from ${this.host}:${this.port} within ${this.timeout}ms`));
+        req.destroy();
+      });
+      req.on('error', error => finish(connectionError(error)));
+      req.end(body);
+    });
+  }
+
+  close() {
+    if (this.session) {
+      this.session.destroy();
+      this.session = null;
+    }
+  }
+}
+
+// Status, device info and (with `history`) history, read over the first of
+// `transports` that answers the status:
+//   { source, fetchedAt, deviceInfo, status, history }
+// Device info and history are null when the dish fails them (e.g. get_history
+// UNIMPLEMENTED on older firmware); the status is kept and `onWarning(transport,
+// method, error)` hears why. `ports` overrides the default port per
+// transport; `onError(transport, error)` hears about each transport given up
+// on. Throws the last error.
+async function fetchDish({ host = DISH_HOST, transports = TRANSPORTS, ports = {}, timeout = DEFAULT_TIMEOUT,
+  history = true, onError = null, onWarning = null } = {}) {
+  let lastError = null;
+  for (const transport of transports) {
+    const client = new StarlinkClient({ host, port: ports[transport], transport, timeout });
+    const optional = async (method, read) => {
+      try {
+        return await read();
+      } catch (error) {
+        if (onWarning) onWarning(transport, method, error);
+        return null;
+      }
+    };
+    try {
+      const status = await client.getStatus();
+      return {
+        source: transport,
+        fetchedAt: new Date().toISOString(),
+        deviceInfo: await optional('get_device_info', () => client.getDeviceInfo()),
+        status,
+        history: history ? await optional('get_history', () => client.getHistory()) : null
+      };
+    } catch (error) {
+      lastError = error;
+      if (onError) onError(transport, error);
+    } finally {
+      client.close();
+    }
+  }
+  throw lastError || new Error('No transport to try');
+}
+
+module.exports = {
+  DEFAULT_PORTS,
+  DISH_HOST,
+  HANDLE_PATH,
+  METHODS,
+  StarlinkApiError,
+  StarlinkClient,
+  TRANSPORTS,
+  encodeRequest,
+  fetchDish,
+  frame,
+  parseFrames
+};
@@ -0,0 +1,196 @@
+/**
+ * Starlink link health
+ *
+ * normalizeStarlink() turns what starlink_get_json.js read from the dish
+ * (fetchDish() in starlink_grpc.js, or the web page's get_status JSON) into
+ * a schema that does not follow the dish's field names:
+ *
+ *   { schemaVersion, source, fetchedAt,
+ *     device: { id, hardwareVersion, softwareVersion, countryCode, bootcount },
+ *     state, uptimeS,
+ *     signal: { aboveNoiseFloor, persistentlyLow },
+ *     obstruction: { fraction, timeObstructedS, validS, currentlyObstructed },
+ *     ping: { latencyMs, dropRate },
+ *     throughput: { downlinkBps, uplinkBps },
+ *     gps: { valid, satellites },
+ *     alerts: [names of the active alerts],
+ *     outage: { cause, startedAt, durationS } or null }
+ *
+ * Values the dish did not send stay null. evaluateHealth() compares them
+ * with the limits and gives the verdict good, degraded or bad with reasons.
+ */
+
+const SCHEMA_VERSION = 1;
+
+// [degraded, bad] per measured value; latency in ms, the others in percent
+const DEFAULT_LIMITS = {
+  latencyMs: [100, 500],
+  dropPercent: [1, 10],
+  obstructionPercent: [2, 10]
+};
+
+// Alerts that take the link down rather than slow it
+const BAD_ALERTS = ['motorsStuck', 'thermalShutdown', 'mastNotNearVertical', 'unexpectedLocation'];
+
+const LEVELS = ['good', 'degraded', 'bad'];
+
+function value(v) {
+  return v === undefined ? null : v;
+}
+
+// `data` as printed by starlink_get_json.js: { source, fetchedAt, deviceInfo,
+// status, history }; only `status` is needed
+function normalizeStarlink(data) {
+  const status = data.status || {};
+  const deviceInfo = data.deviceInfo || status.deviceInfo || {};
+  const obstruction = status.obstructionStats || {};
+  const gps = status.gpsStats || {};
+  const alerts = status.alerts || {};
+  const outage = status.outage || null;
+
+  const fraction = value(obstruction.fractionObstructed);
+  const validS = value(obstruction.validS);
+  // Older firmware sends `state`; newer only sends an outage while down
+  let state = value(status.state);
+  if (state === null && data.status) state = outage ? outage.cause || 'UNKNOWN' : 'CONNECTED';
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    source: value(data.source),
+    fetchedAt: value(data.fetchedAt),
+    device: {
+      id: value(deviceInfo.id),
+      hardwareVersion: value(deviceInfo.hardwareVersion),
+      softwareVersion: value(deviceInfo.softwareVersion),
+      countryCode: value(deviceInfo.countryCode),
+      bootcount: value(deviceInfo.bootcount)
+    },
+    state,
+    uptimeS: status.deviceState ? value(status.deviceState.uptimeS) : null,
+    signal: {
+      aboveNoiseFloor: value(status.isSnrAboveNoiseFloor),
+      persistentlyLow: value(status.isSnrPersistentlyLow)
+    },
+    obstruction: {
+      fraction,
+      timeObstructedS: fraction !== null && validS !== null ? Math.round(fraction * validS) : null,
+      validS,
+      currentlyObstructed: value(obstruction.currentlyObstructed)
+    },
+    ping: {
+      latencyMs: value(status.popPingLatencyMs),
+      dropRate: value(status.popPingDropRate)
+    },
+    throughput: {
+      downlinkBps: value(status.downlinkThroughputBps),
+      uplinkBps: value(status.uplinkThroughputBps)
+    },
+    gps: {
+      valid: value(gps.gpsValid),
+      satellites: value(gps.gpsSats)
+    },
+    alerts: Object.keys(alerts).filter(name => alerts[name] === true).sort(),
+    outage: outage ? {
+      cause: value(outage.cause),
+      startedAt: outage.startTimestampNs ? new Date(outage.startTimestampNs / 1e6).toISOString() : null,
+      durationS: outage.durationNs !== undefined ? Math.round(outage.durationNs / 1e9) : null
+    } : null
+  };
+}
+
+// "100,500" -> [100, 500]; '' -> null (not checked); throws on anything else
+function parseLimits(text, name) {
+  const trimmed = String(text).trim();
+  if (trimmed === '') return null;
+  const match = trimmed.match(/^(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)$/);
+  if (!match) throw new Error(`Invalid ${name} "${text}" (expected degraded,bad, e.g. 100,500)`);
+  const limits = [Number(match[1]), Number(match[2])];
+  if (limits[0] > limits[1]) throw new Error(`Invalid ${name} "${text}" (degraded limit above bad limit)`);
+  return limits;
+}
+
+function round(v, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(v * factor) / factor;
+}
+
+// { verdict, reasons: [{ check, level, value, limit, message }] }; the
+// verdict is the worst level of any reason, good without reasons
+function evaluateHealth(link, limits = DEFAULT_LIMITS) {
+  const reasons = [];
+  const reason = (check, level, v, limit, message) => reasons.push({ check, level, value: v, limit, message });
+  // Level of `v` against [degraded, bad] limits, or null within them
+  const over = (v, pair) => {
+    if (v === null || !pair) return null;
+    if (v >= pair[1]) return 'bad';
+    if (v >= pair[0]) return 'degraded';
+    return null;
+  };
+
+  if (link.state === null) {
+    reason('status', 'bad', null, null, 'No status from the dish');
+    return { verdict: 'bad', reasons };
+  }
+  if (link.state !== 'CONNECTED') {
+    reason('state', 'bad', link.state, 'CONNECTED', `Dish is not connected (${link.state})`);
+  }
+  if (link.signal.aboveNoiseFloor === false) {
+    reason('signal', 'bad', false, true, 'Signal is not above the noise floor');
+  } else if (link.signal.persistentlyLow === true) {
+    reason('signal', 'degraded', true, false, 'Signal is persistently low');
+  }
+
+  const latency = over(link.ping.latencyMs, limits.latencyMs);
+  if (latency) {
+    reason('latency', latency, link.ping.latencyMs, limits.latencyMs[LEVELS.indexOf(latency) - 1],
+      `Ping latency ${round(link.ping.latencyMs, 1)} ms`);
+  }
+  const dropPercent = link.ping.dropRate === null ? null : round(link.ping.dropRate * 100, 2);
+  const drop = over(dropPercent, limits.dropPercent);
+  if (drop) {
+    reason('drop', drop, dropPercent, limits.dropPercent[LEVELS.indexOf(drop) - 1], `Ping drop rate ${dropPercent}%`);
+  }
+  const obstructedPercent = link.obstruction.fraction === null ? null : round(link.obstruction.fraction * 100, 2);
+  const obstructed = over(obstructedPercent, limits.obstructionPercent);
+  if (obstructed) {
+    reason('obstruction', obstructed, obstructedPercent, limits.obstructionPercent[LEVELS.indexOf(obstructed) - 1],
+      `Obstructed ${obstructedPercent}% of the time`);
+  }
+  if (link.obstruction.currentlyObstructed === true) {
+    reason('obstruction', 'degraded', true, false, 'Currently obstructed');
+  }
+  if (link.gps.valid === false) {
+    reason('gps', 'degraded', false, true, 'No valid GPS fix');
+  }
+  link.alerts.forEach(name => {
+    reason('alert', BAD_ALERTS.includes(name) ? 'bad' : 'degraded', name, null, `Alert: ${name}`);
+  });
+
+  const verdict = reasons.reduce((worst, r) => (LEVELS.indexOf(r.level) > LEVELS.indexOf(worst) ? r.level : worst), 'good');
+  return { verdict, reasons };
+}
+
+// One line for the log
+function describeLink(link) {
+  const mbps = bps => `${round(bps / 1e6, 1)} Mbps`;
+  const parts = [
+    link.state !== null ? link.state : null,
+    link.ping.latencyMs !== null ? `${round(link.ping.latencyMs, 1)} ms` : null,
+    link.ping.dropRate !== null ? `${round(link.ping.dropRate * 100, 2)}% dropped` : null,
+    link.obstruction.fraction !== null ? `${round(link.obstruction.fraction * 100, 2)}% obstructed` : null,
+    link.throughput.downlinkBps !== null && link.throughput.uplinkBps !== null ?
+      `${mbps(link.throughput.downlinkBps)} down / ${mbps(link.throughput.uplinkBps)} up` : null,
+    link.device.softwareVersion !== null ? `software ${link.device.softwareVersion}` : null
+  ];
+  const shown = parts.filter(Boolean);
+  return shown.length > 0 ? shown.join(', ') : 'nothing read';
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  SCHEMA_VERSION,
+  describeLink,
+  evaluateHealth,
+  normalizeStarlink,
+  parseLimits
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./files');
+
+/**
+ * Starlink history since the previous run
+ *
+ * The dish keeps per-second samples (ping latency and drop rate, obstructed)
+ * in a ring buffer, plus its recent outages. `current` counts every sample
+ * ever taken, so remembering it between runs tells which samples are new:
+ * the box is only powered for a short window, and this is how the link
+ * behaved while it was off. Samples older than the buffer are gone; the
+ * stats say how much of the period they cover.
+ *
+ * historyStats() summarises the new samples and outages:
+ *
+ *   { fetchedAt, since, dishId, periodS, coveredS, continued,
+ *     latencyMs: { p50, p90, p99, max, mean }, dropPercent, obstructedPercent,
+ *     outages: { count, durationS, byCause: { NO_SATS: { count, durationS } } } }
+ *
+ * and appendSeries() adds them as a line to starlink_history.ndjson and
+ * starlink_history.csv. The counter is kept in starlink_history_state.json:
+ *   { historyStateVersion, dishId, current, fetchedAt }
+ * All three files live in STATE_DIR so they survive EXECUTE=clear.
+ */
+
+const HISTORY_STATE_VERSION = 1;
+const HISTORY_STATE_FILE = 'starlink_history_state.json';
+const SERIES_NDJSON_FILE = 'starlink_history.ndjson';
+const SERIES_CSV_FILE = 'starlink_history.csv';
+
+const CSV_COLUMNS = [
+  'fetched_at', 'since', 'period_s', 'covered_s', 'continued',
+  'latency_p50_ms', 'latency_p90_ms', 'latency_p99_ms', 'latency_max_ms',
+  'drop_percent', 'obstructed_percent', 'outages', 'outage_s', 'outage_causes'
+];
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Samples taken from counter `from` on, oldest first, as far back as the
+// buffer still holds them: [{ counter, latencyMs, dropRate, obstructed }]
+function samplesSince(history, from) {
+  const latency = history.popPingLatencyMs || [];
+  const drop = history.popPingDropRate || [];
+  const obstructed = history.obstructed || [];
+  const length = latency.length;
+  const current = history.current || 0;
+  const samples = [];
+  if (length === 0) return samples;
+
+  for (let counter = Math.max(from, current - length, 0); counter < current; counter++) {
+    const i = counter % length;
+    samples.push({
+      counter,
+      latencyMs: latency[i],
+      dropRate: i < drop.length ? drop[i] : null,
+      obstructed: i < obstructed.length ? obstructed[i] : null
+    });
+  }
+  return samples;
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+// Stats for the samples and outages since `previous` (the stored state, or
+// null on the first run). A different dish or a counter that went backwards
+// (the dish rebooted) cannot be continued: all buffered samples are used and
+// `continued` is false.
+function historyStats(history, { fetchedAt, previous = null, dishId = null }) {
+  const fetchedMs = Date.parse(fetchedAt);
+  const continued = Boolean(previous && previous.dishId === dishId && previous.current <= history.current);
+  const samples = samplesSince(history, continued ? previous.current : 0);
+  const startMs = previous ? Date.parse(previous.fetchedAt) : fetchedMs - samples.length * 1000;
+
+  // A fully dropped ping has no meaningful latency
+  const latencies = samples
+    .filter(s => s.dropRate === null || s.dropRate < 1)
+    .map(s => s.latencyMs)
+    .sort((a, b) => a - b);
+  const latencyMs = latencies.length === 0 ? null : {
+    p50: round(percentile(latencies, 50), 1),
+    p90: round(percentile(latencies, 90), 1),
+    p99: round(percentile(latencies, 99), 1),
+    max: round(latencies[latencies.length - 1], 1),
+    mean: round(latencies.reduce((sum, v) => sum + v, 0) / latencies.length, 1)
+  };
+
+  const drops = samples.filter(s => s.dropRate !== null);
+  const dropPercent = drops.length === 0 ? null : round(drops.reduce((sum, s) => sum + s.dropRate, 0) / drops.length * 100, 2);
+
+  // Outages are counted by their start, so one spanning two runs counts once
+  const outages = { count: 0, durationS: 0, byCause: {} };
+  (history.outages || []).forEach(outage => {
+    const outageStartMs = outage.startTimestampNs / 1e6;
+    if (!(outageStartMs >= startMs && outageStartMs <= fetchedMs)) return;
+    const durationS = round((outage.durationNs || 0) / 1e9, 1);
+    const cause = outage.cause === undefined ? 'UNKNOWN' : String(outage.cause);
+    const byCause = outages.byCause[cause] || (outages.byCause[cause] = { count: 0, durationS: 0 });
+    outages.count++;
+    outages.durationS = round(outages.durationS + durationS, 1);
+    byCause.count++;
+    byCause.durationS = round(byCause.durationS + durationS, 1);
+  });
+
+  // Firmware without per-second obstruction samples: time in OBSTRUCTED outages
+  const flagged = samples.filter(s => s.obstructed !== null);
+  let obstructedPercent = null;
+  if (flagged.length > 0) {
+    obstructedPercent = round(flagged.filter(s => s.obstructed).length / flagged.length * 100, 2);
+  } else if (samples.length > 0) {
+    const obstructedS = outages.byCause.OBSTRUCTED ? outages.byCause.OBSTRUCTED.durationS : 0;
+    obstructedPercent = round(Math.min(obstructedS / samples.length, 1) * 100, 2);
+  }
+
+  return {
+    fetchedAt,
+    since: new Date(startMs).toISOString(),
+    dishId,
+    periodS: Math.round((fetchedMs - startMs) / 1000),
+    coveredS: samples.length,
+    continued,
+    latencyMs,
+    dropPercent,
+    obstructedPercent,
+    outages
+  };
+}
+
+// The stored state, or null if there is none yet; throws if it is unreadable
+function readHistoryState(file) {
+  if (!fs.existsSync(file)) return null;
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Number.isInteger(state.current) || isNaN(Date.parse(state.fetchedAt))) {
+    throw new Error(`${file} holds no sample counter and time`);
+  }
+  return state;
+}
+
+// Throws if it could not be written
+function writeHistoryState(file, state) {
+  writeJsonAtomic(file, Object.assign({ historyStateVersion: HISTORY_STATE_VERSION }, state));
+}
+
+// One CSV row; causes as CAUSE:count:seconds separated by spaces
+function csvRow(stats) {
+  const latency = stats.latencyMs || {};
+  const causes = Object.keys(stats.outages.byCause).sort()
+    .map(cause => `${cause}:${stats.outages.byCause[cause].count}:${stats.outages.byCause[cause].durationS}`)
+    .join(' ');
+  return [
+    stats.fetchedAt, stats.since, stats.periodS, stats.coveredS, stats.continued,
+    latency.p50, latency.p90, latency.p99, latency.max,
+    stats.dropPercent, stats.obstructedPercent, stats.outages.count, stats.outages.durationS, causes
+  ].map(v => (v === null || v === undefined ? '' : String(v))).join(',');
+}
+
+// Append `stats` to the NDJSON and CSV series in `dir` (the CSV gets its
+// header when new); throws if either could not be written
+function appendSeries(dir, stats) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(path.join(dir, SERIES_NDJSON_FILE), JSON.stringify(stats) + '\n');
+
+  const csvFile = path.join(dir, SERIES_CSV_FILE);
+  const header = !fs.existsSync(csvFile) || fs.statSync(csvFile).size === 0 ? CSV_COLUMNS.join(',') + '\n' : '';
+  fs.appendFileSync(csvFile, header + csvRow(stats) + '\n');
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  HISTORY_STATE_FILE,
+  SERIES_CSV_FILE,
+  SERIES_NDJSON_FILE,
+  appendSeries,
+  csvRow,
+  historyStats,
+  readHistoryState,
+  samplesSince,
+  writeHistoryState
+};
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { readConfigFile } = require('./options');
+const { DEFAULT_LIMITS, parseLimits } = require('./starlink_health');
+const { FORMATS, knownFields, parseFields } = require('./starlink_output');
+
+/**
+ * Command-line options for starlink_get_json.js and starlink_wait_ready.js
+ *
+ * As for pegasus_harvest.js (see options.js), each option comes from a named
+ * flag, an environment variable, a KEY=value config file (--config,
+ * repeatable) or its default, in that order. parseStarlinkOptions() and
+ * parseReadyOptions() never exit; they return every problem found.
+ */
+
+const PATHS = ['grpc', 'grpc-web', 'browser'];
+
+const limitsText = pair => pair.join(',');
+
+const OPTIONS = [
+  { flag: 'host', key: 'host', env: 'STARLINK_HOST', arg: '<host>', default: '192.168.100.1',
+    description: 'Address of the dish' },
+  { flag: 'grpc-port', key: 'grpcPort', env: 'STARLINK_GRPC_PORT', arg: '<port>', default: '9200', number: true,
+    description: 'Port of the dish gRPC API' },
+  { flag: 'grpc-web-port', key: 'grpcWebPort', env: 'STARLINK_GRPC_WEB_PORT', arg: '<port>', default: '9201', number: true,
+    description: 'Port of the dish gRPC-web API' },
+  { flag: 'url', key: 'url', env: 'STARLINK_URL', arg: '<url>',
+    description: 'Dish web page for the browser fallback (default: http://<host>/)' },
+  { flag: 'paths', key: 'paths', env: 'STARLINK_PATHS', arg: '<list>', default: PATHS.join(','),
+    description: `Ways to read the dish, tried in order: ${PATHS.join(', ')}` },
+  { flag: 'api-timeout', key: 'apiTimeout', env: 'STARLINK_API_TIMEOUT', arg: '<seconds>', default: '5', number: true,
+    description: 'Limit for one gRPC or gRPC-web call' },
+  { flag: 'browser-path', key: 'browserPath', env: 'STARLINK_BROWSER_PATH', arg: '<file>', default: '/usr/bin/chromium-browser',
+    description: 'Chromium for the browser fallback' },
+  { flag: 'timeout', key: 'timeout', env: 'STARLINK_TIMEOUT', arg: '<seconds>', default: '20', number: true,
+    description: 'Limit for loading the dish web page' },
+  { flag: 'selector', key: 'selector', env: 'STARLINK_SELECTOR', arg: '<css>', default: '.Json-Text',
+    description: 'Element of the web page holding the status JSON' },
+  { flag: 'selector-timeout', key: 'selectorTimeout', env: 'STARLINK_SELECTOR_TIMEOUT', arg: '<seconds>', default: '10', number: true,
+    description: 'Limit for the element to appear' },
+  { flag: 'output', key: 'output', env: 'STARLINK_OUTPUT', arg: '<file>',
+    description: 'Write to this file instead of stdout (csv appends a row)' },
+  { flag: 'format', key: 'format', env: 'STARLINK_FORMAT', arg: '<format>', default: 'json',
+    description: `Output format: ${FORMATS.join(' | ')}` },
+  { flag: 'fields', key: 'fields', env: 'STARLINK_FIELDS', arg: '<list>',
+    description: 'Only these fields or groups, e.g. health.verdict,ping,obstruction.fraction (default: all)' },
+  { flag: 'history-dir', key: 'historyDir', env: 'STARLINK_HISTORY_DIR', arg: '<dir>',
+    description: 'Append the history stats since the previous run to the time series here (default: off)' },
+  { flag: 'latency-limits', key: 'latencyLimits', env: 'STARLINK_LATENCY_LIMITS', arg: '<ms,ms>', allowEmpty: true,
+    default: limitsText(DEFAULT_LIMITS.latencyMs), description: 'Ping latency judged degraded,bad ("" = off)' },
+  { flag: 'drop-limits', key: 'dropLimits', env: 'STARLINK_DROP_LIMITS', arg: '<%,%>', allowEmpty: true,
+    default: limitsText(DEFAULT_LIMITS.dropPercent), description: 'Ping drop rate judged degraded,bad ("" = off)' },
+  { flag: 'obstruction-limits', key: 'obstructionLimits', env: 'STARLINK_OBSTRUCTION_LIMITS', arg: '<%,%>', allowEmpty: true,
+    default: limitsText(DEFAULT_LIMITS.obstructionPercent), description: 'Time obstructed judged degraded,bad ("" = off)' }
+];
+
+const shared = flag => OPTIONS.find(option => option.flag === flag);
+
+// starlink_wait_ready.js polls the API only; a browser start per poll is too slow
+const READY_OPTIONS = [
+  shared('host'),
+  shared('grpc-port'),
+  shared('grpc-web-port'),
+  Object.assign({}, shared('paths'), { default: 'grpc,grpc-web', description: 'API transports to poll, tried in order: grpc, grpc-web' }),
+  shared('api-timeout'),
+  { flag: 'deadline', key: 'deadline', env: 'STARLINK_READY_TIMEOUT', arg: '<seconds>', default: '300', number: true,
+    description: 'Give up (no-go) when the link is not ready after this long' },
+  { flag: 'interval', key: 'interval', env: 'STARLINK_READY_INTERVAL', arg: '<seconds>', default: '5', number: true,
+    description: 'Time between polls' },
+  { flag: 'max-unreachable', key: 'maxUnreachable', env: 'STARLINK_READY_MAX_UNREACHABLE', arg: '<polls>', default: '24', number: true, allowEmpty: true,
+    description: 'Give up (no-go) early when the dish does not answer this many polls in a row ("" = wait for the deadline)' },
+  { flag: 'max-latency', key: 'maxLatency', env: 'STARLINK_READY_MAX_LATENCY', arg: '<ms>', default: '500', number: true, allowEmpty: true,
+    description: 'Highest ping latency that counts as ready ("" = not checked)' },
+  { flag: 'max-obstruction', key: 'maxObstruction', env: 'STARLINK_READY_MAX_OBSTRUCTION', arg: '<%>', default: '10', number: true, allowEmpty: true,
+    description: 'Highest share of time obstructed that counts as ready ("" = not checked)' },
+  Object.assign({}, shared('output'), { description: 'Also write the result as JSON to this file' })
+];
+
+function usage(options = OPTIONS, script = 'starlink_get_json.js') {
+  const flags = options.map(option => `  --${option.flag} ${option.arg}`);
+  // The description column starts two spaces after the longest flag
+  const width = Math.max(30, ...flags.map(flag => flag.length + 2));
+  const lines = options.map((option, i) => {
+    const fallback = option.default ? ` (default: ${option.default})` : '';
+    return `${flags[i].padEnd(width)}${option.description}${fallback} [env ${option.env}]`;
+  });
+  return [
+    `Usage: node ${script} [options]`,
+    '',
+    'Options:',
+    ...lines,
+    `${'  --config <file>'.padEnd(width)}Read the keys above (e.g. STARLINK_HOST=...) from a config/config.defaults-style file; repeatable`,
+    `${'  --help'.padEnd(width)}Show this help`
+  ].join('\n');
+}
+
+function readyUsage() {
+  return usage(READY_OPTIONS, 'starlink_wait_ready.js');
+}
+
+// Split argv into named flag values and config files
+function readArgv(argv, options, errors) {
+  const flags = {};
+  const configFiles = [];
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      errors.push(`Unexpected argument: ${arg}`);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq === -1 ? undefined : eq);
+    if (name === 'help') {
+      help = true;
+      continue;
+    }
+
+    let value = eq === -1 ? undefined : arg.slice(eq + 1);
+    if (value === undefined) {
+      if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        value = argv[++i];
+      } else {
+        errors.push(`--${name} needs a value`);
+        continue;
+      }
+    }
+
+    if (name === 'config') {
+      configFiles.push(value);
+    } else if (options.some(option => option.flag === name)) {
+      flags[name] = value;
+    } else {
+      errors.push(`Unknown option --${name}`);
+    }
+  }
+
+  return { flags, configFiles, help };
+}
+
+function validateEndpoint(options, rawNumbers, errors) {
+  if (!/^[^\s/:]+$/.test(options.host)) {
+    errors.push(`Invalid host "${options.host}" (expected a name or address such as 192.168.100.1)`);
+  }
+  ['grpcPort', 'grpcWebPort'].forEach(key => {
+    if (!(Number.isInteger(options[key]) && options[key] > 0 && options[key] < 65536)) {
+      errors.push(`Invalid ${key === 'grpcPort' ? 'gRPC' : 'gRPC-web'} port "${rawNumbers[key]}" (expected 1 to 65535)`);
+    }
+  });
+}
+
+function validateOutput(options, errors) {
+  if (options.output !== null && !fs.existsSync(path.dirname(path.resolve(options.output)))) {
+    errors.push(`Directory of output file does not exist: ${path.dirname(options.output)}`);
+  }
+}
+
+function validate(options, rawNumbers, errors, warnings) {
+  validateEndpoint(options, rawNumbers, errors);
+  if (options.url === null) {
+    options.url = `http://${options.host}/`;
+  } else if (!/^https?:\/\/[^\s/]+/.test(options.url)) {
+    errors.push(`Invalid URL "${options.url}" (expected http://host/)`);
+  }
+
+  const paths = String(options.paths).split(',').map(p => p.trim()).filter(Boolean);
+  paths.filter(p => !PATHS.includes(p)).forEach(p => errors.push(`Invalid path "${p}" (expected: ${PATHS.join(', ')})`));
+  if (paths.length === 0) errors.push('No way to read the dish in --paths');
+  options.paths = paths;
+
+  [['apiTimeout', 'API timeout'], ['timeout', 'page timeout'], ['selectorTimeout', 'selector timeout']].forEach(([key, name]) => {
+    if (!(options[key] > 0)) errors.push(`Invalid ${name} "${rawNumbers[key]}" (expected a positive number of seconds)`);
+  });
+
+  if (!FORMATS.includes(options.format)) {
+    errors.push(`Invalid format "${options.format}" (expected: ${FORMATS.join(' | ')})`);
+  }
+  if (options.fields !== null) {
+    const fields = parseFields(options.fields);
+    const known = knownFields();
+    fields.filter(field => !known.some(key => key === field || key.startsWith(`${field}.`)))
+      .forEach(field => errors.push(`Unknown field "${field}" (e.g. health.verdict, ping.latencyMs, obstruction)`));
+    if (options.format === 'raw') warnings.push('--fields does not apply to --format raw, ignored');
+    options.fields = fields;
+  }
+  validateOutput(options, errors);
+
+  options.limits = {};
+  [['latencyLimits', 'latencyMs'], ['dropLimits', 'dropPercent'], ['obstructionLimits', 'obstructionPercent']].forEach(([key, limit]) => {
+    const option = OPTIONS.find(candidate => candidate.key === key);
+    try {
+      options.limits[limit] = parseLimits(options[key], `--${option.flag}`);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+}
+
+// Values of `list` from flags, env, config files and defaults, numbers
+// converted. An empty value counts for the allowEmpty options, so
+// STARLINK_LATENCY_LIMITS="" turns that check off.
+function collect(list, argv, env, errors) {
+  const { flags, configFiles, help } = readArgv(argv, list, errors);
+
+  const fileValues = {};
+  configFiles.forEach(file => {
+    try {
+      Object.assign(fileValues, readConfigFile(file));
+    } catch (error) {
+      errors.push(`Cannot read config file ${file}: ${error.message}`);
+    }
+  });
+
+  const options = {};
+  const sources = {};
+  list.forEach(option => {
+    const candidates = [
+      ['flag', flags[option.flag]],
+      ['env', env[option.env]],
+      ['config', fileValues[option.env]]
+    ];
+    const found = candidates.find(([, value]) => value !== undefined && (value !== '' || option.allowEmpty));
+    options[option.key] = found ? found[1] : (option.default !== undefined ? option.default : null);
+    sources[option.key] = found ? found[0] : 'default';
+  });
+
+  const rawNumbers = {};
+  list.filter(option => option.number).forEach(option => {
+    rawNumbers[option.key] = options[option.key];
+    options[option.key] = options[option.key] === null || options[option.key] === '' ? null : Number(options[option.key]);
+  });
+  options.configFiles = configFiles;
+  options.sources = sources;
+
+  return { options, rawNumbers, help };
+}
+
+// Returns { options, errors, warnings, help }
+function parseStarlinkOptions(argv, env = process.env) {
+  const errors = [];
+  const warnings = [];
+  const { options, rawNumbers, help } = collect(OPTIONS, argv, env, errors);
+
+  if (!help) validate(options, rawNumbers, errors, warnings);
+
+  return { options, errors, warnings, help };
+}
+
+function validateReady(options, rawNumbers, errors, warnings) {
+  validateEndpoint(options, rawNumbers, errors);
+
+  const paths = String(options.paths).split(',').map(p => p.trim()).filter(Boolean);
+  if (paths.includes('browser')) warnings.push('The web page is not polled, "browser" in --paths ignored');
+  options.paths = paths.filter(p => p !== 'browser');
+  options.paths.filter(p => !PATHS.includes(p)).forEach(p => errors.push(`Invalid path "${p}" (expected: grpc, grpc-web)`));
+  if (options.paths.length === 0) errors.push('No API transport in --paths');
+
+  [['apiTimeout', 'API timeout'], ['deadline', 'deadline'], ['interval', 'interval']].forEach(([key, name]) => {
+    if (!(options[key] > 0)) errors.push(`Invalid ${name} "${rawNumbers[key]}" (expected a positive number of seconds)`);
+  });
+  if (options.maxUnreachable !== null && !(Number.isInteger(options.maxUnreachable) && options.maxUnreachable > 0)) {
+    errors.push(`Invalid maximum unreachable polls "${rawNumbers.maxUnreachable}" (expected a whole number of polls, or empty)`);
+  }
+  if (options.maxLatency !== null && !(options.maxLatency > 0)) {
+    errors.push(`Invalid maximum latency "${rawNumbers.maxLatency}" (expected a positive number of ms, or empty)`);
+  }
+  if (options.maxObstruction !== null && !(options.maxObstruction >= 0 && options.maxObstruction <= 100)) {
+    errors.push(`Invalid maximum obstruction "${rawNumbers.maxObstruction}" (expected 0 to 100 percent, or empty)`);
+  }
+  validateOutput(options, errors);
+}
+
+// Returns { options, errors, warnings, help } for starlink_wait_ready.js
+function parseReadyOptions(argv, env = process.env) {
+  const errors = [];
+  const warnings = [];
+  const { options, rawNumbers, help } = collect(READY_OPTIONS, argv, env, errors);
+
+  if (!help) validateReady(options, rawNumbers, errors, warnings);
+
+  return { options, errors, warnings, help };
+}
+
+module.exports = {
+  PATHS,
+  parseReadyOptions,
+  parseStarlinkOptions,
+  readyUsage,
+  usage
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./files');
+const { normalizeStarlink } = require('./starlink_health');
+const { historyStats } = require('./starlink_history');
+
+/**
+ * Output formats of starlink_get_json.js
+ *
+ *   raw   what the dish returned, untouched: the API responses as one line of
+ *         JSON, or the web page's text
+ *   json  the normalized link status (see starlink_health.js), pretty printed
+ *   kv    one starlink_<field>=<value> line per field, safe to eval in a shell
+ *   csv   one row; the columns are the same for every run, whatever the
+ *         dish sent, so rows from several runs line up under one header
+ *
+ * Fields are named by their path in the JSON, e.g. ping.latencyMs; --fields
+ * takes such paths or a group such as obstruction.
+ */
+
+const FORMATS = ['raw', 'json', 'kv', 'csv'];
+
+// Keys whose children are named by the dish (outage causes)
+const OPEN_GROUPS = ['historyStats.outages.byCause'];
+
+// Leaves of `value` as [path, value], in order; arrays and empty objects are leaves
+function flatten(value, prefix = '', out = []) {
+  const isGroup = value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && !OPEN_GROUPS.includes(prefix);
+  if (!isGroup) {
+    out.push([prefix, value]);
+    return out;
+  }
+  Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+  return out;
+}
+
+// A link status with every field there can be, for the names and order of fields
+function template() {
+  const link = normalizeStarlink({
+    source: 'grpc',
+    fetchedAt: '1970-01-01T00:00:00.000Z',
+    status: { outage: { cause: 'UNKNOWN', startTimestampNs: 0, durationNs: 0 } }
+  });
+  link.health = { verdict: 'good', reasons: [] };
+  link.historyStats = historyStats({ current: 1, popPingLatencyMs: [0], popPingDropRate: [0] },
+    { fetchedAt: '1970-01-01T00:00:01.000Z' });
+  return link;
+}
+
+// Every field path, in output order
+function knownFields() {
+  return flatten(template()).map(([key]) => key);
+}
+
+// "health.verdict, ping" -> ['health.verdict', 'ping']
+function parseFields(text) {
+  return String(text).split(',').map(field => field.trim()).filter(Boolean);
+}
+
+// The field paths selected by `fields` (all with null), in output order
+function selectKeys(fields) {
+  const known = knownFields();
+  if (!fields) return known;
+  return known.filter(key => fields.some(field => key === field || key.startsWith(`${field}.`)));
+}
+
+// Value as one line of text: null is empty, lists are joined with "; "
+function text(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => (item !== null && typeof item === 'object' ? item.message || JSON.stringify(item) : String(item))).join('; ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// ping.latencyMs -> starlink_ping_latency_ms
+function shellName(key) {
+  return `starlink_${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\./g, '_').toLowerCase()}`;
+}
+
+function shellQuote(value) {
+  return /^[A-Za-z0-9._:+\/-]*$/.test(value) ? value : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+function csvQuote(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// `link` reduced to the selected fields, nested as in the full status
+function pick(link, keys) {
+  const values = new Map(flatten(link));
+  const picked = {};
+  keys.forEach(key => {
+    const parts = key.split('.');
+    let target = picked;
+    parts.slice(0, -1).forEach(part => {
+      if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = values.has(key) ? values.get(key) : null;
+  });
+  return picked;
+}
+
+// The CSV header for `fields`
+function csvHeader(fields) {
+  return selectKeys(fields).map(csvQuote).join(',');
+}
+
+// Text to print or write. `raw` is what the dish returned (an object from
+// the API, a string from the web page)
+function formatLink({ link, raw, format, fields = null }) {
+  if (format === 'raw') {
+    return typeof raw === 'string' ? raw : JSON.stringify(raw);
+  }
+  if (format === 'json') {
+    return JSON.stringify(fields ? pick(link, selectKeys(fields)) : link, null, 2);
+  }
+  const values = new Map(flatten(link));
+  const keys = selectKeys(fields);
+  if (format === 'kv') {
+    return keys.map(key => `${shellName(key)}=${shellQuote(text(values.get(key)))}`).join('\n');
+  }
+  return keys.map(key => csvQuote(text(values.get(key)))).join(',');
+}
+
+// Write `content` to `file`: replaced atomically, or for csv appended as a
+// row below the header (written when the file is new). Creates the
+// directory. Throws on failure.
+function writeOutput(file, content, format, fields = null) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (format === 'csv') {
+    const header = !fs.existsSync(file) || fs.statSync(file).size === 0 ? `${csvHeader(fields)}\n` : '';
+    fs.appendFileSync(file, `${header}${content}\n`);
+    return;
+  }
+  writeFileAtomic(file, `${content}\n`);
+}
+
+module.exports = {
+  FORMATS,
+  csvHeader,
+  flatten,
+  formatLink,
+  knownFields,
+  parseFields,
+  writeOutput
+};
@@ -0,0 +1,111 @@
+const { normalizeStarlink } = require('./starlink_health');
+
+/**
+ * Starlink link readiness
+ *
+ * Right after boot the dish is still searching for satellites, and anything
+ * that needs the internet fails ("Couldn't resolve host"). waitForReady()
+ * polls the dish until it reports a usable link or a deadline passes, so the
+ * upload and config download can wait for the link instead of using up their
+ * retries. The link counts as ready when the dish is CONNECTED, not
+ * currently obstructed, and its ping latency and time obstructed are within
+ * the criteria. The result:
+ *
+ *   { ready, reachable, gaveUp, reason, startedAt, polls, elapsedS, timeToReadyS,
+ *     source, state, dishUptimeS, latencyMs, obstructionPercent }
+ *
+ * timeToReadyS is null unless ready; `reason` is why the last poll was not
+ * ready (or the link that was found). A dish that does not answer
+ * `maxUnreachablePolls` polls in a row is given up on before the deadline:
+ * it is most likely not there, and waiting the full deadline for it delays
+ * every run.
+ */
+
+function round(v, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(v * factor) / factor;
+}
+
+// Why `link` (normalized) is not ready yet, or null when it is.
+// `criteria`: { maxLatencyMs, maxObstructionPercent }, null = not checked
+function notReadyReason(link, criteria = {}) {
+  const maxLatencyMs = criteria.maxLatencyMs === undefined ? null : criteria.maxLatencyMs;
+  const maxObstructionPercent = criteria.maxObstructionPercent === undefined ? null : criteria.maxObstructionPercent;
+
+  if (link.state === null) return 'No status from the dish';
+  if (link.state !== 'CONNECTED') return `Dish is not connected (${link.state})`;
+  if (link.obstruction.currentlyObstructed === true) return 'Dish is currently obstructed';
+  if (maxLatencyMs !== null) {
+    if (link.ping.latencyMs === null) return 'No ping latency yet';
+    if (link.ping.latencyMs > maxLatencyMs) {
+      return `Ping latency ${round(link.ping.latencyMs, 1)} ms above ${maxLatencyMs} ms`;
+    }
+  }
+  if (maxObstructionPercent !== null && link.obstruction.fraction !== null) {
+    const obstructedPercent = round(link.obstruction.fraction * 100, 2);
+    if (obstructedPercent > maxObstructionPercent) {
+      return `Obstructed ${obstructedPercent}% of the time, above ${maxObstructionPercent}%`;
+    }
+  }
+  return null;
+}
+
+// Poll `probe` (async, returns what fetchDish() returns) every `intervalS`
+// until the link is ready, `deadlineS` has passed or the dish did not answer
+// `maxUnreachablePolls` times in a row (null = no limit). `onPoll(result)` is
+// called after every poll that was not ready. `now` and `sleep` are for tests.
+async function waitForReady({ probe, criteria = {}, deadlineS, intervalS, maxUnreachablePolls = null, onPoll = null,
+  now = Date.now, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) }) {
+  const startedMs = now();
+  let reachable = false;
+  let polls = 0;
+  let unreachablePolls = 0;
+
+  for (;;) {
+    polls++;
+    let link = null;
+    let reason;
+    try {
+      link = normalizeStarlink(await probe());
+      reachable = true;
+      unreachablePolls = 0;
+      reason = notReadyReason(link, criteria);
+    } catch (error) {
+      unreachablePolls++;
+      reason = `Dish not reachable: ${error.message}`;
+    }
+
+    const elapsedS = round((now() - startedMs) / 1000, 1);
+    const result = {
+      ready: reason === null,
+      reachable,
+      gaveUp: false,
+      reason: reason === null ? `Link ready after ${elapsedS} s (${polls} polls)` : reason,
+      startedAt: new Date(startedMs).toISOString(),
+      polls,
+      elapsedS,
+      timeToReadyS: reason === null ? elapsedS : null,
+      source: link ? link.source : null,
+      state: link ? link.state : null,
+      dishUptimeS: link ? link.uptimeS : null,
+      latencyMs: link && link.ping.latencyMs !== null ? round(link.ping.latencyMs, 1) : null,
+      obstructionPercent: link && link.obstruction.fraction !== null ? round(link.obstruction.fraction * 100, 2) : null
+    };
+    if (result.ready) return result;
+    if (onPoll) onPoll(result);
+    if (maxUnreachablePolls !== null && unreachablePolls >= maxUnreachablePolls) {
+      result.gaveUp = true;
+      return result;
+    }
+
+    // No point sleeping past the deadline
+    const leftMs = deadlineS * 1000 - (now() - startedMs);
+    if (leftMs <= 0) return result;
+    await sleep(Math.min(intervalS * 1000, leftMs));
+  }
+}
+
+module.exports = {
+  notReadyReason,
+  waitForReady
+};
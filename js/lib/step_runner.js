@@ -0,0 +1,135 @@
+const { logWithTimestamp } = require('./log');
+
+// Error raised when a named step has used up its tries; `cause` is the
+// error of the last try
+class StepError extends Error {
+  constructor(step, message, cause = null) {
+    super(message);
+    this.name = 'StepError';
+    this.step = step;
+    this.cause = cause;
+  }
+}
+
+// Error of the step in flight, and of every later step, once the runner has
+// been aborted (e.g. by a signal)
+class StepAbortedError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'StepAbortedError';
+  }
+}
+
+// Inner waits get this much less than the step timeout, so they fail first
+// with their own, more descriptive, message
+const DEADLINE_MARGIN = 250;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Poll a page-side predicate until it returns a truthy value or time runs out.
+// Resolves with the predicate's (serializable) result.
+async function waitFor(page, description, predicate, timeout, ...args) {
+  try {
+    const handle = await page.waitForFunction(predicate, { timeout: Math.max(timeout, 1), polling: 250 }, ...args);
+    const value = await handle.jsonValue();
+    await handle.dispose();
+    return value;
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Timed out after ${timeout}ms waiting for ${description}`);
+    }
+    throw error;
+  }
+}
+
+// Runs named steps with a timeout, retries and one log line per outcome.
+// Every try is recorded in `history` so callers can report step durations.
+// `onFailure(name, tryNum, error)` is awaited after each failed try, while the
+// page still shows the failure. After abort() the step in flight fails at
+// once and no further step runs; aborted steps are not retried.
+class StepRunner {
+  constructor({ onFailure } = {}) {
+    this.history = [];
+    this.onFailure = onFailure || null;
+    this.aborted = null;
+    this.abortCurrent = null;
+  }
+
+  abort(reason) {
+    this.aborted = new StepAbortedError(reason);
+    if (this.abortCurrent) this.abortCurrent(this.aborted);
+  }
+
+  async run(name, fn, { timeout = 10000, retries = 0, retryDelay = 1000 } = {}) {
+    const maxTries = retries + 1;
+
+    for (let tryNum = 1; tryNum <= maxTries; tryNum++) {
+      if (this.aborted) {
+        throw new StepError(name, this.aborted.message, this.aborted);
+      }
+      const startedAt = Date.now();
+      const step = {
+        name,
+        deadline: startedAt + Math.max(timeout - DEADLINE_MARGIN, 0),
+        cancelled: false,
+        remaining() {
+          return Math.max(this.deadline - Date.now(), 0);
+        }
+      };
+
+      let timer;
+      const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          step.cancelled = true;
+          reject(new Error(`Step timed out after ${timeout}ms`));
+        }, timeout);
+      });
+
+      const abortPromise = new Promise((resolve, reject) => {
+        this.abortCurrent = reject;
+      });
+
+      try {
+        const result = await Promise.race([fn(step), timeoutPromise, abortPromise]);
+        const duration = Date.now() - startedAt;
+        this.history.push({ step: name, try: tryNum, status: 'ok', duration });
+        logWithTimestamp(`[STEP ${name}] OK (${duration}ms)`);
+        return result;
+      } catch (error) {
+        const duration = Date.now() - startedAt;
+        step.cancelled = true;
+        if (error instanceof StepAbortedError) {
+          this.history.push({ step: name, try: tryNum, status: 'aborted', duration, error: error.message });
+          logWithTimestamp(`[STEP ${name}] ABORTED (${duration}ms): ${error.message}`);
+          throw new StepError(name, error.message, error);
+        }
+        this.history.push({ step: name, try: tryNum, status: 'failed', duration, error: error.message });
+        logWithTimestamp(`[STEP ${name}] FAILED try ${tryNum}/${maxTries} (${duration}ms): ${error.message}`);
+        if (this.onFailure) {
+          try {
+            await this.onFailure(name, tryNum, error);
+          } catch (hookError) {
+            logWithTimestamp(`Step failure hook failed: ${hookError.message}`);
+          }
+        }
+        if (tryNum === maxTries) {
+          throw new StepError(name, error.message, error);
+        }
+        await sleep(retryDelay);
+      } finally {
+        clearTimeout(timer);
+        this.abortCurrent = null;
+      }
+    }
+  }
+}
+
+module.exports = {
+  StepAbortedError,
+  StepError,
+  StepRunner,
+  sleep,
+  waitFor
+};
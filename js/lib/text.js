@@ -0,0 +1,14 @@
+/**
+ * Parsing of the label/value lines read from Harvester dialogs and panels
+ * (the Harvest Summary, the state of health)
+ */
+
+// Split "Label: value"; a line without a separator is all label
+function splitLine(line) {
+  const match = line.match(/^\s*([^:=]+?)\s*[:=]\s*(.*)$/);
+  return match ? { label: match[1], value: match[2].trim() } : { label: line.trim(), value: '' };
+}
+
+module.exports = {
+  splitLine
+};
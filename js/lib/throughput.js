@@ -0,0 +1,108 @@
+const { listFiles } = require('./manifest');
+const { formatBytes } = require('./budget');
+
+/**
+ * Output directory throughput
+ *
+ * While a harvest runs, the monitor step samples the harvest directory every
+ * `interval`: bytes and files written since the harvest started, and the
+ * write rate. This is an activity signal independent of the Harvester UI: a
+ * harvest whose percentage stands still, or that shows none, is not frozen
+ * while its files keep growing. With a percentage known, the bytes written
+ * so far and the rate give an ETA.
+ *
+ * Sample: { time, bytes, files, rate, changed }
+ *   bytes    bytes written since start() (growth of the directory)
+ *   files    files created since start()
+ *   rate     bytes per second over about the last RATE_WINDOW ms
+ *   changed  whether bytes or files changed since the previous sample
+ */
+
+const RATE_WINDOW = 30000;
+// Below this the percentage is too coarse to project an ETA from
+const MIN_ETA_PERCENT = 5;
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(seconds / 3600)}h${String(Math.floor(seconds / 60) % 60).padStart(2, '0')}m`;
+}
+
+class ThroughputMonitor {
+  constructor({ dir, exclude = [], interval = 5000 }) {
+    this.dir = dir;
+    this.exclude = exclude;
+    this.interval = interval;
+    this.baseline = null;
+    this.startedAt = null;
+    this.samples = [];
+    this.lastChangeAt = null; // Time of the last sample that saw the directory change
+  }
+
+  snapshot() {
+    const files = listFiles(this.dir, this.exclude);
+    return { bytes: files.reduce((sum, file) => sum + file.size, 0), paths: new Set(files.map(file => file.path)) };
+  }
+
+  start(now = Date.now()) {
+    this.baseline = this.snapshot();
+    this.startedAt = now;
+    this.samples = [];
+    this.lastChangeAt = null;
+  }
+
+  get latest() {
+    return this.samples.length > 0 ? this.samples[this.samples.length - 1] : null;
+  }
+
+  // Take a sample if `interval` has passed since the last one; returns the
+  // new sample or null
+  sample(now = Date.now()) {
+    const previous = this.latest;
+    if (now - (previous ? previous.time : this.startedAt) < this.interval) return null;
+
+    const current = this.snapshot();
+    const bytes = Math.max(0, current.bytes - this.baseline.bytes);
+    let files = 0;
+    current.paths.forEach(file => { if (!this.baseline.paths.has(file)) files++; });
+    const changed = previous ? bytes !== previous.bytes || files !== previous.files : bytes > 0 || files > 0;
+
+    // From the oldest sample within the window, or the previous one if none is
+    const references = [{ time: this.startedAt, bytes: 0 }].concat(this.samples);
+    const reference = references.find(s => now - s.time <= RATE_WINDOW) || references[references.length - 1];
+    const rate = now > reference.time
+      ? Math.max(0, Math.round((bytes - reference.bytes) * 1000 / (now - reference.time)))
+      : 0;
+
+    const sample = { time: now, bytes, files, rate, changed };
+    this.samples.push(sample);
+    if (changed) this.lastChangeAt = now;
+    return sample;
+  }
+
+  // Whether the directory has grown since start()
+  get grown() {
+    return this.lastChangeAt !== null;
+  }
+
+  // Milliseconds until 100% at the current rate, from the bytes written up
+  // to `percentage`; null while either is unknown
+  eta(percentage) {
+    const sample = this.latest;
+    if (!sample || !sample.rate || sample.bytes === 0) return null;
+    if (percentage === null || percentage < MIN_ETA_PERCENT || percentage >= 100) return null;
+    const remaining = sample.bytes * (100 - percentage) / percentage;
+    return Math.round(remaining * 1000 / sample.rate);
+  }
+
+  describe(sample) {
+    return `${formatBytes(sample.bytes)} in ${sample.files} new file${sample.files === 1 ? '' : 's'}` +
+      (sample.rate !== null ? `, ${formatBytes(sample.rate)}/s` : '');
+  }
+}
+
+module.exports = {
+  ThroughputMonitor,
+  formatDuration
+};
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const { writeJsonState } = require('./files');
+const { logWithTimestamp } = require('./log');
+
+/**
+ * Harvest watermark
+ *
+ * The Harvester's "Since Last" button relies on a bookmark inside Pegasus
+ * that moves even when our run later fails, so data can be skipped without
+ * notice. Instead we keep our own watermark: the end time of the data we have
+ * verified, taken from the miniSEED headers of the harvested files (see
+ * coverage.js). Runs then ask for a date range from the watermark minus an
+ * overlap up to now, and the watermark only moves after a verified harvest.
+ *
+ * The file lives in STATE_DIR so it survives EXECUTE=clear:
+ *   { watermarkVersion, watermark, updatedAt, harvestDir, channels: { id: end } }
+ */
+
+const WATERMARK_VERSION = 1;
+
+// The stored watermark, or null if there is none yet. A damaged file is
+// reported and treated as missing, so the run falls back to Since Last.
+function readWatermark(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (isNaN(Date.parse(state.watermark))) {
+      throw new Error(`no valid watermark time (${state.watermark})`);
+    }
+    return state;
+  } catch (error) {
+    logWithTimestamp(`WARNING: Ignoring unreadable watermark ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+// End of the data confirmed by this run: the earliest end among the channels
+// that delivered data past the previous watermark. Channels that stopped
+// before it (e.g. a dead sensor) would otherwise hold the watermark back
+// forever; they are returned in `stale`.
+function confirmedEnd(coverage, previous) {
+  const previousMs = previous ? Date.parse(previous) : -Infinity;
+  const channels = {};
+  const stale = [];
+  let end = null;
+  coverage.channels.forEach(ch => {
+    const chEnd = Date.parse(ch.end);
+    channels[ch.id] = ch.end;
+    if (chEnd <= previousMs) {
+      stale.push(ch.id);
+    } else if (end === null || chEnd < end) {
+      end = chEnd;
+    }
+  });
+  return { end, channels, stale };
+}
+
+// Returns false (after logging) if it could not be written
+function writeWatermark(file, state) {
+  return writeJsonState(file, Object.assign({ watermarkVersion: WATERMARK_VERSION }, state), 'watermark');
+}
+
+module.exports = {
+  confirmedEnd,
+  readWatermark,
+  writeWatermark
+};
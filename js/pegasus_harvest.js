@@ -1,39 +1,126 @@
 const puppeteer = require('puppeteer-core');
 const fs = require('fs');
 const path = require('path');
+const { logWithTimestamp } = require('./lib/log');
+const { StepRunner } = require('./lib/step_runner');
+const { installPageHelpers } = require('./lib/page_helpers');
+const { HarvestWatcher } = require('./lib/harvest_watcher');
+const { automateHarvest, formatReadinessTable, listDevices, runReadinessCheck, selectDevice } = require('./lib/harvest_steps');
+const { UnsupportedUiError, detectUiVersion, loadProfiles, selectProfile } = require('./lib/profiles');
+const { REPORT_FILE, RunReport } = require('./lib/run_report');
+const { FORENSICS_DIR, ForensicsCollector } = require('./lib/forensics');
+const {
+  MANIFEST_FILE,
+  NEW_DATA_STATUSES,
+  buildManifest,
+  describeManifest,
+  estimateVolume,
+  previousCoverageEnd,
+  writeManifest
+} = require('./lib/manifest');
+const { analyzeCoverage, describeCoverage } = require('./lib/coverage');
+const { confirmedEnd, readWatermark, writeWatermark } = require('./lib/watermark');
+const { planBackfill, readCheckpoint, summarizeChunks, writeCheckpoint } = require('./lib/backfill');
+const { HarvestBudget } = require('./lib/budget');
+const { ThroughputMonitor } = require('./lib/throughput');
+const { judgeSummary } = require('./lib/harvest_summary');
+const { SOH_FILE, checkSoh, describeSoh, parseSoh, writeSoh } = require('./lib/soh');
+const { deviceFile, deviceName, readDeviceState, recordDevice, uniqueDevices, writeDeviceState } = require('./lib/devices');
+const { LockHeldError, PegasusProcess } = require('./lib/pegasus_process');
+const { parseDuration, parsePolicy, parseOptions, parseSize, usage } = require('./lib/options');
+const { formatDate, parseDateSafe } = require('./lib/dates');
+
+// ---- Exit Codes ----
+const EXIT_SUCCESS = 0;
+const EXIT_HARVEST_FAILED = 1;
+const EXIT_UNSUPPORTED_UI = 2; // No selector profile matches the running Harvester
+const EXIT_INVALID_OPTIONS = 3; // Bad arguments/config; retrying will not help
+const EXIT_NOT_READY = 4; // --dry-run found at least one failing check
+const EXIT_BUDGET = 5; // --max-bytes/--max-duration stopped the run; retrying will not help
+const EXIT_LOCKED = 6; // Another run holds the session lock
+const EXIT_PARTIAL = 7; // Several loggers: some were harvested, at least one failed
+const EXIT_INTERRUPTED = 130; // Stopped by SIGINT/SIGTERM; the report is partial
+
+// Numeric override from the environment (used by the offline mock test suite)
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+}
 
-// ---- Button and Input Selectors ----
-const ALL_BTN = '#allBtn';
-const SINCE_LAST_BTN = '#sincelastBtn';
-const DATE_RANGE_BTN = '#customBtn';
-const FROM_DATE_INPUT = '#mat-input-2';
-const TO_DATE_INPUT = '#mat-input-3';
-const START_HARVEST_BTN = '.ctl-btn'; // Using class selector with tooltip "Start harvesting"
-
-// ---- Configurable Timings and Arguments ----
-const delayAllClick = 1000;
-const delayOpenConfig = 1200;
-const delaySetOutputDir = 800;
-const delaySaveConfig = 1200;
-const delayHarvestClick = 1000;
-const delayHarvestDialogWait = 2000;
-const maxHarvestWait = 180000; // 3 minutes timeout for each attempt
-const retryDelay = 3000;
-const progressCheckInterval = 5000; // Check progress every 5 seconds
-const maxNoProgressChecks = 6; // 30 seconds of no progress = frozen
+// ---- Arguments ----
+// Named flags, legacy positional arguments, env and --config files; see lib/options.js
+const parsedArgs = parseOptions(process.argv.slice(2));
+if (parsedArgs.help) {
+  console.log(usage());
+  process.exit(EXIT_SUCCESS);
+}
+const {
+  cdpUrl: CDP_URL,
+  pegasusBin,
+  startupTimeout,
+  lockFile,
+  profile: uiProfile,
+  timezone,
+  overlap,
+  chunk,
+  fallback,
+  maxBytes,
+  maxDuration,
+  sohMinVoltage,
+  sohMaxStorage,
+  sohMaxClockOffset,
+  dryRun
+} = parsedArgs.options;
+// Replaced by the watermark range when --watermark is set, see applyWatermark()
+let { mode: harvestMode, fromDate, toDate } = parsedArgs.options;
+// Switched to a logger's own directory and state files while several loggers
+// are harvested, see useDevice()
+let { harvestDir, manifestHistory, watermarkFile } = parsedArgs.options;
+let checkpointFile = parsedArgs.options.checkpointFile ||
+  (harvestDir ? path.join(path.dirname(path.resolve(harvestDir)), 'backfill_checkpoint.json') : null);
+const deviceStateFile = parsedArgs.options.deviceStateFile ||
+  (harvestDir ? path.join(path.dirname(path.resolve(harvestDir)), 'pegasus_devices.json') : null);
+// The run as started, before useDevice() switches to a logger
+const RUN = { harvestDir, manifestHistory, watermarkFile, checkpointFile, mode: harvestMode, fromDate, toDate };
+
+// ---- Configurable Timings ----
+const stepTimeout = 10000; // Limit for each UI step (click, dialog open/close)
+const stepRetries = 2; // Extra tries for steps that are safe to repeat
+const sequenceRetries = 3; // Full step sequences per harvest mode
+const cancelWait = 10000; // Time for the UI to return to idle after a cancel click
+const maxHarvestWait = parsedArgs.options.timeout !== null
+  ? Math.round(parsedArgs.options.timeout * 1000)
+  : envNumber('PEGASUS_MAX_HARVEST_WAIT', 180000); // 3 minutes timeout for each attempt
+const retryDelay = envNumber('PEGASUS_RETRY_DELAY', 3000);
+const progressCheckInterval = envNumber('PEGASUS_PROGRESS_INTERVAL', 5000); // Budget checks, and progress polls without page events, every 5 seconds
+const maxNoProgressChecks = 6; // 6 intervals (30 seconds) without a progress change = frozen
 const browserConnectRetries = 3;
-const minNoActivityMillis = 30000; // new: do not declare stop before 30s
-
-const args = process.argv;
-const harvestDir = args[2];
-// const execute   = args[3];          // currently unused
-// const waitTime  = parseFloat(args[4] || '0'); // currently unused
-// const afterWait = args[5];          // currently unused
-const harvestMode = args[6];
-
-// Use ISO-like defaults to avoid locale parsing issues
-const fromDate = args[7] || '2026-01-04T00:00:00';
-const toDate   = args[8] || '2050-01-01T23:59:59';
+const minNoActivityMillis = envNumber('PEGASUS_GRACE_PERIOD', 30000); // new: do not declare stop before 30s
+const maxForensicsBytes = envNumber('PEGASUS_FORENSICS_MAX_BYTES', 20 * 1024 * 1024); // Cap for failure screenshots/DOM dumps per run
+const coverageTolerance = envNumber('PEGASUS_COVERAGE_TOLERANCE', 600) * 1000; // Slack before a short time span is flagged
+const interruptWait = envNumber('PEGASUS_INTERRUPT_WAIT', 30000); // After a signal: cancel, report and shutdown must finish by then
+
+// Instrument state-of-health limits; 0 turns a check off
+const SOH_THRESHOLDS = {
+  minVoltage: sohMinVoltage || null,
+  maxStoragePercent: sohMaxStorage || null,
+  maxClockOffsetMs: sohMaxClockOffset
+};
+
+// Files the run itself writes into the harvest directory, not harvested data
+const RUN_ARTIFACTS = [REPORT_FILE, FORENSICS_DIR, MANIFEST_FILE, SOH_FILE];
+
+const TIMINGS = {
+  stepTimeout,
+  stepRetries,
+  sequenceRetries,
+  cancelWait,
+  maxHarvestWait,
+  retryDelay,
+  progressCheckInterval,
+  maxNoProgressChecks,
+  minNoActivityMillis
+};
 
 // Enhanced logging class for structured logging
 class HarvestLogger {
@@ -71,33 +158,324 @@ class HarvestLogger {
 }
 
 const logger = new HarvestLogger();
+const runReport = new RunReport({
+  harvestDir,
+  mode: harvestMode,
+  fromDate,
+  toDate,
+  timezone,
+  cdpUrl: CDP_URL,
+  pegasusBin,
+  lockFile,
+  profile: uiProfile,
+  dryRun,
+  manifestHistory,
+  watermarkFile,
+  overlap,
+  chunk,
+  checkpointFile,
+  deviceStateFile,
+  fallback,
+  maxBytes,
+  maxDuration,
+  soh: SOH_THRESHOLDS,
+  configFiles: parsedArgs.options.configFiles,
+  sources: parsedArgs.options.sources,
+  timings: TIMINGS
+});
+let report = runReport; // The logger's own report while several loggers are harvested
+const forensics = new ForensicsCollector({ harvestDir, maxBytes: maxForensicsBytes });
+let manifest = null; // Latest manifest of the harvest directory
+let checkedAttempt = null; // Mode and read-back dates of the attempt whose data was last checked
+let device = null; // Serial of the logger being harvested when several are connected
+let dateEntry = null; // Time zone of --from/--to and the profile's date formats, see dates.js
+const budget = new HarvestBudget({
+  maxBytes: maxBytes !== null ? parseSize(maxBytes) : null,
+  maxDurationMs: maxDuration !== null ? parseDuration(maxDuration) : null,
+  harvestDir,
+  exclude: RUN_ARTIFACTS,
+  startedAt: report.startedAt.getTime()
+});
+let budgetStop = null; // Why the budget ended the run, if it did
+let pegasus = null; // Session lock and, with --pegasus-bin, the Harvester process
+let runner = null; // Step runner of the connected session, aborted on a signal
+let interrupted = null; // Name of the signal that asked the run to stop
+let artifactsWritten = false;
+
+// Thrown by the exit functions so the finally block of the main sequence
+// (disconnect, Harvester shutdown, lock release) runs before the process exits
+class RunExit extends Error {
+  constructor(code, outcome) {
+    super(`Exit ${code}`);
+    this.name = 'RunExit';
+    this.code = code;
+    this.outcome = outcome;
+  }
+}
+
+// Log one fallback/budget decision and keep it for the run report
+function decide(action, mode, reason) {
+  logWithTimestamp(`DECISION: ${action} '${mode}': ${reason}`);
+  report.addDecision({ action, mode, reason });
+}
+
+// Data volume a mode is expected to bring, from the data rate of previous
+// runs and the time span the mode covers; null when it cannot be told
+function projectVolume(mode) {
+  if (budget.maxBytes === null) return null;
+  const volume = estimateVolume(harvestDir, manifestHistory);
+  if (volume.bytesPerSecond === null) return null;
+
+  const runStart = report.startedAt.getTime();
+  let from = null;
+  let to = runStart;
+  if (mode === 'date range') {
+    from = parseDateSafe(fromDate, timezone).getTime();
+    to = Math.min(parseDateSafe(toDate, timezone).getTime(), runStart);
+  } else if (mode === 'since last') {
+    const ends = Object.values(previousCoverageEnd(harvestDir, manifestHistory)).map(end => Date.parse(end));
+    if (ends.length > 0) from = Math.min.apply(null, ends);
+  } else if (volume.earliestStart) {
+    from = Date.parse(volume.earliestStart);
+  }
+  return from === null ? null : Math.max(0, Math.round((to - from) / 1000 * volume.bytesPerSecond));
+}
+
+// Ask the budget before an attempt; a refusal is logged as a skip
+function budgetRefuses(mode, timeLimitMs, projectedBytes) {
+  if (!budget.enabled) return false;
+  const reason = budget.refuseStart({ timeLimitMs, projectedBytes });
+  if (!reason) return false;
+  decide('skip', mode, reason);
+  budgetStop = reason;
+  return true;
+}
+
+// Budget check for the monitor step of one attempt, or null without a budget
+function budgetMonitor() {
+  if (!budget.enabled) return null;
+  const startBytes = budget.usedBytes();
+  return progress => budget.checkProgress(progress, startBytes);
+}
+
+// Output directory watcher for the monitor step of one attempt
+function throughputMonitor(dir) {
+  return new ThroughputMonitor({ dir, exclude: RUN_ARTIFACTS, interval: progressCheckInterval });
+}
+
+// Time window the checked attempt should have delivered. The end is capped
+// at the start of this run; since last starts each channel where the
+// previous successful run ended.
+function coverageWindow(attempt) {
+  const runStart = report.startedAt.getTime();
+  const dates = attempt.requestedDates;
+  if (dates && dates.from && dates.to) {
+    const from = parseDateSafe(dates.from, timezone);
+    const to = parseDateSafe(dates.to, timezone);
+    return {
+      source: 'requested dates',
+      from: from ? from.getTime() : null,
+      to: to ? Math.min(to.getTime(), runStart) : runStart
+    };
+  }
+  if (attempt.mode === 'since last') {
+    return { source: 'since last', from: null, to: runStart, previousEnd: previousCoverageEnd(harvestDir, manifestHistory) };
+  }
+  return { source: attempt.mode, from: null, to: runStart };
+}
 
-// Enhanced logging function
-function logWithTimestamp(message) {
-  const timestamp = new Date().toISOString();
-  console.log(`${timestamp} - ${message}`);
+// Read the miniSEED headers of the harvested files and warn about time
+// coverage that does not fit the window. Informational only; never throws.
+function checkCoverage() {
+  try {
+    const coverage = analyzeCoverage(harvestDir, manifest.files.map(file => file.path), {
+      window: coverageWindow(checkedAttempt),
+      toleranceMs: coverageTolerance
+    });
+    describeCoverage(coverage).forEach(line => logWithTimestamp(`Coverage: ${line}`));
+    coverage.warnings.forEach(warning => logWithTimestamp(`WARNING: Coverage: ${warning.message}`));
+    report.setCoverage(coverage);
+    manifest.coverage = {};
+    coverage.channels.forEach(ch => { manifest.coverage[ch.id] = { start: ch.start, end: ch.end }; });
+  } catch (error) {
+    logWithTimestamp(`WARNING: Could not check time coverage: ${error.message}`);
+  }
+}
+
+// With --watermark, a Since Last run becomes a date range from the stored
+// watermark minus the overlap up to now. Without a watermark yet (first run,
+// or a damaged file) Since Last is used once to establish it.
+function applyWatermark() {
+  if (!watermarkFile || harvestMode !== 'since last') return;
+
+  const state = readWatermark(watermarkFile);
+  report.setWatermark({
+    file: watermarkFile,
+    previous: state ? state.watermark : null,
+    overlap,
+    advancedTo: null,
+    note: null
+  });
+  if (!state) {
+    logWithTimestamp(`No watermark in ${watermarkFile} yet, using Since Last for this run`);
+    return;
+  }
+  harvestMode = 'date range';
+  fromDate = formatDate(Date.parse(state.watermark) - overlap * 1000, timezone);
+  toDate = formatDate(report.startedAt.getTime(), timezone);
+  logWithTimestamp(`Watermark ${state.watermark}: harvesting date range ${fromDate} to ${toDate} instead of Since Last`);
+}
+
+// Move the watermark to the end of the data this verified run confirmed.
+// Only called on success; never moves it backwards.
+function advanceWatermark() {
+  const plan = report.watermark;
+  const skip = note => {
+    plan.note = note;
+    logWithTimestamp(`WARNING: Watermark not advanced: ${note}`);
+  };
+  if (!report.coverage || report.coverage.channels.length === 0) {
+    skip('no miniSEED data to confirm');
+    return;
+  }
+
+  const confirmed = confirmedEnd(report.coverage, plan.previous);
+  if (confirmed.stale.length > 0) {
+    logWithTimestamp(`WARNING: No data after the watermark for ${confirmed.stale.join(', ')}`);
+  }
+  if (confirmed.end === null) {
+    skip(`no channel has data after ${plan.previous}`);
+    return;
+  }
+
+  const watermark = new Date(confirmed.end).toISOString();
+  const written = writeWatermark(watermarkFile, {
+    watermark,
+    updatedAt: new Date().toISOString(),
+    harvestDir: path.resolve(harvestDir),
+    channels: confirmed.channels
+  });
+  if (written) {
+    plan.advancedTo = watermark;
+    logWithTimestamp(`Watermark advanced from ${plan.previous || '(none)'} to ${watermark}`);
+  }
+}
+
+// Report, forensics index and manifest are written on every exit path
+function writeRunArtifacts(outcome) {
+  artifactsWritten = true;
+  report.setForensics(forensics.summary());
+  if (manifest) {
+    if (checkedAttempt) checkCoverage();
+    if (report.watermark && outcome.status === 'success') advanceWatermark();
+    // A logger's manifests are named after the run, not the logger's directory
+    writeManifest(manifest, {
+      historyDir: manifestHistory,
+      historyName: device ? path.basename(RUN.harvestDir) : null,
+      runStatus: outcome.status
+    });
+    report.setManifest(manifest.summary);
+  }
+  report.write(outcome);
 }
 
 // Exit with proper code
-function exitWithError(message, code = 1) {
+function exitWithError(message, code = EXIT_HARVEST_FAILED) {
   logWithTimestamp(`FATAL ERROR: ${message}`);
   logger.generateSummaryReport();
-  process.exit(code);
+  const outcome = { status: 'failed', exitCode: code, message };
+  writeRunArtifacts(outcome);
+  throw new RunExit(code, outcome);
+}
+
+// Print the --dry-run table and exit 0 only if every check passed
+function exitWithReadiness(rows) {
+  const failed = rows.filter(row => row.status === 'FAIL').length;
+  const skipped = rows.filter(row => row.status === 'SKIP').length;
+  const ready = failed === 0 && skipped === 0;
+  const message = ready
+    ? `READY: all ${rows.length} checks passed, no harvest was started`
+    : `NOT READY: ${failed} failed, ${skipped} skipped of ${rows.length} checks`;
+
+  console.log(`\n${formatReadinessTable(rows)}\n`);
+  logWithTimestamp(message);
+  report.setReadiness(rows);
+  const outcome = {
+    status: ready ? 'ready' : 'not-ready',
+    exitCode: ready ? EXIT_SUCCESS : EXIT_NOT_READY,
+    message
+  };
+  writeRunArtifacts(outcome);
+  throw new RunExit(outcome.exitCode, outcome);
+}
+
+// Partial report of a run stopped by a signal
+function exitWithInterrupted() {
+  const message = `Interrupted by ${interrupted}`;
+  logWithTimestamp(`INTERRUPTED: ${message}`);
+  logger.generateSummaryReport();
+  const outcome = { status: 'interrupted', exitCode: EXIT_INTERRUPTED, message };
+  writeRunArtifacts(outcome);
+  throw new RunExit(EXIT_INTERRUPTED, outcome);
+}
+
+function stopIfInterrupted() {
+  if (interrupted) exitWithInterrupted();
+}
+
+// First SIGINT/SIGTERM: abort the step in flight, so the harvest is cancelled
+// (attemptCancel) and the main sequence exits through exitWithInterrupted()
+// with the browser disconnected and the Harvester shut down. Should that not
+// finish within interruptWait, the report is written here, the Harvester is
+// killed and the process exits. A second signal exits at once; the session lock is left behind on
+// purpose, so the next run finds it stale and shuts down the Harvester.
+function onSignal(signal) {
+  if (interrupted) {
+    logWithTimestamp(`Second ${signal}, exiting immediately`);
+    process.exit(EXIT_INTERRUPTED);
+  }
+  interrupted = signal;
+  logWithTimestamp(`Received ${signal}: cancelling the harvest and writing a partial report (send again to exit immediately)`);
+  if (runner) runner.abort(`Interrupted by ${signal}`);
+  setTimeout(() => {
+    logWithTimestamp(`WARNING: Run did not wind down within ${interruptWait}ms after ${signal}, exiting`);
+    if (!artifactsWritten) {
+      writeRunArtifacts({ status: 'interrupted', exitCode: EXIT_INTERRUPTED, message: `Interrupted by ${signal}` });
+    }
+    if (pegasus) pegasus.kill();
+    process.exit(EXIT_INTERRUPTED);
+  }, interruptWait).unref();
 }
 
+process.on('SIGINT', onSignal);
+process.on('SIGTERM', onSignal);
+// The tee in lib/harvest.sh may be gone already; logging must not crash the shutdown
+process.stdout.on('error', () => {});
+
 function exitWithSuccess(message) {
   logWithTimestamp(`SUCCESS: ${message}`);
   logger.generateSummaryReport();
-  process.exit(0);
+  const outcome = { status: 'success', exitCode: EXIT_SUCCESS, message };
+  writeRunArtifacts(outcome);
+  throw new RunExit(EXIT_SUCCESS, outcome);
+}
+
+// Several loggers, some of them harvested and the others failed
+function exitWithPartial(message) {
+  logWithTimestamp(`PARTIAL: ${message}`);
+  logger.generateSummaryReport();
+  const outcome = { status: 'partial', exitCode: EXIT_PARTIAL, message };
+  writeRunArtifacts(outcome);
+  throw new RunExit(EXIT_PARTIAL, outcome);
 }
 
 // Enhanced browser connection with retry logic
-async function connectToBrowserWithRetry(maxRetries = browserConnectRetries) {
+async function connectToBrowserWithRetry(browserURL, maxRetries = browserConnectRetries) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       logWithTimestamp(`Attempting browser connection (${attempt}/${maxRetries})`);
       const browser = await puppeteer.connect({
-        browserURL: 'http://localhost:9222',
+        browserURL,
         defaultViewport: null,
         slowMo: 50 // Add slight delay for stability
       });
@@ -113,6 +491,7 @@ async function connectToBrowserWithRetry(maxRetries = browserConnectRetries) {
       return browser;
     } catch (error) {
       logWithTimestamp(`Browser connection attempt ${attempt} failed: ${error.message}`);
+      if (interrupted) break;
       if (attempt < maxRetries) {
         logWithTimestamp(`Waiting 5 seconds before retry...`);
         await new Promise(resolve => setTimeout(resolve, 5000));
@@ -122,46 +501,14 @@ async function connectToBrowserWithRetry(maxRetries = browserConnectRetries) {
   throw new Error(`Failed to connect to browser after ${maxRetries} attempts`);
 }
 
-// Robust date parsing helper
-function parseDateSafe(s) {
-  // Accept both "YYYY-MM-DDTHH:mm:ss" and "YYYY-MM-DD HH:mm:ss"
-  const normalized = s.replace(' ', 'T');
-  const d = new Date(normalized);
-  return isNaN(d.getTime()) ? null : d;
-}
-
-// Configuration validation
+// Configuration validation: report every problem found by parseOptions at once
 function validateHarvestConfig() {
-  const issues = [];
-
-  if (!harvestDir || harvestDir.length === 0) {
-    issues.push("Harvest directory not specified");
-  }
+  parsedArgs.warnings.forEach(warning => logWithTimestamp(`WARNING: ${warning}`));
 
-  try {
-    if (!fs.existsSync(path.dirname(harvestDir))) {
-      issues.push("Parent directory of harvest path does not exist");
-    }
-  } catch (e) {
-    issues.push("Invalid harvest directory path");
-  }
-
-  // Validate date format and logic
-  if (harvestMode === 'date range') {
-    const from = parseDateSafe(fromDate);
-    const to   = parseDateSafe(toDate);
-    if (!from || !to) {
-      issues.push("Invalid date format");
-    } else if (from >= to) {
-      issues.push("From date must be before to date");
-    } else if (to > new Date()) {
-      logWithTimestamp("WARNING: To date is in the future");
-    }
-  }
-
-  if (issues.length > 0) {
+  if (parsedArgs.errors.length > 0) {
     logWithTimestamp("Configuration validation issues:");
-    issues.forEach(issue => logWithTimestamp(` - ${issue}`));
+    parsedArgs.errors.forEach(issue => logWithTimestamp(` - ${issue}`));
+    logWithTimestamp("Run with --help for usage");
     return false;
   }
 
@@ -188,666 +535,512 @@ async function monitorSystemResources() {
   }
 }
 
-// Check if harvest directory has data files
-function checkForHarvestedData(directory) {
+// Checksum everything harvested so far and compare with previous runs.
+// True only if the harvest brought new data (new or grown files).
+async function checkForNewData(directory) {
   try {
     if (!fs.existsSync(directory)) {
       logWithTimestamp(`Directory does not exist: ${directory}`);
       return false;
     }
 
-    const files = fs.readdirSync(directory);
-    const dataFiles = files.filter(file => {
-      const filePath = path.join(directory, file);
-      const stats = fs.statSync(filePath);
-      return stats.isFile() && stats.size > 0;
+    manifest = await buildManifest(directory, {
+      exclude: RUN_ARTIFACTS,
+      historyDir: manifestHistory
     });
-    logWithTimestamp(`Found ${dataFiles.length} data files in ${directory}`);
-    return dataFiles.length > 0;
+    logWithTimestamp(`Manifest: ${describeManifest(manifest)}`);
+    manifest.files
+      .filter(file => file.status === 'shrunk' || file.status === 'changed')
+      .forEach(file => logWithTimestamp(
+        `WARNING: ${file.path} ${file.status} (${file.previous.size} -> ${file.size} bytes since run ${file.previous.run})`
+      ));
+    return manifest.summary.newData > 0;
   } catch (error) {
     logWithTimestamp(`Error checking directory ${directory}: ${error.message}`);
     return false;
   }
 }
 
-// ---- Main Puppeteer Automation ----
-(async () => {
-  let browser;
+// Read the instrument's state of health from the Harvester page, flag values
+// beyond the thresholds and write soh.json. Informational only; never throws.
+async function collectSoh(page) {
   try {
-    logWithTimestamp("Starting enhanced Pegasus harvest automation");
-    logWithTimestamp(`Target output directory: ${harvestDir}`);
-    logWithTimestamp(`Initial harvest mode: ${harvestMode}`);
-    logWithTimestamp(`Date range: ${fromDate} to ${toDate}`);
-
-    if (!validateHarvestConfig()) {
-      exitWithError("Configuration validation failed");
+    const content = await page.evaluate(() => window.__pegasusHarvest.sohContent());
+    const soh = parseSoh(content);
+    const flags = checkSoh(soh, SOH_THRESHOLDS);
+    logWithTimestamp(`Instrument state of health: ${describeSoh(soh)}`);
+    flags.forEach(flag => logWithTimestamp(`WARNING: SOH: ${flag.message}`));
+
+    const snapshot = Object.assign({ time: new Date().toISOString(), panel: content.panel }, soh,
+      { thresholds: SOH_THRESHOLDS, flags });
+    report.setSoh(snapshot);
+    if (writeSoh(path.join(harvestDir, SOH_FILE), snapshot)) {
+      logWithTimestamp(`State of health written to ${path.join(harvestDir, SOH_FILE)}`);
     }
+  } catch (error) {
+    logWithTimestamp(`WARNING: Could not read instrument state of health: ${error.message}`);
+  }
+}
 
-    await monitorSystemResources();
-
-    browser = await connectToBrowserWithRetry();
-    const [page] = await browser.pages();
-    if (!page) {
-      exitWithError("No pages available in browser");
-    }
-
-    logWithTimestamp("Connected to Pegasus Harvester browser session");
-
-    const harvestModes = [
-      harvestMode,
-      harvestMode,
-      'date range',
-      'all'
-    ];
-
-    let harvestSucceeded = false;
-    let attemptNumber = 0;
+// With --chunk in date range mode, split the range into chunks and pick up
+// the checkpoint of an earlier run. Returns null when not backfilling.
+function prepareBackfill() {
+  if (!chunk || harvestMode !== 'date range') return null;
+  try {
+    return planBackfill({
+      fromDate,
+      toDate,
+      timezone,
+      chunkMs: parseDuration(chunk),
+      now: report.startedAt.getTime(),
+      checkpoint: readCheckpoint(checkpointFile)
+    });
+  } catch (error) {
+    exitWithError(error.message, EXIT_INVALID_OPTIONS);
+  }
+}
 
-    for (const currentMode of harvestModes) {
-      attemptNumber++;
-      const attemptStartTime = Date.now();
-      logWithTimestamp(`\n=== ATTEMPT ${attemptNumber}: Using harvest mode '${currentMode}' ===`);
+// Harvest each pending chunk of the backfill plan into its own subdirectory.
+// A chunk is done once its harvest completed and brought new data; the
+// checkpoint is written after every chunk so an interrupted backfill resumes
+// at the first chunk not done. Returns the chunk summary.
+async function runBackfill(page, runner, watcher, plan) {
+  const backfill = { checkpoint: checkpointFile, from: plan.from, to: plan.to, chunkSeconds: plan.chunkSeconds,
+    resumed: plan.resumed, chunks: plan.chunks, summary: summarizeChunks(plan.chunks) };
+  report.setBackfill(backfill);
+  // Coverage is checked against the whole backfill range
+  checkedAttempt = { mode: 'date range', requestedDates: { from: plan.chunks[0].from, to: plan.chunks[plan.chunks.length - 1].to } };
+  logWithTimestamp(`Backfill ${plan.from} to ${plan.to} in ${plan.chunks.length} chunks of ${chunk}` +
+    (plan.resumed ? `, resuming with ${backfill.summary.done} already done` : ''));
+
+  let attemptNumber = 0;
+  for (const current of plan.chunks.filter(c => c.status !== 'done')) {
+    const volume = budget.maxBytes !== null ? estimateVolume(harvestDir, manifestHistory) : null;
+    const projected = volume && volume.bytesPerSecond !== null
+      ? Math.round((parseDateSafe(current.to, timezone) - parseDateSafe(current.from, timezone)) / 1000 * volume.bytesPerSecond)
+      : null;
+    if (budgetRefuses(`chunk ${current.index}`, null, projected)) break;
+    stopIfInterrupted();
+    attemptNumber++;
+    const attemptStartTime = Date.now();
+    const historyStart = runner.history.length;
+    const chunkDir = path.join(harvestDir, current.dir);
+    logWithTimestamp(`\n=== CHUNK ${current.index}/${plan.chunks.length}: ${current.from} to ${current.to} ===`);
+    report.startAttempt('date range', attemptNumber);
+    forensics.setContext([device, `chunk${current.index}`].filter(Boolean).join(' '));
+    fs.mkdirSync(chunkDir, { recursive: true });
+
+    const result = await automateHarvest(page, runner, {
+      mode: 'date range',
+      device,
+      harvestDir: chunkDir,
+      fromDate: current.from,
+      toDate: current.to,
+      dateEntry,
+      timings: TIMINGS,
+      watcher,
+      throughput: throughputMonitor(chunkDir),
+      onEvent: event => report.recordEvent(event),
+      onProgress: sample => report.recordProgress(sample),
+      onThroughput: sample => report.recordThroughput(sample),
+      shouldStop: budgetMonitor()
+    });
 
-      const result = await page.evaluate(async ({
-        delayAllClick,
-        delayOpenConfig,
-        delaySetOutputDir,
-        delaySaveConfig,
-        delayHarvestClick,
-        delayHarvestDialogWait,
-        maxHarvestWait,
-        retryDelay,
-        progressCheckInterval,
-        maxNoProgressChecks,
-        minNoActivityMillis,
-        harvestDir,
-        fromDate,
-        toDate,
-        currentMode,
-        ALL_BTN,
-        SINCE_LAST_BTN,
-        DATE_RANGE_BTN,
-        FROM_DATE_INPUT,
-        TO_DATE_INPUT,
-        START_HARVEST_BTN
-      }) => {
-        function sleep(ms) {
-          return new Promise(resolve => setTimeout(resolve, ms));
-        }
+    if (interrupted && !result.success) {
+      // The chunk stays pending, so the next run harvests it again
+      report.finishAttempt({ result: 'INTERRUPTED', duration: Date.now() - attemptStartTime, chunk: current.index,
+        requestedDates: result.requestedDates, failedStep: result.failedStep, error: result.error,
+        steps: runner.history.slice(historyStart) });
+      writeCheckpoint(checkpointFile, plan);
+      exitWithInterrupted();
+    }
 
-        async function verifyUIState() {
-          console.log("Verifying UI state...");
-
-          const errorDialog = document.querySelector('.error-dialog, [role="alertdialog"]');
-          if (errorDialog) {
-            console.log("Error dialog detected, attempting to close");
-            const closeBtn = errorDialog.querySelector('button');
-            if (closeBtn) closeBtn.click();
-            await sleep(1000);
-          }
-
-          const loadingElements = document.querySelectorAll('.loading, .spinner, mat-spinner');
-          if (loadingElements.length > 0) {
-            console.log("Loading state detected, waiting...");
-            let waitCount = 0;
-            while (document.querySelectorAll('.loading, .spinner, mat-spinner').length > 0 && waitCount < 10) {
-              await sleep(1000);
-              waitCount++;
-            }
-          }
-
-          const startBtn = document.querySelector('[mattooltip="Start harvesting"]');
-          if (!startBtn) {
-            throw new Error("Start harvesting button not found - UI may not be ready");
-          }
-
-          console.log("UI state verification passed");
-          return true;
-        }
+    let outcome = 'FAILED';
+    let error = result.error || null;
+    let files = 0;
+    if (result.success) {
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      await checkForNewData(harvestDir);
+      files = manifest ? manifest.files.filter(file =>
+        file.path.startsWith(current.dir + path.sep) && NEW_DATA_STATUSES.includes(file.status)).length : 0;
+      outcome = files > 0 ? 'SUCCESS' : 'NO_DATA';
+      if (files === 0) error = 'Harvest completed but brought no new data';
+      const verdict = judgeSummary(result.summary);
+      if (verdict) {
+        outcome = verdict.result;
+        error = verdict.reason;
+      }
+    }
 
-        async function findDateInputs() {
-          console.log("Looking for date input fields with multiple strategies...");
-          const strategies = [
-            () => {
-              const from = document.querySelector(FROM_DATE_INPUT);
-              const to = document.querySelector(TO_DATE_INPUT);
-              return from && to ? [from, to] : null;
-            },
-            () => {
-              const from = document.querySelector('input[placeholder*="from" i], input[placeholder*="start" i]');
-              const to = document.querySelector('input[placeholder*="to" i], input[placeholder*="end" i]');
-              return from && to ? [from, to] : null;
-            },
-            () => {
-              const dateInputs = Array.from(document.querySelectorAll('input[type="date"], input[type="datetime-local"]'));
-              return dateInputs.length >= 2 ? [dateInputs[0], dateInputs[1]] : null;
-            },
-            () => {
-              const matInputs = Array.from(document.querySelectorAll('mat-datepicker-input, input[matdatepicker]'));
-              return matInputs.length >= 2 ? [matInputs[0], matInputs[1]] : null;
-            }
-          ];
-
-          for (let i = 0; i < strategies.length; i++) {
-            try {
-              const result = strategies[i]();
-              if (result) {
-                console.log(`Found date inputs using strategy ${i + 1}`);
-                return result;
-              }
-            } catch (e) {
-              console.log(`Strategy ${i + 1} failed: ${e.message}`);
-            }
-          }
-
-          throw new Error("Could not locate date input fields with any strategy");
-        }
+    const attemptDuration = Date.now() - attemptStartTime;
+    logger.logAttempt(`chunk ${current.index}`, attemptNumber, outcome, attemptDuration);
+    report.finishAttempt({
+      result: outcome,
+      duration: attemptDuration,
+      chunk: current.index,
+      requestedDates: result.requestedDates,
+      summary: result.summary,
+      failedStep: result.failedStep,
+      error,
+      steps: runner.history.slice(historyStart)
+    });
 
-        function clickButtonByText(text, strict = true) {
-          const btn = Array.from(document.querySelectorAll('button')).find(
-            b => strict
-              ? b.textContent.trim().toLowerCase() === text.toLowerCase()
-              : b.textContent.trim().toLowerCase().includes(text.toLowerCase())
-          );
-          if (btn && !btn.disabled) {
-            btn.click();
-            console.log(`Clicked "${btn.textContent.trim()}" button`);
-            return true;
-          }
-          return false;
-        }
+    Object.assign(current, {
+      status: outcome === 'SUCCESS' ? 'done' : 'failed',
+      harvestDir: path.resolve(chunkDir),
+      attempts: (current.attempts || 0) + 1,
+      files,
+      error: outcome === 'SUCCESS' ? null : error,
+      finishedAt: new Date().toISOString()
+    });
+    backfill.summary = summarizeChunks(plan.chunks);
+    writeCheckpoint(checkpointFile, plan);
+    logWithTimestamp(`Chunk ${current.index} ${current.status}` + (current.error ? `: ${current.error}` : `, ${files} new files`));
+    if (result.stopped) {
+      decide('stop', `chunk ${current.index}`, result.error);
+      budgetStop = result.error;
+      break;
+    }
+  }
 
-        async function setOutputDirectory(path) {
-          let dialog = document.querySelector('[role="dialog"]') ||
-                       document.querySelector('.mat-dialog-container');
-          if (!dialog) {
-            console.warn("Archive Configuration dialog not found");
-            return false;
-          }
-
-          let outputInputs = Array.from(dialog.querySelectorAll('input[type="text"]'));
-          let outputInput = outputInputs[0];
-
-          if (outputInput) {
-            outputInput.focus();
-            outputInput.value = '';
-            outputInput.value = path;
-            outputInput.dispatchEvent(new Event('input', { bubbles: true }));
-            outputInput.dispatchEvent(new Event('change', { bubbles: true }));
-            console.log(`Set Output Directory: ${path}`);
-            await sleep(500);
-            if (outputInput.value !== path) {
-              console.warn(`Output directory verification failed: expected "${path}", got "${outputInput.value}"`);
-            }
-            return true;
-          }
-
-          console.warn("Could not find Output Directory input field in dialog");
-          return false;
-        }
+  return backfill.summary;
+}
 
-        function isHarvestProgress(element) {
-          const parent = element.closest('.harvest-container, .progress-container, mat-progress-bar, .mat-progress-bar');
-          const textContent = (element.parentElement?.textContent || '').toLowerCase();
+// Fallback policy with "initial" resolved to the mode this run starts with
+// (after applyWatermark), so a watermark run falls back from its date range
+function fallbackPolicy() {
+  return parsePolicy(fallback).map(entry => Object.assign({}, entry, {
+    mode: entry.mode === 'initial' ? harvestMode : entry.mode
+  }));
+}
 
-          const harvestKeywords = ['harvest', 'download', 'export', 'processing', 'files', 'progress'];
-          const hasHarvestContext = harvestKeywords.some(keyword =>
-            textContent.includes(keyword)
-          );
+function describeEntry(entry) {
+  return `${entry.mode} x${entry.tries}` + (entry.timeLimit !== null ? ` (${Math.round(entry.timeLimit / 1000)}s)` : '');
+}
 
-          const excludeKeywords = ['battery', 'cpu', 'memory', 'disk', 'volume'];
-          const hasExcludeContext = excludeKeywords.some(keyword =>
-            textContent.includes(keyword)
-          );
+// Point the run at one logger: its subdirectory, state files, report and
+// manifest, starting from the mode and dates the run was started with.
+// Without --manifest-history the logger's manifests are kept in
+// manifests/<serial> next to the harvest directory, as the sibling
+// directories in the harvest directory belong to the other loggers.
+function useDevice(serial) {
+  const name = deviceName(serial);
+  device = serial;
+  harvestDir = path.join(RUN.harvestDir, name);
+  manifestHistory = path.join(RUN.manifestHistory || path.join(path.dirname(path.resolve(RUN.harvestDir)), 'manifests'), name);
+  watermarkFile = deviceFile(RUN.watermarkFile, serial);
+  checkpointFile = deviceFile(RUN.checkpointFile, serial);
+  harvestMode = RUN.mode;
+  fromDate = RUN.fromDate;
+  toDate = RUN.toDate;
+  manifest = null;
+  checkedAttempt = null;
+  artifactsWritten = false;
+  fs.mkdirSync(harvestDir, { recursive: true });
+  forensics.setContext(serial);
+  report = new RunReport(Object.assign({}, runReport.config, {
+    harvestDir, device: serial, mode: harvestMode, manifestHistory, watermarkFile, checkpointFile
+  }));
+}
 
-          return (parent !== null || hasHarvestContext) && !hasExcludeContext;
-        }
+// Back to the run as a whole after the loggers
+function useRun() {
+  device = null;
+  harvestDir = RUN.harvestDir;
+  manifest = null;
+  checkedAttempt = null;
+  artifactsWritten = false;
+  report = runReport;
+}
 
-        async function detectProgressMultiStrategy() {
-          const progressBars = document.querySelectorAll('mat-progress-bar, .progress-bar, [role="progressbar"]');
-          for (const bar of progressBars) {
-            const percentText = bar.textContent.match(/(\d+)%/);
-            if (percentText && isHarvestProgress(bar)) {
-              return {
-                percentage: parseInt(percentText[1]),
-                source: 'progress-bar',
-                element: bar
-              };
-            }
-          }
-
-          const allElements = Array.from(document.querySelectorAll('*')).filter(el => {
-            if (!el.textContent) return false;
-            const match = el.textContent.match(/(\d+)%/);
-            return match && isHarvestProgress(el);
-          });
-
-          if (allElements.length > 0) {
-            const match = allElements[0].textContent.match(/(\d+)%/);
-            return {
-              percentage: parseInt(match[1]),
-              source: 'text-content',
-              element: allElements[0]
-            };
-          }
-
-          return {
-            percentage: null,
-            source: 'none',
-            element: null
-          };
-        }
+// Harvest one logger; resolves with the RunExit its harvest ended with.
+// Errors outside the harvest steps end it as they would end the run.
+async function harvestDevice(page, watcher, serial) {
+  try {
+    await runner.run('select device', step => selectDevice(page, serial, step),
+      { timeout: stepTimeout, retries: stepRetries, retryDelay });
+    await collectSoh(page);
+    applyWatermark();
+    await harvestSelected(page, watcher, prepareBackfill());
+  } catch (error) {
+    if (error instanceof RunExit) return error;
+    try {
+      if (interrupted) exitWithInterrupted();
+      exitWithError(`Harvest of logger ${serial} failed: ${error.message}`);
+    } catch (exit) {
+      return exit;
+    }
+  }
+  return null; // Not reached: harvestSelected() always ends through an exit function
+}
 
-        async function verifyHarvestStillActive() {
-          const indicators = [
-            () => document.querySelector('[mattooltip="Cancel"]'),
-            () => document.querySelectorAll('mat-progress-bar:not([value="0"])').length > 0,
-            () => document.querySelector('.harvest-active, .processing'),
-            () => !document.querySelector('[mattooltip="Start harvesting"]:not([disabled])')
-          ];
+// Harvest every connected logger in turn into its own subdirectory (see
+// devices.js). A logger that fails is recorded and the next one harvested;
+// after a signal or the budget the remaining loggers are skipped. The
+// outcome per logger goes into the device state file and the run report.
+async function harvestDevices(page, watcher, devices, ui, profileName) {
+  const state = readDeviceState(deviceStateFile);
+  const results = [];
+  runReport.setWatermark(null); // Each logger has a watermark of its own
+
+  for (const [index, entry] of devices.entries()) {
+    const serial = entry.serial;
+    if (interrupted || budgetStop) {
+      const message = interrupted ? `Interrupted by ${interrupted}` : `Harvest budget reached: ${budgetStop}`;
+      logWithTimestamp(`Skipping logger ${serial}: ${message}`);
+      results.push({ serial, status: 'skipped', exitCode: null, message, harvestDir: null, sohFlags: [] });
+      recordDevice(state, serial, { status: 'skipped', exitCode: null, message });
+      continue;
+    }
 
-          let activeCount = 0;
-          for (const indicator of indicators) {
-            if (indicator()) activeCount++;
-          }
+    logWithTimestamp(`\n=== LOGGER ${index + 1}/${devices.length}: ${serial} ===`);
+    useDevice(serial);
+    report.setUi(ui, profileName);
+    const exit = await harvestDevice(page, watcher, serial);
+    const outcome = Object.assign({ harvestDir }, exit.outcome);
+    const recorded = recordDevice(state, serial, outcome);
+    results.push({ serial, status: outcome.status, exitCode: exit.code, message: outcome.message,
+      harvestDir: path.resolve(harvestDir), sohFlags: report.soh ? report.soh.flags.map(flag => flag.message) : [] });
+    logWithTimestamp(`Logger ${serial}: ${outcome.status} (${outcome.message})`);
+    if (recorded.consecutiveFailures > 1) {
+      logWithTimestamp(`WARNING: Logger ${serial} failed ${recorded.consecutiveFailures} runs in a row` +
+        (recorded.lastSuccessAt ? `, last harvested ${recorded.lastSuccessAt}` : ''));
+    }
+    writeDeviceState(deviceStateFile, state);
+  }
+  writeDeviceState(deviceStateFile, state);
+
+  useRun();
+  report.setDevices(results);
+  const harvested = results.filter(result => result.status === 'success');
+  const missed = results.filter(result => result.status !== 'success').map(result => `${result.serial} ${result.status}`);
+  const counts = `${harvested.length} of ${results.length} loggers harvested` +
+    (missed.length > 0 ? ` (${missed.join(', ')})` : '');
+  if (interrupted) exitWithInterrupted();
+  if (harvested.length === results.length) exitWithSuccess(counts);
+  if (harvested.length > 0) exitWithPartial(counts);
+  if (budgetStop) exitWithError(`Harvest budget reached: ${budgetStop}; ${counts}`, EXIT_BUDGET);
+  exitWithError(counts);
+}
 
-          return activeCount >= 2;
-        }
+// Harvest the logger shown: the backfill chunks or the fallback policy.
+// Always ends through one of the exit functions.
+async function harvestSelected(page, watcher, backfillPlan) {
+  if (backfillPlan) {
+    const summary = await runBackfill(page, runner, watcher, backfillPlan);
+    const counts = `${summary.done} of ${summary.total} chunks done, ${summary.failed} failed`;
+    if (summary.failed > 0 || summary.pending > 0) {
+      exitWithError(`Backfill incomplete: ${counts}; the next run resumes from ${checkpointFile}`,
+        budgetStop ? EXIT_BUDGET : EXIT_HARVEST_FAILED);
+    }
+    exitWithSuccess(`Backfill complete: ${counts}`);
+  }
 
-        function findHarvestSummaryDialog() {
-          const dialogs = Array.from(
-            document.querySelectorAll('[role="dialog"], .mat-dialog-container')
-          );
-          for (const dlg of dialogs) {
-            const titleEl = dlg.querySelector('h1, h2, .mat-dialog-title');
-            const text = (
-              titleEl?.textContent ||
-              dlg.textContent ||
-              ''
-            ).toLowerCase();
-            if (text.includes('harvest summary')) {
-              return dlg;
-            }
-          }
-          return null;
-        }
+  const policy = fallbackPolicy();
+  logWithTimestamp(`Fallback policy: ${policy.map(describeEntry).join(', ')}`);
 
-        function findCloseButton(dialog) {
-          let btn = Array.from(dialog.querySelectorAll('button')).find(b => {
-            const text = b.textContent.trim().toLowerCase();
-            return text === 'close';
-          });
-          if (btn) return btn;
-
-          btn = Array.from(dialog.querySelectorAll('button')).find(b => {
-            const aria = (b.getAttribute('aria-label') || '').toLowerCase();
-            const tip  = (b.getAttribute('mattooltip') || '').toLowerCase();
-            return aria === 'close' || tip === 'close';
-          });
-          return btn || null;
-        }
+  let harvestSucceeded = false;
+  let attemptNumber = 0;
 
-        async function monitorHarvestProgressDefensive() {
-          console.log("Starting defensive harvest progress monitoring...");
-          let consecutiveNoProgressCounts = 0;
-          let lastValidProgress = null;
-          let progressStuckWarnings = 0;
-          let totalMonitoringTime = 0;
-
-          const startTime = Date.now();
-
-          while (totalMonitoringTime < maxHarvestWait) {
-            try {
-              // Use specific Harvest Summary dialog, not any dialog with Close
-              const summaryDlg = findHarvestSummaryDialog();
-              if (summaryDlg) {
-                console.log("Harvest completion dialog detected (Harvest Summary)");
-                return { success: true, dialog: summaryDlg };
-              }
-
-              const progressInfo = await detectProgressMultiStrategy();
-              if (progressInfo.percentage !== null) {
-                if (lastValidProgress !== null &&
-                    progressInfo.percentage === lastValidProgress.percentage) {
-                  consecutiveNoProgressCounts++;
-                  console.log(`Progress stuck at ${progressInfo.percentage}% (${consecutiveNoProgressCounts}/${maxNoProgressChecks} checks)`);
-                  if (consecutiveNoProgressCounts >= maxNoProgressChecks) {
-                    const stillActive = await verifyHarvestStillActive();
-                    if (stillActive && progressStuckWarnings < 2) {
-                      progressStuckWarnings++;
-                      consecutiveNoProgressCounts = 0;
-                      console.log(`Progress appears stuck but harvest is active, continuing... (warning ${progressStuckWarnings}/2)`);
-                    } else {
-                      console.log(`FREEZE CONFIRMED: Progress stuck at ${progressInfo.percentage}% with insufficient activity indicators`);
-                      return { success: false, reason: `Progress frozen at ${progressInfo.percentage}%` };
-                    }
-                  }
-                } else {
-                  consecutiveNoProgressCounts = 0;
-                  progressStuckWarnings = 0;
-                  if (progressInfo.percentage !== (lastValidProgress?.percentage || -1)) {
-                    console.log(`Progress update: ${progressInfo.percentage}% (source: ${progressInfo.source})`);
-                  }
-                  lastValidProgress = progressInfo;
-                }
-              } else {
-                const elapsedSinceStart = Date.now() - startTime;
-                if (elapsedSinceStart < minNoActivityMillis) {
-                  console.log(`No progress indicators yet but still within grace period (${elapsedSinceStart}ms < ${minNoActivityMillis}ms)`);
-                } else {
-                  const stillActive = await verifyHarvestStillActive();
-                  if (!stillActive) {
-                    console.log("No progress indicators and no active harvest detected after grace period");
-                    return { success: false, reason: "Harvest stopped - no activity indicators" };
-                  }
-                }
-              }
-            } catch (error) {
-              console.log(`Progress monitoring error: ${error.message}`);
-            }
-
-            await sleep(progressCheckInterval);
-            totalMonitoringTime += progressCheckInterval;
-          }
-
-          console.log("Progress monitoring timed out");
-          return { success: false, reason: "Monitoring timeout" };
-        }
+  policyLoop:
+  for (const [index, entry] of policy.entries()) {
+    const currentMode = entry.mode;
+    const timings = entry.timeLimit !== null ? Object.assign({}, TIMINGS, { maxHarvestWait: entry.timeLimit }) : TIMINGS;
+    if (index > 0) {
+      decide('escalate', currentMode, `'${policy[index - 1].mode}' did not bring new data`);
+    }
 
-        async function attemptCancel() {
-          console.log("Attempting to cancel harvest with multiple strategies...");
-
-          let harvestBtn = document.querySelector('[mattooltip="Start harvesting"]') ||
-            Array.from(document.querySelectorAll('button')).find(btn => {
-              let tooltip = btn.getAttribute('mattooltip');
-              let text = btn.textContent.toLowerCase();
-              return (tooltip && tooltip.toLowerCase().includes('start')) ||
-                     (text.includes('start') && text.includes('harvest'));
-            });
-
-          if (harvestBtn && !harvestBtn.disabled) {
-            harvestBtn.click();
-            console.log("Harvest/Cancel button clicked (Strategy 1)");
-            await sleep(3000);
-            if (!harvestBtn.disabled) {
-              console.log("Cancellation successful via harvest button");
-              return true;
-            }
-          }
-
-          let explicitCancel = document.querySelector('[mattooltip="Cancel"]') ||
-            Array.from(document.querySelectorAll('button')).find(btn =>
-              btn.textContent.toLowerCase().includes('cancel')
-            );
-          if (explicitCancel && !explicitCancel.disabled) {
-            explicitCancel.click();
-            console.log("Explicit cancel button clicked (Strategy 2)");
-            await sleep(3000);
-            return true;
-          }
-
-          let stopBtn = Array.from(document.querySelectorAll('button')).find(btn =>
-            btn.textContent.toLowerCase().includes('stop') ||
-            btn.textContent.toLowerCase().includes('abort')
-          );
-          if (stopBtn && !stopBtn.disabled) {
-            stopBtn.click();
-            console.log("Stop/Abort button clicked (Strategy 3)");
-            await sleep(3000);
-            return true;
-          }
-
-          console.log("No cancel mechanism found or all strategies failed");
-          return false;
-        }
+    for (let tryNum = 1; tryNum <= entry.tries; tryNum++) {
+      stopIfInterrupted();
+      if (budgetRefuses(currentMode, entry.timeLimit, projectVolume(currentMode))) break;
+      decide('try', currentMode, `try ${tryNum} of ${entry.tries}` +
+        (entry.timeLimit !== null ? `, limit ${Math.round(entry.timeLimit / 1000)}s` : ''));
 
-        async function automateHarvest() {
-          console.log(`Starting enhanced automated Pegasus harvest sequence with mode: ${currentMode}`);
-          let maxRetries = 3;
-          let retryCount = 0;
-
-          while (retryCount < maxRetries) {
-            if (retryCount > 0) {
-              console.log(`\nRetry attempt ${retryCount} of ${maxRetries - 1} for mode: ${currentMode}`);
-              await sleep(retryDelay);
-            }
-
-            try {
-              await verifyUIState();
-
-              console.log(`1. Setting harvest mode to: ${currentMode}`);
-              if (currentMode === 'all') {
-                let allBtn = document.querySelector(ALL_BTN);
-                if (allBtn && !allBtn.disabled) {
-                  allBtn.click();
-                  console.log("'All' button clicked successfully");
-                } else {
-                  throw new Error("'All' button not found or disabled");
-                }
-              } else if (currentMode === 'since last') {
-                let sinceLastBtn = document.querySelector(SINCE_LAST_BTN);
-                if (sinceLastBtn && !sinceLastBtn.disabled) {
-                  sinceLastBtn.click();
-                  console.log("'Since Last' button clicked successfully");
-                } else {
-                  throw new Error("'Since Last' button not found or disabled");
-                }
-              } else if (currentMode === 'date range') {
-                let dateRangeBtn = document.querySelector(DATE_RANGE_BTN);
-                if (dateRangeBtn && !dateRangeBtn.disabled) {
-                  dateRangeBtn.click();
-                  console.log("'Date Range' button clicked successfully");
-                  await sleep(delayAllClick);
-
-                  console.log("1.5. Setting date range fields with enhanced detection...");
-                  const [fromInput, toInput] = await findDateInputs();
-
-                  if (fromInput && toInput) {
-                    fromInput.focus();
-                    fromInput.value = '';
-                    fromInput.value = fromDate;
-                    fromInput.dispatchEvent(new Event('input', { bubbles: true }));
-                    fromInput.dispatchEvent(new Event('change', { bubbles: true }));
-                    fromInput.dispatchEvent(new Event('blur', { bubbles: true }));
-                    await sleep(300);
-
-                    toInput.focus();
-                    toInput.value = '';
-                    toInput.value = toDate;
-                    toInput.dispatchEvent(new Event('input', { bubbles: true }));
-                    toInput.dispatchEvent(new Event('change', { bubbles: true }));
-                    toInput.dispatchEvent(new Event('blur', { bubbles: true }));
-                    console.log(`Date range set: ${fromDate} to ${toDate}`);
-
-                    await sleep(500);
-                    if (fromInput.value !== fromDate || toInput.value !== toDate) {
-                      console.warn(`Date verification warning: From="${fromInput.value}", To="${toInput.value}"`);
-                    }
-                  } else {
-                    throw new Error("Could not find date input fields with any strategy");
-                  }
-                } else {
-                  throw new Error("'Date Range' button not found or disabled");
-                }
-              }
-
-              await sleep(delayAllClick);
-
-              console.log("2. Opening Archive Configuration...");
-              let configBtn = Array.from(document.querySelectorAll('button')).find(btn =>
-                btn.textContent.trim().toLowerCase().includes('configuration') ||
-                (btn.getAttribute('mattooltip') && btn.getAttribute('mattooltip').toLowerCase().includes('configuration'))
-              );
-              if (configBtn) {
-                configBtn.click();
-                console.log("Archive Configuration button clicked");
-              } else {
-                throw new Error("Could not find Archive Configuration button");
-              }
-
-              await sleep(delayOpenConfig);
-
-              console.log(`3. Setting output directory: "${harvestDir}"...`);
-              if (!await setOutputDirectory(harvestDir)) {
-                console.warn("Output directory setting may have failed, but continuing...");
-              }
-
-              await sleep(delaySetOutputDir);
-
-              console.log("4. Saving Archive Configuration...");
-              if (!clickButtonByText('Save')) {
-                throw new Error("Could not find or click Save button");
-              }
-
-              await sleep(delaySaveConfig);
-
-              console.log("5. Clicking Start Harvest...");
-              let harvestBtn = document.querySelector('[mattooltip="Start harvesting"]') ||
-                Array.from(document.querySelectorAll('button')).find(btn => {
-                  let tooltip = btn.getAttribute('mattooltip');
-                  return tooltip && tooltip.toLowerCase().includes('start');
-                });
-
-              if (harvestBtn && !harvestBtn.disabled) {
-                harvestBtn.click();
-                console.log("'Start Harvesting' button clicked successfully");
-              } else {
-                throw new Error("'Start Harvesting' button not found or disabled");
-              }
-
-              await sleep(delayHarvestClick);
-
-              console.log("6. Starting enhanced harvest monitoring...");
-              const progressTimeout = setTimeout(async () => {
-                console.log("Maximum harvest time reached, attempting to cancel...");
-                await attemptCancel();
-              }, maxHarvestWait);
-
-              const progressResult = await Promise.race([
-                monitorHarvestProgressDefensive(),
-                new Promise((resolve) => {
-                  setTimeout(() => resolve({ success: false, reason: "Global timeout" }), maxHarvestWait + 5000);
-                })
-              ]);
-
-              clearTimeout(progressTimeout);
-
-              if (progressResult.success) {
-                console.log("Harvest completed successfully!");
-
-                console.log("7. Locating and closing harvest summary dialog...");
-
-                let dialog = progressResult.dialog || findHarvestSummaryDialog();
-
-                if (!dialog) {
-                  console.log("WARNING: Harvest Summary dialog was not found after success");
-                  return {
-                    success: true,
-                    message: `Harvest completed but summary dialog not found (mode: ${currentMode}, attempt ${retryCount + 1})`
-                  };
-                }
-
-                console.log("Buttons in Harvest Summary dialog:");
-                Array.from(dialog.querySelectorAll('button')).forEach((b, i) => {
-                  console.log(
-                    `#${i}: text="${b.textContent.trim()}", ` +
-                    `aria="${b.getAttribute('aria-label')}", ` +
-                    `tooltip="${b.getAttribute('mattooltip')}"`
-                  );
-                });
-
-                const closeBtn = findCloseButton(dialog);
-
-                if (closeBtn && !closeBtn.disabled) {
-                  closeBtn.click();
-                  console.log("Summary dialog closed successfully");
-                  return {
-                    success: true,
-                    message: `Enhanced automated harvest sequence completed successfully with mode: ${currentMode} (attempt ${retryCount + 1})!`
-                  };
-                } else {
-                  throw new Error("Could not locate an enabled Close button in Harvest Summary dialog");
-                }
-
-              } else {
-                console.log(`Harvest failed: ${progressResult.reason}`);
-                await attemptCancel();
-                throw new Error(`Harvest failed: ${progressResult.reason}`);
-              }
-
-            } catch (error) {
-              console.log(`Attempt ${retryCount + 1} failed with mode '${currentMode}': ${error.message}`);
-              await attemptCancel();
-              await sleep(1000);
-              retryCount++;
-              if (retryCount < maxRetries) {
-                console.log(`Waiting ${retryDelay}ms before retry...`);
-              } else {
-                return { success: false, error: `Failed to complete harvest with mode '${currentMode}' after ${maxRetries} attempts` };
-              }
-            }
-          }
-        }
+      attemptNumber++;
+      const attemptStartTime = Date.now();
+      const historyStart = runner.history.length;
+      logWithTimestamp(`\n=== ATTEMPT ${attemptNumber}: Using harvest mode '${currentMode}' ===`);
+      report.startAttempt(currentMode, attemptNumber);
+      forensics.setContext([device, `attempt${attemptNumber} ${currentMode}`].filter(Boolean).join(' '));
 
-        return await automateHarvest();
-      }, {
-        delayAllClick,
-        delayOpenConfig,
-        delaySetOutputDir,
-        delaySaveConfig,
-        delayHarvestClick,
-        delayHarvestDialogWait,
-        maxHarvestWait,
-        retryDelay,
-        progressCheckInterval,
-        maxNoProgressChecks,
-        minNoActivityMillis,
+      const result = await automateHarvest(page, runner, {
+        mode: currentMode,
+        device,
         harvestDir,
         fromDate,
         toDate,
-        currentMode,
-        ALL_BTN,
-        SINCE_LAST_BTN,
-        DATE_RANGE_BTN,
-        FROM_DATE_INPUT,
-        TO_DATE_INPUT,
-        START_HARVEST_BTN
+        dateEntry,
+        timings,
+        watcher,
+        throughput: throughputMonitor(harvestDir),
+        onEvent: event => report.recordEvent(event),
+        onProgress: sample => report.recordProgress(sample),
+        onThroughput: sample => report.recordThroughput(sample),
+        shouldStop: budgetMonitor()
       });
 
       const attemptDuration = Date.now() - attemptStartTime;
+      const recordAttempt = (outcome, error = result.error) => {
+        logger.logAttempt(currentMode, attemptNumber, outcome, attemptDuration);
+        report.finishAttempt({
+          result: outcome,
+          duration: attemptDuration,
+          requestedDates: result.requestedDates,
+          summary: result.summary,
+          failedStep: result.failedStep,
+          error,
+          steps: runner.history.slice(historyStart)
+        });
+      };
+
+      if (interrupted && !result.success) {
+        recordAttempt('INTERRUPTED');
+        exitWithInterrupted();
+      }
+
       if (result.success) {
         logWithTimestamp(`Harvest completed with mode '${currentMode}' in ${attemptDuration}ms. Checking for data...`);
         await new Promise(resolve => setTimeout(resolve, 3000));
-
-        if (checkForHarvestedData(harvestDir)) {
-          logWithTimestamp(`SUCCESS: Data found in harvest directory with mode '${currentMode}'`);
-          logger.logAttempt(currentMode, attemptNumber, 'SUCCESS', attemptDuration);
+        checkedAttempt = { mode: currentMode, requestedDates: result.requestedDates };
+
+        const newData = await checkForNewData(harvestDir);
+        // The Harvest Summary overrules the files found
+        const verdict = judgeSummary(result.summary);
+        if (verdict) {
+          logWithTimestamp(`WARNING: ${verdict.reason} (mode '${currentMode}'), counted as ${verdict.result}`);
+          recordAttempt(verdict.result, verdict.reason);
+        } else if (newData) {
+          logWithTimestamp(`SUCCESS: New data found in harvest directory with mode '${currentMode}'`);
+          recordAttempt('SUCCESS');
           harvestSucceeded = true;
-          break;
+          break policyLoop;
         } else {
-          logWithTimestamp(`WARNING: No data found with mode '${currentMode}' after ${attemptNumber} attempts, trying next mode...`);
-          logger.logAttempt(currentMode, attemptNumber, 'NO_DATA', attemptDuration);
+          logWithTimestamp(`WARNING: No new data found with mode '${currentMode}' after ${attemptNumber} attempts, trying next mode...`);
+          recordAttempt('NO_DATA');
         }
+      } else if (result.stopped) {
+        // Cut short by the budget: no other mode gets a try
+        recordAttempt('STOPPED');
+        decide('stop', currentMode, result.error);
+        budgetStop = result.error;
+        break policyLoop;
       } else {
         logWithTimestamp(`ERROR: Harvest failed with mode '${currentMode}': ${result.error}`);
-        logger.logAttempt(currentMode, attemptNumber, 'FAILED', attemptDuration);
+        recordAttempt('FAILED');
         await monitorSystemResources();
         await new Promise(resolve => setTimeout(resolve, retryDelay));
       }
     }
+  }
+
+  if (harvestSucceeded) {
+    exitWithSuccess(`Enhanced Pegasus harvest completed successfully after ${attemptNumber} attempts`);
+  } else if (budgetStop) {
+    exitWithError(`Harvest budget reached: ${budgetStop}`, EXIT_BUDGET);
+  } else {
+    exitWithError(`All harvest attempts failed. No data collected after trying all modes with enhanced monitoring.`);
+  }
+}
+
+// ---- Main Puppeteer Automation ----
+(async () => {
+  let browser;
+  try {
+    logWithTimestamp("Starting enhanced Pegasus harvest automation");
+    logWithTimestamp(`Target output directory: ${harvestDir}`);
+    if (!validateHarvestConfig()) {
+      exitWithError("Configuration validation failed", EXIT_INVALID_OPTIONS);
+    }
+    applyWatermark();
+    const backfillPlan = prepareBackfill();
+    logWithTimestamp(`Initial harvest mode: ${harvestMode}`);
+    logWithTimestamp(`Date range: ${fromDate} to ${toDate} (${timezone})`);
+
+    await monitorSystemResources();
+
+    pegasus = new PegasusProcess({
+      bin: pegasusBin,
+      port: Number(new URL(CDP_URL).port) || 9222,
+      lockFile,
+      harvestDir,
+      startupTimeout: startupTimeout * 1000
+    });
+    await pegasus.lock();
+    if (pegasusBin) {
+      await pegasus.start();
+      report.setPegasus(pegasus.info);
+    }
+    stopIfInterrupted();
+
+    browser = await connectToBrowserWithRetry(pegasusBin ? pegasus.cdpUrl : CDP_URL);
+    stopIfInterrupted();
+    const [page] = await browser.pages();
+    if (!page) {
+      exitWithError("No pages available in browser");
+    }
+
+    logWithTimestamp("Connected to Pegasus Harvester browser session");
 
-    if (harvestSucceeded) {
-      exitWithSuccess(`Enhanced Pegasus harvest completed successfully after ${attemptNumber} attempts`);
-    } else {
-      exitWithError(`All harvest attempts failed. No data collected after trying all modes with enhanced monitoring.`);
+    page.on('console', msg => logWithTimestamp(`[page] ${msg.text()}`));
+    forensics.attach(page);
+
+    const ui = await detectUiVersion(page);
+    logWithTimestamp(`Detected UI: title "${ui.title}", version "${ui.version || 'none shown'}"`);
+    const profile = selectProfile(loadProfiles(), ui, uiProfile);
+    logWithTimestamp(`Using selector profile '${profile.name}'`);
+    report.setUi(ui, profile.name);
+
+    await installPageHelpers(page, profile);
+    dateEntry = { timezone, dates: profile.dates || {} };
+    const watcher = new HarvestWatcher(page, { pollInterval: progressCheckInterval });
+    await watcher.attach();
+    // With several loggers each one's state of health goes with its harvest
+    const devices = uniqueDevices(await listDevices(page));
+    if (devices.length > 1) {
+      logWithTimestamp(`${devices.length} loggers connected: ${devices.map(d => d.serial).join(', ')}` +
+        (dryRun ? ', checking the one selected' : ''));
     }
+    if (devices.length <= 1 || dryRun) await collectSoh(page);
+    runner = new StepRunner({
+      onFailure: (step, tryNum, error) => forensics.capture(`${step} try${tryNum}`, error)
+    });
+    stopIfInterrupted();
+
+    if (dryRun) {
+      logWithTimestamp("DRY RUN: checking every step up to 'Start harvesting' without clicking it");
+      forensics.setContext('dry run');
+      const rows = await runReadinessCheck(page, runner, {
+        mode: harvestMode,
+        harvestDir,
+        fromDate,
+        toDate,
+        dateEntry,
+        timings: TIMINGS
+      });
+      stopIfInterrupted();
+      exitWithReadiness(rows);
+    }
+
+    if (devices.length > 1) {
+      await harvestDevices(page, watcher, devices, ui, profile.name);
+    }
+    await harvestSelected(page, watcher, backfillPlan);
 
   } catch (error) {
+    if (error instanceof RunExit) throw error;
+    if (interrupted) exitWithInterrupted();
+    if (error instanceof LockHeldError) {
+      exitWithError(error.message, EXIT_LOCKED);
+    }
+    await forensics.capture(error instanceof UnsupportedUiError ? 'unsupported ui' : 'fatal', error);
+    if (error instanceof UnsupportedUiError) {
+      exitWithError(error.message, EXIT_UNSUPPORTED_UI);
+    }
     logWithTimestamp(`CRITICAL ERROR: ${error.message}`);
     logWithTimestamp(`Stack trace: ${error.stack}`);
     exitWithError(`Enhanced Puppeteer automation failed: ${error.message}`);
   } finally {
-    if (browser) {
+    if (browser && !pegasusBin) {
       try {
         await browser.disconnect();
         logWithTimestamp("Disconnected from browser");
@@ -855,5 +1048,14 @@ function checkForHarvestedData(directory) {
         logWithTimestamp(`Warning: Error disconnecting from browser: ${error.message}`);
       }
     }
+    if (pegasus) {
+      // A Harvester we launched is closed through the connection
+      await pegasus.stop(browser);
+    }
+  }
+})().catch(error => {
+  if (!(error instanceof RunExit)) {
+    logWithTimestamp(`CRITICAL ERROR during shutdown: ${error.message}`);
   }
-})();
+  process.exit(error instanceof RunExit ? error.code : EXIT_HARVEST_FAILED);
+});
@@ -1,36 +1,69 @@
-const puppeteer = require('puppeteer-core');
+const path = require('path');
+const { fetchDish } = require('./lib/starlink_grpc');
+const { evaluateHealth, normalizeStarlink } = require('./lib/starlink_health');
+const { HISTORY_STATE_FILE, appendSeries, historyStats, readHistoryState, writeHistoryState } = require('./lib/starlink_history');
+const { parseStarlinkOptions, usage } = require('./lib/starlink_options');
+const { formatLink, writeOutput } = require('./lib/starlink_output');
 
 /**
  * Starlink Diagnostics Collector
- * 
- * Connects to local Starlink router and extracts diagnostic JSON data
- * Returns structured JSON output or exits with error code
+ *
+ * Reads status, device info and history from the dish's local gRPC API
+ * (gRPC, then gRPC-web), without a browser. If neither answers, falls back
+ * to loading the dish web page in Chromium and extracting its diagnostic JSON.
+ * Prints the normalized link status (see lib/starlink_health.js) with its
+ * health verdict and the history stats since the previous run (see
+ * lib/starlink_history.js), or exits with error code. With --history-dir,
+ * the stats are appended to the time series there.
+ *
+ * Endpoint, ways to read the dish, timeouts and limits come from flags,
+ * STARLINK_* environment variables or --config files (see --help and
+ * lib/starlink_options.js). --format and --fields shape the output (see
+ * lib/starlink_output.js); --output writes it to a file instead of stdout.
  */
 
-// Configuration
-const STARLINK_URL = 'http://192.168.100.1/';
-const BROWSER_PATH = '/usr/bin/chromium-browser';
-const TIMEOUT = 20000;
-const SELECTOR_TIMEOUT = 10000;
-
 // Exit codes
 const EXIT_SUCCESS = 0;
 const EXIT_CONNECTION_FAILED = 1;
 const EXIT_SELECTOR_NOT_FOUND = 2;
 const EXIT_NO_DATA = 3;
 const EXIT_UNKNOWN_ERROR = 4;
+const EXIT_INVALID_OPTIONS = 5; // Bad flags, environment or config; retrying will not help
+const EXIT_OUTPUT_FAILED = 6; // The dish was read, but --output could not be written
+const EXIT_INTERRUPTED = 130;
+
+// Configuration
+const parsed = parseStarlinkOptions(process.argv.slice(2));
+if (parsed.help) {
+    console.log(usage());
+    process.exit(EXIT_SUCCESS);
+}
+parsed.warnings.forEach(warning => console.error('WARNING:', warning));
+if (parsed.errors.length > 0) {
+    parsed.errors.forEach(error => console.error('ERROR:', error));
+    console.error('Run with --help for usage');
+    process.exit(EXIT_INVALID_OPTIONS);
+}
+const options = parsed.options;
+
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    console.error(`ERROR: Interrupted (${signal})`);
+    process.exit(EXIT_INTERRUPTED);
+}));
 
 /**
- * Main execution
+ * Diagnostic JSON shown on the dish web page (fallback path)
  */
-(async () => {
+async function scrapeWebPage() {
+    // Loaded only when needed, so the gRPC path works without Puppeteer
+    const puppeteer = require('puppeteer-core');
     let browser = null;
-    
+
     try {
         // Launch browser
         browser = await puppeteer.launch({
             headless: true,
-            executablePath: BROWSER_PATH,
+            executablePath: options.browserPath,
             args: [
                 '--no-sandbox',
                 '--disable-setuid-sandbox',
@@ -39,54 +72,160 @@ const EXIT_UNKNOWN_ERROR = 4;
                 '--disable-gpu'
             ]
         });
-        
+
         // Create new page
         const page = await browser.newPage();
-        
+
         // Set timeout for navigation
-        page.setDefaultTimeout(TIMEOUT);
-        
+        page.setDefaultTimeout(options.timeout * 1000);
+
         // Navigate to Starlink diagnostics page
-        await page.goto(STARLINK_URL, {
+        await page.goto(options.url, {
             waitUntil: 'networkidle2',
-            timeout: TIMEOUT
+            timeout: options.timeout * 1000
         });
-        
+
         // Wait for JSON data selector
-        await page.waitForSelector('.Json-Text', {
-            timeout: SELECTOR_TIMEOUT
+        await page.waitForSelector(options.selector, {
+            timeout: options.selectorTimeout * 1000
         });
-        
+
         // Extract JSON text
-        const jsonText = await page.$eval('.Json-Text', el => el.innerText);
-        
+        return await page.$eval(options.selector, el => el.innerText);
+    } finally {
+        if (browser) await browser.close();
+    }
+}
+
+/**
+ * History stats since the previous run; appended to the series and the
+ * sample counter stored when --history-dir is set
+ */
+function recordHistory(history, fetchedAt, dishId) {
+    const dir = options.historyDir;
+    const stateFile = dir ? path.join(dir, HISTORY_STATE_FILE) : null;
+
+    let previous = null;
+    if (stateFile) {
+        try {
+            previous = readHistoryState(stateFile);
+        } catch (error) {
+            console.error('WARNING: Ignoring unreadable Starlink history state -', error.message);
+        }
+    }
+
+    const stats = historyStats(history, { fetchedAt, previous, dishId });
+    if (dir) {
+        try {
+            // The counter only moves once the stats are in the series
+            appendSeries(dir, stats);
+            writeHistoryState(stateFile, { dishId, current: history.current, fetchedAt });
+        } catch (error) {
+            console.error('WARNING: Could not record Starlink history -', error.message);
+        }
+    }
+    return stats;
+}
+
+/**
+ * Normalize, judge against the limits, then print or write in the chosen
+ * format and exit. `raw` is what the dish returned, for --format raw
+ */
+function output(data, raw) {
+    const link = normalizeStarlink(data);
+    link.health = evaluateHealth(link, options.limits);
+    // The web page has no history
+    link.historyStats = data.history ? recordHistory(data.history, link.fetchedAt, link.device.id) : null;
+
+    const content = formatLink({ link, raw, format: options.format, fields: options.fields });
+    if (options.output === null) {
+        // Output (will be captured by bash script)
+        console.log(content);
+        process.exit(EXIT_SUCCESS);
+    }
+    try {
+        writeOutput(options.output, content, options.format, options.fields);
+    } catch (error) {
+        console.error('ERROR: Could not write output -', error.message);
+        process.exit(EXIT_OUTPUT_FAILED);
+    }
+    process.exit(EXIT_SUCCESS);
+}
+
+/**
+ * Main execution
+ */
+(async () => {
+    const transports = options.paths.filter(p => p !== 'browser');
+    let data = null;
+    let apiError = null;
+
+    if (transports.length > 0) {
+        try {
+            data = await fetchDish({
+                host: options.host,
+                transports,
+                ports: { 'grpc': options.grpcPort, 'grpc-web': options.grpcWebPort },
+                timeout: options.apiTimeout * 1000,
+                onError: (transport, error) => console.error(`WARNING: Starlink ${transport} API failed -`, error.message),
+                onWarning: (transport, method, error) =>
+                    console.error(`WARNING: Starlink ${transport} ${method} failed, left out -`, error.message)
+            });
+        } catch (error) {
+            apiError = error;
+        }
+    }
+    if (data) {
+        // output() exits; it only returns by throwing, on an answer it cannot read
+        try {
+            output(data, data);
+        } catch (error) {
+            console.error('ERROR: Cannot read the Starlink API answer -', error.message);
+            process.exit(EXIT_NO_DATA);
+        }
+    }
+
+    if (!options.paths.includes('browser')) {
+        // No fallback: either the dish did not answer or it answered with nothing usable
+        if (!apiError) {
+            console.error('ERROR: Starlink API gave no data');
+            process.exit(EXIT_NO_DATA);
+        }
+        const unreachable = apiError.kind === 'connection' || apiError.kind === 'timeout';
+        console.error(`ERROR: Starlink API ${unreachable ? 'not reachable' : 'gave no data'} -`, apiError.message);
+        process.exit(unreachable ? EXIT_CONNECTION_FAILED : EXIT_NO_DATA);
+    }
+    if (apiError) console.error('WARNING: Starlink API not available, reading the web page instead');
+
+    try {
+        const jsonText = await scrapeWebPage();
+
         // Verify we got data
         if (!jsonText || jsonText.trim().length === 0) {
             console.error('ERROR: No JSON data extracted');
-            await browser.close();
             process.exit(EXIT_NO_DATA);
         }
-        
-        // Output JSON (will be captured by bash script)
-        console.log(jsonText);
-        
-        // Clean exit
-        await browser.close();
-        process.exit(EXIT_SUCCESS);
-        
+
+        // The page shows the get_status response
+        let page;
+        try {
+            page = JSON.parse(jsonText);
+        } catch (error) {
+            console.error('ERROR: Page data is not JSON -', error.message);
+            process.exit(EXIT_NO_DATA);
+        }
+        output({ source: 'browser', fetchedAt: new Date().toISOString(), status: page.dishGetStatus || page }, jsonText);
+
     } catch (error) {
         // Log error with type
         if (error.message.includes('net::ERR')) {
             console.error('ERROR: Network connection failed -', error.message);
-            if (browser) await browser.close();
             process.exit(EXIT_CONNECTION_FAILED);
         } else if (error.message.includes('waiting for selector')) {
             console.error('ERROR: Selector not found -', error.message);
-            if (browser) await browser.close();
             process.exit(EXIT_SELECTOR_NOT_FOUND);
         } else {
             console.error('ERROR: Unknown error -', error.message);
-            if (browser) await browser.close();
             process.exit(EXIT_UNKNOWN_ERROR);
         }
     }
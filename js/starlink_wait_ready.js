@@ -0,0 +1,83 @@
+const { fetchDish } = require('./lib/starlink_grpc');
+const { parseReadyOptions, readyUsage } = require('./lib/starlink_options');
+const { writeOutput } = require('./lib/starlink_output');
+const { waitForReady } = require('./lib/starlink_ready');
+
+/**
+ * Starlink Link Readiness Gate
+ *
+ * Polls the dish's local API until it reports a usable link (connected,
+ * not obstructed, latency and obstruction within limits; see
+ * lib/starlink_ready.js) or the deadline passes. Prints GO or NO-GO with
+ * the reason and the time to ready, optionally also as JSON (--output),
+ * and exits with a go/no-go code so the caller can wait before uploading.
+ * A failed --output write is only a warning; the go/no-go decides the code.
+ * Progress goes to stderr whenever the reason changes.
+ */
+
+// Exit codes, consistent with starlink_get_json.js
+const EXIT_READY = 0; // Go
+const EXIT_CONNECTION_FAILED = 1; // No-go: the dish never answered (by the deadline or --max-unreachable)
+const EXIT_INVALID_OPTIONS = 5;
+const EXIT_NOT_READY = 7; // No-go: the dish answered, but the link was not ready by the deadline
+const EXIT_INTERRUPTED = 130;
+
+// Configuration
+const parsed = parseReadyOptions(process.argv.slice(2));
+if (parsed.help) {
+    console.log(readyUsage());
+    process.exit(EXIT_READY);
+}
+parsed.warnings.forEach(warning => console.error('WARNING:', warning));
+if (parsed.errors.length > 0) {
+    parsed.errors.forEach(error => console.error('ERROR:', error));
+    console.error('Run with --help for usage');
+    process.exit(EXIT_INVALID_OPTIONS);
+}
+const options = parsed.options;
+
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    console.error(`ERROR: Interrupted (${signal})`);
+    process.exit(EXIT_INTERRUPTED);
+}));
+
+/**
+ * Main execution
+ */
+(async () => {
+    let lastReason = null;
+
+    const result = await waitForReady({
+        probe: () => fetchDish({
+            host: options.host,
+            transports: options.paths,
+            ports: { 'grpc': options.grpcPort, 'grpc-web': options.grpcWebPort },
+            timeout: options.apiTimeout * 1000,
+            history: false
+        }),
+        criteria: { maxLatencyMs: options.maxLatency, maxObstructionPercent: options.maxObstruction },
+        deadlineS: options.deadline,
+        intervalS: options.interval,
+        maxUnreachablePolls: options.maxUnreachable,
+        onPoll: poll => {
+            if (poll.reason === lastReason) return;
+            lastReason = poll.reason;
+            console.error(`Not ready after ${poll.elapsedS} s: ${poll.reason}`);
+        }
+    });
+
+    // Output (will be captured by bash script)
+    const ended = result.gaveUp ? `gave up after ${result.polls} unanswered polls in a row` : `deadline ${options.deadline} s, ${result.polls} polls`;
+    console.log(result.ready ? `GO: ${result.reason}` : `NO-GO: ${result.reason} (${ended})`);
+
+    if (options.output !== null) {
+        try {
+            writeOutput(options.output, JSON.stringify(result, null, 2), 'json');
+        } catch (error) {
+            console.error('WARNING: Could not write output -', error.message);
+        }
+    }
+
+    if (result.ready) process.exit(EXIT_READY);
+    process.exit(result.reachable ? EXIT_NOT_READY : EXIT_CONNECTION_FAILED);
+})();
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { planBackfill, summarizeChunks } = require('../lib/backfill');
+
+/**
+ * Unit tests for the backfill chunk plan (lib/backfill.js). No browser needed.
+ */
+
+const DAY = 86400000;
+const NOW = Date.parse('2026-01-10T06:00:00Z'); // Dates are UTC unless a time zone is given
+
+test('splits the range into chunks that end one second before the next', () => {
+  const plan = planBackfill({ fromDate: '2026-01-01T00:00:00', toDate: '2026-01-03T12:00:00', chunkMs: DAY, now: NOW });
+
+  assert.strictEqual(plan.resumed, false);
+  assert.deepStrictEqual(plan.chunks.map(chunk => [chunk.from, chunk.to, chunk.status]), [
+    ['2026-01-01T00:00:00', '2026-01-01T23:59:59', 'pending'],
+    ['2026-01-02T00:00:00', '2026-01-02T23:59:59', 'pending'],
+    ['2026-01-03T00:00:00', '2026-01-03T12:00:00', 'pending']
+  ]);
+  assert.strictEqual(plan.chunks[0].dir, '20260101T000000_20260101T235959');
+
+  // Chunks are days in the time zone of the range
+  const local = planBackfill({ fromDate: '2026-01-09T00:00:00', toDate: '2026-01-10T23:59:59', timezone: '+13:00',
+    chunkMs: DAY, now: NOW });
+  assert.deepStrictEqual(local.chunks.map(chunk => chunk.to), ['2026-01-09T23:59:59', '2026-01-10T19:00:00']);
+});
+
+test('the range is capped at now and must not be empty or too finely split', () => {
+  const plan = planBackfill({ fromDate: '2026-01-09T00:00:00', toDate: '2050-01-01T00:00:00', chunkMs: DAY, now: NOW });
+  assert.deepStrictEqual(plan.chunks.map(chunk => chunk.to), ['2026-01-09T23:59:59', '2026-01-10T06:00:00']);
+
+  assert.throws(() => planBackfill({ fromDate: '2026-02-01T00:00:00', toDate: '2026-03-01T00:00:00', chunkMs: DAY, now: NOW }),
+    /Nothing to backfill/);
+  assert.throws(() => planBackfill({ fromDate: '2020-01-01T00:00:00', toDate: '2026-01-01T00:00:00', chunkMs: 60000, now: NOW }),
+    /more than 1000 chunks/);
+});
+
+test('resumes from a checkpoint for the same range and chunk size', () => {
+  const options = { fromDate: '2026-01-09T00:00:00', toDate: '2050-01-01T00:00:00', chunkMs: DAY };
+  const first = planBackfill({ ...options, now: NOW });
+  first.chunks[0].status = 'done';
+  first.chunks[0].files = 12;
+  first.chunks[1].status = 'done'; // Ended at the "now" of the first run
+  const checkpoint = { from: first.from, to: first.to, chunkSeconds: first.chunkSeconds, chunks: first.chunks };
+
+  const second = planBackfill({ ...options, now: NOW + DAY, checkpoint });
+  assert.strictEqual(second.resumed, true);
+  assert.deepStrictEqual(second.chunks.map(chunk => [chunk.to, chunk.status]), [
+    ['2026-01-09T23:59:59', 'done'],
+    ['2026-01-10T23:59:59', 'pending'],
+    ['2026-01-11T06:00:00', 'pending']
+  ]);
+  assert.strictEqual(second.chunks[0].files, 12);
+  assert.deepStrictEqual(summarizeChunks(second.chunks), { total: 3, done: 1, failed: 0, pending: 2 });
+
+  // Failed chunks are retried; a different chunk size or time zone starts over
+  checkpoint.chunks[0].status = 'failed';
+  assert.strictEqual(planBackfill({ ...options, now: NOW, checkpoint }).chunks[0].status, 'pending');
+  const other = planBackfill({ ...options, chunkMs: DAY / 2, now: NOW, checkpoint });
+  assert.strictEqual(other.resumed, false);
+  assert.strictEqual(planBackfill({ ...options, timezone: '+13:00', now: NOW, checkpoint }).resumed, false);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { HarvestBudget } = require('../lib/budget');
+
+/**
+ * Unit tests for the harvest budget (lib/budget.js). No browser needed.
+ */
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-budget-test-'));
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const KB = 1024;
+
+function writeBytes(name, size) {
+  fs.writeFileSync(path.join(workDir, name), Buffer.alloc(size));
+}
+
+test('without caps nothing is refused or stopped', () => {
+  const budget = new HarvestBudget({ harvestDir: workDir });
+  assert.strictEqual(budget.enabled, false);
+  assert.strictEqual(budget.refuseStart({ timeLimitMs: 3600000, projectedBytes: 1e12 }), null);
+  assert.strictEqual(budget.checkProgress({ percentage: 50 }), null);
+});
+
+test('data budget: refuses modes projected not to fit and stops by projection', () => {
+  const budget = new HarvestBudget({ maxBytes: 100 * KB, harvestDir: workDir, exclude: ['harvest_report.json'] });
+  writeBytes('a.mseed', 40 * KB);
+  writeBytes('harvest_report.json', 500 * KB);
+
+  assert.strictEqual(budget.refuseStart({ projectedBytes: 50 * KB }), null);
+  assert.match(budget.refuseStart({ projectedBytes: 70 * KB }), /projected 70\.0 KiB exceeds the 60\.0 KiB left/);
+  // No projection: only a used-up budget refuses
+  assert.strictEqual(budget.refuseStart(), null);
+
+  // 20 KiB written at 10% of an attempt that started at 40 KiB -> 240 KiB
+  writeBytes('b.mseed', 20 * KB);
+  assert.match(budget.checkProgress({ percentage: 10 }, 40 * KB), /projected 240\.0 KiB at 10%/);
+  assert.strictEqual(budget.checkProgress({ percentage: 60 }, 40 * KB), null);
+  // Too early to project from
+  assert.strictEqual(budget.checkProgress({ percentage: 2 }, 40 * KB), null);
+
+  writeBytes('c.mseed', 50 * KB);
+  assert.match(budget.checkProgress({ percentage: null }, 40 * KB), /data budget of 100\.0 KiB exceeded/);
+  assert.match(budget.refuseStart(), /used up/);
+});
+
+test('time budget: refuses time limits that do not fit and stops once exceeded', () => {
+  const budget = new HarvestBudget({ maxDurationMs: 60000, harvestDir: workDir, startedAt: Date.now() - 20000 });
+  assert.strictEqual(budget.refuseStart({ timeLimitMs: 30000 }), null);
+  assert.match(budget.refuseStart({ timeLimitMs: 60000 }), /time limit 60s exceeds the 40s left/);
+  assert.strictEqual(budget.checkProgress({ percentage: 50 }), null);
+
+  budget.startedAt -= 60000;
+  assert.match(budget.refuseStart(), /time budget of 60s used up/);
+  assert.match(budget.checkProgress({ percentage: 50 }), /time budget of 60s exceeded/);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseRecordHeader, readRecordHeaders } = require('../lib/mseed');
+const { analyzeCoverage } = require('../lib/coverage');
+const { buildRecord, buildRecords } = require('./mock_pegasus/mseed_writer');
+
+/**
+ * Unit tests for the miniSEED header reader (lib/mseed.js) and the coverage
+ * check built on it (lib/coverage.js). No browser needed.
+ */
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-coverage-test-'));
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const T0 = Date.parse('2026-01-04T00:00:00Z');
+const MINUTE = 60000;
+const CHANNEL = { network: 'XX', station: 'MOCK', location: '00', channel: 'HHZ' };
+
+function writeFile(name, data) {
+  fs.writeFileSync(path.join(workDir, name), data);
+  return name;
+}
+
+test('reads big- and little-endian miniSEED 2 headers', () => {
+  [false, true].forEach(littleEndian => {
+    const header = parseRecordHeader(buildRecord({
+      ...CHANNEL, start: T0 + 1234.5, sampleRate: 100, samples: 112, littleEndian, recordLength: 1024
+    }));
+    assert.strictEqual(header.version, 2);
+    assert.strictEqual(`${header.network}.${header.station}.${header.location}.${header.channel}`, 'XX.MOCK.00.HHZ');
+    assert.strictEqual(header.start, T0 + 1234.5);
+    assert.strictEqual(header.sampleRate, 100);
+    assert.strictEqual(header.samples, 112);
+    assert.strictEqual(header.recordLength, 1024);
+  });
+
+  const slow = parseRecordHeader(buildRecord({ ...CHANNEL, start: T0, sampleRate: 0.1, samples: 1 }));
+  assert.strictEqual(slow.sampleRate, 0.1);
+});
+
+test('reads miniSEED 3 headers', () => {
+  const sid = 'FDSN:XX_MOCK_00_H_H_Z';
+  const buf = Buffer.alloc(40 + sid.length + 16);
+  buf.write('MS', 0, 'latin1');
+  buf[2] = 3;
+  buf.writeUInt32LE(500000000, 4);
+  buf.writeUInt16LE(2026, 8);
+  buf.writeUInt16LE(4, 10);
+  buf[12] = 12;
+  buf.writeDoubleLE(-10, 16); // Period of 10 s
+  buf.writeUInt32LE(4, 24);
+  buf[33] = sid.length;
+  buf.writeUInt32LE(16, 36);
+  buf.write(sid, 40, 'latin1');
+
+  const header = parseRecordHeader(buf);
+  assert.strictEqual(header.version, 3);
+  assert.strictEqual(header.channel, 'HHZ');
+  assert.strictEqual(header.start, Date.parse('2026-01-04T12:00:00.500Z'));
+  assert.strictEqual(header.sampleRate, 0.1);
+  assert.strictEqual(header.recordLength, buf.length);
+});
+
+test('finds the record length without blockette 1000 and rejects other files', () => {
+  const file = writeFile('no-b1000.mseed', Buffer.concat([0, 1, 2].map(i => buildRecord({
+    ...CHANNEL, start: T0 + i * 112000, sampleRate: 1, samples: 112, blockette1000: false
+  }))));
+  const { records, error } = readRecordHeaders(path.join(workDir, file));
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(records.map(record => record.offset), [0, 512, 1024]);
+  assert.strictEqual(records[2].end, T0 + 2 * 112000 + 111000);
+
+  const text = writeFile('notes.txt', 'Harvest log\n'.repeat(10));
+  assert.throws(() => readRecordHeaders(path.join(workDir, text)), /Not a miniSEED/);
+});
+
+test('summarizes channels with gaps and overlaps', () => {
+  const gappy = writeFile('gappy.mseed', buildRecords({
+    ...CHANNEL, start: T0, end: T0 + 10 * MINUTE, sampleRate: 1, skip: [[T0 + 4 * MINUTE, T0 + 6 * MINUTE]]
+  }));
+  const first = writeFile('overlap1.mseed', buildRecords({
+    ...CHANNEL, channel: 'HHN', start: T0, end: T0 + 5 * MINUTE, sampleRate: 1
+  }));
+  const second = writeFile('overlap2.mseed', buildRecords({
+    ...CHANNEL, channel: 'HHN', start: T0 + 4 * MINUTE, end: T0 + 10 * MINUTE, sampleRate: 1
+  }));
+
+  const coverage = analyzeCoverage(workDir, [gappy, first, second, 'notes.txt']);
+  assert.deepStrictEqual(coverage.channels.map(ch => ch.id), ['XX.MOCK.00.HHN', 'XX.MOCK.00.HHZ']);
+  assert.deepStrictEqual(coverage.skippedFiles.map(file => file.path), ['notes.txt']);
+
+  const [hhn, hhz] = coverage.channels;
+  assert.strictEqual(hhz.gapCount, 1);
+  assert.strictEqual(hhz.overlapCount, 0);
+  assert.ok(Date.parse(hhz.gaps[0].from) <= T0 + 4 * MINUTE);
+  assert.ok(Date.parse(hhz.gaps[0].to) >= T0 + 6 * MINUTE);
+  assert.strictEqual(hhn.gapCount, 0);
+  assert.strictEqual(hhn.overlapCount, 1);
+  assert.deepStrictEqual(hhn.files, [first, second]);
+  assert.strictEqual(hhn.start, new Date(T0).toISOString());
+  assert.strictEqual(hhn.end, new Date(T0 + 10 * MINUTE - 1000).toISOString());
+  assert.deepStrictEqual(coverage.warnings.map(w => `${w.channel} ${w.type}`), [
+    'XX.MOCK.00.HHN overlaps',
+    'XX.MOCK.00.HHZ gaps'
+  ]);
+});
+
+test('warns when coverage does not match the requested window', () => {
+  const full = writeFile('full.mseed', buildRecords({ ...CHANNEL, start: T0, end: T0 + 10 * MINUTE, sampleRate: 1 }));
+  const late = writeFile('late.mseed', buildRecords({
+    ...CHANNEL, channel: 'HHE', start: T0 + 5 * MINUTE, end: T0 + 10 * MINUTE, sampleRate: 1
+  }));
+  const short = writeFile('short.mseed', buildRecords({
+    ...CHANNEL, channel: 'HHN', start: T0, end: T0 + 5 * MINUTE, sampleRate: 1
+  }));
+
+  const window = { source: 'requested dates', from: T0, to: T0 + 10 * MINUTE };
+  const coverage = analyzeCoverage(workDir, [full, late, short], { window, toleranceMs: 0 });
+  assert.deepStrictEqual(coverage.warnings.map(w => `${w.channel} ${w.type}`), [
+    'XX.MOCK.00.HHE late-start',
+    'XX.MOCK.00.HHN early-end'
+  ]);
+  assert.strictEqual(coverage.window.from, '2026-01-04T00:00:00.000Z');
+
+  // A tolerance larger than the shortfall silences the window warnings
+  const tolerant = analyzeCoverage(workDir, [full, late, short], { window, toleranceMs: 10 * MINUTE });
+  assert.deepStrictEqual(tolerant.warnings, []);
+});
+
+test('since last: each channel starts where the previous run ended', () => {
+  const next = writeFile('next.mseed', buildRecords({
+    ...CHANNEL, start: T0 + 10 * MINUTE, end: T0 + 20 * MINUTE, sampleRate: 1
+  }));
+  const previousEnd = {
+    'XX.MOCK.00.HHZ': new Date(T0 + 10 * MINUTE - 1000).toISOString(),
+    'XX.MOCK.00.LOG': new Date(T0).toISOString()
+  };
+
+  const coverage = analyzeCoverage(workDir, [next], {
+    window: { source: 'since last', from: null, to: T0 + 20 * MINUTE, previousEnd },
+    toleranceMs: 0
+  });
+  assert.deepStrictEqual(coverage.warnings.map(w => `${w.channel} ${w.type}`), ['XX.MOCK.00.LOG missing-channel']);
+
+  const none = analyzeCoverage(workDir, ['notes.txt']);
+  assert.deepStrictEqual(none.warnings.map(w => w.type), ['no-data']);
+});
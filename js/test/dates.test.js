@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { formatDate, normalizeTimezone, parseDateSafe, parseFields, planDateEntry, readDateEntry } = require('../lib/dates');
+const { parseOptions } = require('../lib/options');
+
+/**
+ * Unit tests for lib/dates.js: --from/--to in a configured time zone, the
+ * values entered into the Harvester's date inputs and the read-back check.
+ */
+
+const UTC_TEXT = { zone: 'UTC', fromType: 'text', toType: 'text', timeType: null };
+
+test('dates are wall times in the configured time zone', () => {
+  assert.deepStrictEqual(['utc', '+1300', '-03:30', 'pacific/auckland', 'Mars/Base', '+15:00'].map(normalizeTimezone),
+    ['UTC', '+13:00', '-03:30', 'Pacific/Auckland', null, null]);
+
+  assert.strictEqual(parseDateSafe('2026-01-04T00:00:00').toISOString(), '2026-01-04T00:00:00.000Z');
+  assert.strictEqual(parseDateSafe('2026-01-04 13:00', '+13:00').toISOString(), '2026-01-04T00:00:00.000Z');
+  // Daylight saving time in Auckland (UTC+13) and Stockholm (UTC+2) in their summers
+  assert.strictEqual(parseDateSafe('2026-01-04T13:00:00', 'Pacific/Auckland').toISOString(), '2026-01-04T00:00:00.000Z');
+  assert.strictEqual(parseDateSafe('2026-07-01T12:00:00', 'Europe/Stockholm').toISOString(), '2026-07-01T10:00:00.000Z');
+  assert.strictEqual(parseDateSafe('2026-01-04T00:00:00Z', '+05:00').toISOString(), '2026-01-04T00:00:00.000Z');
+  assert.strictEqual(parseDateSafe('2026-02-30T00:00:00'), null);
+  assert.strictEqual(parseDateSafe('yesterday'), null);
+
+  assert.strictEqual(formatDate(Date.parse('2026-01-04T00:00:00Z'), 'Pacific/Auckland'), '2026-01-04T13:00:00');
+  assert.strictEqual(formatDate(Date.parse('2026-01-04T00:00:00Z')), '2026-01-04T00:00:00');
+});
+
+test('formats read as the inputs show them', () => {
+  assert.deepStrictEqual(parseFields('4/1/2026 07:05', 'D/M/YYYY HH:mm'),
+    { year: 2026, month: 1, day: 4, hour: 7, minute: 5, second: null });
+  // Browsers leave ":00" seconds off native inputs
+  assert.strictEqual(parseFields('2026-01-04T10:00', 'YYYY-MM-DDTHH:mm:ss').second, 0);
+  assert.strictEqual(parseFields('2026-01-04T10', 'YYYY-MM-DDTHH:mm:ss'), null);
+  assert.strictEqual(parseFields('31.02.2026', 'DD.MM.YYYY'), null);
+});
+
+test('values are entered in the format and time zone of the Harvester', () => {
+  const plan = planDateEntry({
+    fromDate: '2026-01-05T00:00:00',
+    toDate: '2026-01-06T23:59:59',
+    dates: { format: 'D/M/YYYY HH:mm:ss', displayFormat: 'DD/MM/YYYY, HH:mm:ss', timezone: 'Europe/Stockholm' },
+    page: UTC_TEXT
+  });
+  assert.deepStrictEqual([plan.from.value, plan.from.display, plan.to.value],
+    ['5/1/2026 01:00:00', '05/01/2026, 01:00:00', '7/1/2026 00:59:59']);
+  assert.deepStrictEqual(readDateEntry(plan, { from: '05/01/2026, 01:00:00', to: '07/01/2026, 00:59:59', invalid: false }),
+    { from: '2026-01-05T00:00:00', to: '2026-01-06T23:59:59' });
+
+  // Native inputs take their own formats, whatever the profile says
+  const native = planDateEntry({ fromDate: '2026-01-05T00:00:00', toDate: '2026-01-06T00:00:00', dates: { format: 'D/M/YYYY HH:mm' },
+    page: { zone: 'UTC', fromType: 'datetime-local', toType: 'datetime-local', timeType: null } });
+  assert.deepStrictEqual([native.from.value, native.to.value], ['2026-01-05T00:00:00', '2026-01-06T00:00:00']);
+});
+
+test('date-only pickers: time inputs, or whole days only', () => {
+  const page = { zone: 'UTC', fromType: 'date', toType: 'date', timeType: 'time' };
+  const plan = planDateEntry({ fromDate: '2026-01-05T13:00:00', toDate: '2026-01-06T12:59:59', timezone: '+13:00', page });
+  assert.deepStrictEqual([plan.from.value, plan.from.time, plan.to.value, plan.to.time],
+    ['2026-01-05', '00:00:00', '2026-01-05', '23:59:59']);
+  assert.deepStrictEqual(readDateEntry(plan, { from: '2026-01-05', fromTime: '00:00', to: '2026-01-05', toTime: '23:59:59' }),
+    { from: '2026-01-05T13:00:00', to: '2026-01-06T12:59:59' });
+
+  const days = { zone: 'UTC', fromType: 'date', toType: 'date', timeType: null };
+  const whole = planDateEntry({ fromDate: '2026-01-05T00:00:00', toDate: '2026-01-06T23:59:59', page: days });
+  assert.deepStrictEqual(readDateEntry(whole, { from: '2026-01-05', to: '2026-01-06' }),
+    { from: '2026-01-05T00:00:00', to: '2026-01-06T23:59:59' });
+  assert.throws(() => planDateEntry({ fromDate: '2026-01-05T06:00:00', toDate: '2026-01-06T23:59:59', page: days }),
+    /From 2026-01-05T06:00:00 \(UTC\) cannot be entered as "YYYY-MM-DD" without time inputs/);
+});
+
+test('read-back: a rejected or misread date fails', () => {
+  const plan = planDateEntry({ fromDate: '2026-01-04T00:00:00', toDate: '2050-01-01T23:59:59', page: UTC_TEXT });
+  assert.throws(() => readDateEntry(plan, { from: '2026-01-04T00:00:00', to: '2050-01-01T00:00:00' }),
+    /Harvester read To as 2050-01-01T00:00:00, not 2050-01-01T23:59:59 \(UTC\)/);
+  assert.throws(() => readDateEntry(plan, { from: '', to: '2050-01-01T23:59:59' }),
+    /Harvester shows From as "", not a date in "YYYY-MM-DDTHH:mm:ss"/);
+  assert.throws(() => readDateEntry(plan, { from: '2026-01-04T00:00:00', to: '2050-01-01T23:59:59', invalid: true }),
+    /Harvester rejected the dates/);
+});
+
+test('time zone option', () => {
+  assert.strictEqual(parseOptions(['--out', '/tmp/harvest'], {}).options.timezone, 'UTC');
+  const { options, errors } = parseOptions(['--out', '/tmp/harvest', '--timezone', 'pacific/auckland'], {});
+  assert.deepStrictEqual([options.timezone, errors], ['Pacific/Auckland', []]);
+  assert.strictEqual(parseOptions(['--out', '/tmp/harvest'], { HARVEST_TIMEZONE: '+13:00' }).options.timezone, '+13:00');
+
+  const invalid = parseOptions(['--out', '/tmp/harvest', '--timezone', 'Mars/Base'], {});
+  assert.ok(invalid.errors.some(error => /Invalid time zone "Mars\/Base"/.test(error)), invalid.errors.join('\n'));
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { deviceFile, deviceName, readDeviceState, recordDevice, uniqueDevices, writeDeviceState } = require('../lib/devices');
+const { listFiles } = require('../lib/manifest');
+const { parseOptions } = require('../lib/options');
+
+/**
+ * Unit tests for harvesting several loggers (lib/devices.js): names and
+ * state files per logger, and the outcome kept for each. No browser needed.
+ */
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-devices-test-'));
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('each logger gets a directory name and state files of its own', () => {
+  assert.strictEqual(deviceName('PEG-0042'), 'PEG-0042');
+  assert.strictEqual(deviceName(' Pegasus #7 / A '), 'Pegasus_7_A');
+  assert.strictEqual(deviceName('../..'), '_..');
+  assert.strictEqual(deviceFile('/state/pegasus_watermark.json', 'PEG-0042'), '/state/pegasus_watermark_PEG-0042.json');
+  assert.strictEqual(deviceFile(null, 'PEG-0042'), null);
+
+  // Entries without a serial and repeated serials are left out
+  assert.deepStrictEqual(uniqueDevices([
+    { serial: 'PEG-0042', selected: true },
+    { serial: '', selected: false },
+    { serial: 'PEG-0043', selected: false },
+    { serial: 'PEG-0042', selected: false }
+  ]).map(device => device.serial), ['PEG-0042', 'PEG-0043']);
+});
+
+test('failures are counted per logger until it is harvested again', () => {
+  const state = { devices: {} };
+  const failed = { status: 'failed', exitCode: 1, message: 'Harvest failed', harvestDir: '/data/run1/PEG-0043' };
+  recordDevice(state, 'PEG-0043', failed, '2026-01-04T00:00:00.000Z');
+  recordDevice(state, 'PEG-0043', { status: 'skipped', exitCode: null, message: 'Interrupted by SIGTERM' });
+  const entry = recordDevice(state, 'PEG-0043', failed, '2026-01-05T00:00:00.000Z');
+  assert.deepStrictEqual([entry.lastResult, entry.consecutiveFailures, entry.lastSuccessAt], ['failed', 2, null]);
+
+  recordDevice(state, 'PEG-0042', { status: 'success', exitCode: 0, message: 'ok' }, '2026-01-05T00:00:00.000Z');
+  const recovered = recordDevice(state, 'PEG-0043', { status: 'success', exitCode: 0, message: 'ok' },
+    '2026-01-06T00:00:00.000Z');
+  assert.deepStrictEqual([recovered.consecutiveFailures, recovered.lastSuccessAt], [0, '2026-01-06T00:00:00.000Z']);
+  assert.deepStrictEqual(Object.keys(state.devices), ['PEG-0043', 'PEG-0042']);
+});
+
+test('device state file round trip; damaged files read as empty', () => {
+  const file = path.join(workDir, 'state', 'pegasus_devices.json');
+  assert.deepStrictEqual(readDeviceState(file), { devices: {} });
+
+  const state = { devices: {} };
+  recordDevice(state, 'PEG-0042', { status: 'success', exitCode: 0, message: 'ok', harvestDir: 'run1/PEG-0042' });
+  assert.strictEqual(writeDeviceState(file, state), true);
+  const read = readDeviceState(file);
+  assert.strictEqual(read.devicesVersion, 1);
+  assert.strictEqual(read.devices['PEG-0042'].harvestDir, path.resolve('run1/PEG-0042'));
+  assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+
+  fs.writeFileSync(file, '{"devices": ');
+  assert.deepStrictEqual(readDeviceState(file), { devices: {} });
+
+  const harvestDir = path.join(workDir, 'harvest');
+  assert.strictEqual(parseOptions(['--out', harvestDir], {}).options.deviceStateFile, null);
+  assert.strictEqual(parseOptions(['--out', harvestDir], { PEGASUS_DEVICE_STATE: file }).options.deviceStateFile, file);
+});
+
+test('run artifacts in the loggers\' subdirectories are not listed as data', () => {
+  const harvestDir = path.join(workDir, 'listing');
+  ['harvest_report.json', 'PEG-0042/harvest_report.json', 'PEG-0042/soh.json', 'PEG-0042/XX.MOCK..HHZ.mseed']
+    .forEach(file => {
+      fs.mkdirSync(path.dirname(path.join(harvestDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(harvestDir, file), 'x');
+    });
+
+  assert.deepStrictEqual(listFiles(harvestDir, ['harvest_report.json', 'soh.json']).map(file => file.path),
+    [path.join('PEG-0042', 'XX.MOCK..HHZ.mseed')]);
+});
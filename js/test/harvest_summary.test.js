@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { describeSummary, judgeSummary, parseSummary } = require('../lib/harvest_summary');
+
+/**
+ * Unit tests for lib/harvest_summary.js: the lines read from the Harvest
+ * Summary dialog, turned into counts, a time span and messages, and the
+ * verdict that overrules a completed harvest.
+ */
+
+test('parses counts, names, the time span and messages', () => {
+  const summary = parseSummary({
+    title: 'Harvest Summary',
+    lines: [
+      'Harvest completed',
+      'Files written: 12',
+      'Records: 1,204',
+      'Channels: HHZ, HHN, HHE',
+      'Stations: 2',
+      'Time span: 2026-01-04T00:00:00 to 2026-01-04T06:00:00',
+      'Warning: gap of 3s in HHN',
+      'Errors: none'
+    ]
+  });
+
+  assert.deepStrictEqual(
+    [summary.files, summary.records, summary.channels, summary.stations],
+    [12, 1204, 3, 2]);
+  assert.deepStrictEqual(summary.channelIds, ['HHZ', 'HHN', 'HHE']);
+  assert.strictEqual(summary.stationIds, null);
+  assert.deepStrictEqual([summary.from, summary.to], ['2026-01-04T00:00:00', '2026-01-04T06:00:00']);
+  assert.deepStrictEqual(summary.warnings, { count: 1, messages: ['Warning: gap of 3s in HHN'] });
+  assert.deepStrictEqual(summary.errors, { count: 0, messages: [] });
+  assert.strictEqual(summary.lines.length, 8);
+  assert.strictEqual(judgeSummary(summary), null);
+  assert.strictEqual(describeSummary(summary),
+    '12 files, 1204 records, 3 channels, 2 stations, 2026-01-04T00:00:00 to 2026-01-04T06:00:00, 1 warnings, 0 errors');
+});
+
+test('reads inline counts and separate start and end dates', () => {
+  const summary = parseSummary({
+    title: 'Harvest Summary',
+    lines: ['3 files written', 'First sample: 2026-01-04 00:00', 'Last sample: 2026-01-04 00:10', 'No errors']
+  });
+
+  assert.strictEqual(summary.files, 3);
+  assert.strictEqual(summary.records, null);
+  assert.deepStrictEqual([summary.from, summary.to], ['2026-01-04 00:00', '2026-01-04 00:10']);
+  assert.strictEqual(summary.errors.count, 0);
+  assert.strictEqual(describeSummary(summary), '3 files, 2026-01-04 00:00 to 2026-01-04 00:10, 0 warnings, 0 errors');
+});
+
+test('errors fail the attempt and zero records make it a no-data attempt', () => {
+  const errors = parseSummary({
+    title: 'Harvest Summary',
+    lines: ['Files written: 3', 'Records: 18', 'Errors: 2', 'Error: HHE: 2 records failed CRC check']
+  });
+  assert.deepStrictEqual(errors.errors, { count: 2, messages: ['Error: HHE: 2 records failed CRC check'] });
+  assert.strictEqual(errors.records, 18); // The error line is not read as a record count
+  assert.deepStrictEqual(judgeSummary(errors), {
+    result: 'FAILED',
+    reason: 'Harvest Summary reports 2 error(s): Error: HHE: 2 records failed CRC check'
+  });
+
+  const empty = parseSummary({ title: 'Harvest Summary', lines: ['Files written: 3', 'Records: 0'] });
+  assert.deepStrictEqual(judgeSummary(empty), { result: 'NO_DATA', reason: 'Harvest Summary reports zero records' });
+
+  const noFiles = parseSummary({ title: 'Harvest Summary', lines: ['Files written: 0'] });
+  assert.deepStrictEqual(judgeSummary(noFiles), { result: 'NO_DATA', reason: 'Harvest Summary reports zero files' });
+
+  // Nothing read from the dialog leaves the attempt to the files on disk
+  assert.strictEqual(parseSummary(null), null);
+  assert.strictEqual(judgeSummary(null), null);
+});
+
+test('a clean summary that mentions errors is not failed', () => {
+  ['Harvest completed without errors', 'Status: Completed with 0 errors', 'Failures: none'].forEach(line => {
+    const summary = parseSummary({ title: 'Harvest Summary', lines: ['Files written: 3', line] });
+    assert.deepStrictEqual(summary.errors, { count: 0, messages: [] }, line);
+    assert.strictEqual(judgeSummary(summary), null, line);
+  });
+
+  const counted = parseSummary({ title: 'Harvest Summary', lines: ['Status: Completed with 2 errors, 0 warnings'] });
+  assert.deepStrictEqual([counted.errors.count, counted.warnings.count], [2, 0]);
+  const failed = parseSummary({ title: 'Harvest Summary', lines: ['Status: Failed'] });
+  assert.deepStrictEqual(failed.errors, { count: 1, messages: ['Status: Failed'] });
+});
+
+test('counts group digits in threes, decimals are not counts', () => {
+  const lines = ['Records: 1.204', 'Files written: 12.5', "Stations: 1'000"];
+  const summary = parseSummary({ title: 'Harvest Summary', lines });
+  assert.deepStrictEqual([summary.records, summary.files, summary.stations], [1204, null, 1000]);
+  assert.strictEqual(parseSummary({ title: 'Harvest Summary', lines: ['Records: 1,20'] }).records, null);
+});
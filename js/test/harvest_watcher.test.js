@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { HarvestWatcher, diffStatus } = require('../lib/harvest_watcher');
+const { monitorHarvest } = require('../lib/harvest_steps');
+const { ThroughputMonitor } = require('../lib/throughput');
+
+/**
+ * Unit tests for the event-driven harvest monitor (lib/harvest_watcher.js
+ * and monitorHarvest in lib/harvest_steps.js). The page is a stand-in whose
+ * evaluate() runs the function in Node against a fake window.__pegasusHarvest,
+ * so no browser is needed.
+ */
+
+const TIMINGS = {
+  maxHarvestWait: 5000,
+  progressCheckInterval: 50,
+  maxNoProgressChecks: 4, // Frozen after 200 ms without a change
+  minNoActivityMillis: 300
+};
+
+const IDLE = { summary: false, error: null, percentage: null, source: 'none', active: false, busy: false, dialogs: [] };
+
+// Page stand-in; update() changes the in-page status and, while the page
+// observer runs, sends it through the exposed binding like watch() does
+function fakePage({ exposable = true } = {}) {
+  let status = Object.assign({}, IDLE, { active: true, busy: true });
+  let watching = false;
+  const page = {
+    binding: null,
+    async exposeFunction(name, fn) {
+      if (!exposable) throw new Error('bindings not supported');
+      page.binding = fn;
+    },
+    async evaluate(fn, ...args) {
+      return fn(...args);
+    },
+    update(changes) {
+      status = Object.assign({}, status, changes);
+      if (watching) page.binding(Object.assign({ time: Date.now() }, status));
+    }
+  };
+  global.window = {
+    __pegasusHarvest: {
+      harvestStatus: () => Object.assign({}, status),
+      watch: () => {
+        watching = true;
+        return Object.assign({ time: Date.now() }, status);
+      },
+      unwatch: () => { watching = false; }
+    }
+  };
+  return page;
+}
+
+// Run monitorHarvest on `page` while `script` drives it; resolves with the
+// events and progress samples seen, or the error it threw
+async function monitor(page, script, throughput = null) {
+  const watcher = new HarvestWatcher(page, { pollInterval: TIMINGS.progressCheckInterval });
+  await watcher.attach();
+  const events = [];
+  const progress = [];
+  const run = monitorHarvest(page, TIMINGS, { cancelled: false }, {
+    watcher,
+    throughput,
+    onEvent: event => events.push(event),
+    onProgress: sample => progress.push(sample)
+  });
+  const timers = script.map(([delay, changes]) => setTimeout(() => page.update(changes), delay));
+  try {
+    await run;
+    return { watcher, events, progress, error: null };
+  } catch (error) {
+    return { watcher, events, progress, error };
+  } finally {
+    timers.forEach(timer => clearTimeout(timer));
+  }
+}
+
+test('turns status changes into timestamped events', () => {
+  const previous = Object.assign({}, IDLE, { dialogs: ['Archive Configuration'] });
+  const current = Object.assign({}, IDLE, {
+    time: 1000, summary: true, percentage: 100, source: 'text-content', dialogs: ['Harvest Summary']
+  });
+  const events = diffStatus(previous, current, 'observer');
+
+  assert.deepStrictEqual(events.map(event => event.type), ['dialog', 'dialog', 'progress', 'summary']);
+  assert.deepStrictEqual(events.slice(0, 2).map(event => `${event.title} ${event.open}`),
+    ['Harvest Summary true', 'Archive Configuration false']);
+  assert.ok(events.every(event => event.time === 1000 && event.via === 'observer'));
+
+  // A percentage that disappears is no progress; an unchanged error is not repeated
+  const error = Object.assign({}, IDLE, { error: 'Device busy' });
+  assert.deepStrictEqual(diffStatus(Object.assign({}, IDLE, { percentage: 40 }), error, 'poll').map(e => e.type), ['error']);
+  assert.deepStrictEqual(diffStatus(error, error, 'poll'), []);
+});
+
+test('completes on the summary event and keeps the timeline', async () => {
+  const page = fakePage();
+  const result = await monitor(page, [
+    [20, { percentage: 10, source: 'text-content' }],
+    [40, { percentage: 60, source: 'text-content' }],
+    [60, { percentage: 100, source: 'text-content', active: false, busy: false, summary: true, dialogs: ['Harvest Summary'] }]
+  ]);
+
+  assert.strictEqual(result.error, null);
+  assert.strictEqual(result.watcher.mode, null); // Stopped afterwards
+  assert.deepStrictEqual(result.progress.map(sample => sample.percentage), [10, 60, 100]);
+  assert.deepStrictEqual(result.events.map(event => event.type),
+    ['progress', 'progress', 'dialog', 'activity', 'progress', 'summary']);
+  assert.ok(result.events.every(event => event.via === 'observer' && typeof event.time === 'number'));
+  assert.ok(result.progress[0].time <= result.progress[1].time);
+});
+
+test('an error dialog fails the harvest at once', async () => {
+  const started = Date.now();
+  const result = await monitor(fakePage(), [[20, { error: 'Harvest failed: instrument not responding' }]]);
+
+  assert.match(result.error.message, /Harvester reported an error: "Harvest failed: instrument not responding"/);
+  assert.ok(Date.now() - started < TIMINGS.progressCheckInterval * TIMINGS.maxNoProgressChecks);
+});
+
+test('frozen progress: extended twice while active, then failed', async () => {
+  const started = Date.now();
+  const frozen = await monitor(fakePage(), [[20, { percentage: 40, source: 'progress-bar' }]]);
+  assert.match(frozen.error.message, /Progress frozen at 40%/);
+  // Three freeze windows of 200 ms: the first and two extensions
+  assert.ok(Date.now() - started >= 3 * 200);
+
+  const idle = await monitor(fakePage(), [[20, { percentage: 40, source: 'progress-bar', active: false }]]);
+  assert.match(idle.error.message, /Progress frozen at 40%/);
+});
+
+test('going idle without a Harvest Summary fails the harvest', async () => {
+  const result = await monitor(fakePage(), [
+    [20, { percentage: 100, source: 'text-content' }],
+    [40, { active: false, busy: false }]
+  ]);
+  assert.match(result.error.message, /went idle at 100% without a Harvest Summary/);
+});
+
+test('falls back to polling when no binding can be exposed', async () => {
+  const page = fakePage({ exposable: false });
+  const result = await monitor(page, [
+    [20, { percentage: 50, source: 'text-content' }],
+    [150, { summary: true, dialogs: ['Harvest Summary'] }]
+  ]);
+
+  assert.strictEqual(result.error, null);
+  assert.strictEqual(page.binding, null);
+  assert.deepStrictEqual(result.progress.map(sample => sample.percentage), [50]);
+  assert.ok(result.events.every(event => event.via === 'poll'));
+});
+
+test('a growing output directory keeps a harvest with a stuck percentage alive', async () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-watcher-test-'));
+  test.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+  const throughput = new ThroughputMonitor({ dir: outDir, interval: TIMINGS.progressCheckInterval });
+
+  // Stuck at 40% and idle in the UI, but a file grows for 600 ms
+  let size = 0;
+  const writer = setInterval(() => {
+    size += 1024;
+    fs.writeFileSync(path.join(outDir, 'a.mseed'), Buffer.alloc(size));
+  }, 40);
+  setTimeout(() => clearInterval(writer), 600);
+
+  const started = Date.now();
+  const result = await monitor(fakePage(), [[20, { percentage: 40, source: 'progress-bar', active: false }]], throughput);
+  clearInterval(writer);
+
+  assert.match(result.error.message, /Progress frozen at 40% \(no change in progress or output/);
+  // Without the writes it would be frozen after one freeze window (200 ms)
+  assert.ok(Date.now() - started >= 600);
+  assert.ok(throughput.samples.some(sample => sample.rate > 0));
+});
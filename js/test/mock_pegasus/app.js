@@ -0,0 +1,201 @@
+// Client side of the mock Pegasus Harvester: reproduces the UI state changes
+// pegasus_harvest.js relies on, following the scenario served by server.js.
+(function () {
+  const state = {
+    scenario: null,
+    mode: null,
+    outputDir: '/home/tele/Pegasus',
+    device: null,
+    harvesting: false,
+    timers: []
+  };
+
+  const overlay = document.querySelector('.cdk-overlay-container');
+  const startBtn = document.getElementById('startBtn');
+  const harvestContainer = document.querySelector('.harvest-container');
+  const dateRange = document.querySelector('.date-range');
+
+  fetch('/api/scenario')
+    .then(res => res.json())
+    .then(scenario => { state.scenario = scenario; });
+
+  // Like Angular's *ngIf, elements only exist in the DOM while shown
+  function instantiate(templateId, parent) {
+    const template = document.getElementById(templateId);
+    const element = template.content.firstElementChild.cloneNode(true);
+    parent.appendChild(element);
+    return element;
+  }
+
+  function openDialog(templateId) {
+    return instantiate(templateId, overlay);
+  }
+
+  function closeDialog(dialog) {
+    dialog.remove();
+  }
+
+  function setProgress(percent) {
+    const panel = harvestContainer.querySelector('.progress-container') ||
+      instantiate('progressPanel', harvestContainer);
+    panel.querySelector('.progress-value').textContent = String(percent);
+    panel.querySelector('mat-progress-bar').setAttribute('value', String(percent));
+  }
+
+  function clearTimers() {
+    state.timers.forEach(timer => clearTimeout(timer));
+    state.timers = [];
+  }
+
+  function showCancelButton() {
+    const cancelBtn = document.createElement('button');
+    cancelBtn.id = 'cancelBtn';
+    cancelBtn.className = 'ctl-btn';
+    cancelBtn.setAttribute('mattooltip', 'Cancel');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', finishHarvest);
+    startBtn.after(cancelBtn);
+  }
+
+  function finishHarvest() {
+    clearTimers();
+    state.harvesting = false;
+    startBtn.disabled = false;
+    const cancelBtn = document.getElementById('cancelBtn');
+    if (cancelBtn) cancelBtn.remove();
+    const panel = harvestContainer.querySelector('.progress-container');
+    if (panel) panel.remove();
+  }
+
+  function showSummary(summary) {
+    const dialog = openDialog('summaryDialog');
+    const rows = [
+      ['Files written', summary.files],
+      ['Records', summary.records.toLocaleString('en-US')],
+      ['Channels', summary.channels.join(', ')],
+      ['Time span', `${summary.from} to ${summary.to}`]
+    ];
+    const table = dialog.querySelector('.summary-table');
+    rows.forEach(([label, value]) => {
+      const row = table.insertRow();
+      row.insertCell().textContent = `${label}:`;
+      row.insertCell().textContent = String(value);
+    });
+    const messages = dialog.querySelector('.summary-messages');
+    summary.errors.forEach(message => {
+      const line = document.createElement('p');
+      line.textContent = `Error: ${message}`;
+      messages.appendChild(line);
+    });
+    dialog.querySelector('[data-action="close"]').addEventListener('click', () => closeDialog(dialog));
+  }
+
+  function showError(message) {
+    const dialog = openDialog('errorDialog');
+    dialog.querySelector('.error-message').textContent = message;
+    dialog.querySelector('[data-action="close"]').addEventListener('click', () => closeDialog(dialog));
+  }
+
+  // Date range as entered: a date input with its time input, if there is one
+  function enteredDate(id) {
+    const date = document.getElementById(id).value;
+    const time = document.getElementById(`${id}-time`);
+    return time ? `${date}T${time.value}` : date;
+  }
+
+  function reportHarvest() {
+    return fetch('/api/harvest', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        mode: state.mode,
+        device: state.device,
+        outputDir: state.outputDir,
+        from: enteredDate('mat-input-2'),
+        to: enteredDate('mat-input-3')
+      })
+    }).then(res => res.json());
+  }
+
+  function startHarvest() {
+    const scenario = state.scenario;
+    if (!scenario || state.harvesting) return;
+
+    const device = (scenario.devices || []).find(d => d.serial === state.device);
+    const error = device && device.error ? device.error : scenario.error;
+    if (error) {
+      showError(error);
+      return;
+    }
+
+    state.harvesting = true;
+    startBtn.disabled = true;
+    showCancelButton();
+
+    scenario.progress.forEach((percent, index) => {
+      state.timers.push(setTimeout(() => setProgress(percent), index * scenario.stepMillis));
+    });
+
+    if (scenario.freeze) return;
+
+    const doneAt = scenario.progress.length * scenario.stepMillis;
+    state.timers.push(setTimeout(() => {
+      reportHarvest().then(result => {
+        finishHarvest();
+        if (scenario.summary) showSummary(result.summary);
+      });
+    }, doneAt));
+  }
+
+  ['allBtn', 'sincelastBtn', 'customBtn'].forEach(id => {
+    document.getElementById(id).addEventListener('click', event => {
+      document.querySelectorAll('.mode-toggle button').forEach(b => b.classList.remove('selected'));
+      event.currentTarget.classList.add('selected');
+      state.mode = event.currentTarget.textContent.trim().toLowerCase();
+      dateRange.hidden = id !== 'customBtn';
+    });
+  });
+
+  // Scenarios with dropTime: the datepicker keeps only the day of a typed
+  // date and shows it at midnight
+  ['mat-input-2', 'mat-input-3'].forEach(id => {
+    const input = document.getElementById(id);
+    input.addEventListener('change', () => {
+      if (state.scenario && state.scenario.dropTime && input.value) {
+        input.value = `${input.value.slice(0, 10)}T00:00:00`;
+      }
+    });
+  });
+
+  document.getElementById('configBtn').addEventListener('click', () => {
+    const dialog = openDialog('configDialog');
+    const input = dialog.querySelector('#outputDirInput');
+    input.value = state.outputDir;
+    dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => closeDialog(dialog));
+    dialog.querySelector('[data-action="save"]').addEventListener('click', () => {
+      state.outputDir = input.value;
+      closeDialog(dialog);
+    });
+  });
+
+  // Device list of scenarios with several loggers: a click selects the
+  // logger, and the device panel shows its serial
+  const deviceItems = Array.from(document.querySelectorAll('.device-list .device'));
+  deviceItems.forEach(item => {
+    const serial = item.querySelector('.device-serial').textContent;
+    if (item.classList.contains('selected')) state.device = serial;
+    item.addEventListener('click', () => {
+      if (state.harvesting) return;
+      deviceItems.forEach(other => {
+        other.classList.remove('selected');
+        other.setAttribute('aria-selected', 'false');
+      });
+      item.classList.add('selected');
+      item.setAttribute('aria-selected', 'true');
+      state.device = serial;
+      document.querySelector('.device-info-serial').textContent = serial;
+    });
+  });
+
+  startBtn.addEventListener('click', startHarvest);
+})();
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for the Pegasus Harvester binary in the lifecycle tests
+ * (lib/pegasus_process.js). Serves just enough of the DevTools HTTP endpoint
+ * on --remote-debugging-port:
+ *
+ *   --page-delay=<ms>  /json/list shows the app page only after this long
+ *   --ignore-term      ignore SIGTERM, so only SIGKILL ends it
+ *   --exit=<code>      print an error and exit right away
+ */
+
+const http = require('http');
+
+const flags = {};
+process.argv.slice(2).forEach(arg => {
+  const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+  if (match) flags[match[1]] = match[2] === undefined ? true : match[2];
+});
+
+if (flags.exit !== undefined) {
+  console.error('Fake Pegasus: cannot open the logger');
+  process.exit(Number(flags.exit));
+}
+if (flags['ignore-term']) {
+  process.on('SIGTERM', () => console.log('Fake Pegasus: ignoring SIGTERM'));
+}
+
+const startedAt = Date.now();
+const port = Number(flags['remote-debugging-port']);
+const pageDelay = Number(flags['page-delay'] || 0);
+
+http.createServer((req, res) => {
+  const send = body => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  if (req.url === '/json/version') {
+    send({ Browser: 'FakePegasus/1.0' });
+  } else if (req.url === '/json/list') {
+    const url = Date.now() - startedAt >= pageDelay ? 'file:///opt/PegasusHarvester/index.html' : 'about:blank';
+    send([{ type: 'page', url }]);
+  } else {
+    res.writeHead(404);
+    res.end();
+  }
+}).listen(port, '127.0.0.1');
@@ -0,0 +1,73 @@
+/**
+ * Minimal miniSEED 2 writer for the mock Harvester and the header reader tests
+ *
+ * Records carry a valid fixed header and blockette 1000 (Steim is not needed:
+ * encoding is 32-bit integers and every sample is zero). Only what
+ * lib/mseed.js reads is filled in.
+ */
+
+const HEADER_BYTES = 64; // Fixed header (48) plus blockette 1000 (8), padded
+
+// One record starting at `start` (epoch ms) holding `samples` samples
+function buildRecord({ network, station, location = '', channel, start, sampleRate, samples,
+  sequence = 1, recordLength = 512, littleEndian = false, blockette1000 = true }) {
+  const buf = Buffer.alloc(recordLength);
+  const u16 = (value, offset) => (littleEndian ? buf.writeUInt16LE(value, offset) : buf.writeUInt16BE(value, offset));
+  const i16 = (value, offset) => (littleEndian ? buf.writeInt16LE(value, offset) : buf.writeInt16BE(value, offset));
+
+  buf.write(String(sequence).padStart(6, '0'), 0, 'latin1');
+  buf.write('D ', 6, 'latin1');
+  buf.write(station.padEnd(5), 8, 'latin1');
+  buf.write(location.padEnd(2), 13, 'latin1');
+  buf.write(channel.padEnd(3), 15, 'latin1');
+  buf.write(network.padEnd(2), 18, 'latin1');
+
+  const time = new Date(Math.floor(start));
+  const dayOfYear = Math.floor((time - Date.UTC(time.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+  u16(time.getUTCFullYear(), 20);
+  u16(dayOfYear, 22);
+  buf[24] = time.getUTCHours();
+  buf[25] = time.getUTCMinutes();
+  buf[26] = time.getUTCSeconds();
+  u16(Math.round((start % 1000) * 10), 28);
+
+  u16(samples, 30);
+  // Rates below 1 Hz are written as a negative period in seconds
+  i16(sampleRate >= 1 ? Math.round(sampleRate) : -Math.round(1 / sampleRate), 32);
+  i16(1, 34);
+  buf[39] = blockette1000 ? 1 : 0;
+  u16(HEADER_BYTES, 44);
+
+  if (blockette1000) {
+    u16(48, 46);
+    u16(1000, 48);
+    u16(0, 50);
+    buf[52] = 3; // 32-bit integers
+    buf[53] = littleEndian ? 0 : 1;
+    buf[54] = Math.log2(recordLength);
+  }
+  return buf;
+}
+
+// Contiguous records covering [start, end) at `sampleRate`; `skip` is a
+// list of [from, to) ranges (epoch ms) left out to create gaps
+function buildRecords({ start, end, sampleRate, recordLength = 512, skip = [], ...channel }) {
+  const perRecord = (recordLength - HEADER_BYTES) / 4;
+  const period = 1000 / sampleRate;
+  const records = [];
+  let time = start;
+  while (time < end) {
+    const samples = Math.min(perRecord, Math.ceil((end - time) / period));
+    const recordEnd = time + samples * period;
+    if (!skip.some(([from, to]) => time < to && recordEnd > from)) {
+      records.push(buildRecord({ ...channel, start: time, sampleRate, samples, recordLength, sequence: records.length + 1 }));
+    }
+    time = recordEnd;
+  }
+  return Buffer.concat(records);
+}
+
+module.exports = {
+  buildRecord,
+  buildRecords
+};
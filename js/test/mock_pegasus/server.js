@@ -0,0 +1,352 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const { buildRecords } = require('./mseed_writer');
+
+/**
+ * Mock Pegasus Harvester
+ *
+ * Serves a stand-in for the Harvester's Angular Material UI and opens it in
+ * headless Chromium with --remote-debugging-port, so pegasus_harvest.js can be
+ * driven without a logger on USB. The page reports harvests back to this
+ * server, which writes miniSEED files into the configured output directory.
+ */
+
+// Scripted behaviour of the mock UI once "Start harvesting" is clicked
+const SCENARIOS = {
+  // Progress runs to 100%, files are written, Harvest Summary is shown
+  'success': { progress: [0, 15, 40, 70, 100], files: 3, summary: true },
+  // Progress stops at 40% and never moves again
+  'frozen': { progress: [0, 20, 40], files: 0, freeze: true },
+  // Progress runs to 100% and files are written, but no summary dialog opens
+  'missing-summary': { progress: [0, 30, 60, 100], files: 3, summary: false },
+  // Harvest is refused with an error dialog
+  'error-dialog': { error: 'Harvest failed: instrument not responding', files: 0 },
+  // A Harvester release no selector profile knows about
+  'unsupported-ui': { progress: [0, 100], files: 3, summary: true, title: 'Pegasus Harvester 3.0.1' },
+  // Known release, but the configuration button was renamed
+  'drifted-ui': { progress: [0, 100], files: 3, summary: true, relabel: { 'Archive Configuration': 'Settings' } },
+  // Harvest completes, but HHZ has a gap and HHE stops half way
+  'partial-data': { progress: [0, 50, 100], files: 3, summary: true, partial: true },
+  // Files are written, but the Harvest Summary lists an error
+  'summary-errors': {
+    progress: [0, 50, 100], files: 3, summary: true, summaryErrors: ['HHE: 2 records failed CRC check']
+  },
+  // Files are written, but the Harvest Summary reports no records
+  'zero-records': { progress: [0, 100], files: 3, summary: true, records: 0 },
+  // Harvest succeeds, but the logger's battery is low, GPS has no fix and storage is nearly full
+  'soh-alarm': {
+    progress: [0, 100], files: 3, summary: true,
+    relabel: { '12.6 V': '11.2 V', 'Locked, 9 satellites': 'No fix', '12.8 GB used': '61.2 GB used' }
+  },
+  // Date-only pickers with a separate time input next to each
+  'date-only': { progress: [0, 50, 100], files: 3, summary: true, dateInputs: 'date' },
+  // The datepicker keeps only the day of a typed date, so To reads back as midnight
+  'misread-dates': { progress: [0, 50, 100], files: 3, summary: true, dropTime: true },
+  // Two loggers in the device list, each harvested on its own
+  'multi-device': {
+    progress: [0, 50, 100], files: 3, summary: true,
+    devices: [{ serial: 'PEG-0042', station: 'MOCK' }, { serial: 'PEG-0043', station: 'MOK2' }]
+  },
+  // Two loggers, the second refuses every harvest with an error dialog
+  'multi-device-one-bad': {
+    progress: [0, 50, 100], files: 3, summary: true,
+    devices: [
+      { serial: 'PEG-0042', station: 'MOCK' },
+      { serial: 'PEG-0043', station: 'MOK2', error: 'Harvest failed: logger PEG-0043 not responding' }
+    ]
+  }
+};
+
+const DEFAULT_SCENARIO = 'success';
+const DATA_START = '2026-01-04T00:00:00'; // Start of the data for modes other than date range
+const DATA_SPAN_MS = 10 * 60 * 1000;
+const DATA_SAMPLE_RATE = 1;
+const RECORD_LENGTH = 512; // Record length mseed_writer.js uses by default
+const PROGRESS_STEP_MS = 400;
+const BROWSER_PATHS = [
+  '/usr/bin/chromium-browser',
+  '/usr/bin/chromium',
+  '/usr/bin/google-chrome'
+];
+const STATIC_FILES = {
+  '/': { file: 'index.html', type: 'text/html' },
+  '/app.js': { file: 'app.js', type: 'application/javascript' }
+};
+
+// Locate a Chromium binary (CHROME_PATH overrides the usual install paths)
+function findBrowser() {
+  const candidates = process.env.CHROME_PATH
+    ? [process.env.CHROME_PATH]
+    : BROWSER_PATHS;
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Write one miniSEED file per channel for a harvest request: ten minutes of
+// 1 Hz data from the requested start (date range) or from DATA_START, for the
+// station of the selected logger. The content only depends on the request, so
+// repeating a harvest repeats the data.
+function writeFakeData(outputDir, definition, request) {
+  const device = (definition.devices || []).find(d => d.serial === request.device);
+  const station = device ? device.station : 'MOCK';
+  fs.mkdirSync(outputDir, { recursive: true });
+  const requested = request.mode === 'date range' ? new Date(request.from).getTime() : NaN;
+  const start = isNaN(requested) ? new Date(DATA_START).getTime() : requested;
+  const end = start + DATA_SPAN_MS;
+  const written = [];
+  for (let i = 0; i < definition.files; i++) {
+    const channel = `HH${'ZNE'[i % 3]}`;
+    const span = { start, end, skip: [] };
+    if (definition.partial && channel === 'HHZ') span.skip.push([start + 4 * 60000, start + 6 * 60000]);
+    if (definition.partial && channel === 'HHE') span.end = start + DATA_SPAN_MS / 2;
+
+    const name = `XX.${station}..${channel}.${Date.now()}_${i}.mseed`;
+    const filePath = path.join(outputDir, name);
+    fs.writeFileSync(filePath, buildRecords({
+      network: 'XX', station, channel, sampleRate: DATA_SAMPLE_RATE, ...span
+    }));
+    written.push(filePath);
+  }
+  return written;
+}
+
+// What the Harvest Summary dialog shows for a harvest: counts from the files
+// written unless the scenario overrides them
+function summarize(definition, request, files) {
+  const records = files.reduce((sum, file) => sum + fs.statSync(file).size / RECORD_LENGTH, 0);
+  const requested = request.mode === 'date range' ? new Date(request.from).getTime() : NaN;
+  const start = isNaN(requested) ? new Date(DATA_START).getTime() : requested;
+  return {
+    files: files.length,
+    records: definition.records !== undefined ? definition.records : records,
+    channels: files.map(file => path.basename(file).split('.').slice(0, 4).join('.')),
+    from: new Date(start).toISOString().slice(0, 19),
+    to: new Date(start + DATA_SPAN_MS).toISOString().slice(0, 19),
+    errors: definition.summaryErrors || []
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Start the mock app HTTP server
+ * Resolves with { port, url, harvests, close }
+ */
+// Apply a scenario's title, date inputs, device list and relabelled texts to
+// index.html; the first logger of the list starts out selected
+function customizePage(html, definition) {
+  let body = html;
+  if (definition.title) {
+    body = body.replace(/>Pegasus Harvester</g, `>${definition.title}<`);
+  }
+  if (definition.dateInputs === 'date') {
+    body = body.replace(/<input matinput matdatepicker id="(mat-input-\d)" type="text"([^>]*)>/g,
+      '<input matinput matdatepicker id="$1" type="date"$2>\n          <input id="$1-time" type="time" step="1">');
+  }
+  if (definition.devices) {
+    const items = definition.devices.map((device, index) =>
+      `      <mat-list-option class="device${index === 0 ? ' selected' : ''}" role="option" ` +
+      `aria-selected="${index === 0}"><span class="device-serial">${device.serial}</span> ` +
+      `<span class="device-station">${device.station}</span></mat-list-option>`);
+    body = body.replace(/ *<!-- devices:.*-->/,
+      `<mat-selection-list class="device-list">\n${items.join('\n')}\n    </mat-selection-list>`);
+    body = body.replace('>PEG-0042<', `>${definition.devices[0].serial}<`);
+  }
+  Object.entries(definition.relabel || {}).forEach(([from, to]) => {
+    body = body.split(from).join(to);
+  });
+  return body;
+}
+
+function startServer({ scenario = DEFAULT_SCENARIO, port = 0 } = {}) {
+  const definition = SCENARIOS[scenario];
+  if (!definition) {
+    return Promise.reject(new Error(`Unknown scenario: ${scenario}`));
+  }
+
+  const harvests = [];
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = req.url.split('?')[0];
+
+      if (req.method === 'GET' && STATIC_FILES[url]) {
+        const entry = STATIC_FILES[url];
+        let body = fs.readFileSync(path.join(__dirname, entry.file), 'utf8');
+        if (entry.file === 'index.html') {
+          body = customizePage(body, definition);
+        }
+        res.writeHead(200, { 'Content-Type': entry.type });
+        res.end(body);
+        return;
+      }
+
+      if (req.method === 'GET' && url === '/api/scenario') {
+        sendJson(res, 200, { name: scenario, stepMillis: PROGRESS_STEP_MS, ...definition });
+        return;
+      }
+
+      if (req.method === 'POST' && url === '/api/harvest') {
+        const request = await readBody(req);
+        const files = request.outputDir && definition.files > 0
+          ? writeFakeData(request.outputDir, definition, request)
+          : [];
+        harvests.push({ ...request, files });
+        sendJson(res, 200, { files: files.length, summary: summarize(definition, request, files) });
+        return;
+      }
+
+      if (req.method === 'GET' && url === '/api/harvests') {
+        sendJson(res, 200, harvests);
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        port: actualPort,
+        url: `http://127.0.0.1:${actualPort}/`,
+        harvests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Poll the DevTools endpoint until the browser accepts connections
+function waitForDevTools(debugPort, timeout) {
+  const deadline = Date.now() + timeout;
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      const req = http.get(`http://127.0.0.1:${debugPort}/json/version`, res => {
+        res.resume();
+        if (res.statusCode === 200) {
+          resolve();
+        } else {
+          retry();
+        }
+      });
+      req.on('error', retry);
+    };
+    const retry = () => {
+      if (Date.now() > deadline) {
+        reject(new Error(`DevTools endpoint on port ${debugPort} not ready after ${timeout}ms`));
+      } else {
+        setTimeout(poll, 250);
+      }
+    };
+    poll();
+  });
+}
+
+/**
+ * Start the mock app and open it in headless Chromium
+ * Resolves with { cdpUrl, appUrl, harvests, stop }
+ */
+async function startMockPegasus({
+  scenario = DEFAULT_SCENARIO,
+  port = 0,
+  debugPort = 9222,
+  browserPath = findBrowser(),
+  startupTimeout = 20000
+} = {}) {
+  if (!browserPath) {
+    throw new Error('No Chromium binary found (set CHROME_PATH)');
+  }
+
+  const app = await startServer({ scenario, port });
+  const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-pegasus-'));
+
+  const browser = spawn(browserPath, [
+    '--headless=new',
+    '--no-sandbox',
+    '--disable-gpu',
+    '--disable-dev-shm-usage',
+    '--no-first-run',
+    `--remote-debugging-port=${debugPort}`,
+    '--remote-allow-origins=*',
+    `--user-data-dir=${profileDir}`,
+    app.url
+  ], { stdio: 'ignore' });
+
+  const stop = async () => {
+    if (browser.exitCode === null) {
+      browser.kill('SIGTERM');
+      await new Promise(resolve => browser.once('exit', resolve));
+    }
+    await app.close();
+    fs.rmSync(profileDir, { recursive: true, force: true });
+  };
+
+  try {
+    await waitForDevTools(debugPort, startupTimeout);
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  return {
+    cdpUrl: `http://127.0.0.1:${debugPort}`,
+    appUrl: app.url,
+    harvests: app.harvests,
+    stop
+  };
+}
+
+module.exports = {
+  SCENARIOS,
+  findBrowser,
+  startServer,
+  startMockPegasus
+};
+
+/**
+ * Standalone use:
+ *   node js/test/mock_pegasus/server.js [scenario] [debugPort]
+ */
+if (require.main === module) {
+  const scenario = process.argv[2] || DEFAULT_SCENARIO;
+  const debugPort = parseInt(process.argv[3] || '9222', 10);
+
+  startMockPegasus({ scenario, debugPort })
+    .then(mock => {
+      console.log(`Mock Pegasus Harvester (${scenario}) at ${mock.appUrl}`);
+      console.log(`DevTools endpoint: ${mock.cdpUrl} - press Ctrl+C to stop`);
+      const shutdown = () => mock.stop().then(() => process.exit(0));
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    })
+    .catch(error => {
+      console.error('ERROR:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,148 @@
+const http = require('http');
+const http2 = require('http2');
+const { readFields } = require('../../lib/protobuf');
+const { HANDLE_PATH, METHODS, frame, parseFrames } = require('../../lib/starlink_grpc');
+
+/**
+ * Stand-in Starlink dish
+ *
+ * Replays the Response messages in recordings.json over gRPC (HTTP/2
+ * without TLS) and gRPC-web (HTTP/1.1), the two ways the dish serves
+ * SpaceX.API.Device.Device/Handle, so lib/starlink_grpc.js can be tested
+ * without a dish. Each request is decoded far enough to see which method it
+ * asks for. A method listed in `unimplemented`, or without a recording, is
+ * answered with gRPC status 12 (UNIMPLEMENTED), as firmware without it does.
+ * A method listed in `empty` gets status 0 without a response message.
+ */
+
+const RECORDINGS = require('./recordings.json').responses;
+
+const GRPC_UNIMPLEMENTED = 12;
+const GRPC_INVALID_ARGUMENT = 3;
+
+// The method a Request frame asks for, or null
+function requestedMethod(body) {
+  try {
+    const frames = parseFrames(body);
+    if (frames.length === 0) return null;
+    const fields = readFields(frames[0].payload);
+    const number = fields.length ? fields[0].number : null;
+    return Object.keys(METHODS).find(method => METHODS[method].field === number) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// { message (Buffer or null), status, statusMessage } for a request body
+function answer(body, { recordings, unimplemented, empty, requests }) {
+  const method = requestedMethod(body);
+  requests.push(method);
+  if (!method) return { message: null, status: GRPC_INVALID_ARGUMENT, statusMessage: 'malformed request' };
+  if (empty.includes(method)) return { message: null, status: 0, statusMessage: '' };
+  if (unimplemented.includes(method) || !recordings[method]) {
+    return { message: null, status: GRPC_UNIMPLEMENTED, statusMessage: `${method} not implemented` };
+  }
+  return { message: Buffer.from(recordings[method], 'base64'), status: 0, statusMessage: '' };
+}
+
+function readBody(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function listen(server, port) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+// Start the gRPC and gRPC-web servers. `empty` lists methods answered with
+// nothing (see above). `grpc: false` / `web: false` leave a
+// transport out (its port then refuses connections), `delay` holds every
+// answer back by that many ms. Resolves to
+// { host, ports: { grpc, 'grpc-web' }, requests, close() }; `requests`
+// lists the methods asked for in order.
+async function startStarlinkServer({ recordings = RECORDINGS, unimplemented = [], empty = [], grpc = true, web = true, delay = 0 } = {}) {
+  const state = { recordings, unimplemented, empty, requests: [] };
+  const servers = [];
+  const ports = {};
+  const wait = () => new Promise(resolve => setTimeout(resolve, delay));
+
+  const grpcServer = http2.createServer();
+  const sessions = new Set();
+  grpcServer.on('session', session => {
+    sessions.add(session);
+    session.on('close', () => sessions.delete(session));
+  });
+  grpcServer.on('stream', async (stream, headers) => {
+    stream.on('error', () => {});
+    const body = await readBody(stream);
+    if (headers[':path'] !== HANDLE_PATH) {
+      stream.respond({ ':status': 404 }, { endStream: true });
+      return;
+    }
+    const reply = answer(body, state);
+    await wait();
+    if (stream.destroyed) return;
+    const trailers = { 'grpc-status': String(reply.status), 'grpc-message': encodeURIComponent(reply.statusMessage) };
+    if (!reply.message) {
+      // Trailers-only response
+      stream.respond(Object.assign({ ':status': 200, 'content-type': 'application/grpc' }, trailers), { endStream: true });
+      return;
+    }
+    stream.respond({ ':status': 200, 'content-type': 'application/grpc' }, { waitForTrailers: true });
+    stream.on('wantTrailers', () => stream.sendTrailers(trailers));
+    stream.end(frame(reply.message));
+  });
+
+  const webServer = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    if (req.method !== 'POST' || req.url !== HANDLE_PATH) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const reply = answer(body, state);
+    await wait();
+    if (res.destroyed) return;
+    const trailerText = `grpc-status: ${reply.status}\r\ngrpc-message: ${encodeURIComponent(reply.statusMessage)}\r\n`;
+    const parts = reply.message ? [frame(reply.message)] : [];
+    parts.push(frame(Buffer.from(trailerText), 0x80));
+    res.writeHead(200, { 'content-type': 'application/grpc-web+proto' });
+    res.end(Buffer.concat(parts));
+  });
+
+  if (grpc) servers.push(grpcServer);
+  if (web) servers.push(webServer);
+  ports.grpc = grpc ? await listen(grpcServer, 0) : await unusedPort();
+  ports['grpc-web'] = web ? await listen(webServer, 0) : await unusedPort();
+
+  return {
+    host: '127.0.0.1',
+    ports,
+    requests: state.requests,
+    close: () => {
+      sessions.forEach(session => session.destroy());
+      webServer.closeAllConnections();
+      return Promise.all(servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+    }
+  };
+}
+
+// A port that was free a moment ago, for a transport left out
+async function unusedPort() {
+  const server = http.createServer();
+  const port = await listen(server, 0);
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+module.exports = {
+  RECORDINGS,
+  startStarlinkServer
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseOptions, parsePolicy, parseSize, readConfigFile } = require('../lib/options');
+
+/**
+ * Unit tests for the pegasus_harvest.js command line (lib/options.js).
+ * No browser needed.
+ */
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-options-test-'));
+const harvestDir = path.join(workDir, 'harvest');
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('named flags override env, which overrides config files', () => {
+  const configFile = path.join(workDir, 'config.txt');
+  fs.writeFileSync(configFile, [
+    '# comment',
+    'EXECUTE=auto',
+    'HARVEST_MODE="date range"   # inline comment',
+    'FROM_DATE="2025-01-06T00:00:00"',
+    "TO_DATE='2025-12-31T23:59:59'",
+    'PEGASUS_TIMEOUT=90'
+  ].join('\n'));
+
+  const { options, errors, legacy } = parseOptions(
+    ['--out', harvestDir, '--config', configFile, '--to=2025-06-30T00:00:00'],
+    { FROM_DATE: '2025-02-01T00:00:00' }
+  );
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(legacy, false);
+  assert.strictEqual(options.mode, 'date range');
+  assert.strictEqual(options.fromDate, '2025-02-01T00:00:00');
+  assert.strictEqual(options.toDate, '2025-06-30T00:00:00');
+  assert.strictEqual(options.timeout, 90);
+  assert.deepStrictEqual(
+    [options.sources.harvestDir, options.sources.mode, options.sources.fromDate, options.sources.cdpUrl],
+    ['flag', 'config', 'env', 'default']
+  );
+});
+
+test('legacy positional arguments still work, empty values fall back', () => {
+  const { options, errors, warnings, legacy } = parseOptions(
+    [harvestDir, 'auto', '2', 'auto', 'all', '', ''], {}
+  );
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(legacy, true);
+  assert.strictEqual(options.harvestDir, harvestDir);
+  assert.strictEqual(options.mode, 'all');
+  assert.strictEqual(options.fromDate, '2026-01-04T00:00:00');
+  assert.match(warnings.join('\n'), /deprecated/);
+});
+
+test('every validation problem is reported at once', () => {
+  const { errors } = parseOptions([
+    '--mode', 'weekly', '--from', '2026-13-01', '--to', 'soon',
+    '--cdp-url', 'localhost:9222', '--timeout', '-5', '--overlap', 'an hour', '--colour', 'red',
+    '--config', path.join(workDir, 'missing')
+  ], {});
+
+  assert.strictEqual(errors.length, 9, errors.join('\n'));
+  [/Unknown option --colour/, /Cannot read config file/, /--out/, /Invalid mode "weekly"/,
+    /Invalid from date/, /Invalid to date/, /Invalid DevTools URL/, /Invalid timeout "-5"/, /Invalid overlap "an hour"/]
+    .forEach(pattern => assert.ok(errors.some(error => pattern.test(error)), `${pattern} not in\n${errors.join('\n')}`));
+});
+
+test('dates out of order and a missing parent directory are errors', () => {
+  const { errors } = parseOptions([
+    '--out', path.join(workDir, 'no', 'such', 'dir'),
+    '--from', '2026-02-01 00:00:00', '--to', '2026-01-01T00:00:00'
+  ], {});
+
+  assert.strictEqual(errors.length, 2, errors.join('\n'));
+  assert.match(errors[0], /Parent directory of harvest path does not exist/);
+  assert.match(errors[1], /must be before/);
+});
+
+test('fallback policy, size and duration budgets', () => {
+  assert.deepStrictEqual(parsePolicy('initial:2, date range:1:10m, all'), [
+    { mode: 'initial', tries: 2, timeLimit: null },
+    { mode: 'date range', tries: 1, timeLimit: 600000 },
+    { mode: 'all', tries: 1, timeLimit: null }
+  ]);
+  assert.strictEqual(parseSize('500M'), 500 * 1024 * 1024);
+  assert.strictEqual(parseSize('1.5kb'), 1536);
+  assert.strictEqual(parseSize('lots'), null);
+
+  const { options, errors } = parseOptions(['--out', harvestDir, '--max-bytes', '2G', '--max-duration', '30m'], {});
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(options.fallback, 'initial:2, date range:1, all:1');
+  assert.strictEqual(options.maxBytes, '2G');
+
+  const invalid = parseOptions([
+    '--out', harvestDir, '--fallback', 'weekly:2, all:0, since last:1:5s', '--max-bytes', 'lots', '--max-duration', 'long'
+  ], {});
+  [/Invalid fallback mode "weekly"/, /Invalid fallback tries "0" for all/, /Invalid fallback time limit "5s"/,
+    /Invalid max bytes "lots"/, /Invalid max duration "long"/]
+    .forEach(pattern => assert.ok(invalid.errors.some(error => pattern.test(error)), `${pattern} not in\n${invalid.errors.join('\n')}`));
+  assert.strictEqual(invalid.errors.length, 5, invalid.errors.join('\n'));
+});
+
+test('readConfigFile reads config/config.defaults', () => {
+  const values = readConfigFile(path.join(__dirname, '..', '..', 'config', 'config.defaults'));
+
+  assert.strictEqual(values.HARVEST_MODE, 'since last');
+  assert.strictEqual(values.EXECUTE, 'auto');
+  assert.match(values.FROM_DATE, /^\d{4}-\d{2}-\d{2}T/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { installPageHelpers } = require('../lib/page_helpers');
+const { loadProfiles } = require('../lib/profiles');
+
+/**
+ * Unit tests for installing the in-page helpers (lib/page_helpers.js) into
+ * a Harvester page that stayed open between runs. The page is a stand-in
+ * whose evaluate() runs the function in Node against a fake window, so no
+ * browser is needed.
+ */
+
+function fakePage() {
+  return {
+    onNewDocument: [],
+    async evaluateOnNewDocument(fn, ...args) {
+      this.onNewDocument.push(args);
+    },
+    async evaluate(fn, ...args) {
+      return fn(...args);
+    }
+  };
+}
+
+test.afterEach(() => {
+  delete global.window;
+});
+
+test('helpers left by an older version or another profile are replaced', async () => {
+  const profile = loadProfiles()[0];
+  let stoppedWatching = false;
+  global.window = {
+    __pegasusHarvest: { findStartButton: () => 'old', unwatch: () => { stoppedWatching = true; } }
+  };
+
+  const page = fakePage();
+  await installPageHelpers(page, profile);
+  const helpers = global.window.__pegasusHarvest;
+  assert.ok(stoppedWatching, 'the old helpers stop watching');
+  assert.strictEqual(helpers.profileName, profile.name);
+  assert.match(helpers.version, /^[0-9a-f]{12}$/);
+  assert.strictEqual(typeof helpers.sohContent, 'function');
+  assert.deepStrictEqual(page.onNewDocument, [[profile, helpers.version]]);
+
+  // Same version and profile: kept, with any watch() it runs
+  await installPageHelpers(fakePage(), profile);
+  assert.strictEqual(global.window.__pegasusHarvest, helpers);
+
+  const other = Object.assign({}, profile, { name: `${profile.name}-next` });
+  await installPageHelpers(fakePage(), other);
+  assert.notStrictEqual(global.window.__pegasusHarvest, helpers);
+  assert.strictEqual(global.window.__pegasusHarvest.profileName, other.name);
+});
@@ -0,0 +1,505 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { findBrowser, startMockPegasus, startServer } = require('./mock_pegasus/server');
+const { REPORT_FILE } = require('../lib/run_report');
+const { FORENSICS_DIR } = require('../lib/forensics');
+const { MANIFEST_FILE } = require('../lib/manifest');
+const { SOH_FILE } = require('../lib/soh');
+const { isAlive } = require('../lib/pegasus_process');
+
+/**
+ * Integration tests: run the real pegasus_harvest.js against the mock
+ * Pegasus Harvester in headless Chromium, one scenario per test. They need
+ * puppeteer-core (npm install in js/) and a Chromium binary (CHROME_PATH),
+ * and are skipped, with a warning, without them.
+ *
+ *   cd js && npm install && CHROME_PATH=/usr/bin/chromium-browser npm test
+ */
+
+const SCRIPT = path.join(__dirname, '..', 'pegasus_harvest.js');
+const SCRIPT_TIMEOUT = 5 * 60 * 1000;
+
+// Shortened timings so failure scenarios finish in minutes, not hours
+const FAST_TIMINGS = {
+  PEGASUS_MAX_HARVEST_WAIT: '20000',
+  PEGASUS_RETRY_DELAY: '200',
+  PEGASUS_PROGRESS_INTERVAL: '200',
+  PEGASUS_GRACE_PERIOD: '1500',
+  PEGASUS_COVERAGE_TOLERANCE: '60' // The mock writes ten minutes of data
+};
+
+function skipReason() {
+  if (!findBrowser()) {
+    return 'no Chromium binary found (set CHROME_PATH)';
+  }
+  try {
+    require.resolve('puppeteer-core');
+  } catch (error) {
+    return 'puppeteer-core is not installed';
+  }
+  return false;
+}
+
+// Run pegasus_harvest.js with named flags
+// `onStart(child)` (optional) gets the spawned process, e.g. to signal it
+function runHarvest(cdpUrl, harvestDir, extraArgs = [], onStart = null) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SCRIPT, '--out', harvestDir, '--mode', 'since last', ...extraArgs], {
+      env: { ...process.env, ...FAST_TIMINGS, PEGASUS_CDP_URL: cdpUrl }
+    });
+    if (onStart) onStart(child);
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`pegasus_harvest.js did not exit within ${SCRIPT_TIMEOUT}ms\n${output}`));
+    }, SCRIPT_TIMEOUT);
+
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+// Data files, forensics captures, run report, manifest and state of health left in a harvest directory
+function readHarvestDir(harvestDir) {
+  const files = fs.existsSync(harvestDir)
+    ? fs.readdirSync(harvestDir).filter(file => ![REPORT_FILE, MANIFEST_FILE, FORENSICS_DIR, SOH_FILE].includes(file))
+    : [];
+  const forensicsDir = path.join(harvestDir, FORENSICS_DIR);
+  const captures = fs.existsSync(forensicsDir)
+    ? fs.readdirSync(forensicsDir).filter(name => name !== 'index.json').sort().map(name => {
+      const captureDir = path.join(forensicsDir, name);
+      const dialogsPath = path.join(captureDir, 'dialogs.json');
+      return {
+        name,
+        files: fs.readdirSync(captureDir).sort(),
+        dialogs: fs.existsSync(dialogsPath) ? JSON.parse(fs.readFileSync(dialogsPath, 'utf8')) : []
+      };
+    })
+    : [];
+  const readJson = file => {
+    const filePath = path.join(harvestDir, file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  };
+  return { files, captures, report: readJson(REPORT_FILE), manifest: readJson(MANIFEST_FILE), soh: readJson(SOH_FILE) };
+}
+
+// Start the mock for a scenario, run the harvest and always tear down
+async function runScenario(scenario, debugPort, extraArgs = []) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-harvest-test-'));
+  const harvestDir = path.join(workDir, 'harvest');
+  const mock = await startMockPegasus({ scenario, debugPort });
+  try {
+    const result = await runHarvest(mock.cdpUrl, harvestDir, extraArgs);
+    return { ...result, ...readHarvestDir(harvestDir), harvests: mock.harvests.slice(), harvestDir };
+  } finally {
+    await mock.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+const options = { skip: skipReason(), timeout: SCRIPT_TIMEOUT + 60000 };
+
+// A skip is easy to miss among the passing unit tests, so say it out loud
+if (options.skip) {
+  console.error([
+    '',
+    '*'.repeat(72),
+    `* SKIPPING the pegasus_harvest.js integration tests: ${options.skip}`,
+    '* Run npm install in js/ and set CHROME_PATH to a Chromium binary to run them.',
+    '*'.repeat(72),
+    ''
+  ].join('\n'));
+}
+
+test('success: harvests into the requested directory and exits 0', options, async () => {
+  const result = await runScenario('success', 9321);
+
+  assert.strictEqual(result.code, 0, result.output);
+  assert.match(result.output, /SUCCESS: New data found in harvest directory with mode 'since last'/);
+  assert.strictEqual(result.harvests.length, 1);
+  assert.strictEqual(result.harvests[0].outputDir, result.harvestDir);
+  assert.strictEqual(result.harvests[0].mode, 'since last');
+  assert.strictEqual(result.files.length, 3);
+
+  assert.strictEqual(result.report.outcome.status, 'success');
+  assert.strictEqual(result.report.outcome.exitCode, 0);
+  assert.strictEqual(result.report.ui.profile, 'harvester-2025');
+  assert.strictEqual(result.report.attempts.length, 1);
+  assert.strictEqual(result.report.attempts[0].requestedDates, null);
+  assert.ok(result.report.attempts[0].steps.some(step => step.step === 'monitor' && step.status === 'ok'));
+  assert.deepStrictEqual(result.report.progress.map(sample => sample.percentage).slice(-1), [100]);
+  const summary = result.report.attempts[0].summary;
+  assert.deepStrictEqual([summary.files, summary.records, summary.channels], [3, 18, 3]);
+  assert.deepStrictEqual([summary.from, summary.to], ['2026-01-04T00:00:00', '2026-01-04T00:10:00']);
+  assert.strictEqual(summary.errors.count, 0);
+  assert.strictEqual(result.soh.serial, 'PEG-0042');
+  assert.deepStrictEqual(result.soh.flags, []);
+  assert.strictEqual(result.report.soh.batteryVoltage, 12.6);
+  assert.strictEqual(result.report.files.count, 3);
+  assert.ok(result.report.files.totalBytes > 0);
+
+  assert.strictEqual(result.manifest.runStatus, 'success');
+  assert.strictEqual(result.manifest.summary.new, 3);
+  assert.ok(result.manifest.files.every(file => /^[0-9a-f]{64}$/.test(file.sha256)));
+
+  assert.deepStrictEqual(result.report.coverage.channels.map(ch => ch.id), ['XX.MOCK..HHE', 'XX.MOCK..HHN', 'XX.MOCK..HHZ']);
+  assert.ok(result.report.coverage.channels.every(ch => ch.sampleRate === 1 && ch.gapCount === 0));
+  assert.deepStrictEqual(Object.keys(result.manifest.coverage), ['XX.MOCK..HHE', 'XX.MOCK..HHN', 'XX.MOCK..HHZ']);
+});
+
+test('frozen progress: cancels, exhausts every mode and exits 1', options, async () => {
+  const result = await runScenario('frozen', 9322);
+
+  assert.strictEqual(result.code, 1, result.output);
+  assert.match(result.output, /ERROR: Harvest failed with mode 'since last'/);
+  assert.match(result.output, /All harvest attempts failed/);
+  assert.strictEqual(result.harvests.length, 0);
+
+  assert.strictEqual(result.report.outcome.status, 'failed');
+  assert.deepStrictEqual(result.report.attempts.map(attempt => attempt.mode),
+    ['since last', 'since last', 'date range', 'all']);
+  assert.deepStrictEqual(result.report.attempts[2].requestedDates,
+    { from: '2026-01-04T00:00:00', to: '2050-01-01T23:59:59' });
+  assert.ok(result.report.attempts.every(attempt => attempt.failedStep === 'monitor'));
+});
+
+test('missing summary dialog: data is written but the attempt is not trusted', options, async () => {
+  const result = await runScenario('missing-summary', 9323);
+
+  assert.strictEqual(result.code, 1, result.output);
+  assert.match(result.output, /All harvest attempts failed/);
+  assert.ok(result.harvests.length > 0);
+  assert.ok(result.files.length > 0);
+});
+
+test('error dialog: no harvest starts and the script exits 1', options, async () => {
+  const result = await runScenario('error-dialog', 9324);
+
+  assert.strictEqual(result.code, 1, result.output);
+  assert.match(result.output, /All harvest attempts failed/);
+  assert.strictEqual(result.harvests.length, 0);
+  assert.strictEqual(result.files.length, 0);
+
+  assert.ok(result.captures.length > 0);
+  assert.match(result.captures[0].name, /attempt1-since-last_start-harvest/);
+  assert.deepStrictEqual(result.captures[0].files, ['console.json', 'dialogs.json', 'dom.html', 'screenshot.png']);
+  assert.match(result.captures[0].dialogs[0].text, /instrument not responding/);
+  assert.strictEqual(result.report.forensics.captures.length, result.captures.length);
+  assert.ok(result.report.forensics.usedBytes <= result.report.forensics.maxBytes);
+});
+
+test('summary with errors: files are written but the attempt counts as failed', options, async () => {
+  const result = await runScenario('summary-errors', 9335, ['--fallback', 'initial:1']);
+
+  assert.strictEqual(result.code, 1, result.output);
+  assert.match(result.output, /Harvest Summary reports 1 error\(s\): Error: HHE: 2 records failed CRC check/);
+  assert.strictEqual(result.files.length, 3);
+  assert.deepStrictEqual(result.report.attempts.map(attempt => attempt.result), ['FAILED']);
+  assert.deepStrictEqual(result.report.attempts[0].summary.errors.messages, ['Error: HHE: 2 records failed CRC check']);
+});
+
+test('instrument alarms: flagged in soh.json and the report, the harvest still succeeds', options, async () => {
+  const result = await runScenario('soh-alarm', 9336);
+
+  assert.strictEqual(result.code, 0, result.output);
+  assert.match(result.output, /WARNING: SOH: Battery voltage 11\.2 V is below 11\.5 V/);
+  assert.strictEqual(result.files.length, 3);
+  assert.deepStrictEqual(result.soh.flags.map(flag => flag.check), ['voltage', 'gps', 'storage']);
+  assert.deepStrictEqual([result.soh.gps.latitude, result.soh.gps.longitude], [-77.8463, 166.676]);
+  assert.deepStrictEqual(result.report.soh.flags, result.soh.flags);
+  assert.ok(!result.report.files.list.some(file => file.path === SOH_FILE));
+});
+
+test('several loggers: each is harvested into its own directory, a failing one does not stop the others', options, async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-harvest-test-'));
+  const harvestDir = path.join(workDir, 'run1');
+  const stateFile = path.join(workDir, 'state', 'pegasus_devices.json');
+  const args = ['--fallback', 'initial:1', '--watermark', path.join(workDir, 'state', 'watermark.json'),
+    '--device-state', stateFile];
+  const mock = await startMockPegasus({ scenario: 'multi-device-one-bad', debugPort: 9337 });
+  try {
+    const first = await runHarvest(mock.cdpUrl, harvestDir, args);
+    assert.strictEqual(first.code, 7, first.output);
+    assert.match(first.output, /PARTIAL: 1 of 2 loggers harvested \(PEG-0043 failed\)/);
+    assert.deepStrictEqual(mock.harvests.map(harvest => path.relative(harvestDir, harvest.outputDir)), ['PEG-0042']);
+
+    const run = readHarvestDir(harvestDir);
+    assert.deepStrictEqual(run.files.sort(), ['PEG-0042', 'PEG-0043']);
+    assert.deepStrictEqual(run.report.devices.map(device => `${device.serial} ${device.status}`),
+      ['PEG-0042 success', 'PEG-0043 failed']);
+    assert.strictEqual(run.report.files.count, 3); // Only data, no per-logger report, manifest or soh.json
+
+    const good = readHarvestDir(path.join(harvestDir, 'PEG-0042'));
+    const bad = readHarvestDir(path.join(harvestDir, 'PEG-0043'));
+    assert.strictEqual(good.files.length, 3);
+    assert.deepStrictEqual([good.report.outcome.status, good.soh.serial, good.manifest.runStatus], ['success', 'PEG-0042', 'success']);
+    assert.deepStrictEqual([bad.report.outcome.status, bad.soh.serial, bad.files.length], ['failed', 'PEG-0043', 0]);
+    assert.ok(fs.existsSync(path.join(workDir, 'state', 'watermark_PEG-0042.json')));
+    assert.ok(!fs.existsSync(path.join(workDir, 'state', 'watermark_PEG-0043.json')));
+
+    // The next run resumes the good logger from its watermark and counts the bad one's failures
+    const second = await runHarvest(mock.cdpUrl, path.join(workDir, 'run2'), args);
+    assert.strictEqual(second.code, 7, second.output);
+    assert.match(second.output, /WARNING: Logger PEG-0043 failed 2 runs in a row/);
+    assert.strictEqual(mock.harvests[1].mode, 'date range');
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8')).devices;
+    assert.deepStrictEqual([state['PEG-0042'].consecutiveFailures, state['PEG-0043'].consecutiveFailures], [0, 2]);
+    assert.strictEqual(state['PEG-0042'].harvestDir, path.join(workDir, 'run2', 'PEG-0042'));
+  } finally {
+    await mock.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('unknown UI version: refuses to drive the UI and exits 2', options, async () => {
+  const result = await runScenario('unsupported-ui', 9325);
+
+  assert.strictEqual(result.code, 2, result.output);
+  assert.match(result.output, /Unsupported UI version: title "Pegasus Harvester 3.0.1", version "3.0.1"/);
+  assert.strictEqual(result.harvests.length, 0);
+});
+
+test('dry run: every check passes, nothing is harvested, exits 0', options, async () => {
+  const result = await runScenario('success', 9326, ['--dry-run']);
+
+  assert.strictEqual(result.code, 0, result.output);
+  assert.match(result.output, /READY: all 9 checks passed/);
+  assert.strictEqual(result.harvests.length, 0);
+  assert.strictEqual(result.report.outcome.status, 'ready');
+  assert.ok(result.report.readiness.every(row => row.status === 'PASS'));
+  assert.deepStrictEqual(result.report.readiness.find(row => row.check === 'output dir').detail,
+    `read back "${result.harvestDir}"`);
+});
+
+test('dry run against a drifted UI: failing check is reported, exits 4', options, async () => {
+  const result = await runScenario('drifted-ui', 9327, ['--dry-run']);
+
+  assert.strictEqual(result.code, 4, result.output);
+  assert.match(result.output, /open config\s+FAIL\s+Timed out .* waiting for Archive Configuration button/);
+  assert.match(result.output, /output dir\s+SKIP/);
+  assert.strictEqual(result.harvests.length, 0);
+  assert.strictEqual(result.report.outcome.status, 'not-ready');
+});
+
+test('partial data: the harvest succeeds but coverage warnings are reported', options, async () => {
+  const result = await runScenario('partial-data', 9329, [
+    '--mode', 'date range', '--from', '2026-01-04T00:00:00', '--to', '2026-01-04T00:10:00'
+  ]);
+
+  assert.strictEqual(result.code, 0, result.output);
+  assert.match(result.output, /WARNING: Coverage: XX\.MOCK\.\.HHZ has 1 gap/);
+  const coverage = result.report.coverage;
+  assert.strictEqual(coverage.window.source, 'requested dates');
+  assert.deepStrictEqual(coverage.warnings.map(w => `${w.channel} ${w.type}`), [
+    'XX.MOCK..HHE early-end',
+    'XX.MOCK..HHZ gaps'
+  ]);
+});
+
+test('repeat harvest: identical data from a second run is not new data', options, async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-harvest-test-'));
+  const historyArgs = ['--manifest-history', path.join(workDir, 'manifests')];
+  const mock = await startMockPegasus({ scenario: 'success', debugPort: 9328 });
+  try {
+    const first = await runHarvest(mock.cdpUrl, path.join(workDir, 'run1'), historyArgs);
+    assert.strictEqual(first.code, 0, first.output);
+
+    // The mock writes the same content again under new file names
+    const secondDir = path.join(workDir, 'run2');
+    const second = await runHarvest(mock.cdpUrl, secondDir, historyArgs);
+    const { manifest, report } = readHarvestDir(secondDir);
+
+    assert.strictEqual(second.code, 1, second.output);
+    assert.match(second.output, /No new data found with mode 'since last'/);
+    assert.strictEqual(manifest.runStatus, 'failed');
+    assert.strictEqual(manifest.summary.newData, 0);
+    assert.ok(manifest.files.every(file => file.status === 'duplicate' && file.previous.run === 'run1'));
+    assert.deepStrictEqual(report.attempts.map(attempt => attempt.result), ['NO_DATA', 'NO_DATA', 'NO_DATA', 'NO_DATA']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'manifests')), ['run1.json']);
+  } finally {
+    await mock.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('watermark: the second run harvests a date range from the watermark minus the overlap', options, async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-harvest-test-'));
+  const watermarkFile = path.join(workDir, 'state', 'watermark.json');
+  const watermarkArgs = ['--watermark', watermarkFile, '--overlap', '120'];
+  const mock = await startMockPegasus({ scenario: 'success', debugPort: 9330 });
+  try {
+    const first = await runHarvest(mock.cdpUrl, path.join(workDir, 'run1'), watermarkArgs);
+    assert.strictEqual(first.code, 0, first.output);
+    assert.strictEqual(mock.harvests[0].mode, 'since last');
+    const watermark = JSON.parse(fs.readFileSync(watermarkFile, 'utf8')).watermark;
+    assert.strictEqual(watermark, new Date(new Date('2026-01-04T00:00:00').getTime() + 599000).toISOString());
+
+    const second = await runHarvest(mock.cdpUrl, path.join(workDir, 'run2'), watermarkArgs);
+    assert.strictEqual(second.code, 0, second.output);
+    assert.strictEqual(mock.harvests[1].mode, 'date range');
+    assert.strictEqual(new Date(mock.harvests[1].from).getTime(), Date.parse(watermark) - 120000);
+
+    const { report } = readHarvestDir(path.join(workDir, 'run2'));
+    assert.strictEqual(report.watermark.previous, watermark);
+    assert.ok(report.watermark.advancedTo > watermark);
+    assert.strictEqual(JSON.parse(fs.readFileSync(watermarkFile, 'utf8')).watermark, report.watermark.advancedTo);
+  } finally {
+    await mock.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('budget: modes projected past --max-bytes are skipped and the run exits 5', options, async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-harvest-test-'));
+  const mock = await startMockPegasus({ scenario: 'success', debugPort: 9332 });
+  try {
+    const first = await runHarvest(mock.cdpUrl, path.join(workDir, 'run1'), []);
+    assert.strictEqual(first.code, 0, first.output);
+
+    // Run 1 sets the data rate; since last from its end up to now is far more than 1 KiB
+    const second = await runHarvest(mock.cdpUrl, path.join(workDir, 'run2'),
+      ['--fallback', 'initial:2, all:1', '--max-bytes', '1K']);
+    assert.strictEqual(second.code, 5, second.output);
+    assert.match(second.output, /DECISION: skip 'since last': projected .* exceeds the 1\.0 KiB left/);
+    assert.strictEqual(mock.harvests.length, 1);
+
+    const { report } = readHarvestDir(path.join(workDir, 'run2'));
+    assert.deepStrictEqual(report.decisions.map(decision => `${decision.action} ${decision.mode}`),
+      ['skip since last', 'escalate all', 'skip all']);
+    assert.strictEqual(report.outcome.exitCode, 5);
+    assert.deepStrictEqual(report.attempts, []);
+  } finally {
+    await mock.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('SIGTERM mid-harvest: cancels, writes an interrupted report and exits 130', options, async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-harvest-test-'));
+  const lockFile = path.join(workDir, 'pegasus.lock');
+  const mock = await startMockPegasus({ scenario: 'frozen', debugPort: 9334 });
+  try {
+    const result = await runHarvest(mock.cdpUrl, path.join(workDir, 'run'), ['--lock', lockFile], child => {
+      let seen = '';
+      child.stdout.on('data', chunk => {
+        seen += chunk;
+        if (seen.includes('Progress update: 20%')) {
+          seen = '';
+          child.kill('SIGTERM');
+        }
+      });
+    });
+    assert.strictEqual(result.code, 130, result.output);
+    assert.match(result.output, /\[STEP monitor\] ABORTED/);
+    assert.match(result.output, /Cancellation confirmed/);
+    assert.doesNotMatch(result.output, /ATTEMPT 2/);
+
+    const { report } = readHarvestDir(path.join(workDir, 'run'));
+    assert.strictEqual(report.outcome.status, 'interrupted');
+    assert.deepStrictEqual(report.attempts.map(attempt => attempt.result), ['INTERRUPTED']);
+    assert.strictEqual(fs.existsSync(lockFile), false);
+  } finally {
+    await mock.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('--pegasus-bin: the script launches the Harvester, holds the lock and shuts it down', options, async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-harvest-test-'));
+  const lockFile = path.join(workDir, 'pegasus.lock');
+  const app = await startServer({ scenario: 'success' });
+  // Stands in for the Harvester binary: Chromium opening the mock app
+  const bin = path.join(workDir, 'pegasus-harvester');
+  fs.writeFileSync(bin, `#!/bin/sh\nexec "${findBrowser()}" --headless=new --no-sandbox --disable-gpu ` +
+    `--disable-dev-shm-usage --no-first-run --user-data-dir="${path.join(workDir, 'profile')}" "$@" ${app.url}\n`);
+  fs.chmodSync(bin, 0o755);
+  try {
+    const result = await runHarvest('http://127.0.0.1:9333', path.join(workDir, 'run'), ['--pegasus-bin', bin, '--lock', lockFile]);
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(app.harvests.length, 1);
+
+    const { report } = readHarvestDir(path.join(workDir, 'run'));
+    assert.strictEqual(report.pegasus.port, 9333);
+    assert.ok(report.pegasus.readyAfter > 0);
+    assert.strictEqual(isAlive(report.pegasus.pid), false);
+    assert.strictEqual(fs.existsSync(lockFile), false);
+  } finally {
+    await app.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('backfill: chunks go to their own subdirectories and a later run resumes', options, async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-harvest-test-'));
+  const checkpointFile = path.join(workDir, 'state', 'checkpoint.json');
+  const backfillArgs = ['--mode', 'date range', '--from', '2026-01-04T00:00:00', '--to', '2026-01-05T23:59:59',
+    '--chunk', '1d', '--checkpoint', checkpointFile];
+  const mock = await startMockPegasus({ scenario: 'success', debugPort: 9331 });
+  try {
+    const first = await runHarvest(mock.cdpUrl, path.join(workDir, 'run1'), backfillArgs);
+    assert.strictEqual(first.code, 0, first.output);
+    assert.deepStrictEqual(mock.harvests.map(harvest => [harvest.from, path.basename(harvest.outputDir)]), [
+      ['2026-01-04T00:00:00', '20260104T000000_20260104T235959'],
+      ['2026-01-05T00:00:00', '20260105T000000_20260105T235959']
+    ]);
+    const { report } = readHarvestDir(path.join(workDir, 'run1'));
+    assert.deepStrictEqual(report.backfill.summary, { total: 2, done: 2, failed: 0, pending: 0 });
+    assert.deepStrictEqual(report.attempts.map(attempt => attempt.chunk), [1, 2]);
+
+    // Pretend the second chunk failed; the next run only harvests that one.
+    // Run 1's manifest goes too, or the repeated mock data reads as duplicate.
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+    checkpoint.chunks[1].status = 'failed';
+    fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint));
+    fs.rmSync(path.join(workDir, 'run1', MANIFEST_FILE));
+
+    const second = await runHarvest(mock.cdpUrl, path.join(workDir, 'run2'), backfillArgs);
+    assert.strictEqual(second.code, 0, second.output);
+    assert.match(second.output, /resuming with 1 already done/);
+    assert.strictEqual(mock.harvests.length, 3);
+    assert.strictEqual(mock.harvests[2].from, '2026-01-05T00:00:00');
+    const chunks = JSON.parse(fs.readFileSync(checkpointFile, 'utf8')).chunks;
+    assert.deepStrictEqual(chunks.map(chunk => [chunk.status, path.basename(path.dirname(chunk.harvestDir))]), [
+      ['done', 'run1'],
+      ['done', 'run2']
+    ]);
+  } finally {
+    await mock.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('date-only pickers: dates are converted from --timezone and the time goes into the time inputs', options, async () => {
+  const result = await runScenario('date-only', 9338, ['--mode', 'date range', '--fallback', 'initial:1',
+    '--from', '2026-01-05T13:00:00', '--to', '2026-01-06T12:59:59', '--timezone', '+13:00']);
+
+  assert.strictEqual(result.code, 0, result.output);
+  assert.match(result.output, /Date range read back: 2026-01-05T13:00:00 to 2026-01-06T12:59:59 \(\+13:00\)/);
+  // The mock and the browser share this machine's time zone
+  assert.deepStrictEqual([result.harvests[0].from, result.harvests[0].to].map(date => new Date(date).toISOString()),
+    ['2026-01-05T00:00:00.000Z', '2026-01-05T23:59:59.000Z']);
+  assert.deepStrictEqual(result.report.attempts[0].requestedDates,
+    { from: '2026-01-05T13:00:00', to: '2026-01-06T12:59:59' });
+  assert.strictEqual(result.report.config.timezone, '+13:00');
+});
+
+test('misread dates: a read-back mismatch fails the attempt before anything is harvested', options, async () => {
+  const result = await runScenario('misread-dates', 9339, ['--mode', 'date range', '--fallback', 'initial:1']);
+
+  assert.strictEqual(result.code, 1, result.output);
+  assert.match(result.output, /Harvester read To as 2050-01-01T00:00:00, not 2050-01-01T23:59:59 \(UTC\)/);
+  assert.strictEqual(result.harvests.length, 0);
+  assert.deepStrictEqual(result.report.attempts.map(attempt => attempt.failedStep), ['set dates']);
+  assert.strictEqual(result.report.attempts[0].requestedDates, null);
+});
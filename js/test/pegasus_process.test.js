@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { LockHeldError, PegasusProcess, isAlive, processIdentity } = require('../lib/pegasus_process');
+
+/**
+ * Unit tests for the Harvester lifecycle (lib/pegasus_process.js), run
+ * against mock_pegasus/fake_binary.js instead of the real Harvester. No
+ * browser needed.
+ */
+
+const FAKE_BINARY = path.join(__dirname, 'mock_pegasus', 'fake_binary.js');
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-process-test-'));
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+function newProcess(name, options = {}) {
+  return new PegasusProcess(Object.assign({
+    bin: FAKE_BINARY,
+    port: 0,
+    lockFile: path.join(workDir, `${name}.lock`),
+    startupTimeout: 10000,
+    shutdownGrace: 1000
+  }, options));
+}
+
+test('the lock refuses a live holder and takes over a stale one', async () => {
+  const pegasus = newProcess('lock');
+  fs.writeFileSync(pegasus.lockFile, JSON.stringify({ pid: process.ppid, startedAt: '2026-01-04T00:00:00Z' }));
+  await assert.rejects(pegasus.lock(), LockHeldError);
+
+  fs.writeFileSync(pegasus.lockFile, JSON.stringify({ pid: 2147483646, startedAt: '2026-01-04T00:00:00Z' }));
+  await pegasus.lock();
+  assert.strictEqual(JSON.parse(fs.readFileSync(pegasus.lockFile, 'utf8')).pid, process.pid);
+
+  await pegasus.stop();
+  assert.strictEqual(fs.existsSync(pegasus.lockFile), false);
+
+  fs.writeFileSync(pegasus.lockFile, 'not json');
+  await pegasus.lock();
+  await pegasus.stop();
+});
+
+test('a lock whose PID now belongs to another process is stale', async () => {
+  const pegasus = newProcess('reused');
+  const holder = Object.assign({ pid: process.ppid, startedAt: '2026-01-04T00:00:00Z' }, processIdentity(process.ppid));
+  const writeLock = fields => fs.writeFileSync(pegasus.lockFile, JSON.stringify(Object.assign({}, holder, fields)));
+
+  writeLock({});
+  await assert.rejects(pegasus.lock(), LockHeldError);
+
+  // Written before a power cut: the PID is alive again, in another boot
+  writeLock({ bootId: 'an-earlier-boot' });
+  await pegasus.lock();
+  const ours = JSON.parse(fs.readFileSync(pegasus.lockFile, 'utf8'));
+  assert.deepStrictEqual([ours.pid, ours.bootId, ours.pidStartTicks],
+    [process.pid, processIdentity(process.pid).bootId, processIdentity(process.pid).pidStartTicks]);
+  await pegasus.stop();
+
+  // Same boot, but the PID was reused by a process started later
+  writeLock({ pidStartTicks: holder.pidStartTicks + 1 });
+  await pegasus.lock();
+  await pegasus.stop();
+  assert.deepStrictEqual(fs.readdirSync(workDir).filter(name => name.startsWith('reused')), []);
+});
+
+test('launches on a free port, waits for the app page and terminates', async () => {
+  const busy = net.createServer();
+  await new Promise(resolve => busy.listen(0, '127.0.0.1', resolve));
+  const busyPort = busy.address().port;
+  const pegasus = newProcess('start', { port: busyPort, args: ['--page-delay=800'] });
+  try {
+    await pegasus.lock();
+    await pegasus.start();
+    assert.notStrictEqual(pegasus.port, busyPort);
+    assert.ok(pegasus.info.readyAfter >= 800, `ready after ${pegasus.info.readyAfter}ms`);
+    const lock = JSON.parse(fs.readFileSync(pegasus.lockFile, 'utf8'));
+    assert.strictEqual(lock.pegasusPid, pegasus.child.pid);
+    assert.strictEqual(lock.port, pegasus.port);
+
+    const pid = pegasus.child.pid;
+    await pegasus.stop();
+    assert.strictEqual(pegasus.child.signalCode, 'SIGTERM');
+    assert.strictEqual(isAlive(pid), false);
+    assert.strictEqual(fs.existsSync(pegasus.lockFile), false);
+  } finally {
+    busy.close();
+  }
+});
+
+test('escalates to SIGKILL when SIGTERM is ignored', async () => {
+  const pegasus = newProcess('kill', { args: ['--ignore-term'] });
+  await pegasus.start();
+  await pegasus.stop();
+  assert.strictEqual(pegasus.child.signalCode, 'SIGKILL');
+});
+
+test('a Harvester that exits during startup fails with its output', async () => {
+  const pegasus = newProcess('exit', { args: ['--exit=3'] });
+  await assert.rejects(pegasus.start(), /did not start: exited with code 3\n.*cannot open the logger/);
+
+  const slow = newProcess('slow', { args: ['--page-delay=60000'], startupTimeout: 1000 });
+  await assert.rejects(slow.start(), /no app page loaded within 1000ms/);
+  await slow.stop();
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SOH_FILE, checkSoh, describeSoh, parseSoh, writeSoh } = require('../lib/soh');
+const { parseOptions } = require('../lib/options');
+
+/**
+ * Unit tests for the instrument state of health (lib/soh.js): the lines read
+ * from the Harvester's device panel, the threshold flags and the snapshot.
+ */
+
+const THRESHOLDS = { minVoltage: 11.5, maxStoragePercent: 90, maxClockOffsetMs: null };
+
+test('reads device values in the forms the panel shows them', () => {
+  const soh = parseSoh({
+    panel: true,
+    lines: [
+      'Device',
+      'Serial number: PEG-0042',
+      'Firmware version: 2.1.4',
+      'Battery', '12.6 V', // Label and value in elements of their own
+      'Internal temperature: 70.7 °F',
+      'GPS: 3D fix, 9 satellites',
+      'Latitude: 77.8463° S',
+      'Longitude: 166.6760° E',
+      'Storage used: 12 GB',
+      'Free space: 52 GB',
+      'Clock offset: -120 µs',
+      'Harvesting files: 45%'
+    ]
+  });
+
+  assert.deepStrictEqual([soh.serial, soh.firmware, soh.batteryVoltage, soh.temperature],
+    ['PEG-0042', '2.1.4', 12.6, 21.5]);
+  assert.deepStrictEqual(soh.gps, { locked: true, latitude: -77.8463, longitude: 166.676 });
+  assert.deepStrictEqual(soh.storage, {
+    usedBytes: 12 * 1024 * 1024 * 1024,
+    freeBytes: 52 * 1024 * 1024 * 1024,
+    totalBytes: 64 * 1024 * 1024 * 1024,
+    usedPercent: 18.8
+  });
+  assert.strictEqual(soh.clockOffsetMs, -0.12);
+  assert.strictEqual(soh.lines.length, 10); // Only the lines a value came from
+  assert.deepStrictEqual(checkSoh(soh, THRESHOLDS), []);
+  assert.strictEqual(describeSoh(soh),
+    'serial PEG-0042, firmware 2.1.4, 12.6 V, 21.5 °C, GPS locked (-77.8463, 166.676), ' +
+    'storage 18.8% used (52.0 GB free), clock offset -0.12 ms');
+});
+
+test('flags low voltage, a lost GPS lock, nearly full storage and clock offset', () => {
+  const soh = parseSoh({
+    panel: true,
+    lines: ['Battery: 11200 mV', 'GPS lock: No fix', 'Storage: 61.2 GB of 64 GB', 'Clock offset: +0.25 s']
+  });
+
+  assert.deepStrictEqual(checkSoh(soh, THRESHOLDS).map(flag => `${flag.check} ${flag.value} ${flag.limit}`),
+    ['voltage 11.2 11.5', 'gps false true', 'storage 95.6 90']);
+  assert.deepStrictEqual(checkSoh(soh, Object.assign({}, THRESHOLDS, { maxClockOffsetMs: 100 })).map(flag => flag.message).slice(-1),
+    ['Clock offset 250 ms exceeds 100 ms']);
+  // Checks turned off
+  assert.deepStrictEqual(checkSoh(soh, { minVoltage: null, maxStoragePercent: null, maxClockOffsetMs: null })
+    .map(flag => flag.check), ['gps']);
+});
+
+test('values the page does not show are null and never flagged', () => {
+  const soh = parseSoh({ panel: false, lines: ['Battery: 85%', 'Harvest complete'] });
+
+  assert.strictEqual(soh.batteryVoltage, null); // A charge level, not a voltage
+  assert.strictEqual(soh.gps.locked, null);
+  assert.deepStrictEqual(checkSoh(soh, THRESHOLDS), []);
+  assert.strictEqual(describeSoh(soh), 'nothing shown');
+  assert.deepStrictEqual(parseSoh(null).lines, []);
+});
+
+test('snapshot file and threshold options', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-soh-test-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'harvest', SOH_FILE);
+
+  assert.strictEqual(writeSoh(file, { serial: 'PEG-0042', flags: [] }), true);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { sohVersion: 1, serial: 'PEG-0042', flags: [] });
+  assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+
+  const harvestDir = path.join(dir, 'harvest');
+  const defaults = parseOptions(['--out', harvestDir], {}).options;
+  assert.deepStrictEqual([defaults.sohMinVoltage, defaults.sohMaxStorage, defaults.sohMaxClockOffset], [11.5, 90, null]);
+  const { options, errors } = parseOptions(['--out', harvestDir, '--soh-max-clock-offset', '500'], { SOH_MIN_VOLTAGE: '0' });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual([options.sohMinVoltage, options.sohMaxClockOffset], [0, 500]);
+
+  const invalid = parseOptions(['--out', harvestDir, '--soh-min-voltage', 'low', '--soh-max-storage', '120'], {});
+  [/Invalid SOH minimum voltage "low"/, /Invalid SOH maximum storage "120"/]
+    .forEach(pattern => assert.ok(invalid.errors.some(error => pattern.test(error)), invalid.errors.join('\n')));
+});
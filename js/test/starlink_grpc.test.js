@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { WIRE_FIXED32, WIRE_LENGTH, WIRE_VARINT, decodeMessage, encodeField } = require('../lib/protobuf');
+const { StarlinkClient, encodeRequest, fetchDish } = require('../lib/starlink_grpc');
+const { startStarlinkServer } = require('./mock_starlink/server');
+
+/**
+ * Tests for lib/protobuf.js and lib/starlink_grpc.js: the dish API read over
+ * gRPC and gRPC-web from the stand-in dish in mock_starlink/, which replays
+ * canned responses. No Chromium needed.
+ */
+
+function float32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeFloatLE(value);
+  return buffer;
+}
+
+test('protobuf: scalars, packed and unpacked repeats, unknown fields', () => {
+  const schema = {
+    1: { name: 'id', type: 'string' },
+    2: { name: 'offset', type: 'int32' },
+    3: { name: 'rate', type: 'float' },
+    4: { name: 'samples', type: 'float', repeated: true },
+    5: { name: 'cause', type: 'enum', values: ['UNKNOWN', 'BOOTING'] },
+    6: { name: 'inner', type: 'message', schema: { 1: { name: 'ok', type: 'bool' } } }
+  };
+  const message = Buffer.concat([
+    encodeField(1, WIRE_LENGTH, Buffer.from('dish')),
+    encodeField(2, WIRE_VARINT, -3600),
+    encodeField(3, WIRE_FIXED32, float32(0.0025)),
+    encodeField(4, WIRE_LENGTH, Buffer.concat([float32(1.5), float32(2)])),
+    encodeField(4, WIRE_FIXED32, float32(3)),
+    encodeField(5, WIRE_VARINT, 1),
+    encodeField(6, WIRE_LENGTH, encodeField(1, WIRE_VARINT, 1)),
+    encodeField(99, WIRE_LENGTH, Buffer.from('newer firmware'))
+  ]);
+  assert.deepStrictEqual(decodeMessage(message, schema),
+    { id: 'dish', offset: -3600, rate: 0.0025, samples: [1.5, 2, 3], cause: 'BOOTING', inner: { ok: true } });
+  assert.deepStrictEqual(decodeMessage(Buffer.alloc(0), schema), { samples: [] });
+
+  assert.throws(() => decodeMessage(encodeField(1, WIRE_VARINT, 7), schema), /Field 1 \(id\) has wire type 0, not string/);
+  assert.throws(() => decodeMessage(Buffer.from([0x0a, 0x05, 0x61]), schema), /Truncated field 1/);
+  // get_status is field 1004 of Request, an empty message
+  assert.deepStrictEqual([...encodeRequest('get_status')], [0xe2, 0x3e, 0x00]);
+});
+
+test('reads status, device info and history over gRPC and gRPC-web', async () => {
+  const server = await startStarlinkServer();
+  try {
+    for (const transport of ['grpc', 'grpc-web']) {
+      const client = new StarlinkClient({ host: server.host, port: server.ports[transport], transport });
+      try {
+        const status = await client.getStatus();
+        assert.strictEqual(status.deviceInfo.softwareVersion, '2025.10.06.mr61234');
+        assert.strictEqual(status.deviceState.uptimeS, 351024);
+        assert.deepStrictEqual([status.popPingDropRate, status.popPingLatencyMs, status.ethSpeedMbps], [0.0025, 38.5, 100]);
+        assert.strictEqual(status.obstructionStats.fractionObstructed, 0.0123);
+        assert.deepStrictEqual(status.alerts, { slowEthernetSpeeds: true });
+        assert.deepStrictEqual(status.gpsStats, { gpsValid: true, gpsSats: 14 });
+
+        const deviceInfo = await client.getDeviceInfo();
+        assert.deepStrictEqual([deviceInfo.id, deviceInfo.countryCode, deviceInfo.utcOffsetS],
+          ['ut01234567-89abcdef-01234567', 'NZ', 46800]);
+
+        const history = await client.getHistory();
+        assert.strictEqual(history.current, 351030);
+        assert.strictEqual(history.popPingLatencyMs.length, 12);
+        assert.strictEqual(history.popPingDropRate[3], 1);
+        assert.deepStrictEqual(history.outages[0],
+          { cause: 'OBSTRUCTED', startTimestampNs: 1760000000000000000, durationNs: 1500000000, didSwitch: true });
+      } finally {
+        client.close();
+      }
+    }
+    assert.deepStrictEqual(server.requests, ['get_status', 'get_device_info', 'get_history', 'get_status', 'get_device_info', 'get_history']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchDish falls back to gRPC-web and reports each failure', async () => {
+  const server = await startStarlinkServer({ grpc: false });
+  const failures = [];
+  try {
+    const data = await fetchDish({ host: server.host, ports: server.ports, onError: (transport, error) => failures.push([transport, error.kind]) });
+    assert.strictEqual(data.source, 'grpc-web');
+    assert.ok(!Number.isNaN(Date.parse(data.fetchedAt)));
+    assert.deepStrictEqual([data.deviceInfo.id, data.status.deviceState.uptimeS, data.history.current],
+      ['ut01234567-89abcdef-01234567', 351024, 351030]);
+    assert.deepStrictEqual(failures, [['grpc', 'connection']]);
+
+    const withoutHistory = await fetchDish({ host: server.host, ports: server.ports, transports: ['grpc-web'], history: false });
+    assert.strictEqual(withoutHistory.history, null);
+  } finally {
+    await server.close();
+  }
+});
+
+test('gRPC errors and timeouts are StarlinkApiError', async () => {
+  const server = await startStarlinkServer({ unimplemented: ['get_history'], delay: 300 });
+  try {
+    const client = new StarlinkClient({ host: server.host, port: server.ports.grpc, timeout: 2000 });
+    await assert.rejects(client.getHistory(), error =>
+      error.name === 'StarlinkApiError' && error.kind === 'grpc' && error.grpcStatus === 12 && /get_history not implemented/.test(error.message));
+    client.close();
+
+    const web = new StarlinkClient({ host: server.host, port: server.ports['grpc-web'], transport: 'grpc-web', timeout: 2000 });
+    await assert.rejects(web.getHistory(), { kind: 'grpc', grpcStatus: 12 });
+
+    for (const transport of ['grpc', 'grpc-web']) {
+      const slow = new StarlinkClient({ host: server.host, port: server.ports[transport], transport, timeout: 100 });
+      await assert.rejects(slow.getStatus(), { kind: 'timeout', message: /within 100ms/ });
+      slow.close();
+    }
+
+    // Older firmware without get_history: the status is kept, history is null
+    const warnings = [];
+    const data = await fetchDish({ host: server.host, ports: server.ports, timeout: 2000,
+      onWarning: (transport, method, error) => warnings.push([transport, method, error.grpcStatus]) });
+    assert.deepStrictEqual([data.source, data.status.deviceState.uptimeS, data.deviceInfo.id, data.history],
+      ['grpc', 351024, 'ut01234567-89abcdef-01234567', null]);
+    assert.deepStrictEqual(warnings, [['grpc', 'get_history', 12]]);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_LIMITS, describeLink, evaluateHealth, normalizeStarlink, parseLimits } = require('../lib/starlink_health');
+const { fetchDish } = require('../lib/starlink_grpc');
+const { startStarlinkServer } = require('./mock_starlink/server');
+
+/**
+ * Unit tests for lib/starlink_health.js: the dish status normalized into the
+ * link schema and judged good, degraded or bad against the limits.
+ */
+
+// A healthy get_status response as the web page shows it
+function pageStatus(overrides = {}) {
+  return Object.assign({
+    deviceInfo: { id: 'ut01', softwareVersion: '2025.10.06.mr61234' },
+    deviceState: { uptimeS: 3600 },
+    popPingLatencyMs: 40,
+    popPingDropRate: 0.001,
+    obstructionStats: { fractionObstructed: 0.005, validS: 40000 },
+    downlinkThroughputBps: 2e6,
+    uplinkThroughputBps: 3e5,
+    gpsStats: { gpsValid: true, gpsSats: 12 },
+    isSnrAboveNoiseFloor: true,
+    alerts: {}
+  }, overrides);
+}
+
+test('normalizes what the dish API returns', async () => {
+  const server = await startStarlinkServer();
+  let data;
+  try {
+    data = await fetchDish({ host: server.host, ports: server.ports });
+  } finally {
+    await server.close();
+  }
+  const link = normalizeStarlink(data);
+
+  assert.strictEqual(link.schemaVersion, 1);
+  assert.strictEqual(link.source, 'grpc');
+  assert.deepStrictEqual(link.device, {
+    id: 'ut01234567-89abcdef-01234567', hardwareVersion: 'rev3_proto2', softwareVersion: '2025.10.06.mr61234', countryCode: 'NZ', bootcount: 212
+  });
+  assert.deepStrictEqual([link.state, link.uptimeS], ['CONNECTED', 351024]);
+  assert.deepStrictEqual(link.signal, { aboveNoiseFloor: true, persistentlyLow: false });
+  assert.deepStrictEqual(link.obstruction, { fraction: 0.0123, timeObstructedS: 531, validS: 43200, currentlyObstructed: false });
+  assert.deepStrictEqual(link.ping, { latencyMs: 38.5, dropRate: 0.0025 });
+  assert.deepStrictEqual(link.gps, { valid: true, satellites: 14 });
+  assert.deepStrictEqual([link.alerts, link.outage], [['slowEthernetSpeeds'], null]);
+  assert.strictEqual(describeLink(link),
+    'CONNECTED, 38.5 ms, 0.25% dropped, 1.23% obstructed, 1.8 Mbps down / 0.3 Mbps up, software 2025.10.06.mr61234');
+
+  assert.deepStrictEqual(evaluateHealth(link), {
+    verdict: 'degraded',
+    reasons: [{ check: 'alert', level: 'degraded', value: 'slowEthernetSpeeds', limit: null, message: 'Alert: slowEthernetSpeeds' }]
+  });
+});
+
+test('verdicts: good, degraded and bad with reasons', () => {
+  const judge = (overrides, limits) => evaluateHealth(normalizeStarlink({ source: 'browser', status: pageStatus(overrides) }), limits);
+
+  assert.deepStrictEqual(judge({}), { verdict: 'good', reasons: [] });
+
+  const slow = judge({ popPingLatencyMs: 180, gpsStats: { gpsValid: false } });
+  assert.strictEqual(slow.verdict, 'degraded');
+  assert.deepStrictEqual(slow.reasons.map(r => [r.check, r.level, r.value, r.limit]),
+    [['latency', 'degraded', 180, 100], ['gps', 'degraded', false, true]]);
+
+  const dropping = judge({ popPingDropRate: 0.25, obstructionStats: { fractionObstructed: 0.04, validS: 40000, currentlyObstructed: true } });
+  assert.strictEqual(dropping.verdict, 'bad');
+  assert.deepStrictEqual(dropping.reasons.map(r => r.message),
+    ['Ping drop rate 25%', 'Obstructed 4% of the time', 'Currently obstructed']);
+  assert.deepStrictEqual(dropping.reasons[0].limit, 10);
+
+  const down = judge({ outage: { cause: 'NO_SATS', startTimestampNs: 1760000000000000000, durationNs: 42e9 }, alerts: { thermalShutdown: true } });
+  assert.deepStrictEqual(down.reasons.map(r => [r.level, r.message]),
+    [['bad', 'Dish is not connected (NO_SATS)'], ['bad', 'Alert: thermalShutdown']]);
+  assert.deepStrictEqual(normalizeStarlink({ status: pageStatus({ outage: { cause: 'NO_SATS', startTimestampNs: 1760000000000000000, durationNs: 42e9 } }) }).outage,
+    { cause: 'NO_SATS', startedAt: '2025-10-09T08:53:20.000Z', durationS: 42 });
+
+  assert.strictEqual(judge({ isSnrAboveNoiseFloor: false }).verdict, 'bad');
+  // Older firmware reports the state itself
+  assert.strictEqual(judge({ state: 'SEARCHING' }).reasons[0].message, 'Dish is not connected (SEARCHING)');
+  // A limit left empty is not checked
+  assert.strictEqual(judge({ popPingLatencyMs: 900 }, Object.assign({}, DEFAULT_LIMITS, { latencyMs: null })).verdict, 'good');
+
+  assert.deepStrictEqual(evaluateHealth(normalizeStarlink({ source: 'browser' })),
+    { verdict: 'bad', reasons: [{ check: 'status', level: 'bad', value: null, limit: null, message: 'No status from the dish' }] });
+});
+
+test('limits', () => {
+  assert.deepStrictEqual(parseLimits('150, 400', 'X'), [150, 400]);
+  assert.strictEqual(parseLimits('', 'X'), null);
+  assert.throws(() => parseLimits('400,150', 'STARLINK_LATENCY_LIMITS'), /Invalid STARLINK_LATENCY_LIMITS "400,150" \(degraded limit above bad limit\)/);
+  assert.throws(() => parseLimits('lots', '--obstruction-limits'), /Invalid --obstruction-limits "lots"/);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  HISTORY_STATE_FILE, SERIES_CSV_FILE, SERIES_NDJSON_FILE,
+  appendSeries, historyStats, readHistoryState, samplesSince, writeHistoryState
+} = require('../lib/starlink_history');
+
+/**
+ * Unit tests for lib/starlink_history.js: the dish's per-second ring buffer
+ * read from where the previous run stopped, summarised and appended to the
+ * time series.
+ */
+
+const FETCHED_AT = '2026-10-19T04:00:00.000Z';
+const ns = iso => Date.parse(iso) * 1e6;
+
+// Ten-sample ring buffer after 1005 samples: counters 995-1004, the newest
+// (1004) at index 4
+function history(overrides = {}) {
+  return Object.assign({
+    current: 1005,
+    popPingLatencyMs: [30, 31, 32, 33, 34, 25, 26, 27, 28, 29],
+    popPingDropRate: [0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
+    obstructed: [false, false, false, true, true, false, false, false, false, false],
+    outages: [
+      { cause: 'NO_SATS', startTimestampNs: ns('2026-10-19T01:00:00Z'), durationNs: 4e9, didSwitch: false },
+      { cause: 'OBSTRUCTED', startTimestampNs: ns('2026-10-19T03:59:56Z'), durationNs: 2.5e9, didSwitch: true },
+      { cause: 'NO_SATS', startTimestampNs: ns('2026-10-19T03:59:58Z'), durationNs: 1e9, didSwitch: false }
+    ]
+  }, overrides);
+}
+
+test('reads the ring buffer from the previous counter on', () => {
+  assert.deepStrictEqual(samplesSince(history(), 1000).map(s => [s.counter, s.latencyMs]),
+    [[1000, 30], [1001, 31], [1002, 32], [1003, 33], [1004, 34]]);
+  // Older samples than the buffer holds are gone
+  assert.deepStrictEqual(samplesSince(history(), 0).map(s => s.counter)[0], 995);
+  assert.deepStrictEqual(samplesSince(history({ popPingLatencyMs: [] }), 0), []);
+});
+
+test('stats since the previous run', () => {
+  const previous = { dishId: 'ut01', current: 1000, fetchedAt: '2026-10-19T02:00:00.000Z' };
+  const stats = historyStats(history(), { fetchedAt: FETCHED_AT, previous, dishId: 'ut01' });
+
+  assert.deepStrictEqual([stats.since, stats.periodS, stats.coveredS, stats.continued],
+    ['2026-10-19T02:00:00.000Z', 7200, 5, true]);
+  // The fully dropped sample (34 ms) has no latency
+  assert.deepStrictEqual(stats.latencyMs, { p50: 31, p90: 33, p99: 33, max: 33, mean: 31.5 });
+  assert.deepStrictEqual([stats.dropPercent, stats.obstructedPercent], [20, 40]);
+  assert.deepStrictEqual(stats.outages, {
+    count: 2, durationS: 3.5, byCause: { OBSTRUCTED: { count: 1, durationS: 2.5 }, NO_SATS: { count: 1, durationS: 1 } }
+  });
+});
+
+test('first run, a rebooted or a different dish: the whole buffer', () => {
+  const first = historyStats(history(), { fetchedAt: FETCHED_AT, dishId: 'ut01' });
+  assert.deepStrictEqual([first.since, first.periodS, first.coveredS, first.continued],
+    ['2026-10-19T03:59:50.000Z', 10, 10, false]);
+  assert.strictEqual(first.outages.count, 2);
+
+  const rebooted = historyStats(history(), {
+    fetchedAt: FETCHED_AT, previous: { dishId: 'ut01', current: 50000, fetchedAt: '2026-10-19T00:00:00.000Z' }, dishId: 'ut01'
+  });
+  assert.deepStrictEqual([rebooted.coveredS, rebooted.continued, rebooted.outages.count], [10, false, 3]);
+
+  const swapped = historyStats(history(), {
+    fetchedAt: FETCHED_AT, previous: { dishId: 'ut99', current: 1000, fetchedAt: '2026-10-19T02:00:00.000Z' }, dishId: 'ut01'
+  });
+  assert.deepStrictEqual([swapped.coveredS, swapped.continued], [10, false]);
+});
+
+test('without obstruction samples, time in OBSTRUCTED outages counts', () => {
+  const stats = historyStats(history({ obstructed: [] }), { fetchedAt: FETCHED_AT, dishId: 'ut01' });
+  assert.strictEqual(stats.obstructedPercent, 25);
+
+  const empty = historyStats({ current: 0, popPingLatencyMs: [], outages: [] }, { fetchedAt: FETCHED_AT });
+  assert.deepStrictEqual([empty.coveredS, empty.latencyMs, empty.dropPercent, empty.obstructedPercent], [0, null, null, null]);
+});
+
+test('series and sample counter on disk', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'starlink-history-'));
+  try {
+    const stateFile = path.join(dir, HISTORY_STATE_FILE);
+    assert.strictEqual(readHistoryState(stateFile), null);
+
+    const first = historyStats(history(), { fetchedAt: FETCHED_AT, dishId: 'ut01' });
+    appendSeries(dir, first);
+    writeHistoryState(stateFile, { dishId: 'ut01', current: 1005, fetchedAt: FETCHED_AT });
+
+    const previous = readHistoryState(stateFile);
+    assert.deepStrictEqual(previous, { historyStateVersion: 1, dishId: 'ut01', current: 1005, fetchedAt: FETCHED_AT });
+    const next = historyStats(history({ current: 1008 }), { fetchedAt: '2026-10-19T04:00:03.000Z', previous, dishId: 'ut01' });
+    assert.deepStrictEqual([next.coveredS, next.periodS, next.outages.count], [3, 3, 0]);
+    appendSeries(dir, next);
+
+    const lines = fs.readFileSync(path.join(dir, SERIES_NDJSON_FILE), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(line => line.coveredS), [10, 3]);
+
+    const csv = fs.readFileSync(path.join(dir, SERIES_CSV_FILE), 'utf8').trim().split('\n');
+    assert.strictEqual(csv.length, 3);
+    assert.match(csv[0], /^fetched_at,since,period_s,covered_s,continued,latency_p50_ms,/);
+    assert.strictEqual(csv[1],
+      '2026-10-19T04:00:00.000Z,2026-10-19T03:59:50.000Z,10,10,false,29,33,33,33,10,20,2,3.5,NO_SATS:1:1 OBSTRUCTED:1:2.5');
+
+    fs.writeFileSync(stateFile, '{"current": "many"}');
+    assert.throws(() => readHistoryState(stateFile), /holds no sample counter and time/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseStarlinkOptions, readyUsage, usage } = require('../lib/starlink_options');
+const { csvHeader, formatLink, knownFields, writeOutput } = require('../lib/starlink_output');
+const { evaluateHealth, normalizeStarlink } = require('../lib/starlink_health');
+const { startStarlinkServer } = require('./mock_starlink/server');
+
+/**
+ * Unit tests for the starlink_get_json.js command line and output formats
+ * (lib/starlink_options.js, lib/starlink_output.js), and the script itself
+ * against the mock dish. No browser needed.
+ */
+
+const SCRIPT = path.join(__dirname, '..', 'starlink_get_json.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'starlink-options-test-'));
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+function link() {
+  const result = normalizeStarlink({
+    source: 'grpc',
+    fetchedAt: '2026-10-19T04:00:00.000Z',
+    deviceInfo: { id: 'ut01', softwareVersion: "it's 1.0" },
+    status: { popPingLatencyMs: 150, popPingDropRate: 0, obstructionStats: { fractionObstructed: 0.01 } }
+  });
+  result.health = evaluateHealth(result);
+  result.historyStats = null;
+  return result;
+}
+
+function run(args, env = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, ...args], { env: Object.assign({ PATH: process.env.PATH }, env), timeout: 30000 },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+}
+
+test('named flags override env, which overrides config files', () => {
+  const configFile = path.join(workDir, 'starlink.txt');
+  fs.writeFileSync(configFile, 'STARLINK_HOST=10.0.0.2\nSTARLINK_API_TIMEOUT=8\nSTARLINK_SELECTOR=".Status"\n');
+
+  const { options, errors } = parseStarlinkOptions(
+    ['--config', configFile, '--api-timeout=3', '--paths', 'grpc-web, browser'],
+    { STARLINK_HOST: '10.0.0.3', STARLINK_DROP_LIMITS: '' });
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(options.host, '10.0.0.3');
+  assert.strictEqual(options.url, 'http://10.0.0.3/');
+  assert.strictEqual(options.apiTimeout, 3);
+  assert.strictEqual(options.selector, '.Status');
+  assert.deepStrictEqual(options.paths, ['grpc-web', 'browser']);
+  // An empty limit turns the check off
+  assert.deepStrictEqual(options.limits, { latencyMs: [100, 500], dropPercent: null, obstructionPercent: [2, 10] });
+  assert.deepStrictEqual([options.sources.host, options.sources.apiTimeout, options.sources.selector, options.sources.format],
+    ['env', 'flag', 'config', 'default']);
+});
+
+test('limits from the environment reach options.limits', () => {
+  const env = { STARLINK_LATENCY_LIMITS: '150,400', STARLINK_DROP_LIMITS: '', STARLINK_OBSTRUCTION_LIMITS: '5, 20' };
+
+  const fromEnv = parseStarlinkOptions([], env);
+  assert.deepStrictEqual(fromEnv.errors, []);
+  // An empty value turns the check off
+  assert.deepStrictEqual(fromEnv.options.limits, { latencyMs: [150, 400], dropPercent: null, obstructionPercent: [5, 20] });
+
+  // A flag wins over the environment, also with an empty value
+  const flagged = parseStarlinkOptions(['--latency-limits', '200,800', '--obstruction-limits', ''], env);
+  assert.deepStrictEqual(flagged.errors, []);
+  assert.deepStrictEqual(flagged.options.limits, { latencyMs: [200, 800], dropPercent: null, obstructionPercent: null });
+
+  // An invalid value is an error, not a silent default
+  const invalid = parseStarlinkOptions([], { STARLINK_OBSTRUCTION_LIMITS: 'lots', STARLINK_DROP_LIMITS: '10,1' });
+  assert.deepStrictEqual(invalid.errors, [
+    'Invalid --drop-limits "10,1" (degraded limit above bad limit)',
+    'Invalid --obstruction-limits "lots" (expected degraded,bad, e.g. 100,500)'
+  ]);
+});
+
+test('invalid options are all reported', () => {
+  const { errors, warnings } = parseStarlinkOptions([
+    '--grpc-port', '99999', '--paths', 'grpc,carrier-pigeon', '--timeout', '0', '--format', 'xml',
+    '--fields', 'ping,signal.strength', '--latency-limits', '500,100', '--output', '/no/such/dir/out.json', '--colour', 'red'
+  ], {});
+  [
+    /Unknown option --colour/,
+    /Invalid gRPC port "99999"/,
+    /Invalid path "carrier-pigeon"/,
+    /Invalid page timeout "0"/,
+    /Invalid format "xml"/,
+    /Unknown field "signal.strength"/,
+    /Invalid --latency-limits "500,100"/,
+    /Directory of output file does not exist/
+  ].forEach(pattern => assert.ok(errors.some(error => pattern.test(error)), `${pattern} in ${errors.join('; ')}`));
+  assert.deepStrictEqual(warnings, []);
+
+  assert.deepStrictEqual(parseStarlinkOptions(['--format', 'raw', '--fields', 'ping'], {}).warnings,
+    ['--fields does not apply to --format raw, ignored']);
+  assert.strictEqual(parseStarlinkOptions(['--help'], {}).help, true);
+});
+
+test('help keeps a gap between the flag and description columns', () => {
+  const lines = `${usage()}\n${readyUsage()}`.split('\n').filter(line => line.startsWith('  --'));
+  assert.ok(lines.some(line => line.startsWith('  --selector-timeout <seconds>')));
+  lines.forEach(line => assert.match(line, /^ {2}--[\w-]+(?: <[^>]+>)? {2,}\S/, line));
+});
+
+test('formats and fields', () => {
+  const fields = ['health.verdict', 'ping', 'device.softwareVersion'];
+
+  assert.strictEqual(formatLink({ link: link(), format: 'kv', fields }), [
+    'starlink_device_software_version=\'it\'\\\'\'s 1.0\'',
+    'starlink_ping_latency_ms=150',
+    'starlink_ping_drop_rate=0',
+    'starlink_health_verdict=degraded'
+  ].join('\n'));
+  assert.deepStrictEqual(JSON.parse(formatLink({ link: link(), format: 'json', fields })),
+    { device: { softwareVersion: "it's 1.0" }, ping: { latencyMs: 150, dropRate: 0 }, health: { verdict: 'degraded' } });
+  assert.strictEqual(formatLink({ link: link(), raw: 'page text', format: 'raw' }), 'page text');
+
+  // CSV has the same columns whatever the dish sent
+  const all = formatLink({ link: link(), format: 'csv' }).split(',');
+  assert.strictEqual(all.length, knownFields().length);
+  assert.strictEqual(csvHeader(['ping']), 'ping.latencyMs,ping.dropRate');
+});
+
+test('csv output appends rows below one header', () => {
+  const file = path.join(workDir, 'link.csv');
+  writeOutput(file, formatLink({ link: link(), format: 'csv', fields: ['ping'] }), 'csv', ['ping']);
+  writeOutput(file, formatLink({ link: link(), format: 'csv', fields: ['ping'] }), 'csv', ['ping']);
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'ping.latencyMs,ping.dropRate\n150,0\n150,0\n');
+
+  // Missing directories are created for every format
+  const nestedCsv = path.join(workDir, 'new', 'deeper', 'link.csv');
+  writeOutput(nestedCsv, formatLink({ link: link(), format: 'csv', fields: ['ping'] }), 'csv', ['ping']);
+  assert.strictEqual(fs.readFileSync(nestedCsv, 'utf8'), 'ping.latencyMs,ping.dropRate\n150,0\n');
+
+  const jsonFile = path.join(workDir, 'link.json');
+  writeOutput(jsonFile, '{}', 'json');
+  writeOutput(jsonFile, '{"a": 1}', 'json');
+  assert.strictEqual(fs.readFileSync(jsonFile, 'utf8'), '{"a": 1}\n');
+});
+
+test('script: output file, formats and exit codes', async () => {
+  const server = await startStarlinkServer();
+  try {
+    const ports = ['--host', server.host, '--grpc-port', String(server.ports.grpc), '--grpc-web-port', String(server.ports['grpc-web'])];
+    const outFile = path.join(workDir, 'status.json');
+
+    const written = await run([...ports, '--paths', 'grpc', '--output', outFile]);
+    assert.strictEqual(written.code, 0, written.stderr);
+    assert.strictEqual(written.stdout, '');
+    assert.strictEqual(JSON.parse(fs.readFileSync(outFile, 'utf8')).source, 'grpc');
+
+    const kv = await run([...ports, '--format', 'kv', '--fields', 'source,health.verdict'], { STARLINK_PATHS: 'grpc-web' });
+    assert.strictEqual(kv.code, 0, kv.stderr);
+    assert.match(kv.stdout, /^starlink_source=grpc-web\nstarlink_health_verdict=\w+\n$/);
+
+    assert.strictEqual((await run(['--format', 'xml'])).code, 5);
+    // The dish was read, but the output file sits below a file
+    const unwritable = await run([...ports, '--output', path.join(outFile, 'nested.json')]);
+    assert.strictEqual(unwritable.code, 6);
+    assert.match(unwritable.stderr, /ERROR: Could not write output/);
+  } finally {
+    await server.close();
+  }
+
+  // The dish answers, but with nothing, and there is no browser fallback
+  const silent = await startStarlinkServer({ empty: ['get_status'] });
+  try {
+    const nothing = await run(['--host', silent.host, '--grpc-port', String(silent.ports.grpc), '--paths', 'grpc']);
+    assert.strictEqual(nothing.code, 3, nothing.stderr);
+    assert.match(nothing.stderr, /ERROR: Starlink API gave no data/);
+    assert.strictEqual(nothing.stdout, '');
+  } finally {
+    await silent.close();
+  }
+
+  // Nothing listening and no browser fallback
+  const unreachable = await run(['--host', '127.0.0.1', '--grpc-port', '1', '--paths', 'grpc', '--api-timeout', '2']);
+  assert.strictEqual(unreachable.code, 1);
+  assert.match(unreachable.stderr, /ERROR: Starlink API not reachable/);
+});
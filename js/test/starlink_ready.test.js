@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const path = require('path');
+
+const { parseReadyOptions } = require('../lib/starlink_options');
+const { normalizeStarlink } = require('../lib/starlink_health');
+const { notReadyReason, waitForReady } = require('../lib/starlink_ready');
+const { startStarlinkServer } = require('./mock_starlink/server');
+
+/**
+ * Unit tests for lib/starlink_ready.js and starlink_wait_ready.js: polling
+ * the dish until the link is up, with a fake clock, and the script against
+ * the mock dish. No browser needed.
+ */
+
+const SCRIPT = path.join(__dirname, '..', 'starlink_wait_ready.js');
+const CRITERIA = { maxLatencyMs: 500, maxObstructionPercent: 10 };
+
+// What fetchDish() returns for a dish in `status`
+function dish(status) {
+  return { source: 'grpc', fetchedAt: '2026-10-19T04:00:00.000Z', status };
+}
+
+const CONNECTED = { popPingLatencyMs: 40, obstructionStats: { fractionObstructed: 0.01, currentlyObstructed: false } };
+
+// Answers from a dish coming up after boot, one per poll, on a fake clock
+function booting(answers) {
+  let clock = 0;
+  let poll = 0;
+  return {
+    now: () => clock,
+    sleep: async ms => { clock += ms; },
+    probe: async () => {
+      const answer = answers[Math.min(poll++, answers.length - 1)];
+      if (answer instanceof Error) throw answer;
+      return dish(answer);
+    }
+  };
+}
+
+test('ready only when connected, unobstructed and within the criteria', () => {
+  const reason = status => notReadyReason(normalizeStarlink(dish(status)), CRITERIA);
+
+  assert.strictEqual(reason(CONNECTED), null);
+  assert.strictEqual(notReadyReason(normalizeStarlink({ source: 'grpc' }), CRITERIA), 'No status from the dish');
+  assert.strictEqual(reason({ outage: { cause: 'BOOTING' } }), 'Dish is not connected (BOOTING)');
+  assert.strictEqual(reason({ state: 'SEARCHING' }), 'Dish is not connected (SEARCHING)');
+  assert.strictEqual(reason({ obstructionStats: { currentlyObstructed: true } }), 'Dish is currently obstructed');
+  assert.strictEqual(reason({}), 'No ping latency yet');
+  assert.strictEqual(reason({ popPingLatencyMs: 812.34 }), 'Ping latency 812.3 ms above 500 ms');
+  assert.strictEqual(reason({ popPingLatencyMs: 40, obstructionStats: { fractionObstructed: 0.25 } }),
+    'Obstructed 25% of the time, above 10%');
+  // Checks that are off
+  assert.strictEqual(notReadyReason(normalizeStarlink(dish({})), { maxLatencyMs: null, maxObstructionPercent: null }), null);
+});
+
+test('polls until the link is ready and records the time to ready', async () => {
+  const polls = [];
+  const dishUp = booting([new Error('connect ECONNREFUSED'), { outage: { cause: 'BOOTING' } }, { state: 'SEARCHING' }, CONNECTED]);
+  const result = await waitForReady(Object.assign({ criteria: CRITERIA, deadlineS: 60, intervalS: 5, onPoll: poll => polls.push(poll.reason) }, dishUp));
+
+  assert.deepStrictEqual(polls, ['Dish not reachable: connect ECONNREFUSED', 'Dish is not connected (BOOTING)', 'Dish is not connected (SEARCHING)']);
+  assert.deepStrictEqual([result.ready, result.reachable, result.polls, result.timeToReadyS, result.state, result.latencyMs],
+    [true, true, 4, 15, 'CONNECTED', 40]);
+  assert.strictEqual(result.reason, 'Link ready after 15 s (4 polls)');
+});
+
+test('no-go at the deadline, with the last reason', async () => {
+  const searching = await waitForReady(Object.assign({ criteria: CRITERIA, deadlineS: 12, intervalS: 5 }, booting([{ state: 'SEARCHING' }])));
+  // Polls at 0, 5, 10 and 12 s: the last sleep stops at the deadline
+  assert.deepStrictEqual([searching.ready, searching.reachable, searching.polls, searching.elapsedS, searching.timeToReadyS],
+    [false, true, 4, 12, null]);
+  assert.strictEqual(searching.reason, 'Dish is not connected (SEARCHING)');
+
+  const unreachable = await waitForReady(Object.assign({ criteria: CRITERIA, deadlineS: 5, intervalS: 5 }, booting([new Error('timed out')])));
+  assert.deepStrictEqual([unreachable.ready, unreachable.reachable, unreachable.gaveUp, unreachable.reason],
+    [false, false, false, 'Dish not reachable: timed out']);
+});
+
+test('gives up early on a dish that does not answer', async () => {
+  const absent = await waitForReady(Object.assign({ criteria: CRITERIA, deadlineS: 300, intervalS: 5, maxUnreachablePolls: 3 },
+    booting([new Error('connect EHOSTUNREACH')])));
+  assert.deepStrictEqual([absent.ready, absent.reachable, absent.gaveUp, absent.polls, absent.elapsedS],
+    [false, false, true, 3, 10]);
+  assert.strictEqual(absent.reason, 'Dish not reachable: connect EHOSTUNREACH');
+
+  // Only failures in a row count: a dish that answers in between is waited for
+  const flaky = new Error('connect ECONNREFUSED');
+  const booted = await waitForReady(Object.assign({ criteria: CRITERIA, deadlineS: 300, intervalS: 5, maxUnreachablePolls: 2 },
+    booting([flaky, { state: 'BOOTING' }, flaky, { state: 'SEARCHING' }, CONNECTED])));
+  assert.deepStrictEqual([booted.ready, booted.polls], [true, 5]);
+});
+
+test('options: API paths only, empty criteria turn a check off', () => {
+  const { options, errors, warnings } = parseReadyOptions(['--paths', 'browser,grpc-web', '--deadline', '120'],
+    { STARLINK_READY_MAX_OBSTRUCTION: '' });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, ['The web page is not polled, "browser" in --paths ignored']);
+  assert.deepStrictEqual([options.paths, options.deadline, options.interval, options.maxUnreachable, options.maxLatency, options.maxObstruction],
+    [['grpc-web'], 120, 5, 24, 500, null]);
+
+  const invalid = parseReadyOptions(['--paths', 'browser', '--interval', '0', '--max-obstruction', '150', '--max-unreachable', '2.5', '--format', 'csv'], {});
+  [/No API transport in --paths/, /Invalid interval "0"/, /Invalid maximum obstruction "150"/, /Invalid maximum unreachable polls "2.5"/,
+    /Unknown option --format/]
+    .forEach(pattern => assert.ok(invalid.errors.some(error => pattern.test(error)), `${pattern} in ${invalid.errors.join('; ')}`));
+});
+
+test('script: go against the mock dish', async () => {
+  const server = await startStarlinkServer();
+  try {
+    const result = await new Promise(resolve => {
+      execFile(process.execPath, [SCRIPT, '--host', server.host, '--grpc-port', String(server.ports.grpc), '--deadline', '10'],
+        { env: { PATH: process.env.PATH }, timeout: 30000 },
+        (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.match(result.stdout, /^GO: Link ready after [\d.]+ s \(1 polls\)\n$/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ThroughputMonitor, formatDuration } = require('../lib/throughput');
+
+/**
+ * Unit tests for the output directory throughput monitor (lib/throughput.js).
+ * Sample times are passed in, so no test waits. No browser needed.
+ */
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-throughput-test-'));
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const KB = 1024;
+
+function writeBytes(name, size) {
+  fs.mkdirSync(path.dirname(path.join(workDir, name)), { recursive: true });
+  fs.writeFileSync(path.join(workDir, name), Buffer.alloc(size));
+}
+
+test('tracks bytes and files written since the start, and the rate', () => {
+  writeBytes('old.mseed', 100 * KB);
+  writeBytes('harvest_report.json', 50 * KB);
+  const monitor = new ThroughputMonitor({ dir: workDir, exclude: ['harvest_report.json'], interval: 1000 });
+  monitor.start(0);
+
+  // Sampled at most once per interval
+  assert.strictEqual(monitor.sample(500), null);
+  const quiet = monitor.sample(1000);
+  assert.deepStrictEqual(quiet, { time: 1000, bytes: 0, files: 0, rate: 0, changed: false });
+  assert.strictEqual(monitor.grown, false);
+
+  writeBytes('day1/a.mseed', 20 * KB);
+  writeBytes('harvest_report.json', 80 * KB);
+  const first = monitor.sample(2000);
+  assert.strictEqual(first.bytes, 20 * KB);
+  assert.strictEqual(first.files, 1);
+  assert.strictEqual(first.changed, true);
+  assert.strictEqual(first.rate, 10 * KB); // 20 KiB over the 2 s since the start
+  assert.strictEqual(monitor.lastChangeAt, 2000);
+
+  writeBytes('day1/a.mseed', 40 * KB); // Grows, no new file
+  const second = monitor.sample(4000);
+  assert.strictEqual(second.bytes, 40 * KB);
+  assert.strictEqual(second.files, 1);
+  assert.strictEqual(second.rate, 10 * KB);
+  assert.strictEqual(monitor.describe(second), '40.0 KiB in 1 new file, 10.0 KiB/s');
+
+  // Only the last 30 s count towards the rate
+  const later = monitor.sample(40000);
+  assert.strictEqual(later.changed, false);
+  assert.strictEqual(later.rate, 0);
+  assert.strictEqual(monitor.lastChangeAt, 4000);
+});
+
+test('projects an ETA from the bytes written up to a percentage', () => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+  fs.mkdirSync(workDir);
+  const monitor = new ThroughputMonitor({ dir: workDir, interval: 1000 });
+  monitor.start(0);
+  assert.strictEqual(monitor.eta(50), null); // No sample yet
+
+  writeBytes('a.mseed', 100 * KB);
+  monitor.sample(10000); // 10 KiB/s
+  // 100 KiB at 25% leaves 300 KiB, 30 s at 10 KiB/s
+  assert.strictEqual(monitor.eta(25), 30000);
+  assert.strictEqual(monitor.eta(null), null);
+  assert.strictEqual(monitor.eta(2), null); // Too coarse
+  assert.strictEqual(monitor.eta(100), null);
+
+  assert.strictEqual(formatDuration(30000), '30s');
+  assert.strictEqual(formatDuration(125000), '2m05s');
+  assert.strictEqual(formatDuration(3 * 3600000 + 60000), '3h01m');
+});
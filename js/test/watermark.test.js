@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { confirmedEnd, readWatermark, writeWatermark } = require('../lib/watermark');
+
+/**
+ * Unit tests for the harvest watermark (lib/watermark.js). No browser needed.
+ */
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pegasus-watermark-test-'));
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const coverage = ends => ({ channels: Object.keys(ends).map(id => ({ id, end: ends[id] })) });
+
+test('confirmed end is the earliest channel end past the previous watermark', () => {
+  const result = confirmedEnd(coverage({
+    'XX.MOCK..HHE': '2026-01-04T06:00:00.000Z',
+    'XX.MOCK..HHN': '2026-01-04T05:30:00.000Z',
+    'XX.MOCK..HHZ': '2026-01-04T06:00:00.000Z',
+    'XX.MOCK..LDO': '2026-01-02T00:00:00.000Z' // Stopped before the previous watermark
+  }), '2026-01-04T00:00:00.000Z');
+
+  assert.strictEqual(new Date(result.end).toISOString(), '2026-01-04T05:30:00.000Z');
+  assert.deepStrictEqual(result.stale, ['XX.MOCK..LDO']);
+  assert.strictEqual(Object.keys(result.channels).length, 4);
+
+  const nothingNew = confirmedEnd(coverage({ 'XX.MOCK..HHZ': '2026-01-03T00:00:00.000Z' }), '2026-01-04T00:00:00.000Z');
+  assert.strictEqual(nothingNew.end, null);
+});
+
+test('watermark file round trip; damaged files read as missing', () => {
+  const file = path.join(workDir, 'state', 'watermark.json');
+  assert.strictEqual(readWatermark(file), null);
+
+  assert.strictEqual(writeWatermark(file, { watermark: '2026-01-04T05:30:00.000Z', channels: {} }), true);
+  assert.strictEqual(readWatermark(file).watermark, '2026-01-04T05:30:00.000Z');
+  assert.strictEqual(readWatermark(file).watermarkVersion, 1);
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['watermark.json']);
+
+  fs.writeFileSync(file, '{"watermark": "yesterday"}');
+  assert.strictEqual(readWatermark(file), null);
+  fs.writeFileSync(file, '{"watermark": ');
+  assert.strictEqual(readWatermark(file), null);
+});
@@ -20,6 +20,22 @@ HARVEST_MODE="${HARVEST_MODE:-since last}"  # Options: all, since last, date ran
 # Use ISO-style defaults (T separator)
 FROM_DATE="${FROM_DATE:-2000-01-01T00:00:00}"   # For date range mode
 TO_DATE="${TO_DATE:-2050-12-31T23:59:59}"       # For date range mode
+HARVEST_TIMEZONE="${HARVEST_TIMEZONE:-UTC}"     # Time zone of FROM_DATE/TO_DATE: UTC, +13:00 or Pacific/Auckland
+HARVEST_WATERMARK="${HARVEST_WATERMARK:-on}"    # Options: on (own watermark for since last), off (Pegasus Since Last)
+HARVEST_OVERLAP="${HARVEST_OVERLAP:-3600}"      # Seconds re-harvested before the watermark (since last)
+HARVEST_CHUNK="${HARVEST_CHUNK:-}"              # Backfill chunk size for date range, e.g. 1d (empty = off)
+HARVEST_FALLBACK="${HARVEST_FALLBACK:-initial:2, date range:1, all:1}"  # Modes to try in order, mode:tries:limit
+HARVEST_MAX_BYTES="${HARVEST_MAX_BYTES:-}"      # Data budget per run, e.g. 500M (empty = off)
+HARVEST_MAX_DURATION="${HARVEST_MAX_DURATION:-}"  # Time budget per run, e.g. 30m (empty = off)
+SOH_MIN_VOLTAGE="${SOH_MIN_VOLTAGE:-11.5}"      # Flag the logger battery below this voltage (0 = off)
+SOH_MAX_STORAGE="${SOH_MAX_STORAGE:-90}"        # Flag the logger storage at this percentage used (0 = off)
+SOH_MAX_CLOCK_OFFSET="${SOH_MAX_CLOCK_OFFSET:-}"  # Flag a larger logger clock offset, in ms (empty = off)
+STARLINK_LATENCY_LIMITS="${STARLINK_LATENCY_LIMITS:-100,500}"     # Starlink ping latency judged degraded,bad in ms (empty = off)
+STARLINK_DROP_LIMITS="${STARLINK_DROP_LIMITS:-1,10}"               # Starlink ping drop rate judged degraded,bad in % (empty = off)
+STARLINK_OBSTRUCTION_LIMITS="${STARLINK_OBSTRUCTION_LIMITS:-2,10}" # Time obstructed judged degraded,bad in % (empty = off)
+STARLINK_READY_TIMEOUT="${STARLINK_READY_TIMEOUT:-300}"            # Seconds to wait for the Starlink link before uploads (0 = don't wait)
+STARLINK_READY_MAX_LATENCY="${STARLINK_READY_MAX_LATENCY:-500}"    # Highest ping latency in ms that counts as link ready (empty = off)
+STARLINK_READY_MAX_OBSTRUCTION="${STARLINK_READY_MAX_OBSTRUCTION:-10}"  # Highest time obstructed in % that counts as link ready (empty = off)
 
 # Hours to keep SSH window open after run before power down
 WAIT_TIME_SSH="${WAIT_TIME_SSH:-2}"
@@ -38,6 +54,9 @@ download_config() {
     local max_attempts=3
     local attempt=1
 
+    # Right after boot the dish may still be acquiring; wait rather than use up the attempts
+    wait_for_starlink_ready || log_warn "Trying the config download without a ready Starlink link"
+
     while [[ $attempt -le $max_attempts ]]; do
         log_info "Config download attempt $attempt of $max_attempts"
         if timeout 60 rclone copy "$config_remote_path" "$CONFIG_DIR/" \
@@ -120,6 +139,15 @@ _normalise_datetime_iso() {
     return 1
 }
 
+# Check a "degraded,bad" pair of limits such as "100,500" (empty = off)
+_valid_limits() {
+    local input="$1"
+
+    [[ -z "$input" ]] && return 0
+    [[ "$input" =~ ^([0-9]+([.][0-9]+)?),([0-9]+([.][0-9]+)?)$ ]] || return 1
+    awk -v degraded="${BASH_REMATCH[1]}" -v bad="${BASH_REMATCH[3]}" 'BEGIN { exit !(degraded <= bad) }'
+}
+
 ################################################################################
 # CONFIG PARSING & VALIDATION
 ################################################################################
@@ -227,6 +255,108 @@ parse_and_validate_config() {
         maybe_to=$(_normalise_datetime_iso "$TO_DATE") && TO_DATE="$maybe_to"
     fi
 
+    # HARVEST_TIMEZONE: UTC, an offset such as +13:00, or a zone name known to the system
+    if ! [[ "$HARVEST_TIMEZONE" =~ ^(UTC|[+-][0-9]{2}:?[0-9]{2}|[A-Za-z_]+(/[A-Za-z0-9_+-]+)+)$ ]] ||
+       { [[ "$HARVEST_TIMEZONE" == */* && -d /usr/share/zoneinfo ]] && [[ ! -f "/usr/share/zoneinfo/$HARVEST_TIMEZONE" ]]; }; then
+        log_warn "Invalid HARVEST_TIMEZONE value: $HARVEST_TIMEZONE (expected UTC, +13:00 or e.g. Pacific/Auckland), using default: UTC"
+        HARVEST_TIMEZONE="UTC"
+        ((error_count++))
+    fi
+
+    # HARVEST_WATERMARK: on or off
+    if ! [[ "$HARVEST_WATERMARK" =~ ^(on|off)$ ]]; then
+        log_warn "Invalid HARVEST_WATERMARK value: $HARVEST_WATERMARK (expected on or off), using default: on"
+        HARVEST_WATERMARK="on"
+        ((error_count++))
+    fi
+
+    # HARVEST_OVERLAP must be whole seconds
+    if ! [[ "$HARVEST_OVERLAP" =~ ^[0-9]+$ ]]; then
+        log_warn "Invalid HARVEST_OVERLAP value: $HARVEST_OVERLAP (expected whole seconds), using default: 3600"
+        HARVEST_OVERLAP="3600"
+        ((error_count++))
+    fi
+
+    # HARVEST_CHUNK: empty, or a duration such as 6h or 1d
+    if [[ -n "$HARVEST_CHUNK" ]] && ! [[ "$HARVEST_CHUNK" =~ ^[0-9]+[smhd]?$ ]]; then
+        log_warn "Invalid HARVEST_CHUNK value: $HARVEST_CHUNK (expected e.g. 6h or 1d), backfill disabled"
+        HARVEST_CHUNK=""
+        ((error_count++))
+    fi
+
+    # HARVEST_MAX_BYTES: empty, or a size such as 500M
+    if [[ -n "$HARVEST_MAX_BYTES" ]] && ! [[ "$HARVEST_MAX_BYTES" =~ ^[0-9]+[KMGkmg]?[Bb]?$ ]]; then
+        log_warn "Invalid HARVEST_MAX_BYTES value: $HARVEST_MAX_BYTES (expected e.g. 500M), no data budget"
+        HARVEST_MAX_BYTES=""
+        ((error_count++))
+    fi
+
+    # HARVEST_MAX_DURATION: empty, or a duration such as 30m
+    if [[ -n "$HARVEST_MAX_DURATION" ]] && ! [[ "$HARVEST_MAX_DURATION" =~ ^[0-9]+[smhd]?$ ]]; then
+        log_warn "Invalid HARVEST_MAX_DURATION value: $HARVEST_MAX_DURATION (expected e.g. 30m), no time budget"
+        HARVEST_MAX_DURATION=""
+        ((error_count++))
+    fi
+
+    # SOH_MIN_VOLTAGE: volts, 0 turns the check off
+    if ! [[ "$SOH_MIN_VOLTAGE" =~ ^[0-9]+([.][0-9]+)?$ ]]; then
+        log_warn "Invalid SOH_MIN_VOLTAGE value: $SOH_MIN_VOLTAGE (expected volts), using default: 11.5"
+        SOH_MIN_VOLTAGE="11.5"
+        ((error_count++))
+    fi
+
+    # SOH_MAX_STORAGE: percentage used, 0 turns the check off
+    if ! [[ "$SOH_MAX_STORAGE" =~ ^[0-9]+([.][0-9]+)?$ ]] || (( ${SOH_MAX_STORAGE%.*} > 100 )); then
+        log_warn "Invalid SOH_MAX_STORAGE value: $SOH_MAX_STORAGE (expected a percentage, 0 to 100), using default: 90"
+        SOH_MAX_STORAGE="90"
+        ((error_count++))
+    fi
+
+    # SOH_MAX_CLOCK_OFFSET: empty, or milliseconds
+    if [[ -n "$SOH_MAX_CLOCK_OFFSET" ]] && ! [[ "$SOH_MAX_CLOCK_OFFSET" =~ ^[0-9]+([.][0-9]+)?$ ]]; then
+        log_warn "Invalid SOH_MAX_CLOCK_OFFSET value: $SOH_MAX_CLOCK_OFFSET (expected milliseconds), clock offset not checked"
+        SOH_MAX_CLOCK_OFFSET=""
+        ((error_count++))
+    fi
+
+    # STARLINK_*_LIMITS: empty, or "degraded,bad" with degraded <= bad
+    if ! _valid_limits "$STARLINK_LATENCY_LIMITS"; then
+        log_warn "Invalid STARLINK_LATENCY_LIMITS value: $STARLINK_LATENCY_LIMITS (expected degraded,bad in ms), using default: 100,500"
+        STARLINK_LATENCY_LIMITS="100,500"
+        ((error_count++))
+    fi
+    if ! _valid_limits "$STARLINK_DROP_LIMITS"; then
+        log_warn "Invalid STARLINK_DROP_LIMITS value: $STARLINK_DROP_LIMITS (expected degraded,bad in percent), using default: 1,10"
+        STARLINK_DROP_LIMITS="1,10"
+        ((error_count++))
+    fi
+    if ! _valid_limits "$STARLINK_OBSTRUCTION_LIMITS"; then
+        log_warn "Invalid STARLINK_OBSTRUCTION_LIMITS value: $STARLINK_OBSTRUCTION_LIMITS (expected degraded,bad in percent), using default: 2,10"
+        STARLINK_OBSTRUCTION_LIMITS="2,10"
+        ((error_count++))
+    fi
+
+    # STARLINK_READY_TIMEOUT: seconds, 0 turns the wait off
+    if ! [[ "$STARLINK_READY_TIMEOUT" =~ ^[0-9]+$ ]]; then
+        log_warn "Invalid STARLINK_READY_TIMEOUT value: $STARLINK_READY_TIMEOUT (expected whole seconds), using default: 300"
+        STARLINK_READY_TIMEOUT="300"
+        ((error_count++))
+    fi
+
+    # STARLINK_READY_MAX_LATENCY: empty, or milliseconds
+    if [[ -n "$STARLINK_READY_MAX_LATENCY" ]] && ! [[ "$STARLINK_READY_MAX_LATENCY" =~ ^[0-9]+([.][0-9]+)?$ ]]; then
+        log_warn "Invalid STARLINK_READY_MAX_LATENCY value: $STARLINK_READY_MAX_LATENCY (expected milliseconds), using default: 500"
+        STARLINK_READY_MAX_LATENCY="500"
+        ((error_count++))
+    fi
+
+    # STARLINK_READY_MAX_OBSTRUCTION: empty, or a percentage
+    if [[ -n "$STARLINK_READY_MAX_OBSTRUCTION" ]] && { ! [[ "$STARLINK_READY_MAX_OBSTRUCTION" =~ ^[0-9]+([.][0-9]+)?$ ]] || (( ${STARLINK_READY_MAX_OBSTRUCTION%.*} > 100 )); }; then
+        log_warn "Invalid STARLINK_READY_MAX_OBSTRUCTION value: $STARLINK_READY_MAX_OBSTRUCTION (expected a percentage, 0 to 100), using default: 10"
+        STARLINK_READY_MAX_OBSTRUCTION="10"
+        ((error_count++))
+    fi
+
     # WAIT_TIME_SSH must be numeric (hours)
     if ! [[ "$WAIT_TIME_SSH" =~ ^[0-9]+([.][0-9]+)?$ ]]; then
         log_warn "Invalid WAIT_TIME_SSH value: $WAIT_TIME_SSH (expected numeric hours), using default: 2"
@@ -247,7 +377,11 @@ parse_and_validate_config() {
 
 apply_config() {
     export EXECUTE WAIT_TIME AFTER_WAIT
-    export HARVEST_MODE FROM_DATE TO_DATE
+    export HARVEST_MODE FROM_DATE TO_DATE HARVEST_TIMEZONE HARVEST_WATERMARK HARVEST_OVERLAP HARVEST_CHUNK
+    export HARVEST_FALLBACK HARVEST_MAX_BYTES HARVEST_MAX_DURATION
+    export SOH_MIN_VOLTAGE SOH_MAX_STORAGE SOH_MAX_CLOCK_OFFSET
+    export STARLINK_LATENCY_LIMITS STARLINK_DROP_LIMITS STARLINK_OBSTRUCTION_LIMITS
+    export STARLINK_READY_TIMEOUT STARLINK_READY_MAX_LATENCY STARLINK_READY_MAX_OBSTRUCTION
     export WAIT_TIME_SSH
     log_info "Configuration applied to environment"
 }
@@ -264,6 +398,22 @@ display_config() {
     log_info "HARVEST_MODE: $HARVEST_MODE"
     log_info "FROM_DATE: $FROM_DATE"
     log_info "TO_DATE: $TO_DATE"
+    log_info "HARVEST_TIMEZONE: $HARVEST_TIMEZONE"
+    log_info "HARVEST_WATERMARK: $HARVEST_WATERMARK"
+    log_info "HARVEST_OVERLAP: ${HARVEST_OVERLAP}s"
+    log_info "HARVEST_CHUNK: ${HARVEST_CHUNK:-off}"
+    log_info "HARVEST_FALLBACK: ${HARVEST_FALLBACK}"
+    log_info "HARVEST_MAX_BYTES: ${HARVEST_MAX_BYTES:-off}"
+    log_info "HARVEST_MAX_DURATION: ${HARVEST_MAX_DURATION:-off}"
+    log_info "SOH_MIN_VOLTAGE: ${SOH_MIN_VOLTAGE}V"
+    log_info "SOH_MAX_STORAGE: ${SOH_MAX_STORAGE}%"
+    log_info "SOH_MAX_CLOCK_OFFSET: ${SOH_MAX_CLOCK_OFFSET:-off}"
+    log_info "STARLINK_LATENCY_LIMITS: ${STARLINK_LATENCY_LIMITS:-off}"
+    log_info "STARLINK_DROP_LIMITS: ${STARLINK_DROP_LIMITS:-off}"
+    log_info "STARLINK_OBSTRUCTION_LIMITS: ${STARLINK_OBSTRUCTION_LIMITS:-off}"
+    log_info "STARLINK_READY_TIMEOUT: $( [[ $STARLINK_READY_TIMEOUT -eq 0 ]] && echo off || echo "${STARLINK_READY_TIMEOUT}s" )"
+    log_info "STARLINK_READY_MAX_LATENCY: ${STARLINK_READY_MAX_LATENCY:-off}"
+    log_info "STARLINK_READY_MAX_OBSTRUCTION: ${STARLINK_READY_MAX_OBSTRUCTION:-off}"
     log_info "WAIT_TIME_SSH: $WAIT_TIME_SSH"
     log_info "Config download status: $( [[ $CONFIG_DOWNLOAD_SUCCESS -eq 1 ]] && echo SUCCESS || echo FAILED )"
     log_info "==============================="
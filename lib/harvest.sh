@@ -14,13 +14,33 @@ readonly _HARVEST_LIB_LOADED=1
 
 MAX_HARVEST_ATTEMPTS=3
 HARVEST_TIMEOUT=300
-PEGASUS_STARTUP_WAIT=6
-PEGASUS_SHUTDOWN_WAIT=2
+PEGASUS_STARTUP_TIMEOUT=60  # Seconds for the Harvester to load its page (started by pegasus_harvest.js)
 
 HARVEST_DIR=""
+HARVEST_REPORT_FILE="harvest_report.json"  # Written into HARVEST_DIR by pegasus_harvest.js
+HARVEST_FORENSICS_DIR="forensics"          # Failure screenshots/DOM dumps, also inside HARVEST_DIR
+HARVEST_MANIFEST_FILE="harvest_manifest.json"  # SHA-256 of every harvested file, also inside HARVEST_DIR
+HARVEST_SOH_FILE="soh.json"  # Instrument state-of-health snapshot, also inside HARVEST_DIR
+HARVEST_MANIFEST_HISTORY="${STATE_DIR}/manifests"  # Manifests of successful runs, survives EXECUTE=clear
+HARVEST_WATERMARK_FILE="${STATE_DIR}/pegasus_watermark.json"  # End of the verified data, replaces Pegasus's Since Last bookmark
+HARVEST_CHECKPOINT_FILE="${STATE_DIR}/backfill_checkpoint.json"  # Chunk progress of a HARVEST_CHUNK backfill
+HARVEST_DEVICE_STATE_FILE="${STATE_DIR}/pegasus_devices.json"  # Outcome per logger when several are connected
+PEGASUS_LOCK_FILE="${STATE_DIR}/pegasus.lock"  # PID of the run driving the Harvester
 HARVEST_FILES_COUNT=0
 HARVEST_SUCCESS=0
 
+# pegasus_harvest.js exit codes that another attempt cannot fix
+HARVEST_EXIT_UNSUPPORTED_UI=2
+HARVEST_EXIT_INVALID_OPTIONS=3
+HARVEST_EXIT_BUDGET=5  # HARVEST_MAX_BYTES/HARVEST_MAX_DURATION reached
+HARVEST_EXIT_LOCKED=6  # Another run holds PEGASUS_LOCK_FILE
+HARVEST_EXIT_INTERRUPTED=130  # Stopped by SIGINT/SIGTERM, partial report written
+
+# Several loggers connected: some were harvested, at least one failed. Not
+# retried, as that would harvest the good loggers again; the failed ones get
+# the next scheduled run.
+HARVEST_EXIT_PARTIAL=7
+
 ################################################################################
 # FUNCTIONS
 ################################################################################
@@ -44,92 +64,53 @@ prepare_harvest_directory() {
     return 0
 }
 
-launch_pegasus() {
-    log_info "Launching Pegasus Harvester..."
-
-    log_info "Cleaning up any existing Pegasus processes..."
-    pkill -9 pegasus 2>/dev/null || true
-    pkill -9 -f PegasusHarvester 2>/dev/null || true
-    pkill -9 -f pegasus-harvester 2>/dev/null || true
-    killall -9 pegasus-harvester 2>/dev/null || true
-
-    local port_pid
-    port_pid=$(lsof -ti :9222 2>/dev/null)
-    if [[ -n "$port_pid" ]]; then
-        log_warn "Killing process holding port 9222 (PID: $port_pid)"
-        kill -9 "$port_pid" 2>/dev/null || true
-    fi
-
-    sleep 3
-
-    log_info "PEGASUS_BIN=$PEGASUS_BIN"
-    log_info "Launch command: $PEGASUS_BIN --remote-debugging-port=9222 --remote-allow-origins=*"
-
-    "$PEGASUS_BIN" --remote-debugging-port=9222 --remote-allow-origins=* > /dev/null 2>&1 &
-    local pid=$!
-    log_info "Pegasus Harvester started (PID: $pid)"
-    log_info "Waiting ${PEGASUS_STARTUP_WAIT}s for Pegasus to initialize..."
-    sleep "$PEGASUS_STARTUP_WAIT"
-
-    # Just verify process is still running, don't check port
-    if ! ps -p "$pid" > /dev/null 2>&1; then
-        log_error "Pegasus Harvester process died"
-        return 1
-    fi
-
-    log_info "Pegasus Harvester initialized (PID verified)"
-    echo "$pid"
-    return 0
-}
-
-shutdown_pegasus() {
-    local pid="$1"
-    log_info "Shutting down Pegasus Harvester (PID: $pid)..."
-
-    if ps -p "$pid" > /dev/null 2>&1; then
-        kill "$pid" 2>/dev/null || true
-        sleep "$PEGASUS_SHUTDOWN_WAIT"
-    fi
-
-    if ps -p "$pid" > /dev/null 2>&1; then
-        log_warn "Pegasus did not terminate, force killing..."
-        kill -9 "$pid" 2>/dev/null || true
-        sleep 1
-    fi
-
-    pkill -9 -f "$PEGASUS_BIN" 2>/dev/null || true
-    log_info "Pegasus Harvester shutdown complete"
-}
-
 run_single_pegasus_harvest() {
     log_info "Starting single harvest attempt..."
 
     prepare_harvest_directory || return 1
 
-    local pegasus_pid
-    pegasus_pid=$(launch_pegasus) || return 1
+    # pegasus_harvest.js launches the Harvester on a free DevTools port, waits
+    # for its page, and shuts it down again on every exit path
+    # HARVEST_WATERMARK=off leaves "since last" to the Harvester's own bookmark
+    local watermark_args=()
+    [[ "$HARVEST_WATERMARK" == "on" ]] && watermark_args=(--watermark "$HARVEST_WATERMARK_FILE")
 
     log_info "Running JavaScript harvester..."
-    log_info "Command: node $JS_DIR/pegasus_harvest.js $HARVEST_DIR $EXECUTE $WAIT_TIME $AFTER_WAIT \"$HARVEST_MODE\" \"$FROM_DATE\" \"$TO_DATE\""
+    log_info "Command: node $JS_DIR/pegasus_harvest.js --out $HARVEST_DIR --pegasus-bin $PEGASUS_BIN --startup-timeout $PEGASUS_STARTUP_TIMEOUT --lock $PEGASUS_LOCK_FILE --mode \"$HARVEST_MODE\" --from \"$FROM_DATE\" --to \"$TO_DATE\" --timezone \"$HARVEST_TIMEZONE\" --manifest-history $HARVEST_MANIFEST_HISTORY ${watermark_args[*]} --overlap $HARVEST_OVERLAP --chunk \"$HARVEST_CHUNK\" --checkpoint $HARVEST_CHECKPOINT_FILE --device-state $HARVEST_DEVICE_STATE_FILE --fallback \"$HARVEST_FALLBACK\" --max-bytes \"$HARVEST_MAX_BYTES\" --max-duration \"$HARVEST_MAX_DURATION\" --soh-min-voltage $SOH_MIN_VOLTAGE --soh-max-storage $SOH_MAX_STORAGE --soh-max-clock-offset \"$SOH_MAX_CLOCK_OFFSET\""
 
-    # Run Node.js WITHOUT timeout wrapper, WITH output to console and log
+    # Run Node.js WITHOUT timeout wrapper, WITH output to console and log.
+    # tee -i keeps logging through Ctrl-C while the script cancels and reports.
     node "$JS_DIR/pegasus_harvest.js" \
-        "$HARVEST_DIR" \
-        "$EXECUTE" \
-        "$WAIT_TIME" \
-        "$AFTER_WAIT" \
-        "$HARVEST_MODE" \
-        "$FROM_DATE" \
-        "$TO_DATE" 2>&1 | tee -a "$LOG_FILE"
+        --out "$HARVEST_DIR" \
+        --pegasus-bin "$PEGASUS_BIN" \
+        --startup-timeout "$PEGASUS_STARTUP_TIMEOUT" \
+        --lock "$PEGASUS_LOCK_FILE" \
+        --mode "$HARVEST_MODE" \
+        --from "$FROM_DATE" \
+        --to "$TO_DATE" \
+        --timezone "$HARVEST_TIMEZONE" \
+        --manifest-history "$HARVEST_MANIFEST_HISTORY" \
+        "${watermark_args[@]}" \
+        --overlap "$HARVEST_OVERLAP" \
+        --chunk "$HARVEST_CHUNK" \
+        --checkpoint "$HARVEST_CHECKPOINT_FILE" \
+        --device-state "$HARVEST_DEVICE_STATE_FILE" \
+        --fallback "$HARVEST_FALLBACK" \
+        --max-bytes "$HARVEST_MAX_BYTES" \
+        --max-duration "$HARVEST_MAX_DURATION" \
+        --soh-min-voltage "$SOH_MIN_VOLTAGE" \
+        --soh-max-storage "$SOH_MAX_STORAGE" \
+        --soh-max-clock-offset "$SOH_MAX_CLOCK_OFFSET" 2>&1 | tee -i -a "$LOG_FILE"
     local status=${PIPESTATUS[0]}
 
     if [[ $status -eq 0 ]]; then
         log_info "JavaScript Harvester completed successfully"
+    elif [[ $status -eq $HARVEST_EXIT_PARTIAL ]]; then
+        log_warn "JavaScript Harvester harvested some loggers, others failed (exit code $status)"
     else
         log_error "JavaScript Harvester failed (exit code $status)"
     fi
 
-    shutdown_pegasus "$pegasus_pid"
     return $status
 }
 
@@ -142,8 +123,15 @@ run_harvest_with_retry() {
         log_info "Harvest Attempt $attempt of $MAX_HARVEST_ATTEMPTS"
         log_info "========================================"
 
-        if run_single_pegasus_harvest; then
-            log_info "SUCCESS: Harvest automation completed on attempt $attempt"
+        local harvest_status=0
+        run_single_pegasus_harvest || harvest_status=$?
+
+        if [[ $harvest_status -eq 0 ]] || [[ $harvest_status -eq $HARVEST_EXIT_PARTIAL ]]; then
+            if [[ $harvest_status -eq $HARVEST_EXIT_PARTIAL ]]; then
+                log_warn "PARTIAL: Some loggers failed on attempt $attempt, keeping the data of the others"
+            else
+                log_info "SUCCESS: Harvest automation completed on attempt $attempt"
+            fi
 
             if verify_harvest_success; then
                 HARVEST_SUCCESS=1
@@ -157,6 +145,12 @@ run_harvest_with_retry() {
             fi
         else
             log_error "FAILED: Harvest automation failed on attempt $attempt"
+            if [[ $harvest_status -eq $HARVEST_EXIT_UNSUPPORTED_UI ]] || [[ $harvest_status -eq $HARVEST_EXIT_INVALID_OPTIONS ]] ||
+               [[ $harvest_status -eq $HARVEST_EXIT_BUDGET ]] || [[ $harvest_status -eq $HARVEST_EXIT_LOCKED ]] ||
+               [[ $harvest_status -eq $HARVEST_EXIT_INTERRUPTED ]]; then
+                log_error "Exit code $harvest_status is not retryable, giving up"
+                break
+            fi
         fi
 
         if [[ $attempt -lt $MAX_HARVEST_ATTEMPTS ]]; then
@@ -179,7 +173,7 @@ verify_harvest_success() {
     [[ ! -d "$HARVEST_DIR" ]] && { log_error "Harvest directory does not exist: $HARVEST_DIR"; return 1; }
 
     local file_count
-    file_count=$(find "$HARVEST_DIR" -type f 2>/dev/null | wc -l)
+    file_count=$(find "$HARVEST_DIR" -type f ! -name "$HARVEST_REPORT_FILE" ! -name "$HARVEST_MANIFEST_FILE" ! -name "$HARVEST_SOH_FILE" ! -path "*/$HARVEST_FORENSICS_DIR/*" 2>/dev/null | wc -l)
     [[ $file_count -eq 0 ]] && { log_warn "No files found in harvest directory"; return 1; }
 
     log_info "Harvest verified: $file_count files collected"
@@ -195,8 +189,32 @@ analyze_harvest_data() {
     [[ ! -d "$HARVEST_DIR" ]] && { log_warn "Harvest directory not found for analysis"; return 1; }
 
     local total_files total_size
-    total_files=$(find "$HARVEST_DIR" -type f 2>/dev/null | wc -l)
-    total_size=$(du -sh "$HARVEST_DIR" 2>/dev/null | awk '{print $1}' || echo 'N/A')
+    local report="$HARVEST_DIR/$HARVEST_REPORT_FILE"
+
+    if [[ -f "$report" ]] && command -v jq &>/dev/null; then
+        # The run report is the source of truth when pegasus_harvest.js wrote one
+        local total_bytes
+        total_files=$(jq -r '.files.count' "$report" 2>/dev/null || echo 0)
+        total_bytes=$(jq -r '.files.totalBytes' "$report" 2>/dev/null || echo 0)
+        total_size=$(numfmt --to=iec "$total_bytes" 2>/dev/null || echo "${total_bytes}B")
+
+        log_info "Run report: $report"
+        log_info "Outcome: $(jq -r '.outcome.status + " (" + .outcome.message + ")"' "$report" 2>/dev/null)"
+        jq -r '.devices[]? | "  Logger \(.serial): \(.status) (\(.message))"' "$report" 2>/dev/null |
+            while read -r line; do log_info "$line"; done
+        jq -r '.attempts[] | "  Attempt \(.attempt) [\(.mode)]: \(.result) in \(.duration)ms"' "$report" 2>/dev/null |
+            while read -r line; do log_info "$line"; done
+        jq -r '.manifest // empty | "Manifest: \(.new) new, \(.grown) grown, \(.duplicate) duplicate, \(.shrunk) shrunk, \(.changed) changed"' "$report" 2>/dev/null |
+            while read -r line; do log_info "$line"; done
+        jq -r '.coverage.channels[]? | "  \(.id): \(.start) -> \(.end), \(.records) records, \(.gapCount) gaps"' "$report" 2>/dev/null |
+            while read -r line; do log_info "$line"; done
+        jq -r '.coverage.warnings[]?.message' "$report" 2>/dev/null |
+            while read -r line; do log_warn "Coverage: $line"; done
+        save_state "HARVEST_REPORT" "$report" 2>/dev/null || log_warn "save_state HARVEST_REPORT failed"
+    else
+        total_files=$(find "$HARVEST_DIR" -type f ! -name "$HARVEST_REPORT_FILE" ! -name "$HARVEST_MANIFEST_FILE" ! -name "$HARVEST_SOH_FILE" ! -path "*/$HARVEST_FORENSICS_DIR/*" 2>/dev/null | wc -l)
+        total_size=$(du -sh "$HARVEST_DIR" 2>/dev/null | awk '{print $1}' || echo 'N/A')
+    fi
 
     log_info "Total files harvested: $total_files"
     log_info "Total harvest size: $total_size"
@@ -251,6 +269,5 @@ compress_harvest() {
 ################################################################################
 
 export -f prepare_harvest_directory
-export -f launch_pegasus shutdown_pegasus
 export -f run_harvest_with_retry run_single_pegasus_harvest
 export -f verify_harvest_success analyze_harvest_data compress_harvest
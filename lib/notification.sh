@@ -27,6 +27,88 @@ EMAIL_TIMEOUT=${EMAIL_TIMEOUT:-120}
 # STARLINK DIAGNOSTICS
 ################################################################################
 
+# Starlink history since the previous run, appended per run; in STATE_DIR so the
+# series survives EXECUTE=clear, and copied into each harvest archive
+STARLINK_HISTORY_DIR="${STATE_DIR}"
+STARLINK_HISTORY_FILES=("starlink_history.ndjson" "starlink_history.csv")
+
+# Set once the dish did not answer a readiness wait, so later waits in the
+# same run are skipped instead of taking STARLINK_READY_TIMEOUT again
+STARLINK_DISH_UNREACHABLE=0
+# Set at the first go of the run, whose time to ready is the one kept
+STARLINK_LINK_READY=0
+# Set by a no-go; later waits in the run then only recheck for this long,
+# unless called with "full" (the upload)
+STARLINK_LINK_NO_GO=0
+STARLINK_READY_RECHECK=30
+
+# Wait until the Starlink dish reports a usable link (connected, not obstructed,
+# latency and obstruction within STARLINK_READY_MAX_*), for at most
+# STARLINK_READY_TIMEOUT seconds. Returns 0 on go, 1 on no-go. After a no-go
+# only the wait called with "full" gets the whole timeout again, so one run
+# does not spend it before every download. The outcome of the last wait and
+# the time to the first go of the run are kept in the state file for the
+# status email.
+wait_for_starlink_ready() {
+    local wait_mode="${1:-}"
+
+    if [[ "${STARLINK_READY_TIMEOUT:-0}" -eq 0 ]]; then
+        return 0
+    fi
+    if [[ $STARLINK_DISH_UNREACHABLE -eq 1 ]]; then
+        log_warn "Not waiting for the Starlink link: the dish did not answer earlier in this run"
+        return 1
+    fi
+
+    local deadline="$STARLINK_READY_TIMEOUT"
+    if [[ $STARLINK_LINK_NO_GO -eq 1 ]] && [[ "$wait_mode" != "full" ]] && (( deadline > STARLINK_READY_RECHECK )); then
+        deadline="$STARLINK_READY_RECHECK"
+        log_info "The Starlink link was not ready earlier in this run, rechecking for ${deadline}s only"
+    fi
+
+    local ready_script="${JS_DIR}/starlink_wait_ready.js"
+    if [[ ! -f "$ready_script" ]]; then
+        log_warn "Starlink readiness script not found: $ready_script"
+        return 1
+    fi
+
+    log_info "Waiting up to ${deadline}s for the Starlink link..."
+    local ready_file="${LOG_FILE%.log}_starlink_ready.json"
+    local verdict
+    local exit_code=0
+    # Progress goes to the log; the GO/NO-GO line with its reason is printed
+    verdict=$(timeout $((deadline + 60)) node "$ready_script" \
+        --deadline "$deadline" \
+        --max-latency "$STARLINK_READY_MAX_LATENCY" \
+        --max-obstruction "$STARLINK_READY_MAX_OBSTRUCTION" \
+        --output "$ready_file" 2>>"$LOG_FILE") || exit_code=$?
+
+    if [[ $exit_code -eq 0 ]]; then
+        log_info "Starlink $verdict"
+        # Later waits in the run find the link up at once; keep the first time
+        if [[ $STARLINK_LINK_READY -eq 0 ]]; then
+            STARLINK_LINK_READY=1
+            local time_to_ready=""
+            command -v jq &>/dev/null && time_to_ready=$(jq -r '.timeToReadyS // empty' "$ready_file" 2>/dev/null)
+            save_state "STARLINK_TIME_TO_READY" "$time_to_ready" 2>/dev/null || log_warn "save_state STARLINK_TIME_TO_READY failed"
+        fi
+        STARLINK_LINK_NO_GO=0
+        save_state "STARLINK_READY" "go" 2>/dev/null || log_warn "save_state STARLINK_READY=go failed"
+        return 0
+    fi
+
+    # 1: the dish never answered (or not for STARLINK_READY_MAX_UNREACHABLE polls
+    # in a row); 7: it answered but the link was not ready
+    [[ $exit_code -eq 1 ]] && STARLINK_DISH_UNREACHABLE=1
+    STARLINK_LINK_NO_GO=1
+    log_warn "Starlink ${verdict:-NO-GO: readiness check failed (exit code $exit_code)}"
+    save_state "STARLINK_READY" "no-go" 2>/dev/null || log_warn "save_state STARLINK_READY=no-go failed"
+    if [[ $STARLINK_LINK_READY -eq 0 ]]; then
+        save_state "STARLINK_TIME_TO_READY" "" 2>/dev/null || log_warn "save_state STARLINK_TIME_TO_READY failed"
+    fi
+    return 1
+}
+
 # Collect Starlink network diagnostics
 collect_starlink_diagnostics() {
     log_info "Collecting Starlink diagnostics..."
@@ -37,30 +119,42 @@ collect_starlink_diagnostics() {
         return 1
     fi
 
-    # Run Starlink diagnostics script with timeout
-    local json_output
-    if json_output=$(timeout 30 node "$starlink_script" 2>&1); then
-        log_info "Starlink diagnostics collected successfully"
-
-        # Log to file (formatted if jq available)
-        {
-            echo ""
-            echo "========================================"
-            echo "STARLINK DIAGNOSTIC DATA"
-            echo "========================================"
-            if command -v jq &>/dev/null; then
-                echo "$json_output" | jq . 2>/dev/null || echo "$json_output"
-            else
-                echo "$json_output"
-            fi
-            echo "========================================"
-            echo ""
-        } >> "$LOG_FILE"
-
+    # Run Starlink diagnostics script with timeout. It reads the dish gRPC API
+    # first and only falls back to Chromium if that fails; warnings go to the log.
+    # The normalized status with its health verdict is written next to the log,
+    # the history stats since the previous run are appended to the series
+    local status_file="${LOG_FILE%.log}_starlink.json"
+    local exit_code=0
+    timeout 60 node "$starlink_script" --output "$status_file" --format json \
+        --history-dir "$STARLINK_HISTORY_DIR" \
+        --latency-limits "$STARLINK_LATENCY_LIMITS" \
+        --drop-limits "$STARLINK_DROP_LIMITS" \
+        --obstruction-limits "$STARLINK_OBSTRUCTION_LIMITS" >>"$LOG_FILE" 2>&1 || exit_code=$?
+    if [[ $exit_code -eq 0 ]]; then
+        local health="unknown"
+        if command -v jq &>/dev/null; then
+            health=$(jq -r '.health.verdict // "unknown"' "$status_file" 2>/dev/null || echo "unknown")
+            log_info "Starlink link health: ${health^^} ($(jq -r '"\(.state // "state unknown"), via \(.source)"' "$status_file" 2>/dev/null))"
+            while IFS= read -r reason; do
+                [[ -n "$reason" ]] && log_warn "Starlink: $reason"
+            done < <(jq -r '.health.reasons[]? | "\(.level): \(.message)"' "$status_file" 2>/dev/null)
+            jq -r '.historyStats // empty |
+                "Starlink since \(.since): \(.outages.count) outages (\(.outages.durationS) s), " +
+                "latency p50/p90/p99 \(.latencyMs.p50 // "N/A")/\(.latencyMs.p90 // "N/A")/\(.latencyMs.p99 // "N/A") ms, " +
+                "\(.obstructedPercent // "N/A")% obstructed, \(.coveredS) of \(.periodS) s sampled"' "$status_file" 2>/dev/null | \
+                while IFS= read -r line; do log_info "$line"; done
+        else
+            log_info "Starlink diagnostics collected: $status_file"
+        fi
+
+        save_state "STARLINK_STATUS_FILE" "$status_file" 2>/dev/null || log_warn "save_state STARLINK_STATUS_FILE failed"
+        save_state "STARLINK_HEALTH" "$health" 2>/dev/null || log_warn "save_state STARLINK_HEALTH failed"
         save_state "STARLINK_DIAGNOSTICS" "collected" 2>/dev/null || log_warn "save_state STARLINK_DIAGNOSTICS=collected failed"
         return 0
     else
-        log_warn "Failed to collect Starlink diagnostics"
+        log_warn "Failed to collect Starlink diagnostics (exit code $exit_code)"
+        save_state "STARLINK_STATUS_FILE" "" 2>/dev/null || log_warn "save_state STARLINK_STATUS_FILE failed"
+        save_state "STARLINK_HEALTH" "unknown" 2>/dev/null || log_warn "save_state STARLINK_HEALTH failed"
         save_state "STARLINK_DIAGNOSTICS" "failed" 2>/dev/null || log_warn "save_state STARLINK_DIAGNOSTICS=failed failed"
         return 1
     fi
@@ -70,6 +164,85 @@ collect_starlink_diagnostics() {
 # STATUS REPORT BUILDING
 ################################################################################
 
+# Instrument state of health from the soh.json pegasus_harvest.js wrote into
+# the harvest directory, with its threshold flags
+build_soh_section() {
+    local soh_file="$1"
+
+    if [[ ! -f "$soh_file" ]] || ! command -v jq &>/dev/null; then
+        printf 'Instrument Status:\n- Not available (no %s)' "$(basename "$soh_file")"
+        return 0
+    fi
+
+    echo "Instrument Status:"
+    jq -r '
+        def shown(v; unit): if v == null then "N/A" else "\(v)\(unit)" end;
+        "- Serial: \(.serial // "N/A") (firmware \(.firmware // "N/A"))",
+        "- Battery: \(shown(.batteryVoltage; " V"))",
+        "- Temperature: \(shown(.temperature; " °C"))",
+        "- GPS: \(if .gps.locked == null then "N/A" elif .gps.locked then "locked" else "NOT LOCKED" end)" +
+            (if .gps.latitude != null and .gps.longitude != null then " (\(.gps.latitude), \(.gps.longitude))" else "" end),
+        "- Storage: \(shown(.storage.usedPercent; "% used"))",
+        "- Clock offset: \(shown(.clockOffsetMs; " ms"))",
+        (.flags[]? | "- WARNING: \(.message)")
+    ' "$soh_file" 2>/dev/null || echo "- Unreadable: $soh_file"
+}
+
+# Starlink link health from the status file collect_starlink_diagnostics wrote,
+# with the reasons for a degraded or bad verdict, and the outcome of the
+# readiness wait (go or no-go, seconds to ready) when there was one
+build_starlink_section() {
+    local status_file="$1"
+    local ready="${2:-}"
+    local time_to_ready="${3:-}"
+
+    local ready_line=""
+    if [[ "$ready" == "go" ]]; then
+        ready_line="- Link ready: GO${time_to_ready:+ after ${time_to_ready} s}"
+    elif [[ "$ready" == "no-go" ]]; then
+        ready_line="- Link ready: NO-GO (see the run log for the reason)"
+    fi
+
+    if [[ -z "$status_file" ]] || [[ ! -f "$status_file" ]] || ! command -v jq &>/dev/null; then
+        printf 'Starlink Link:\n- Not available (diagnostics not collected)'
+        [[ -n "$ready_line" ]] && printf '\n%s' "$ready_line"
+        return 0
+    fi
+
+    echo "Starlink Link:"
+    [[ -n "$ready_line" ]] && echo "$ready_line"
+    jq -r '
+        def shown(v; unit): if v == null then "N/A" else "\(v)\(unit)" end;
+        def percent(v): if v == null then "N/A" else "\((v * 10000 | round) / 100)%" end;
+        def mbps(v): if v == null then "N/A" else "\((v / 100000 | round) / 10) Mbps" end;
+        "- Health: \(.health.verdict | ascii_upcase)",
+        "- State: \(.state // "N/A") (uptime \(shown(if .uptimeS == null then null else (.uptimeS / 360 | round) / 10 end; " h")))",
+        "- Ping: \(shown(if .ping.latencyMs == null then null else (.ping.latencyMs * 10 | round) / 10 end; " ms")), \(percent(.ping.dropRate)) dropped",
+        "- Obstructed: \(percent(.obstruction.fraction)) of the time",
+        "- Throughput: \(mbps(.throughput.downlinkBps)) down, \(mbps(.throughput.uplinkBps)) up",
+        "- GPS: \(if .gps.valid == null then "N/A" elif .gps.valid then "valid" else "NOT VALID" end)" +
+            (if .gps.satellites != null then " (\(.gps.satellites) satellites)" else "" end),
+        "- Software: \(.device.softwareVersion // "N/A")",
+        (.historyStats // empty |
+            "- Since \(.since): \(.outages.count) outages (\(.outages.durationS) s)" +
+                ([.outages.byCause | to_entries[] | "\(.key) \(.value.count)x"] | if length > 0 then " - " + join(", ") else "" end),
+            "- Latency p50/p90/p99: \(.latencyMs.p50 // "N/A")/\(.latencyMs.p90 // "N/A")/\(.latencyMs.p99 // "N/A") ms, \(.obstructedPercent // "N/A")% obstructed" +
+                (if .coveredS < .periodS then " (\(.coveredS) of \(.periodS) s sampled)" else "" end)),
+        (.health.reasons[]? | "- \(.level | ascii_upcase): \(.message)")
+    ' "$status_file" 2>/dev/null || echo "- Unreadable: $status_file"
+}
+
+# Outcome per logger from the run report, when several loggers were harvested
+build_devices_section() {
+    local report_file="$1"
+
+    [[ -f "$report_file" ]] && command -v jq &>/dev/null || return 0
+    jq -r '
+        (.devices // [])[] |
+        "- Logger \(.serial): \(.status | ascii_upcase)" + (if .status == "success" then "" else " (\(.message))" end)
+    ' "$report_file" 2>/dev/null
+}
+
 # Build comprehensive status report
 build_status_report() {
     local status="$1"
@@ -135,12 +308,35 @@ build_status_report() {
 - Disk Space Available: $disk_space
 - Network: $(check_network_available &>/dev/null && echo 'Connected' || echo 'Disconnected')"
 
+    # With several loggers each one's soh.json is in its own subdirectory
+    local soh_section soh_file
+    local device_soh_files=("${harvest_dir}"/*/"${HARVEST_SOH_FILE:-soh.json}")
+    if [[ ! -f "${harvest_dir}/${HARVEST_SOH_FILE:-soh.json}" ]] && [[ -f "${device_soh_files[0]}" ]]; then
+        soh_section=""
+        for soh_file in "${device_soh_files[@]}"; do
+            soh_section+="$(build_soh_section "$soh_file")"$'\n\n'
+        done
+        soh_section="${soh_section%$'\n\n'}"
+    else
+        soh_section=$(build_soh_section "${harvest_dir}/${HARVEST_SOH_FILE:-soh.json}")
+    fi
+
+    local starlink_section
+    local starlink_ready=""
+    [[ "${STARLINK_READY_TIMEOUT:-0}" -ne 0 ]] && starlink_ready=$(get_state "STARLINK_READY" "")
+    starlink_section=$(build_starlink_section "$(get_state "STARLINK_STATUS_FILE" "")" \
+        "$starlink_ready" "$(get_state "STARLINK_TIME_TO_READY" "")")
+
+    local devices_section
+    devices_section=$(build_devices_section "${harvest_dir}/${HARVEST_REPORT_FILE:-harvest_report.json}")
+
     # Build harvest results section (detailed)
     local harvest_section="Harvest Results:
 - Status: $([ "$harvest_success" == "1" ] && echo \"SUCCESS after $harvest_attempts attempts\" || echo \"FAILED after $harvest_attempts attempts\")
 - Files collected: $harvest_file_count
 - Data size: $harvest_size
-- Harvest directory: $harvest_dir"
+- Harvest directory: $harvest_dir${devices_section:+
+$devices_section}"
 
     # Build upload results section (detailed)
     local upload_section="Upload Results:
@@ -171,6 +367,10 @@ $harvest_section
 
 $upload_section
 
+$soh_section
+
+$starlink_section
+
 $config_section
 
 $system_section$ssh_section
@@ -445,7 +645,7 @@ create_local_notification() {
 # EXPORT FUNCTIONS
 ################################################################################
 
-export -f collect_starlink_diagnostics
-export -f build_status_report format_email_subject format_email_body
+export -f wait_for_starlink_ready collect_starlink_diagnostics
+export -f build_soh_section build_starlink_section build_devices_section build_status_report format_email_subject format_email_body
 export -f send_email_with_attachment send_status_notification
 export -f send_failure_notification create_local_notification
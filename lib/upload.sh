@@ -67,6 +67,15 @@ compress_harvest_data() {
         log_warn "LOG_FILE not set or log file not found; proceeding without log in archive"
     fi
 
+    # Starlink status of this run and the history series so far (best-effort)
+    local starlink_status_file starlink_file
+    starlink_status_file=$(get_state "STARLINK_STATUS_FILE" "")
+    for starlink_file in "$starlink_status_file" "${STARLINK_HISTORY_FILES[@]/#/${STARLINK_HISTORY_DIR:-${STATE_DIR}}/}"; do
+        if [[ -n "$starlink_file" ]] && [[ -f "$starlink_file" ]]; then
+            cp "$starlink_file" "${harvest_dir}/" 2>/dev/null || log_warn "Failed to copy $(basename "$starlink_file") into harvest dir"
+        fi
+    done
+
     # One archive per run: just the harvest directory (now containing data + copied log)
     local compress_file="${harvest_parent}/${harvest_name}.tar.gz"
 
@@ -136,6 +145,10 @@ upload_harvest_data() {
 
     log_info "Found ${#local_archives[@]} archive file(s)"
 
+    # Let the link come up rather than have rclone fail on every archive; the
+    # data is what the run is for, so this wait always gets the full timeout
+    wait_for_starlink_ready full || log_warn "Uploading without a ready Starlink link"
+
     local uploaded_count=0
     local failed_count=0
 